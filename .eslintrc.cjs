@@ -38,6 +38,7 @@ module.exports = {
   ignorePatterns: [
     'dist',
     'node_modules',
-    '*.worker.js'
+    '*.worker.js',
+    '*.worklet.js'
   ]
 };
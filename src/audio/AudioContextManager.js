@@ -2,8 +2,28 @@
  * AudioContextManager
  * Manages AudioContext lifecycle and handles browser compatibility issues.
  * Singleton pattern ensures only one AudioContext instance exists.
+ *
+ * Audio is captured through an AudioWorklet that streams contiguous blocks into
+ * a ring buffer when supported; otherwise the AnalyserNode is polled instead.
+ * Both read the signal after the input filters (see InputFilterChain).
  */
 
+import RingBuffer from './RingBuffer.js';
+import SessionRecorder from './SessionRecorder.js';
+import InputFilterChain from './InputFilterChain.js';
+
+const DEFAULT_HOP_SIZE = 512;
+
+// Raw microphone signal: browser voice processing distorts pitch
+const MICROPHONE_CONSTRAINTS = {
+  echoCancellation: false,
+  noiseSuppression: false,
+  autoGainControl: false,
+  sampleRate: { ideal: 44100 },
+  channelCount: 1,
+};
+const RING_BUFFER_SECONDS = 1;
+
 class AudioContextManager {
   constructor() {
     // Enforce singleton pattern
@@ -16,18 +36,51 @@ class AudioContextManager {
     this.analyser = null;
     this.source = null;
     this.gainNode = null;
+    this.inputFilters = null; // High-pass and mains notches ahead of analysis
     this.isInitialized = false;
     this.listeners = new Map();
     this.deviceChangeListener = null;
 
+    // Input device selection
+    this.deviceId = null; // Device currently feeding the graph
+    this.autoFallback = true; // Switch to another input if the current one disconnects
+    this.isSwitchingDevice = false;
+
+    // Continuous capture
+    this.captureMode = 'analyser'; // 'analyser' | 'worklet'
+    this.captureNode = null;
+    this.ringBuffer = null;
+    this.hopSize = DEFAULT_HOP_SIZE;
+
+    // Raw signal of the current take (worklet capture only)
+    this.recorder = null;
+
+    // Reference tones played through the speakers (see PitchDetector bleed gating)
+    this.toneCount = 0;
+
     AudioContextManager.instance = this;
   }
 
   /**
    * Initialize AudioContext and request microphone permission
-   * @returns {Promise<{success: boolean, sampleRate?: number, error?: string}>}
+   * @param {{
+   *   hopSize?: number,
+   *   continuous?: boolean,
+   *   deviceId?: string|null,
+   *   autoFallback?: boolean,
+   *   filters?: object
+   * }} options - Capture options (continuous: false forces analyser polling;
+   *   deviceId falls back to the default input if it is no longer available;
+   *   filters configures the input filters, see InputFilterChain.configure)
+   * @returns {Promise<{
+   *   success: boolean,
+   *   sampleRate?: number,
+   *   captureMode?: string,
+   *   deviceId?: string|null,
+   *   error?: string
+   * }>}
    */
-  async initialize() {
+  async initialize(options = {}) {
     try {
       // Check for Web Audio API support
       const AudioContext = window.AudioContext || window.webkitAudioContext;
@@ -44,21 +97,20 @@ class AudioContextManager {
         console.warn('AudioContext suspended. Waiting for user gesture to resume.');
       }
 
-      // Request microphone permission
-      const stream = await navigator.mediaDevices.getUserMedia({
-        audio: {
-          echoCancellation: false,
-          noiseSuppression: false,
-          autoGainControl: false,
-          sampleRate: { ideal: 44100 },
-          channelCount: 1,
-        },
-      });
-
-      this.stream = stream;
+      if (options.autoFallback !== undefined) {
+        this.autoFallback = options.autoFallback;
+      }
 
-      // Setup audio processing chain
-      this.source = this.context.createMediaStreamSource(stream);
+      // Request microphone permission
+      let stream;
+      try {
+        stream = await this.requestStream(options.deviceId);
+      } catch (error) {
+        // A remembered device may have been unplugged since last time
+        if (!options.deviceId || !this.isMissingDeviceError(error)) throw error;
+        console.warn(`Input device ${options.deviceId} unavailable, using default`);
+        stream = await this.requestStream(null);
+      }
 
       // Create analyser node for frequency analysis
       this.analyser = this.context.createAnalyser();
@@ -69,9 +121,13 @@ class AudioContextManager {
       this.gainNode = this.context.createGain();
       this.gainNode.gain.value = 1.0;
 
-      // Connect audio graph: source → gain → analyser
-      this.source.connect(this.gainNode);
-      this.gainNode.connect(this.analyser);
+      // Clean up the signal before it is analysed
+      this.inputFilters = new InputFilterChain(this.context, options.filters);
+
+      // Connect audio graph: source → gain → filters → analyser
+      this.connectStream(stream);
+      this.gainNode.connect(this.inputFilters.input);
+      this.inputFilters.output.connect(this.analyser);
       // Note: We don't connect to destination to avoid feedback
 
       // Monitor device disconnect
@@ -79,9 +135,16 @@ class AudioContextManager {
 
       this.isInitialized = true;
 
+      // Stream contiguous blocks when supported, otherwise keep polling the analyser
+      if (options.continuous !== false) {
+        await this.startContinuousCapture(options.hopSize || DEFAULT_HOP_SIZE);
+      }
+
       return {
         success: true,
         sampleRate: this.context.sampleRate,
+        captureMode: this.captureMode,
+        deviceId: this.deviceId,
       };
     } catch (error) {
       const errorType = this.categorizeError(error);
@@ -115,7 +178,322 @@ class AudioContextManager {
   }
 
   /**
-   * Get current audio data from analyser
+   * Request a microphone stream
+   * @param {string|null} deviceId - Input device, or null for the browser default
+   * @returns {Promise<MediaStream>}
+   */
+  requestStream(deviceId) {
+    const audio = { ...MICROPHONE_CONSTRAINTS };
+    if (deviceId) {
+      audio.deviceId = { exact: deviceId };
+    }
+
+    return navigator.mediaDevices.getUserMedia({ audio });
+  }
+
+  /**
+   * Whether a getUserMedia error means the requested device doesn't exist
+   * @param {Error} error
+   * @returns {boolean}
+   */
+  isMissingDeviceError(error) {
+    const type = this.categorizeError(error);
+    return type === 'NO_MICROPHONE' || type === 'CONSTRAINTS_NOT_SATISFIED';
+  }
+
+  /**
+   * Make a stream the head of the processing chain, replacing the current one
+   * Everything downstream of the gain node (analyser, capture worklet, and the
+   * PitchDetector worker reading from them) is left untouched.
+   * @param {MediaStream} stream
+   */
+  connectStream(stream) {
+    const previousStream = this.stream;
+    const previousSource = this.source;
+
+    this.stream = stream;
+    this.source = this.context.createMediaStreamSource(stream);
+    this.source.connect(this.gainNode);
+    this.deviceId = this.getStreamDeviceId(stream);
+
+    if (previousSource) {
+      previousSource.disconnect();
+    }
+
+    if (previousStream && previousStream !== stream) {
+      previousStream.getTracks().forEach((track) => track.stop());
+    }
+
+    this.monitorStreamTracks(stream);
+  }
+
+  /**
+   * Read the device id of a stream's audio track
+   * @param {MediaStream} stream
+   * @returns {string|null}
+   */
+  getStreamDeviceId(stream) {
+    const [track] = stream.getTracks();
+    return track?.getSettings?.().deviceId || null;
+  }
+
+  /**
+   * List available audio input devices
+   * Labels are empty until microphone permission has been granted
+   * @returns {Promise<Array<{deviceId: string, label: string, groupId: string}>>}
+   */
+  async listInputDevices() {
+    if (!navigator.mediaDevices?.enumerateDevices) {
+      return [];
+    }
+
+    try {
+      const devices = await navigator.mediaDevices.enumerateDevices();
+      return devices
+        .filter((device) => device.kind === 'audioinput')
+        .map((device, index) => ({
+          deviceId: device.deviceId,
+          label: device.label || `Microphone ${index + 1}`,
+          groupId: device.groupId,
+        }));
+    } catch (error) {
+      console.error('Failed to list input devices:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Switch the microphone mid-session
+   * @param {string|null} deviceId - Input device, or null for the browser default
+   * @param {{fallback?: boolean}} options - fallback marks an automatic switch
+   * @returns {Promise<{success: boolean, deviceId?: string|null, error?: string}>}
+   */
+  async selectInputDevice(deviceId, { fallback = false } = {}) {
+    if (!this.isInitialized || !this.context) {
+      return { success: false, error: 'NOT_INITIALIZED' };
+    }
+
+    const previousDeviceId = this.deviceId;
+    this.isSwitchingDevice = true;
+
+    try {
+      const stream = await this.requestStream(deviceId);
+      this.connectStream(stream);
+
+      // Don't analyse a window that mixes the old and new microphone
+      if (this.ringBuffer) {
+        this.ringBuffer.clear();
+      }
+
+      this.emit('device-switched', {
+        deviceId: this.deviceId,
+        previousDeviceId,
+        fallback,
+      });
+
+      return { success: true, deviceId: this.deviceId };
+    } catch (error) {
+      return { success: false, error: this.categorizeError(error) };
+    } finally {
+      this.isSwitchingDevice = false;
+    }
+  }
+
+  /**
+   * Switch to any other available input after the current one disconnected
+   * Emits 'device-switched' (with fallback: true) or 'device-lost'
+   * @param {string|null} lostDeviceId - Device that went away
+   * @returns {Promise<boolean>} Whether a replacement was connected
+   */
+  async fallbackToAvailableDevice(lostDeviceId) {
+    const candidates = (await this.listInputDevices())
+      .filter((device) => device.deviceId && device.deviceId !== lostDeviceId);
+
+    // Prefer the browser's default input, then whatever is left
+    candidates.sort((a, b) => (b.deviceId === 'default') - (a.deviceId === 'default'));
+
+    for (let i = 0; i < candidates.length; i++) {
+      const result = await this.selectInputDevice(candidates[i].deviceId, { fallback: true });
+      if (result.success) return true;
+    }
+
+    this.emit('device-lost', { deviceId: lostDeviceId });
+    return false;
+  }
+
+  /**
+   * Start streaming microphone samples through the capture AudioWorklet
+   * Emits 'audio-frame' with the latest analysis window once per hop.
+   * @param {number} hopSize - Samples between consecutive analysis frames
+   * @returns {Promise<boolean>} Whether the worklet path is active
+   */
+  async startContinuousCapture(hopSize = DEFAULT_HOP_SIZE) {
+    if (!this.context || !this.gainNode) return false;
+
+    if (!this.context.audioWorklet || typeof AudioWorkletNode === 'undefined') {
+      return false;
+    }
+
+    try {
+      await this.context.audioWorklet.addModule(
+        new URL('./CaptureProcessor.worklet.js', import.meta.url),
+      );
+
+      this.hopSize = hopSize;
+      const capacity = Math.round(this.context.sampleRate * RING_BUFFER_SECONDS);
+      this.ringBuffer = new RingBuffer(Math.max(this.analyser.fftSize * 2, capacity));
+
+      this.captureNode = new AudioWorkletNode(this.context, 'capture-processor', {
+        numberOfInputs: 1,
+        numberOfOutputs: 1,
+        channelCount: 1,
+        processorOptions: { hopSize },
+      });
+
+      this.captureNode.port.onmessage = (e) => {
+        if (e.data.type === 'samples') {
+          this.handleCapturedSamples(e.data.samples);
+        }
+      };
+
+      // The processor writes silence; connecting to the destination keeps it
+      // pulled by the render graph in every browser
+      this.getAnalysisNode().connect(this.captureNode);
+      this.captureNode.connect(this.context.destination);
+
+      this.captureMode = 'worklet';
+      return true;
+    } catch (error) {
+      console.warn('AudioWorklet capture unavailable, falling back to analyser:', error);
+      this.stopContinuousCapture();
+      return false;
+    }
+  }
+
+  /**
+   * Store a captured block and publish the current analysis window
+   * @param {Float32Array} samples - One hop of contiguous samples
+   */
+  handleCapturedSamples(samples) {
+    if (!this.ringBuffer) return;
+
+    this.ringBuffer.write(samples);
+    this.recorder?.append(samples);
+
+    // Wait until a full analysis window has been captured
+    const windowSize = this.analyser.fftSize;
+    if (this.ringBuffer.length < windowSize) return;
+
+    this.emit('audio-frame', {
+      buffer: this.ringBuffer.read(windowSize),
+      hopSize: samples.length,
+    });
+  }
+
+  /**
+   * Stop the worklet path and return to analyser polling
+   */
+  stopContinuousCapture() {
+    if (this.captureNode) {
+      this.captureNode.port.postMessage({ type: 'stop' });
+      this.captureNode.port.onmessage = null;
+      this.captureNode.disconnect();
+      this.captureNode = null;
+    }
+
+    if (this.gainNode && this.captureMode === 'worklet') {
+      // Re-establish the analyser-only graph
+      const analysisNode = this.getAnalysisNode();
+      analysisNode.disconnect();
+      analysisNode.connect(this.analyser);
+    }
+
+    this.ringBuffer = null;
+    this.captureMode = 'analyser';
+  }
+
+  /**
+   * Get the node whose output is analysed (the end of the input filters)
+   * @returns {AudioNode}
+   */
+  getAnalysisNode() {
+    return this.inputFilters ? this.inputFilters.output : this.gainNode;
+  }
+
+  /**
+   * Change the input filters while running
+   * @param {{enabled?: boolean, highPassFrequency?: number, mainsFrequency?: number|null}} config -
+   *   See InputFilterChain.configure
+   * @returns {object|null} The filter configuration now in effect, or null
+   *   before initialization
+   */
+  setInputFilters(config) {
+    if (!this.inputFilters) return null;
+
+    const applied = this.inputFilters.configure(config);
+    this.emit('input-filters-changed', applied);
+    return applied;
+  }
+
+  /**
+   * Get the input filter configuration
+   * @returns {object|null} See InputFilterChain.getConfig; null before initialization
+   */
+  getInputFilters() {
+    return this.inputFilters ? this.inputFilters.getConfig() : null;
+  }
+
+  /**
+   * Set the number of samples between analysis frames (worklet capture only)
+   * @param {number} hopSize - Hop size in samples
+   * @returns {boolean} Whether the hop size was applied
+   */
+  setHopSize(hopSize) {
+    if (!this.captureNode || !(hopSize > 0)) return false;
+
+    this.hopSize = hopSize;
+    this.captureNode.port.postMessage({ type: 'set-hop-size', data: { hopSize } });
+    return true;
+  }
+
+  /**
+   * Start keeping the raw microphone signal
+   * Needs worklet capture: polling the analyser skips and repeats samples.
+   * @param {{maxSeconds?: number}} options - Length cap (default: 10 minutes)
+   * @returns {{success: boolean, error?: string}}
+   */
+  startRecording(options = {}) {
+    if (!this.isInitialized) {
+      return { success: false, error: 'NOT_INITIALIZED' };
+    }
+
+    if (this.captureMode !== 'worklet') {
+      return { success: false, error: 'RECORDING_UNSUPPORTED' };
+    }
+
+    this.recorder = new SessionRecorder({
+      sampleRate: this.context.sampleRate,
+      maxSeconds: options.maxSeconds,
+    });
+    this.recorder.start();
+
+    return { success: true };
+  }
+
+  /**
+   * Stop recording and return the take
+   * @returns {object|null} SessionRecorder take, or null if nothing was recording
+   */
+  stopRecording() {
+    if (!this.recorder) return null;
+
+    const recording = this.recorder.stop();
+    this.recorder = null;
+    return recording;
+  }
+
+  /**
+   * Get current audio data (latest analysis window)
    * @returns {Float32Array} Audio time-domain data
    */
   getAudioData() {
@@ -125,6 +503,10 @@ class AudioContextManager {
       return new Float32Array(0);
     }
 
+    if (this.captureMode === 'worklet' && this.ringBuffer) {
+      return this.ringBuffer.read(this.analyser.fftSize);
+    }
+
     const bufferLength = this.analyser.fftSize;
     const dataArray = new Float32Array(bufferLength);
     this.analyser.getFloatTimeDomainData(dataArray);
@@ -132,6 +514,28 @@ class AudioContextManager {
     return dataArray;
   }
 
+  /**
+   * Set the analysis window size returned by getAudioData()
+   * @param {number} size - Power of two between 32 and 32768
+   * @returns {boolean} Whether the size was applied
+   */
+  setBufferSize(size) {
+    if (!this.analyser) return false;
+
+    try {
+      this.analyser.fftSize = size;
+
+      // Keep a few windows of history available in the ring buffer
+      if (this.ringBuffer) {
+        this.ringBuffer.resize(size * 2);
+      }
+      return true;
+    } catch (error) {
+      console.warn(`Invalid analysis buffer size: ${size}`, error);
+      return false;
+    }
+  }
+
   /**
    * Get volume level (RMS)
    * @returns {number} Volume level between 0 and 1
@@ -154,18 +558,32 @@ class AudioContextManager {
   }
 
   /**
-   * Setup device change monitoring
+   * Watch a stream's tracks for the device going away
+   * @param {MediaStream} stream
    */
-  setupDeviceChangeMonitoring() {
-    if (!this.stream) return;
-
-    // Monitor stream track endings
-    const tracks = this.stream.getTracks();
+  monitorStreamTracks(stream) {
+    const tracks = stream.getTracks();
     tracks.forEach((track) => {
       track.addEventListener('ended', () => {
-        this.emit('device-disconnected', { deviceId: track.id });
+        // Ignore tracks from a stream that has since been replaced
+        if (this.stream !== stream || this.isSwitchingDevice) return;
+
+        const lostDeviceId = this.deviceId;
+        this.emit('device-disconnected', { deviceId: lostDeviceId, trackId: track.id });
+
+        if (this.autoFallback) {
+          this.fallbackToAvailableDevice(lostDeviceId);
+        }
       });
     });
+  }
+
+  /**
+   * Setup device change monitoring
+   * Stream tracks are monitored by connectStream()
+   */
+  setupDeviceChangeMonitoring() {
+    if (!this.stream) return;
 
     // Monitor device changes (additions/removals)
     this.deviceChangeListener = () => {
@@ -232,6 +650,8 @@ class AudioContextManager {
 
   /**
    * Create an oscillator for reference tones
+   * Emits 'tone-start' ({id, frequency, duration} in ms) and 'tone-end' ({id})
+   * so the pitch detector can ignore the tone leaking into the microphone.
    * @param {number} frequency - Frequency in Hz
    * @param {number} duration - Duration in seconds
    * @returns {Promise<void>}
@@ -265,8 +685,15 @@ class AudioContextManager {
     oscillator.start(now);
     oscillator.stop(now + duration);
 
+    this.toneCount++;
+    const id = `reference-${this.toneCount}`;
+    this.emit('tone-start', { id, frequency, duration: duration * 1000 });
+
     return new Promise((resolve) => {
-      oscillator.onended = resolve;
+      oscillator.onended = () => {
+        this.emit('tone-end', { id });
+        resolve();
+      };
     });
   }
 
@@ -334,6 +761,9 @@ class AudioContextManager {
       this.stream = null;
     }
 
+    this.stopContinuousCapture();
+    this.recorder = null;
+
     // Disconnect audio nodes
     if (this.source) {
       this.source.disconnect();
@@ -345,6 +775,11 @@ class AudioContextManager {
       this.gainNode = null;
     }
 
+    if (this.inputFilters) {
+      this.inputFilters.disconnect();
+      this.inputFilters = null;
+    }
+
     if (this.analyser) {
       this.analyser = null;
     }
@@ -355,6 +790,7 @@ class AudioContextManager {
       this.context = null;
     }
 
+    this.deviceId = null;
     this.isInitialized = false;
     this.listeners.clear();
 
@@ -0,0 +1,273 @@
+/**
+ * AudioFileAnalyzer
+ * Analyses recorded takes (WAV, Opus, MP3, ...) with the same worker the game
+ * uses for live detection, producing a time-stamped pitch track.
+ * Files are decoded and mixed down to mono through an OfflineAudioContext.
+ */
+
+import { getNoteInfo } from './NoteMapper.js';
+
+const ANALYSIS_SAMPLE_RATE = 44100;
+const DEFAULT_HOP_SIZE = 512; // ~11.6ms at 44.1kHz
+const DEFAULT_FRAME_SIZE = 2048; // Same window as the live analyser
+const WORKER_INIT_TIMEOUT = 5000;
+
+class AudioFileAnalyzer {
+  /**
+   * @param {{sampleRate?: number, hopSize?: number, frameSize?: number}} config
+   */
+  constructor(config = {}) {
+    this.config = {
+      sampleRate: config.sampleRate || ANALYSIS_SAMPLE_RATE,
+      hopSize: config.hopSize || DEFAULT_HOP_SIZE,
+      frameSize: config.frameSize || DEFAULT_FRAME_SIZE,
+    };
+
+    this.worker = null;
+    this.workerReady = null;
+    this.messageId = 0;
+    this.pendingRequests = new Map();
+  }
+
+  /**
+   * Check whether this browser can decode files offline
+   * @returns {boolean}
+   */
+  static isSupported() {
+    return typeof window !== 'undefined'
+      && !!(window.OfflineAudioContext || window.webkitOfflineAudioContext);
+  }
+
+  /**
+   * Start the detection worker (once)
+   * @returns {Promise<void>}
+   */
+  initWorker() {
+    if (this.workerReady) return this.workerReady;
+
+    this.workerReady = new Promise((resolve, reject) => {
+      this.worker = new Worker(
+        new URL('./PitchDetector.worker.js', import.meta.url),
+        { type: 'module' },
+      );
+
+      // A worker that failed is dropped, so the next analysis starts a fresh one
+      let timeout = null;
+      const fail = (error) => {
+        clearTimeout(timeout);
+        this.resetWorker(error);
+        reject(error);
+      };
+
+      timeout = setTimeout(() => {
+        fail(new Error('Worker initialization timeout'));
+      }, WORKER_INIT_TIMEOUT);
+
+      this.worker.onmessage = (e) => {
+        if (e.data.type === 'initialized') {
+          clearTimeout(timeout);
+          resolve();
+          return;
+        }
+        this.handleWorkerMessage(e.data);
+      };
+
+      this.worker.onerror = (error) => {
+        console.error('AudioFileAnalyzer Worker Error:', error);
+        fail(new Error(`Worker error: ${error.message}`));
+      };
+
+      this.worker.postMessage({
+        type: 'init',
+        data: {
+          sampleRate: this.config.sampleRate,
+          bufferSize: this.config.frameSize,
+        },
+      });
+    });
+
+    return this.workerReady;
+  }
+
+  /**
+   * Handle messages from the worker
+   * @param {{type: string, id?: number, data: *}} message
+   */
+  handleWorkerMessage(message) {
+    const { type, id, data } = message;
+    const request = this.pendingRequests.get(id);
+    if (!request) return;
+
+    switch (type) {
+      case 'analysis-progress':
+        request.onProgress?.(data.progress);
+        break;
+
+      case 'analysis-complete':
+        this.pendingRequests.delete(id);
+        request.resolve(data.track);
+        break;
+
+      default:
+        console.warn(`Unknown worker message type: ${type}`);
+    }
+  }
+
+  /**
+   * Fail every outstanding analysis (worker crashed or was destroyed)
+   * @param {Error} error
+   */
+  rejectPending(error) {
+    this.pendingRequests.forEach(({ reject }) => reject(error));
+    this.pendingRequests.clear();
+  }
+
+  /**
+   * Decode an audio file to mono samples at the analysis sample rate
+   * @param {Blob|ArrayBuffer} file - Encoded audio
+   * @returns {Promise<Float32Array>}
+   */
+  async decode(file) {
+    const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+    const { sampleRate } = this.config;
+
+    const encoded = file instanceof ArrayBuffer ? file : await file.arrayBuffer();
+    const decoded = await new OfflineContext(1, 1, sampleRate).decodeAudioData(encoded);
+
+    // Render through a mono context: resamples and mixes all channels down
+    const length = Math.max(1, Math.ceil(decoded.duration * sampleRate));
+    const context = new OfflineContext(1, length, sampleRate);
+    const source = context.createBufferSource();
+    source.buffer = decoded;
+    source.connect(context.destination);
+    source.start();
+
+    const rendered = await context.startRendering();
+    return rendered.getChannelData(0);
+  }
+
+  /**
+   * Run the worker's detector over decoded samples
+   * @param {Float32Array} samples - Mono samples at the analysis sample rate
+   * @param {Function} onProgress - Called with 0-1
+   * @returns {Promise<Array<object>>} Raw worker track
+   */
+  async detect(samples, onProgress) {
+    await this.initWorker();
+
+    return new Promise((resolve, reject) => {
+      const id = this.messageId++;
+      this.pendingRequests.set(id, { resolve, reject, onProgress });
+
+      // Copy so the caller's samples survive the transfer
+      const copy = new Float32Array(samples);
+      this.worker.postMessage({
+        type: 'analyze',
+        id,
+        data: {
+          samples: copy,
+          hopSize: this.config.hopSize,
+          frameSize: this.config.frameSize,
+        },
+      }, [copy.buffer]);
+    });
+  }
+
+  /**
+   * Analyse a recording
+   * @param {Blob|ArrayBuffer} file - Encoded audio (WAV, Opus, MP3, ...)
+   * @param {{
+   *   onProgress?: Function,
+   *   tuning?: object,
+   *   spelling?: object
+   * }} options - Progress callback (0-1), and tuning/spelling for note names
+   *   and cents (see NoteMapper.getNoteInfo)
+   * @returns {Promise<{
+   *   success: boolean,
+   *   error?: string,
+   *   track?: Array<{
+   *     time: number,
+   *     frequency: number|null,
+   *     note: string|null,
+   *     cents: number,
+   *     midi: number,
+   *     confidence: number,
+   *     volume: number
+   *   }>,
+   *   duration?: number,
+   *   sampleRate?: number,
+   *   hopSize?: number
+   * }>}
+   */
+  async analyze(file, options = {}) {
+    const { onProgress, tuning = {}, spelling = {} } = options;
+
+    if (!AudioFileAnalyzer.isSupported()) {
+      return { success: false, error: 'OFFLINE_AUDIO_UNSUPPORTED' };
+    }
+
+    let samples;
+    try {
+      samples = await this.decode(file);
+    } catch (error) {
+      console.warn('Failed to decode recording:', error);
+      return { success: false, error: 'DECODE_FAILED' };
+    }
+
+    let rawTrack;
+    try {
+      rawTrack = await this.detect(samples, onProgress);
+    } catch (error) {
+      console.error('Failed to analyse recording:', error);
+      return { success: false, error: 'ANALYSIS_FAILED' };
+    }
+
+    const track = rawTrack.map((frame) => {
+      const noteInfo = frame.frequency
+        ? getNoteInfo(frame.frequency, tuning, spelling)
+        : { note: null, cents: 0, midi: 0 };
+
+      return {
+        time: frame.time,
+        frequency: frame.frequency,
+        note: noteInfo.note,
+        cents: noteInfo.cents,
+        midi: noteInfo.midi,
+        confidence: frame.confidence,
+        volume: frame.volume,
+      };
+    });
+
+    onProgress?.(1);
+
+    return {
+      success: true,
+      track,
+      duration: samples.length / this.config.sampleRate,
+      sampleRate: this.config.sampleRate,
+      hopSize: this.config.hopSize,
+    };
+  }
+
+  /**
+   * Stop the worker and fail any analysis still waiting on it
+   * @param {Error} error - Passed to the waiting requests
+   */
+  resetWorker(error) {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+    this.workerReady = null;
+    this.rejectPending(error);
+  }
+
+  /**
+   * Stop the worker
+   */
+  destroy() {
+    this.resetWorker(new Error('AudioFileAnalyzer destroyed'));
+  }
+}
+
+export default AudioFileAnalyzer;
@@ -0,0 +1,184 @@
+/**
+ * BleedFilter
+ * Keeps reference tones played through the speakers from being scored as
+ * singing. Sound sources report each tone they start, move and stop;
+ * detections at a sounding tone's pitch are gated by level. For short cue
+ * tones that includes an octave either side, where the detector or the
+ * speaker's distortion may put them; sustained tones (an accompaniment the
+ * singer may well sing an octave above) only match their own pitch.
+ *
+ * - For the first moments of a tone nobody can have reacted to it yet, so
+ *   matching frames are pure bleed: they are suppressed and their level is
+ *   learned.
+ * - Afterwards, matching frames no louder than that bleed are suppressed;
+ *   clearly louder ones are the voice.
+ * - In between, or when the singer was already on that pitch as the tone
+ *   began (so its bleed couldn't be learned), voice and tone can't be told
+ *   apart: the frame is kept and flagged 'ambiguous'.
+ */
+
+const MATCH_TOLERANCE_CENTS = 40;
+const CUE_MATCH_RATIOS = [1, 2, 0.5];
+const SUSTAINED_MATCH_RATIOS = [1];
+const LEARN_TIME = 250; // ms after a tone starts before anyone can sing along
+const TAIL_TIME = 150; // ms of room echo and analysis-window lag after a tone ends
+const SUPPRESS_MARGIN = 1.5; // Up to ~3.5 dB over the learned bleed is still bleed
+const VOICE_MARGIN = 3; // ~9.5 dB over the bleed is clearly the voice
+const ON_PITCH_TIME = 150; // ms a voiced frame counts as "already singing"
+
+class BleedFilter {
+  /**
+   * @param {{clock?: Function}} config - Clock in milliseconds (default: performance.now)
+   */
+  constructor(config = {}) {
+    this.config = {
+      clock: config.clock || (() => performance.now()),
+    };
+
+    // id -> { frequency, ratios, start, end, learnable, bleedVolume }
+    this.tones = new Map();
+    this.lastVoiced = null; // { frequency, time } of the last kept voiced frame
+  }
+
+  /**
+   * Register a tone that has started playing
+   * @param {{id: string|number, frequency: number, duration?: number}} tone -
+   *   Duration in ms (omit for tones that play until removed)
+   */
+  addTone({ id, frequency, duration = Infinity }) {
+    if (!(frequency > 0)) return;
+
+    const start = this.config.clock();
+    const ratios = Number.isFinite(duration) ? CUE_MATCH_RATIOS : SUSTAINED_MATCH_RATIOS;
+
+    // A singer already on this pitch hides the bleed we would learn from
+    const singing = this.lastVoiced
+      && start - this.lastVoiced.time <= ON_PITCH_TIME
+      && BleedFilter.matches(this.lastVoiced.frequency, frequency, ratios);
+
+    this.tones.set(id, {
+      frequency,
+      ratios,
+      start,
+      end: start + duration,
+      learnable: !singing,
+      bleedVolume: 0,
+    });
+  }
+
+  /**
+   * Register that a sustained tone has moved to another pitch (a chord
+   * change): the bleed level learned for it still holds, so it isn't relearned
+   * @param {string|number} id - Tone id given to addTone
+   * @param {number} frequency - New frequency
+   */
+  updateTone(id, frequency) {
+    const tone = this.tones.get(id);
+    if (tone && frequency > 0) {
+      tone.frequency = frequency;
+    }
+  }
+
+  /**
+   * Register that a tone has stopped (its echo is still gated briefly)
+   * @param {string|number} id - Tone id given to addTone
+   */
+  removeTone(id) {
+    const tone = this.tones.get(id);
+    if (tone) {
+      tone.end = Math.min(tone.end, this.config.clock());
+    }
+  }
+
+  /**
+   * Check whether any tone is sounding (or still echoing)
+   * @returns {boolean}
+   */
+  hasActiveTones() {
+    this.expireTones(this.config.clock());
+    return this.tones.size > 0;
+  }
+
+  /**
+   * Check whether a detection could be a tone
+   * @param {number} detected - Detected frequency
+   * @param {number} played - Tone frequency
+   * @param {number[]} ratios - Multiples of the tone that count as it
+   * @returns {boolean}
+   */
+  static matches(detected, played, ratios = CUE_MATCH_RATIOS) {
+    return ratios.some((ratio) => {
+      const cents = 1200 * Math.log2(detected / (played * ratio));
+      return Math.abs(cents) <= MATCH_TOLERANCE_CENTS;
+    });
+  }
+
+  /**
+   * Forget tones that have finished echoing
+   * @param {number} now - Clock time
+   */
+  expireTones(now) {
+    this.tones.forEach((tone, id) => {
+      if (tone.end + TAIL_TIME < now) this.tones.delete(id);
+    });
+  }
+
+  /**
+   * Gate one detection result
+   * @param {{frequency: number|null, volume?: number}} result - Detector result
+   * @returns {object} The result, with frequency cleared when it is bleed, and
+   *   `bleed`: 'suppressed', 'ambiguous' or null
+   */
+  process(result) {
+    const now = this.config.clock();
+    this.expireTones(now);
+
+    if (!result.frequency) {
+      return { ...result, bleed: null };
+    }
+
+    const volume = result.volume || 0;
+    let verdict = null;
+
+    this.tones.forEach((tone) => {
+      if (verdict === 'suppressed'
+        || !BleedFilter.matches(result.frequency, tone.frequency, tone.ratios)) {
+        return;
+      }
+
+      if (!tone.learnable) {
+        verdict = 'ambiguous';
+      } else if (now - tone.start <= LEARN_TIME) {
+        // eslint-disable-next-line no-param-reassign
+        tone.bleedVolume = Math.max(tone.bleedVolume, volume);
+        verdict = 'suppressed';
+      } else if (volume <= tone.bleedVolume * SUPPRESS_MARGIN) {
+        verdict = 'suppressed';
+      } else if (volume <= tone.bleedVolume * VOICE_MARGIN) {
+        verdict = 'ambiguous';
+      }
+    });
+
+    if (verdict === 'suppressed') {
+      return {
+        ...result,
+        frequency: null,
+        confidence: 0,
+        bleed: 'suppressed',
+      };
+    }
+
+    this.lastVoiced = { frequency: result.frequency, time: now };
+    return { ...result, bleed: verdict };
+  }
+
+  /**
+   * Forget all tones and history
+   */
+  reset() {
+    this.tones.clear();
+    this.lastVoiced = null;
+  }
+}
+
+export default BleedFilter;
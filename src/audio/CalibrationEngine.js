@@ -1,40 +1,182 @@
 /**
  * CalibrationEngine
- * Automatically detects user's comfortable voice range and recommends octave
- * Two-phase process: volume test → range detection → analysis
- * Optimized for faster feedback and lower volume thresholds
+ * Guides the singer through measuring their voice: full range and the
+ * comfortable tessitura within it
+ * Process: ambient noise → volume test → slide down → slide up → sustain a
+ * comfortable note → analysis
+ * Volume thresholds follow the detector's adaptive noise gate, so quiet singers
+ * pass in quiet rooms and room noise doesn't pass in loud ones.
+ * The raw audio of the silent and sung phases also goes to an environment
+ * check (see EnvironmentAnalyzer), whose mic quality report comes back with
+ * the result.
+ * Pitch readings are binned by semitone; bins heard only in passing and
+ * clusters separated from the voice (octave errors, stray noise) are dropped
+ * before the range is read off.
  */
 
+import { frequencyToMidi, midiToNoteName } from './NoteMapper.js';
+import EnvironmentAnalyzer from './EnvironmentAnalyzer.js';
+
 // Configuration constants
 const CONFIG = {
-  // Volume thresholds (after RMS * 10 scaling in AudioContextManager)
-  // Typical singing RMS is 0.002-0.01, so after 10x = 0.02-0.1
-  // Set thresholds very low to accommodate quiet mics/environments
-  VOLUME_THRESHOLD_PASS: 0.008, // Very low - just need some signal
-  VOLUME_THRESHOLD_PITCH: 0.008, // Match pass threshold
-  VOLUME_THRESHOLD_GOOD: 0.03, // Volume considered "good"
+  // Volume thresholds as multiples of the detector's volume gate
+  // (volumes are RMS * 10; the gate starts at 0.005 before any noise is learned)
+  DEFAULT_VOLUME_GATE: 0.005,
+  VOLUME_PASS_RATIO: 1.6, // Just need some signal above the room
+  VOLUME_PITCH_RATIO: 1.6, // Match pass threshold
+  VOLUME_GOOD_RATIO: 6, // Volume considered "good"
 
   // Timing
+  AMBIENT_DURATION: 800, // Silence while the noise floor is learned
+  AMBIENT_SAMPLE_INTERVAL: 20,
   VOLUME_TEST_DURATION: 1500, // 1.5 seconds
-  RANGE_DETECT_DURATION: 6000, // 6 seconds
+  SLIDE_DURATION: 7000, // Longest a slide may take
+  SUSTAIN_DURATION: 5000, // Longest the sustain phase may take
+  MIN_SLIDE_TIME: 2000, // Slides run at least this long...
+  SLIDE_PLATEAU_TIME: 1200, // ...and end once no new extreme has come for this long
   VOLUME_SAMPLE_INTERVAL: 50, // Fast sampling
-  RANGE_SAMPLE_INTERVAL: 150, // Fast sampling
+  RANGE_SAMPLE_INTERVAL: 50, // Fast enough to follow a slide
 
   // Requirements
-  MIN_PITCH_SAMPLES: 10,
+  MIN_PHASE_SAMPLES: 8, // Per slide
+  SUSTAIN_SAMPLES: 30, // ~1.5 s of held note
   PITCH_CONFIDENCE_THRESHOLD: 0.3, // Relaxed further
+
+  // Histogram outlier rejection
+  MIN_BIN_COUNT: 2, // Semitones heard for a single frame are glitches
+  MAX_BIN_GAP: 4, // Semitones between bins that still belong to one voice
+
+  // Tessitura around the sustained note, kept off the edges of the range
+  TESSITURA_HALF_SPAN: 7,
+  TESSITURA_EDGE: 2,
+};
+
+// What each guided phase asks for; direction is where a slide's extreme lies
+const PHASE_GUIDES = {
+  slide_down: {
+    prompt: 'Sing a comfortable "ahh" and slide down as low as you can ↓',
+    done: 'Got your lowest note!',
+    failure: 'We couldn\'t hear the slide down. Sing it a little louder.',
+    direction: -1,
+  },
+  slide_up: {
+    prompt: 'Now slide up as high as is comfortable ↑',
+    done: 'Got your highest note!',
+    failure: 'We couldn\'t hear the slide up. Sing it a little louder.',
+    direction: 1,
+  },
+  sustain: {
+    prompt: 'Hold a note that feels easy to sing —',
+    done: 'Got your comfortable note!',
+    failure: 'We couldn\'t hear a held note. Hold one steady note for two seconds.',
+    direction: 0,
+  },
 };
 
+// Voice types by the centre of the tessitura (MIDI), low to high
+const VOICE_TYPES = [
+  { maxCentre: 50, name: 'Bass' },
+  { maxCentre: 54, name: 'Baritone' },
+  { maxCentre: 59, name: 'Tenor' },
+  { maxCentre: 64, name: 'Alto' },
+  { maxCentre: Infinity, name: 'Soprano' },
+];
+
+/**
+ * Find the main body of a voice in pitch readings
+ * Readings are binned by semitone; bins with fewer than MIN_BIN_COUNT
+ * readings are dropped (unless nothing else is left), and the bins are split
+ * wherever more than MAX_BIN_GAP semitones separate them. The cluster with the
+ * most readings is the voice.
+ * @param {number[]} midis - Pitch readings as (fractional) MIDI numbers
+ * @returns {{lowestMidi: number, highestMidi: number, modeMidi: number, sampleCount: number}|null}
+ *   Extent, most-heard semitone and readings kept; null without readings
+ */
+export function findRangeCluster(midis) {
+  if (midis.length === 0) return null;
+
+  const histogram = new Map();
+  midis.forEach((midi) => {
+    const bin = Math.round(midi);
+    histogram.set(bin, (histogram.get(bin) || 0) + 1);
+  });
+
+  let bins = [...histogram.entries()].sort((a, b) => a[0] - b[0]);
+  const sustained = bins.filter(([, count]) => count >= CONFIG.MIN_BIN_COUNT);
+  if (sustained.length > 0) bins = sustained;
+
+  const clusters = [];
+  bins.forEach(([midi, count]) => {
+    const current = clusters[clusters.length - 1];
+    if (current && midi - current.highestMidi <= CONFIG.MAX_BIN_GAP) {
+      current.highestMidi = midi;
+      current.sampleCount += count;
+      if (count > current.modeCount) {
+        current.modeMidi = midi;
+        current.modeCount = count;
+      }
+    } else {
+      clusters.push({
+        lowestMidi: midi, highestMidi: midi, modeMidi: midi, modeCount: count, sampleCount: count,
+      });
+    }
+  });
+
+  const best = clusters.reduce((a, b) => (b.sampleCount > a.sampleCount ? b : a));
+  return {
+    lowestMidi: best.lowestMidi,
+    highestMidi: best.highestMidi,
+    modeMidi: best.modeMidi,
+    sampleCount: best.sampleCount,
+  };
+}
+
+/**
+ * Place the tessitura around the comfortable note, off the edges of the range
+ * @param {{lowestMidi: number, highestMidi: number}} range - Full range
+ * @param {number} centreMidi - Comfortable note
+ * @returns {{lowestMidi: number, highestMidi: number, centreMidi: number}}
+ */
+export function getTessitura(range, centreMidi) {
+  const { TESSITURA_EDGE: edge, TESSITURA_HALF_SPAN: halfSpan } = CONFIG;
+  const low = Math.max(range.lowestMidi + edge, centreMidi - halfSpan);
+  const high = Math.min(range.highestMidi - edge, centreMidi + halfSpan);
+
+  return {
+    lowestMidi: Math.min(low, centreMidi),
+    highestMidi: Math.max(high, centreMidi),
+    centreMidi,
+  };
+}
+
+/**
+ * Name the voice type whose tessitura is centred around a note
+ * @param {number} centreMidi - Centre of the tessitura
+ * @returns {string}
+ */
+function getVoiceType(centreMidi) {
+  return VOICE_TYPES.find((type) => centreMidi <= type.maxCentre).name;
+}
+
 class CalibrationEngine {
-  constructor(pitchDetector) {
+  /**
+   * @param {PitchDetector} pitchDetector - Detector to calibrate with
+   * @param {AudioContextManager|null} audioSource - Raw audio for the
+   *   environment check (default: the detector's audio manager)
+   */
+  constructor(pitchDetector, audioSource = pitchDetector?.audioContextManager ?? null) {
     this.pitchDetector = pitchDetector;
-    this.state = 'idle'; // idle, volume_test, range_detect, analysis, complete
+    this.audioSource = audioSource;
+    this.environment = new EnvironmentAnalyzer();
+    // idle, ambient, volume_test, slide_down, slide_up, sustain, analysis, complete
+    this.state = 'idle';
     this.volumeSamples = [];
     this.pitchSamples = [];
     this.result = null;
     this.onProgressCallback = null;
     this.currentVolume = 0; // Real-time volume for UI
     this.maxVolume = 0; // Track max volume during test
+    this.noiseFloor = 0; // Ambient level learned before the volume test
   }
 
   /**
@@ -44,18 +186,31 @@ class CalibrationEngine {
    *   success: boolean,
    *   lowestNote: string,
    *   highestNote: string,
+   *   lowestMidi: number,
+   *   highestMidi: number,
+   *   tessitura: object,
    *   recommendedOctave: number,
-   *   voiceType: string
-   * }>}
+   *   voiceType: string,
+   *   noiseFloor: number,
+   *   environment: object|null
+   * }>} See analyzeResults; environment is the mic quality report (see
+   *   EnvironmentAnalyzer.getReport), also given with VOLUME_TOO_LOW and
+   *   INSUFFICIENT_DATA failures. On failure `error`, `message` and (for
+   *   INSUFFICIENT_DATA) the `phase` that went unheard
    */
   async start(onProgress) {
     this.reset();
     this.onProgressCallback = onProgress;
 
     try {
+      // Phase 0: Learn the room's noise floor before the user sings
+      this.state = 'ambient';
+      this.reportProgress(0, 'Checking the room... stay quiet');
+      await this.runAmbientMeasurement(CONFIG.AMBIENT_DURATION);
+
       // Phase 1: Volume Test (1.5 seconds, early exit on success)
       this.state = 'volume_test';
-      this.reportProgress(0, 'Testing microphone volume...');
+      this.reportProgress(0, 'START SINGING! 🎤');
       const volumeTestPassed = await this.runVolumeTest(CONFIG.VOLUME_TEST_DURATION);
 
       if (!volumeTestPassed) {
@@ -65,26 +220,31 @@ class CalibrationEngine {
           message:
             `Microphone volume too low (max: ${Math.round(this.maxVolume * 100)}%). `
             + 'Please sing louder or check mic settings.',
+          environment: this.getEnvironmentReport(),
         };
       }
 
-      // Phase 2: Range Detection (6 seconds, early exit when enough samples)
-      this.state = 'range_detect';
-      this.reportProgress(0.3, 'Detecting vocal range... Sing from low to high notes');
-      await this.runRangeDetection(CONFIG.RANGE_DETECT_DURATION);
-
-      // Check if enough pitch samples collected
-      if (this.pitchSamples.length < CONFIG.MIN_PITCH_SAMPLES) {
-        return {
-          success: false,
-          error: 'INSUFFICIENT_DATA',
-          message:
-            `Only ${this.pitchSamples.length} notes detected `
-            + `(need ${CONFIG.MIN_PITCH_SAMPLES}). Please sing more clearly.`,
-        };
+      // Phases 2-4: guided slides and a comfortable held note
+      const phases = [
+        ['slide_down', CONFIG.SLIDE_DURATION, { from: 0.3, to: 0.5 }, CONFIG.MIN_PHASE_SAMPLES],
+        ['slide_up', CONFIG.SLIDE_DURATION, { from: 0.5, to: 0.7 }, CONFIG.MIN_PHASE_SAMPLES],
+        ['sustain', CONFIG.SUSTAIN_DURATION, { from: 0.7, to: 0.9 }, CONFIG.SUSTAIN_SAMPLES / 2],
+      ];
+
+      for (const [phase, duration, progressSpan, required] of phases) {
+        const collected = await this.runGuidedPhase(phase, duration, progressSpan);
+        if (collected < required) {
+          return {
+            success: false,
+            error: 'INSUFFICIENT_DATA',
+            phase,
+            message: PHASE_GUIDES[phase].failure,
+            environment: this.getEnvironmentReport(),
+          };
+        }
       }
 
-      // Phase 3: Analysis
+      // Phase 5: Analysis
       this.state = 'analysis';
       this.reportProgress(0.9, 'Analyzing results...');
       this.result = this.analyzeResults();
@@ -95,6 +255,8 @@ class CalibrationEngine {
       return {
         success: true,
         ...this.result,
+        noiseFloor: this.noiseFloor,
+        environment: this.getEnvironmentReport(),
       };
     } catch (error) {
       console.error('Calibration error:', error);
@@ -106,6 +268,32 @@ class CalibrationEngine {
     }
   }
 
+  /**
+   * Phase 0: Sample silence so the detector's noise floor settles
+   * @param {number} duration - Measurement duration in ms
+   */
+  async runAmbientMeasurement(duration) {
+    const startTime = Date.now();
+
+    while (Date.now() - startTime < duration) {
+      const detection = await this.pitchDetector.detect();
+      this.currentVolume = detection.volume;
+      this.sampleEnvironment(false);
+
+      await this.sleep(CONFIG.AMBIENT_SAMPLE_INTERVAL);
+    }
+
+    this.noiseFloor = this.pitchDetector.getNoiseFloor();
+  }
+
+  /**
+   * Current volume thresholds derived from the detector's gate
+   * @returns {{pass: number, pitch: number, good: number}}
+   */
+  getThresholds() {
+    return CalibrationEngine.getVolumeThresholds(this.pitchDetector.getVolumeGate());
+  }
+
   /**
    * Phase 1: Run volume test
    * Returns true if volume threshold met, false otherwise
@@ -121,13 +309,15 @@ class CalibrationEngine {
     while (Date.now() - startTime < duration) {
       const detection = await this.pitchDetector.detect();
       const { volume } = detection;
+      const thresholds = this.getThresholds();
 
       this.volumeSamples.push(volume);
       this.currentVolume = volume;
       this.maxVolume = Math.max(this.maxVolume, volume);
 
       // Check for early success (consecutive good volumes)
-      if (volume >= CONFIG.VOLUME_THRESHOLD_PASS) {
+      if (volume >= thresholds.pass) {
+        this.sampleEnvironment(true);
         consecutiveGoodSamples += 1;
         if (consecutiveGoodSamples >= requiredConsecutive) {
           this.reportProgress(0.3, 'Microphone OK!');
@@ -140,9 +330,9 @@ class CalibrationEngine {
       const progress = (Date.now() - startTime) / duration;
       const volumePercent = Math.round(volume * 100);
       let volumeStatus = '✗';
-      if (volume >= CONFIG.VOLUME_THRESHOLD_GOOD) {
+      if (volume >= thresholds.good) {
         volumeStatus = '✓';
-      } else if (volume >= CONFIG.VOLUME_THRESHOLD_PASS) {
+      } else if (volume >= thresholds.pass) {
         volumeStatus = '~';
       }
 
@@ -155,111 +345,159 @@ class CalibrationEngine {
     }
 
     // Check if max volume ever met threshold
-    return this.maxVolume >= CONFIG.VOLUME_THRESHOLD_PASS;
+    return this.maxVolume >= this.getThresholds().pass;
   }
 
   /**
-   * Phase 2: Run range detection
-   * Early exits when enough pitch samples collected
-   * @param {number} duration - Max test duration in ms
+   * Phases 2-4: a guided slide or sustained note
+   * Slides end early once the singer has stopped reaching further for a
+   * moment; the sustain phase once enough of the note has been heard.
+   * @param {'slide_down'|'slide_up'|'sustain'} phase - Phase to run
+   * @param {number} duration - Max phase duration in ms
+   * @param {{from: number, to: number}} progressSpan - Share of overall progress
+   * @returns {Promise<number>} Number of samples collected
    */
-  async runRangeDetection(duration) {
+  async runGuidedPhase(phase, duration, progressSpan) {
     const startTime = Date.now();
+    const guide = PHASE_GUIDES[phase];
+    const samples = [];
+    let extreme = null;
+    let extremeTime = startTime;
+
+    this.state = phase;
+    this.reportProgress(progressSpan.from, guide.prompt);
 
     while (Date.now() - startTime < duration) {
       const detection = await this.pitchDetector.detect();
       this.currentVolume = detection.volume;
+      const now = Date.now();
 
-      // Only record confident pitch detections (relaxed thresholds)
+      // Only record confident, audible pitch
       const isValidPitch = detection.frequency
         && detection.confidence > CONFIG.PITCH_CONFIDENCE_THRESHOLD
-        && detection.volume > CONFIG.VOLUME_THRESHOLD_PITCH;
+        && detection.volume > this.getThresholds().pitch;
 
       if (isValidPitch) {
-        this.pitchSamples.push({
+        const midi = frequencyToMidi(detection.frequency);
+        const sample = {
+          phase,
           frequency: detection.frequency,
+          midi,
           note: detection.note,
-          midi: detection.midi,
           confidence: detection.confidence,
-        });
+        };
+        samples.push(sample);
+        this.pitchSamples.push(sample);
+        this.sampleEnvironment(true);
+
+        // A new low (slide down) or high (slide up) restarts the plateau timer
+        if (extreme === null || midi * guide.direction > extreme * guide.direction + 0.5) {
+          extreme = midi;
+          extremeTime = now;
+        }
       }
 
-      const elapsed = Date.now() - startTime;
-      const progress = 0.3 + (elapsed / duration) * 0.6;
-      const remaining = Math.ceil((duration - elapsed) / 1000);
-      const samplesCollected = this.pitchSamples.length;
-      const currentNote = detection.note || '--';
-      const volumePercent = Math.round(detection.volume * 100);
-
-      // Early exit if we have enough samples
-      if (samplesCollected >= CONFIG.MIN_PITCH_SAMPLES) {
-        this.reportProgress(0.9, `${samplesCollected} notes detected - analyzing...`);
-        return;
+      const elapsed = now - startTime;
+      const done = phase === 'sustain'
+        ? samples.length >= CONFIG.SUSTAIN_SAMPLES
+        : elapsed >= CONFIG.MIN_SLIDE_TIME
+          && samples.length >= CONFIG.MIN_PHASE_SAMPLES
+          && now - extremeTime >= CONFIG.SLIDE_PLATEAU_TIME;
+
+      const progress = progressSpan.from
+        + Math.min(elapsed / duration, 1) * (progressSpan.to - progressSpan.from);
+      if (done) {
+        this.reportProgress(progressSpan.to, guide.done);
+        return samples.length;
       }
 
-      const statusMsg = `♪ ${currentNote} | Vol: ${volumePercent}% | `
-        + `${samplesCollected}/${CONFIG.MIN_PITCH_SAMPLES} notes (${remaining}s)`;
-      this.reportProgress(progress, statusMsg);
+      const note = detection.note || '--';
+      const remaining = Math.ceil((duration - elapsed) / 1000);
+      this.reportProgress(progress, `${guide.prompt} ♪ ${note} (${remaining}s)`);
 
       await this.sleep(CONFIG.RANGE_SAMPLE_INTERVAL);
     }
+
+    return samples.length;
   }
 
   /**
-   * Phase 3: Analyze collected data and recommend octave
+   * Hand the current raw audio to the environment check
+   * @param {boolean} singing - Whether the singer is heard in it
+   */
+  sampleEnvironment(singing) {
+    const samples = this.audioSource?.getAudioData();
+    if (!samples || samples.length === 0) return;
+
+    if (singing) {
+      this.environment.addSignalFrame(samples);
+    } else {
+      this.environment.addAmbientFrame(samples);
+    }
+  }
+
+  /**
+   * Get the mic quality report from the audio heard so far
+   * @returns {object|null} See EnvironmentAnalyzer.getReport; null before any
+   *   raw audio was available
+   */
+  getEnvironmentReport() {
+    return this.environment.hasData() ? this.environment.getReport() : null;
+  }
+
+  /**
+   * Get the range sung so far this calibration (for live feedback), with
+   * outliers already rejected
+   * @returns {{lowestMidi: number, highestMidi: number}|null} Null before any pitch
+   */
+  getLiveRange() {
+    const range = findRangeCluster(this.pitchSamples.map((s) => s.midi));
+    return range && { lowestMidi: range.lowestMidi, highestMidi: range.highestMidi };
+  }
+
+  /**
+   * Phase 5: Analyze collected data
+   * The full range is the extent of the main histogram cluster over all
+   * phases; the tessitura is centred on the sustained note.
    * @returns {{
    *   lowestNote: string,
    *   highestNote: string,
    *   lowestMidi: number,
    *   highestMidi: number,
+   *   tessitura: {lowestMidi: number, highestMidi: number, centreMidi: number,
+   *     lowestNote: string, highestNote: string},
    *   recommendedOctave: number,
-   *   voiceType: string
+   *   voiceType: string,
+   *   rejectedSamples: number
    * }}
    */
   analyzeResults() {
-    // Find lowest and highest MIDI notes
-    const midiNumbers = this.pitchSamples.map((s) => s.midi);
-    const lowestMidi = Math.min(...midiNumbers);
-    const highestMidi = Math.max(...midiNumbers);
-
-    // Get most common notes in range
-    const lowestSample = this.pitchSamples.find((s) => s.midi === lowestMidi);
-    const highestSample = this.pitchSamples.find((s) => s.midi === highestMidi);
-
-    // Determine voice type and recommended octave based on range
-    const midpoint = (lowestMidi + highestMidi) / 2;
-    let voiceType;
-    let recommendedOctave;
-
-    if (midpoint < 50) {
-      // Bass range (E2-E4, MIDI 40-64)
-      voiceType = 'Bass';
-      recommendedOctave = 3; // C3-C4
-    } else if (midpoint < 57) {
-      // Baritone range (A2-A4, MIDI 45-69)
-      voiceType = 'Baritone';
-      recommendedOctave = 3; // C3-C4
-    } else if (midpoint < 64) {
-      // Tenor range (C3-C5, MIDI 48-72)
-      voiceType = 'Tenor';
-      recommendedOctave = 4; // C4-C5
-    } else if (midpoint < 72) {
-      // Alto range (F3-F5, MIDI 53-77)
-      voiceType = 'Alto';
-      recommendedOctave = 4; // C4-C5
-    } else {
-      // Soprano range (C4-C6, MIDI 60-84)
-      voiceType = 'Soprano';
-      recommendedOctave = 4; // C4-C5 (or could be 5 for C5-C6)
-    }
+    const range = findRangeCluster(this.pitchSamples.map((s) => s.midi));
+
+    // The comfortable centre: the most-sung semitone of the sustained note
+    const sustained = this.pitchSamples
+      .filter((s) => s.phase === 'sustain')
+      .map((s) => Math.round(s.midi))
+      .filter((midi) => midi >= range.lowestMidi && midi <= range.highestMidi);
+    const centreMidi = sustained.length > 0
+      ? findRangeCluster(sustained).modeMidi
+      : range.modeMidi;
+
+    const tessitura = getTessitura(range, centreMidi);
 
     return {
-      lowestNote: lowestSample.note,
-      highestNote: highestSample.note,
-      lowestMidi,
-      highestMidi,
-      recommendedOctave,
-      voiceType,
+      lowestNote: midiToNoteName(range.lowestMidi),
+      highestNote: midiToNoteName(range.highestMidi),
+      lowestMidi: range.lowestMidi,
+      highestMidi: range.highestMidi,
+      tessitura: {
+        ...tessitura,
+        lowestNote: midiToNoteName(tessitura.lowestMidi),
+        highestNote: midiToNoteName(tessitura.highestMidi),
+      },
+      recommendedOctave: Math.floor(tessitura.lowestMidi / 12) - 1,
+      voiceType: getVoiceType(tessitura.centreMidi),
+      rejectedSamples: this.pitchSamples.length - range.sampleCount,
     };
   }
 
@@ -292,6 +530,10 @@ class CalibrationEngine {
     this.result = null;
     this.currentVolume = 0;
     this.maxVolume = 0;
+    this.noiseFloor = 0;
+    this.environment = new EnvironmentAnalyzer({
+      sampleRate: this.audioSource?.getSampleRate?.(),
+    });
   }
 
   /**
@@ -304,12 +546,14 @@ class CalibrationEngine {
 
   /**
    * Get volume thresholds for UI
-   * @returns {{pass: number, good: number}}
+   * @param {number} volumeGate - Detector volume gate (PitchDetector.getVolumeGate)
+   * @returns {{pass: number, pitch: number, good: number}}
    */
-  static getVolumeThresholds() {
+  static getVolumeThresholds(volumeGate = CONFIG.DEFAULT_VOLUME_GATE) {
     return {
-      pass: CONFIG.VOLUME_THRESHOLD_PASS,
-      good: CONFIG.VOLUME_THRESHOLD_GOOD,
+      pass: volumeGate * CONFIG.VOLUME_PASS_RATIO,
+      pitch: volumeGate * CONFIG.VOLUME_PITCH_RATIO,
+      good: volumeGate * CONFIG.VOLUME_GOOD_RATIO,
     };
   }
 
@@ -0,0 +1,75 @@
+/**
+ * CaptureProcessor AudioWorklet
+ * Runs on the audio rendering thread and forwards contiguous microphone
+ * samples to the main thread in blocks of `hopSize` samples.
+ * Unlike polling an AnalyserNode, no samples are skipped or repeated.
+ */
+
+const DEFAULT_HOP_SIZE = 512;
+const MIN_HOP_SIZE = 128; // One render quantum
+
+class CaptureProcessor extends AudioWorkletProcessor {
+  constructor(options) {
+    super();
+
+    const requested = options?.processorOptions?.hopSize;
+    this.setHopSize(requested || DEFAULT_HOP_SIZE);
+    this.active = true;
+
+    this.port.onmessage = (e) => {
+      const { type, data } = e.data;
+
+      switch (type) {
+        case 'set-hop-size':
+          this.setHopSize(data.hopSize);
+          break;
+
+        case 'stop':
+          this.active = false;
+          break;
+
+        default:
+          console.warn(`Unknown capture message type: ${type}`);
+      }
+    };
+  }
+
+  /**
+   * Resize the hop block, dropping any partially filled block
+   * @param {number} hopSize - Samples per posted block
+   */
+  setHopSize(hopSize) {
+    this.hopSize = Math.max(MIN_HOP_SIZE, Math.round(hopSize));
+    this.block = new Float32Array(this.hopSize);
+    this.blockIndex = 0;
+  }
+
+  /**
+   * Copy the first input channel into the hop block and post it when full
+   * @param {Float32Array[][]} inputs
+   * @returns {boolean} Keep processor alive
+   */
+  process(inputs) {
+    const channel = inputs[0] && inputs[0][0];
+
+    // No input connected yet (or device switched) - nothing to capture
+    if (!channel) {
+      return this.active;
+    }
+
+    for (let i = 0; i < channel.length; i++) {
+      this.block[this.blockIndex++] = channel[i];
+
+      if (this.blockIndex === this.hopSize) {
+        const samples = this.block;
+        this.port.postMessage({ type: 'samples', samples }, [samples.buffer]);
+        this.block = new Float32Array(this.hopSize);
+        this.blockIndex = 0;
+      }
+    }
+
+    return this.active;
+  }
+}
+
+registerProcessor('capture-processor', CaptureProcessor);
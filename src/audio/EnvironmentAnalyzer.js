@@ -0,0 +1,269 @@
+/**
+ * EnvironmentAnalyzer
+ * Judges whether the room and microphone are fit for singing into, from raw
+ * frames heard during calibration. Silent frames give the ambient level and
+ * any mains hum (50 or 60 Hz and its first harmonics); sung frames give the
+ * signal-to-noise ratio and how often the input clips.
+ *
+ * The result is a mic quality report: a pass/warn/fail verdict and, for each
+ * problem found, a concrete piece of advice.
+ */
+
+// Levels are dBFS of the RMS signal (0 dB = full-scale square wave)
+const AMBIENT_WARN_DB = -55; // Room noise the detector's gate has to work around
+const AMBIENT_FAIL_DB = -42; // As loud as quiet singing
+const SNR_WARN_DB = 20;
+const SNR_FAIL_DB = 10;
+const MAX_SNR_DB = 60; // Reported for a digitally silent room
+const SILENCE_DB = -120; // Reported for digital silence
+
+// Mains hum: power at the mains frequency and its first harmonics
+const MAINS_FREQUENCIES = [50, 60];
+const HUM_HARMONICS = 3;
+const HUM_MIN_SHARE = 0.4; // Share of the ambient power that must be hum
+const HUM_MIN_DB = -70; // Quieter hum doesn't matter
+
+// Clipping: samples at (or within rounding of) full scale
+const CLIP_LEVEL = 0.999;
+const CLIP_WARN_RATIO = 0.001;
+const CLIP_FAIL_RATIO = 0.02;
+
+const VERDICTS = ['pass', 'warn', 'fail'];
+
+/**
+ * Convert a mean power to dBFS
+ * @param {number} power - Mean squared sample value
+ * @returns {number}
+ */
+function powerToDb(power) {
+  return power > 0 ? Math.max(SILENCE_DB, 10 * Math.log10(power)) : SILENCE_DB;
+}
+
+/**
+ * Measure the power of one frequency in a frame (Goertzel algorithm)
+ * @param {Float32Array} samples - Time-domain samples
+ * @param {number} frequency - Frequency in Hz
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {number} Mean power of a sine at that frequency (amplitude² / 2)
+ */
+export function measureTonePower(samples, frequency, sampleRate) {
+  const n = samples.length;
+  if (n === 0) return 0;
+
+  const coefficient = 2 * Math.cos((2 * Math.PI * frequency) / sampleRate);
+  let previous = 0;
+  let beforePrevious = 0;
+  for (let i = 0; i < n; i++) {
+    const current = samples[i] + coefficient * previous - beforePrevious;
+    beforePrevious = previous;
+    previous = current;
+  }
+
+  const magnitudeSquared = previous ** 2 + beforePrevious ** 2
+    - coefficient * previous * beforePrevious;
+  return (2 * magnitudeSquared) / (n * n);
+}
+
+/**
+ * Measure mains hum in a frame, for each mains frequency
+ * @param {Float32Array} samples - Time-domain samples
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {Object<number, number>} Mains frequency -> power of it and its harmonics
+ */
+export function measureHum(samples, sampleRate) {
+  const hum = {};
+  MAINS_FREQUENCIES.forEach((mains) => {
+    let power = 0;
+    for (let harmonic = 1; harmonic <= HUM_HARMONICS; harmonic++) {
+      power += measureTonePower(samples, mains * harmonic, sampleRate);
+    }
+    hum[mains] = power;
+  });
+  return hum;
+}
+
+/**
+ * Count samples at full scale
+ * @param {Float32Array} samples - Time-domain samples
+ * @returns {number}
+ */
+export function countClippedSamples(samples) {
+  let count = 0;
+  for (let i = 0; i < samples.length; i++) {
+    if (Math.abs(samples[i]) >= CLIP_LEVEL) count++;
+  }
+  return count;
+}
+
+/**
+ * Get the mean power of a frame
+ * @param {Float32Array} samples - Time-domain samples
+ * @returns {number}
+ */
+function meanPower(samples) {
+  let sum = 0;
+  for (let i = 0; i < samples.length; i++) {
+    sum += samples[i] * samples[i];
+  }
+  return samples.length > 0 ? sum / samples.length : 0;
+}
+
+class EnvironmentAnalyzer {
+  /**
+   * @param {{sampleRate?: number}} config - Sample rate of the frames in Hz
+   */
+  constructor(config = {}) {
+    this.config = {
+      sampleRate: config.sampleRate || 44100,
+    };
+
+    this.reset();
+  }
+
+  /**
+   * Learn from a frame heard while the singer is silent
+   * @param {Float32Array} samples - Time-domain samples
+   */
+  addAmbientFrame(samples) {
+    if (samples.length === 0) return;
+
+    this.ambient.power += meanPower(samples);
+    this.ambient.frames++;
+
+    const hum = measureHum(samples, this.config.sampleRate);
+    MAINS_FREQUENCIES.forEach((mains) => {
+      this.ambient.hum[mains] += hum[mains];
+    });
+
+    this.clipped += countClippedSamples(samples);
+    this.sampleCount += samples.length;
+  }
+
+  /**
+   * Learn from a frame of singing
+   * @param {Float32Array} samples - Time-domain samples
+   */
+  addSignalFrame(samples) {
+    if (samples.length === 0) return;
+
+    this.signal.power += meanPower(samples);
+    this.signal.frames++;
+
+    this.clipped += countClippedSamples(samples);
+    this.sampleCount += samples.length;
+  }
+
+  /**
+   * Check whether any frames have been heard
+   * @returns {boolean}
+   */
+  hasData() {
+    return this.ambient.frames > 0 || this.signal.frames > 0;
+  }
+
+  /**
+   * Build the mic quality report from the frames heard so far
+   * @returns {{
+   *   verdict: 'pass'|'warn'|'fail',
+   *   ambientDb: number|null,
+   *   snrDb: number|null,
+   *   hum: {frequency: number|null, levelDb: number|null},
+   *   clippingRatio: number,
+   *   issues: Array<{code: string, severity: 'warn'|'fail', advice: string}>,
+   *   advice: string[]
+   * }} ambientDb, hum and snrDb are null until silence (and, for snrDb,
+   *   singing) has been heard; hum.frequency is the mains frequency when hum
+   *   was found
+   */
+  getReport() {
+    const { ambient, signal } = this;
+    const ambientPower = ambient.frames > 0 ? ambient.power / ambient.frames : null;
+    const signalPower = signal.frames > 0 ? signal.power / signal.frames : null;
+
+    const ambientDb = ambientPower === null ? null : powerToDb(ambientPower);
+    let snrDb = null;
+    if (ambientPower !== null && signalPower !== null) {
+      snrDb = ambientPower > 0
+        ? Math.min(MAX_SNR_DB, 10 * Math.log10(signalPower / ambientPower))
+        : MAX_SNR_DB;
+    }
+
+    // The louder mains family, if it makes up enough of the room's noise
+    const hum = { frequency: null, levelDb: null };
+    if (ambientPower !== null) {
+      const mains = MAINS_FREQUENCIES.reduce((a, b) => (ambient.hum[b] > ambient.hum[a] ? b : a));
+      const humPower = ambient.hum[mains] / ambient.frames;
+      hum.levelDb = powerToDb(humPower);
+      if (ambientPower > 0 && humPower / ambientPower >= HUM_MIN_SHARE
+        && hum.levelDb >= HUM_MIN_DB) {
+        hum.frequency = mains;
+      }
+    }
+
+    const clippingRatio = this.sampleCount > 0 ? this.clipped / this.sampleCount : 0;
+
+    const issues = [];
+    if (ambientDb !== null && ambientDb >= AMBIENT_WARN_DB) {
+      issues.push({
+        code: 'NOISY_ROOM',
+        severity: ambientDb >= AMBIENT_FAIL_DB ? 'fail' : 'warn',
+        advice: 'The room is noisy: turn off fans, music or the TV, or move somewhere quieter.',
+      });
+    }
+    if (hum.frequency) {
+      issues.push({
+        code: 'MAINS_HUM',
+        severity: 'warn',
+        advice: `There's electrical hum at ${hum.frequency} Hz: unplug chargers near the mic, `
+          + 'keep its cable away from power cables, or try another USB port.',
+      });
+    }
+    if (snrDb !== null && snrDb < SNR_WARN_DB) {
+      issues.push({
+        code: 'LOW_SNR',
+        severity: snrDb < SNR_FAIL_DB ? 'fail' : 'warn',
+        advice: 'Your voice is barely louder than the room: sing closer to the mic.',
+      });
+    }
+    if (clippingRatio >= CLIP_WARN_RATIO) {
+      issues.push({
+        code: 'CLIPPING',
+        severity: clippingRatio >= CLIP_FAIL_RATIO ? 'fail' : 'warn',
+        advice: 'The mic is overloading: turn its input gain down or back away a little.',
+      });
+    }
+
+    const verdict = issues.reduce(
+      (worst, issue) => (VERDICTS.indexOf(issue.severity) > VERDICTS.indexOf(worst)
+        ? issue.severity
+        : worst),
+      'pass',
+    );
+
+    return {
+      verdict,
+      ambientDb,
+      snrDb,
+      hum,
+      clippingRatio,
+      issues,
+      advice: issues.map((issue) => issue.advice),
+    };
+  }
+
+  /**
+   * Forget every frame heard
+   */
+  reset() {
+    this.ambient = {
+      power: 0,
+      frames: 0,
+      hum: Object.fromEntries(MAINS_FREQUENCIES.map((mains) => [mains, 0])),
+    };
+    this.signal = { power: 0, frames: 0 };
+    this.clipped = 0;
+    this.sampleCount = 0;
+  }
+}
+
+export default EnvironmentAnalyzer;
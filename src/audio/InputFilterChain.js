@@ -0,0 +1,150 @@
+/**
+ * InputFilterChain
+ * Biquad filters that clean up the microphone signal before pitch detection:
+ * a high-pass below the singer's range (rumble, handling noise, most of the
+ * mains fundamental) and narrow notches at the mains frequency and its
+ * harmonics, where laptop mics pick up hum that YIN can lock onto.
+ *
+ * The chain sits between the input gain and everything that analyses the
+ * signal. Its input and output nodes stay put, so it can be reconfigured, or
+ * bypassed to compare detection without it, while audio is running.
+ */
+
+const DEFAULT_HIGH_PASS = 70; // Hz; just under E2, the lowest note detected
+const HIGH_PASS_Q = Math.SQRT1_2; // Butterworth: no bump before the cutoff
+const HIGH_PASS_MARGIN = 4; // Semitones between the cutoff and the lowest note sung
+const MIN_HIGH_PASS = 40;
+const MAX_HIGH_PASS = 120;
+const MAINS_FREQUENCIES = [50, 60];
+const NOTCH_HARMONICS = 3; // Mains frequency and its first harmonics
+const NOTCH_Q = 30; // A few Hz wide: the hum goes, neighbouring notes stay
+
+/**
+ * Place the high-pass cutoff below a singer's range
+ * @param {number|null} lowestFrequency - Lowest note sung in Hz (null when unknown)
+ * @returns {number} Cutoff in Hz (the default without a range)
+ */
+export function getHighPassFrequency(lowestFrequency) {
+  if (!(lowestFrequency > 0)) return DEFAULT_HIGH_PASS;
+
+  const cutoff = lowestFrequency * 2 ** (-HIGH_PASS_MARGIN / 12);
+  return Math.round(Math.min(MAX_HIGH_PASS, Math.max(MIN_HIGH_PASS, cutoff)));
+}
+
+/**
+ * Describe the filters for a configuration
+ * @param {{enabled?: boolean, highPassFrequency?: number, mainsFrequency?: number|null}} config -
+ *   highPassFrequency 0 leaves out the high-pass; mainsFrequency (50 or 60)
+ *   adds the notches, null leaves them out
+ * @returns {Array<{type: 'highpass'|'notch', frequency: number, Q: number}>} In chain order
+ */
+export function getFilterSpecs(config = {}) {
+  const {
+    enabled = true,
+    highPassFrequency = DEFAULT_HIGH_PASS,
+    mainsFrequency = null,
+  } = config;
+  if (!enabled) return [];
+
+  const specs = [];
+  if (highPassFrequency > 0) {
+    specs.push({ type: 'highpass', frequency: highPassFrequency, Q: HIGH_PASS_Q });
+  }
+  if (MAINS_FREQUENCIES.includes(mainsFrequency)) {
+    for (let harmonic = 1; harmonic <= NOTCH_HARMONICS; harmonic++) {
+      specs.push({ type: 'notch', frequency: mainsFrequency * harmonic, Q: NOTCH_Q });
+    }
+  }
+  return specs;
+}
+
+class InputFilterChain {
+  /**
+   * @param {AudioContext} context - Context to create the filters in
+   * @param {object} config - See configure
+   */
+  constructor(context, config = {}) {
+    this.context = context;
+    this.config = {
+      enabled: true,
+      highPassFrequency: DEFAULT_HIGH_PASS,
+      mainsFrequency: null,
+    };
+
+    // Fixed ends of the chain; the filters between them are rebuilt freely
+    this.input = context.createGain();
+    this.output = context.createGain();
+    this.filters = [];
+
+    this.configure(config);
+  }
+
+  /**
+   * Change the filters (only the options given are changed)
+   * @param {{enabled?: boolean, highPassFrequency?: number, mainsFrequency?: number|null}} config -
+   *   enabled false passes the signal through untouched; see getFilterSpecs
+   * @returns {object} The whole configuration now in effect
+   */
+  configure(config = {}) {
+    if (typeof config.enabled === 'boolean') {
+      this.config.enabled = config.enabled;
+    }
+    if (Number.isFinite(config.highPassFrequency) && config.highPassFrequency >= 0) {
+      this.config.highPassFrequency = config.highPassFrequency;
+    }
+    if (config.mainsFrequency !== undefined) {
+      this.config.mainsFrequency = MAINS_FREQUENCIES.includes(config.mainsFrequency)
+        ? config.mainsFrequency
+        : null;
+    }
+
+    this.rebuild();
+    return this.getConfig();
+  }
+
+  /**
+   * Get the configuration in effect
+   * @returns {{enabled: boolean, highPassFrequency: number, mainsFrequency: number|null}}
+   */
+  getConfig() {
+    return { ...this.config };
+  }
+
+  /**
+   * Replace the filters between the input and output nodes
+   */
+  rebuild() {
+    this.input.disconnect();
+    this.filters.forEach((filter) => filter.disconnect());
+
+    // Without biquad support the signal passes through unfiltered
+    const specs = typeof this.context.createBiquadFilter === 'function'
+      ? getFilterSpecs(this.config)
+      : [];
+
+    this.filters = specs.map((spec) => {
+      const filter = this.context.createBiquadFilter();
+      filter.type = spec.type;
+      filter.frequency.value = spec.frequency;
+      filter.Q.value = spec.Q;
+      return filter;
+    });
+
+    [this.input, ...this.filters, this.output].reduce((from, to) => {
+      from.connect(to);
+      return to;
+    });
+  }
+
+  /**
+   * Disconnect every node of the chain
+   */
+  disconnect() {
+    this.input.disconnect();
+    this.filters.forEach((filter) => filter.disconnect());
+    this.output.disconnect();
+    this.filters = [];
+  }
+}
+
+export default InputFilterChain;
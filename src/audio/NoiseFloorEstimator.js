@@ -0,0 +1,98 @@
+/**
+ * NoiseFloorEstimator
+ * Learns the ambient (non-singing) volume level and derives the volume gate
+ * below which pitch detection is skipped.
+ * The floor drops quickly when the room gets quieter and rises slowly when it
+ * gets louder, so a held note can't drag the gate up with it.
+ */
+
+const DEFAULTS = {
+  initialFloor: 0.002, // Gives the legacy 0.005 gate before anything is learned
+  gateRatio: 2.5, // Gate sits this far above the floor
+  minGate: 0.002, // Never open the gate on digital silence
+  maxGate: 0.05, // Never hide a normally sung note, however noisy the room
+  fallRate: 0.3, // Smoothing when the level drops below the floor
+  riseRate: 0.02, // Smoothing when the level rises above the floor
+};
+
+class NoiseFloorEstimator {
+  /**
+   * @param {object} options - Overrides for DEFAULTS
+   */
+  constructor(options = {}) {
+    this.config = { ...DEFAULTS, ...options };
+    this.floor = this.config.initialFloor;
+    this.frameCount = 0; // Ambient frames learned so far
+  }
+
+  /**
+   * Learn from a frame that contains no singing
+   * @param {number} volume - Frame volume (same scale as calculateVolume)
+   */
+  update(volume) {
+    if (!Number.isFinite(volume) || volume < 0) return;
+
+    const rate = volume < this.floor ? this.config.fallRate : this.config.riseRate;
+    this.floor += (volume - this.floor) * rate;
+    this.frameCount++;
+  }
+
+  /**
+   * Volume below which a frame is treated as silence
+   * @returns {number}
+   */
+  getGate() {
+    const { gateRatio, minGate, maxGate } = this.config;
+    return Math.min(maxGate, Math.max(minGate, this.floor * gateRatio));
+  }
+
+  /**
+   * Current ambient level estimate
+   * @returns {number}
+   */
+  getFloor() {
+    return this.floor;
+  }
+
+  /**
+   * Seed the estimate (e.g. from a previous calibration)
+   * @param {number} floor - Ambient volume level
+   */
+  setFloor(floor) {
+    if (!Number.isFinite(floor) || floor < 0) return;
+
+    this.floor = floor;
+  }
+
+  /**
+   * Set how far above the floor the gate sits (stricter in rooms judged
+   * noisy by the environment check)
+   * @param {number} gateRatio - Multiple of the floor
+   */
+  setGateRatio(gateRatio) {
+    if (!Number.isFinite(gateRatio) || gateRatio < 1) return;
+
+    this.config.gateRatio = gateRatio;
+  }
+
+  /**
+   * Forget everything learned and start from the initial floor
+   */
+  reset() {
+    this.floor = this.config.initialFloor;
+    this.frameCount = 0;
+  }
+
+  /**
+   * Snapshot for result messages and UI
+   * @returns {{noiseFloor: number, volumeGate: number}}
+   */
+  getState() {
+    return {
+      noiseFloor: this.floor,
+      volumeGate: this.getGate(),
+    };
+  }
+}
+
+export default NoiseFloorEstimator;
@@ -1,16 +1,262 @@
 /**
  * NoteMapper
  * Converts frequencies to musical notes and calculates cent deviations
- * Based on equal temperament tuning with A4 = 440 Hz
+ * Based on equal temperament tuning with a configurable A4 reference
+ * (440 Hz by default; see setReferenceFrequency)
+ * Targets can optionally be tuned in another temperament relative to a tonic,
+ * e.g. { temperament: 'just', tonic: 'C' }
  */
 
 // Note names for one octave
 const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+const FLAT_NOTE_NAMES = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'Gb', 'G', 'Ab', 'A', 'Bb', 'B'];
 
-// A4 reference frequency
-const A4_FREQUENCY = 440.0;
+// Natural note letters and their pitch classes
+const LETTERS = ['C', 'D', 'E', 'F', 'G', 'A', 'B'];
+const LETTER_PITCH_CLASSES = [0, 2, 4, 5, 7, 9, 11];
+
+// Accidental symbols accepted when parsing (ASCII and Unicode), in semitones
+const ACCIDENTAL_VALUES = {
+  '#': 1,
+  '♯': 1,
+  x: 2,
+  '𝄪': 2,
+  b: -1,
+  '♭': -1,
+  '𝄫': -2,
+};
+
+// Accidentals written when formatting, indexed by semitones + 2
+const ASCII_ACCIDENTALS = ['bb', 'b', '', '#', '##'];
+const UNICODE_ACCIDENTALS = ['𝄫', '♭', '', '♯', '𝄪'];
+
+const NOTE_NAME_PATTERN = /^([A-G])([#♯x𝄪b♭𝄫]*)(-?\d+)?$/u;
+const KEY_PATTERN = /^([A-G][#♯x𝄪b♭𝄫]*)\s*(m|min|minor|maj|major)?$/u;
+
+// A4 reference frequency (concert pitch)
+export const DEFAULT_A4_FREQUENCY = 440.0;
+export const MIN_A4_FREQUENCY = 400;
+export const MAX_A4_FREQUENCY = 480;
 const A4_MIDI_NUMBER = 69;
 
+// Active concert pitch, shared by every conversion in this module
+let a4Frequency = DEFAULT_A4_FREQUENCY;
+
+// Scales that define each key's spelling, built on first use
+const keyScales = new Map();
+
+/**
+ * Convert frequency ratios above the tonic to cent offsets from 12-TET
+ * @param {number[]} ratios - 12 ratios, unison to major seventh
+ * @returns {number[]} Offsets in cents
+ */
+function ratiosToOffsets(ratios) {
+  return ratios.map((ratio, semitones) => 1200 * Math.log2(ratio) - semitones * 100);
+}
+
+/**
+ * Quarter-comma meantone: pure major thirds from a chain of narrowed fifths
+ * (Eb to G# around the tonic)
+ * @returns {number[]} Offsets in cents
+ */
+function meantoneOffsets() {
+  const fifth = (1200 * Math.log2(5)) / 4; // ~696.6 cents
+  const offsets = new Array(12);
+
+  for (let fifths = -3; fifths <= 8; fifths++) {
+    const semitones = (((fifths * 7) % 12) + 12) % 12;
+    const cents = (((fifths * fifth) % 1200) + 1200) % 1200;
+    offsets[semitones] = cents - semitones * 100;
+  }
+
+  return offsets;
+}
+
+// Cent offsets from 12-TET for each interval above the tonic
+export const TEMPERAMENTS = {
+  equal: new Array(12).fill(0),
+  // 5-limit just intonation
+  just: ratiosToOffsets([
+    1, 16 / 15, 9 / 8, 6 / 5, 5 / 4, 4 / 3, 45 / 32, 3 / 2, 8 / 5, 5 / 3, 9 / 5, 15 / 8,
+  ]),
+  // Stacked pure fifths
+  pythagorean: ratiosToOffsets([
+    1, 256 / 243, 9 / 8, 32 / 27, 81 / 64, 4 / 3, 729 / 512, 3 / 2, 128 / 81, 27 / 16, 16 / 9,
+    243 / 128,
+  ]),
+  meantone: meantoneOffsets(),
+};
+
+// Seven-note modes, in semitones above the tonic (one letter per degree)
+const DIATONIC_DEGREES = [0, 1, 2, 3, 4, 5, 6];
+const MAJOR = { intervals: [0, 2, 4, 5, 7, 9, 11], degrees: DIATONIC_DEGREES };
+const NATURAL_MINOR = { intervals: [0, 2, 3, 5, 7, 8, 10], degrees: DIATONIC_DEGREES };
+
+/**
+ * Scale library
+ * intervals: semitones above the tonic
+ * degrees: letter steps above the tonic's letter, used for spelling
+ *   (omitted for the symmetric chromatic and whole-tone scales, which are
+ *   spelled with sharps or flats)
+ * descending: alternative form used on the way down (melodic minor)
+ */
+export const SCALE_TYPES = {
+  major: MAJOR,
+  'natural-minor': NATURAL_MINOR,
+  'harmonic-minor': { intervals: [0, 2, 3, 5, 7, 8, 11], degrees: DIATONIC_DEGREES },
+  'melodic-minor': {
+    intervals: [0, 2, 3, 5, 7, 9, 11],
+    degrees: DIATONIC_DEGREES,
+    descending: NATURAL_MINOR,
+  },
+  ionian: MAJOR,
+  dorian: { intervals: [0, 2, 3, 5, 7, 9, 10], degrees: DIATONIC_DEGREES },
+  phrygian: { intervals: [0, 1, 3, 5, 7, 8, 10], degrees: DIATONIC_DEGREES },
+  lydian: { intervals: [0, 2, 4, 6, 7, 9, 11], degrees: DIATONIC_DEGREES },
+  mixolydian: { intervals: [0, 2, 4, 5, 7, 9, 10], degrees: DIATONIC_DEGREES },
+  aeolian: NATURAL_MINOR,
+  locrian: { intervals: [0, 1, 3, 5, 6, 8, 10], degrees: DIATONIC_DEGREES },
+  'major-pentatonic': { intervals: [0, 2, 4, 7, 9], degrees: [0, 1, 2, 4, 5] },
+  'minor-pentatonic': { intervals: [0, 3, 5, 7, 10], degrees: [0, 2, 3, 4, 6] },
+  blues: { intervals: [0, 3, 5, 6, 7, 10], degrees: [0, 2, 3, 4, 4, 6] },
+  'whole-tone': { intervals: [0, 2, 4, 6, 8, 10] },
+  chromatic: { intervals: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11] },
+};
+
+export const SCALE_DIRECTIONS = ['ascending', 'descending', 'round-trip'];
+
+/**
+ * Split a note name into letter, accidental and octave
+ * Accepts flats and sharps in ASCII or Unicode, up to a double accidental
+ * @param {string} noteName - e.g. 'C4', 'Bb3', 'F##5', 'E♭4', 'Gx2', or a bare letter 'Eb'
+ * @returns {{letter: number, accidental: number, octave: number|null}|null}
+ *   Letter index (C = 0), accidental in semitones, octave if given;
+ *   null if the name can't be read
+ */
+export function parseNoteName(noteName) {
+  const match = String(noteName).trim().match(NOTE_NAME_PATTERN);
+  if (!match) return null;
+
+  const values = Array.from(match[2]).map((symbol) => ACCIDENTAL_VALUES[symbol]);
+  const accidental = values.reduce((sum, value) => sum + value, 0);
+
+  // Mixed sharps and flats ('C#b') or more than a double accidental
+  if (values.some((value) => Math.sign(value) !== Math.sign(accidental))
+    || Math.abs(accidental) > 2) {
+    return null;
+  }
+
+  return {
+    letter: LETTERS.indexOf(match[1]),
+    accidental,
+    octave: match[3] !== undefined ? parseInt(match[3], 10) : null,
+  };
+}
+
+/**
+ * Write a note name in canonical form
+ * @param {string|{letter: number, accidental: number, octave?: number|null}} note -
+ *   Note name in any accepted spelling, or a parsed note
+ * @param {{unicode?: boolean}} options - Use ♯/♭/𝄪/𝄫 instead of '#'/'b'
+ * @returns {string} e.g. 'Bb4', or 'B♭4' with unicode
+ */
+export function formatNoteName(note, options = {}) {
+  const parsed = typeof note === 'string' ? parseNoteName(note) : note;
+  if (!parsed) {
+    throw new Error(`Invalid note name: ${note}`);
+  }
+
+  const symbols = options.unicode ? UNICODE_ACCIDENTALS : ASCII_ACCIDENTALS;
+  const octave = parsed.octave ?? '';
+  return `${LETTERS[parsed.letter]}${symbols[parsed.accidental + 2]}${octave}`;
+}
+
+/**
+ * Spell a MIDI note on a given letter
+ * The octave follows the letter, so B#3 and Cb4 are spelled as written
+ * @param {number} midi - MIDI note number
+ * @param {number} letter - Letter index (C = 0)
+ * @param {number} octave - Octave of the letter
+ * @returns {string} Note name, e.g. 'Bb4'
+ */
+function spellOnLetter(midi, letter, octave) {
+  const accidental = midi - ((octave + 1) * 12 + LETTER_PITCH_CLASSES[letter]);
+  if (Math.abs(accidental) > 2) {
+    throw new Error(`Cannot spell MIDI ${midi} on ${LETTERS[letter]}`);
+  }
+  return formatNoteName({ letter, accidental, octave });
+}
+
+/**
+ * Set the concert pitch used for all note/frequency conversions
+ * @param {number} frequency - A4 frequency in Hz (400-480)
+ * @returns {number} The concert pitch now in effect
+ */
+export function setReferenceFrequency(frequency) {
+  const value = Number(frequency);
+
+  if (Number.isFinite(value) && value >= MIN_A4_FREQUENCY && value <= MAX_A4_FREQUENCY) {
+    a4Frequency = value;
+  } else {
+    console.warn(`Invalid concert pitch: ${frequency}Hz (keeping ${a4Frequency}Hz)`);
+  }
+
+  return a4Frequency;
+}
+
+/**
+ * Get the concert pitch currently in use
+ * @returns {number} A4 frequency in Hz
+ */
+export function getReferenceFrequency() {
+  return a4Frequency;
+}
+
+/**
+ * Get a tonic's pitch class
+ * @param {string|number} tonic - Note letter ('C', 'F#'), note name ('G3') or MIDI number
+ * @returns {number} Pitch class 0-11 (C = 0)
+ */
+function tonicPitchClass(tonic) {
+  if (typeof tonic === 'number') {
+    return ((Math.round(tonic) % 12) + 12) % 12;
+  }
+
+  const parsed = parseNoteName(tonic);
+  if (!parsed) {
+    throw new Error(`Invalid tonic: ${tonic}`);
+  }
+  return (((LETTER_PITCH_CLASSES[parsed.letter] + parsed.accidental) % 12) + 12) % 12;
+}
+
+/**
+ * Get how far a note is tuned away from 12-TET in a temperament
+ * @param {number} midi - MIDI note number (integer)
+ * @param {{temperament?: string, tonic?: string|number}} tuning - Tuning system
+ *   (defaults to equal temperament on C)
+ * @returns {number} Offset in cents
+ */
+export function getTemperamentOffset(midi, tuning = {}) {
+  const { temperament = 'equal', tonic = 'C' } = tuning;
+  const offsets = TEMPERAMENTS[temperament];
+  if (!offsets) {
+    throw new Error(`Unknown temperament: ${temperament}`);
+  }
+
+  const interval = (((Math.round(midi) - tonicPitchClass(tonic)) % 12) + 12) % 12;
+  return offsets[interval];
+}
+
+/**
+ * Get the frequency of a note in a temperament
+ * @param {number} midi - MIDI note number (integer)
+ * @param {{temperament?: string, tonic?: string|number}} tuning - Tuning system
+ * @returns {number} Frequency in Hz
+ */
+export function getTunedFrequency(midi, tuning = {}) {
+  return midiToFrequency(midi) * 2 ** (getTemperamentOffset(midi, tuning) / 1200);
+}
+
 /**
  * Convert frequency to MIDI note number (floating point for precision)
  * @param {number} frequency - Frequency in Hz
@@ -18,7 +264,7 @@ const A4_MIDI_NUMBER = 69;
  */
 export function frequencyToMidi(frequency) {
   if (frequency <= 0) return 0;
-  return 12 * Math.log2(frequency / A4_FREQUENCY) + A4_MIDI_NUMBER;
+  return 12 * Math.log2(frequency / a4Frequency) + A4_MIDI_NUMBER;
 }
 
 /**
@@ -27,19 +273,82 @@ export function frequencyToMidi(frequency) {
  * @returns {number} Frequency in Hz
  */
 export function midiToFrequency(midi) {
-  return A4_FREQUENCY * 2 ** ((midi - A4_MIDI_NUMBER) / 12);
+  return a4Frequency * 2 ** ((midi - A4_MIDI_NUMBER) / 12);
+}
+
+/**
+ * Get the notes that define a key's spelling
+ * @param {string} key - Tonic with optional mode, e.g. 'Eb', 'F#m', 'D minor'
+ * @returns {string[]} Note names of the key's major or natural minor scale
+ */
+function getKeyScale(key) {
+  if (!keyScales.has(key)) {
+    const match = String(key).trim().match(KEY_PATTERN);
+    const tonic = match && parseNoteName(match[1]);
+    if (!tonic) {
+      throw new Error(`Invalid key: ${key}`);
+    }
+
+    const minor = ['m', 'min', 'minor'].includes(match[2]);
+    const type = minor ? 'natural-minor' : 'major';
+    keyScales.set(key, getScale(`${formatNoteName(tonic)}4`, type));
+  }
+  return keyScales.get(key);
+}
+
+/**
+ * Work out how to spell each pitch class from a key or a list of notes
+ * @param {{key?: string, scale?: string[]}} options - Spelling context
+ * @returns {{byPitchClass: Map, preferFlats: boolean}|null} null without context
+ */
+function getSpelling(options) {
+  const notes = options.scale || (options.key && getKeyScale(options.key));
+  if (!notes) return null;
+
+  const byPitchClass = new Map();
+  let balance = 0; // Flats count down, sharps up
+  notes.forEach((name) => {
+    const parsed = parseNoteName(name);
+    if (!parsed) return;
+
+    const pitchClass = (((LETTER_PITCH_CLASSES[parsed.letter] + parsed.accidental) % 12) + 12) % 12;
+    if (!byPitchClass.has(pitchClass)) {
+      byPitchClass.set(pitchClass, parsed);
+    }
+    balance += Math.sign(parsed.accidental);
+  });
+
+  return { byPitchClass, preferFlats: balance < 0 };
 }
 
 /**
  * Get note name from MIDI number
+ * Without options notes are spelled with sharps. With a key or scale, notes
+ * in it keep its spelling and the rest follow its sharps or flats.
  * @param {number} midi - MIDI note number (integer)
- * @returns {string} Note name with octave (e.g., 'C4', 'A4')
+ * @param {{
+ *   key?: string,
+ *   scale?: string[],
+ *   preferFlats?: boolean,
+ *   unicode?: boolean
+ * }} options - Key (e.g. 'Bb', 'C#m') or note list to spell in, flats for
+ *   notes outside it, Unicode accidentals
+ * @returns {string} Note name with octave (e.g., 'C4', 'A4', 'Bb3')
  */
-export function midiToNoteName(midi) {
+export function midiToNoteName(midi, options = {}) {
   const midiInt = Math.round(midi);
-  const octave = Math.floor(midiInt / 12) - 1;
-  const noteIndex = midiInt % 12;
-  return `${NOTE_NAMES[noteIndex]}${octave}`;
+  const pitchClass = ((midiInt % 12) + 12) % 12;
+  const spelling = getSpelling(options);
+
+  let note = spelling?.byPitchClass.get(pitchClass);
+  if (!note) {
+    const preferFlats = options.preferFlats ?? spelling?.preferFlats ?? false;
+    note = parseNoteName((preferFlats ? FLAT_NOTE_NAMES : NOTE_NAMES)[pitchClass]);
+  }
+
+  const { letter, accidental } = note;
+  const octave = (midiInt - LETTER_PITCH_CLASSES[letter] - accidental) / 12 - 1;
+  return formatNoteName({ letter, accidental, octave }, options);
 }
 
 /**
@@ -58,16 +367,20 @@ export function getCentDeviation(frequency) {
 /**
  * Get note name from frequency with octave
  * @param {number} frequency - Frequency in Hz
+ * @param {object} options - Spelling options (see midiToNoteName)
  * @returns {string} Note name (e.g., 'C4', 'A#3')
  */
-export function frequencyToNoteName(frequency) {
+export function frequencyToNoteName(frequency, options = {}) {
   const midi = frequencyToMidi(frequency);
-  return midiToNoteName(midi);
+  return midiToNoteName(midi, options);
 }
 
 /**
  * Get nearest note information from frequency
  * @param {number} frequency - Frequency in Hz
+ * @param {{temperament?: string, tonic?: string|number}} tuning - Tuning system
+ *   for targetFrequency and cents (defaults to equal temperament)
+ * @param {object} spelling - How to spell the note (see midiToNoteName)
  * @returns {{
  *   note: string,
  *   frequency: number,
@@ -76,7 +389,7 @@ export function frequencyToNoteName(frequency) {
  *   midi: number
  * }}
  */
-export function getNoteInfo(frequency) {
+export function getNoteInfo(frequency, tuning = {}, spelling = {}) {
   if (frequency <= 0) {
     return {
       note: null,
@@ -89,9 +402,9 @@ export function getNoteInfo(frequency) {
 
   const midiFloat = frequencyToMidi(frequency);
   const nearestMidi = Math.round(midiFloat);
-  const cents = (midiFloat - nearestMidi) * 100;
-  const targetFrequency = midiToFrequency(nearestMidi);
-  const noteName = midiToNoteName(nearestMidi);
+  const cents = (midiFloat - nearestMidi) * 100 - getTemperamentOffset(nearestMidi, tuning);
+  const targetFrequency = getTunedFrequency(nearestMidi, tuning);
+  const noteName = midiToNoteName(nearestMidi, spelling);
 
   return {
     note: noteName,
@@ -107,16 +420,18 @@ export function getNoteInfo(frequency) {
  * @param {number} frequency - Detected frequency in Hz
  * @param {string} targetNote - Target note name (e.g., 'C4')
  * @param {number} toleranceCents - Tolerance in cents (default: 25)
+ * @param {{temperament?: string, tonic?: string|number}} tuning - Tuning system
+ *   the target is judged in (defaults to equal temperament)
  * @returns {{match: boolean, cents: number, targetFrequency: number}}
  */
-export function checkNoteMatch(frequency, targetNote, toleranceCents = 25) {
+export function checkNoteMatch(frequency, targetNote, toleranceCents = 25, tuning = {}) {
   // Convert target note to MIDI and then to frequency
   const targetMidi = noteNameToMidi(targetNote);
-  const targetFrequency = midiToFrequency(targetMidi);
+  const targetFrequency = getTunedFrequency(targetMidi, tuning);
 
   // Calculate cent deviation from target
   const midiFloat = frequencyToMidi(frequency);
-  const cents = (midiFloat - targetMidi) * 100;
+  const cents = (midiFloat - targetMidi) * 100 - getTemperamentOffset(targetMidi, tuning);
 
   return {
     match: Math.abs(cents) <= toleranceCents,
@@ -127,65 +442,124 @@ export function checkNoteMatch(frequency, targetNote, toleranceCents = 25) {
 
 /**
  * Convert note name to MIDI number
- * @param {string} noteName - Note name (e.g., 'C4', 'A#3')
+ * @param {string} noteName - Note name (e.g., 'C4', 'A#3', 'Bb3', 'F##4')
  * @returns {number} MIDI note number
  */
 export function noteNameToMidi(noteName) {
-  // Extract note and octave
-  const match = noteName.match(/^([A-G]#?)(-?\d+)$/);
-  if (!match) {
+  const parsed = parseNoteName(noteName);
+  if (!parsed || parsed.octave === null) {
     throw new Error(`Invalid note name: ${noteName}`);
   }
 
-  const note = match[1];
-  const octave = parseInt(match[2], 10);
+  const { letter, accidental, octave } = parsed;
+  return (octave + 1) * 12 + LETTER_PITCH_CLASSES[letter] + accidental;
+}
+
+/**
+ * Spell one octave of a scale upwards from its root, including the top tonic
+ * @param {{letter: number, accidental: number, octave: number}} root - Parsed root
+ * @param {{intervals: number[], degrees?: number[]}} form - Scale form
+ * @param {boolean} preferFlats - Spelling without degrees (chromatic, whole-tone)
+ * @returns {string[]} Note names
+ */
+function spellScaleForm(root, form, preferFlats) {
+  const rootMidi = (root.octave + 1) * 12 + LETTER_PITCH_CLASSES[root.letter] + root.accidental;
+  const names = form.intervals.map((interval, index) => {
+    const midi = rootMidi + interval;
+
+    if (!form.degrees) {
+      if (interval === 0) return spellOnLetter(midi, root.letter, root.octave);
+      const pitchNames = preferFlats ? FLAT_NOTE_NAMES : NOTE_NAMES;
+      return `${pitchNames[midi % 12]}${Math.floor(midi / 12) - 1}`;
+    }
+
+    const steps = root.letter + form.degrees[index];
+    return spellOnLetter(midi, steps % 7, root.octave + Math.floor(steps / 7));
+  });
+
+  names.push(spellOnLetter(rootMidi + 12, root.letter, root.octave + 1));
+  return names;
+}
+
+/**
+ * Get the notes of any scale or mode, spelled for its key
+ * @param {string} root - Tonic with octave (e.g., 'C4', 'Bb3', 'F#4')
+ * @param {string} type - Key of SCALE_TYPES (default: 'major')
+ * @param {{direction?: string}} options - 'ascending' (default), 'descending'
+ *   or 'round-trip' (up and back down, top note sung once)
+ * @returns {string[]} Note names, starting and ending on the tonic
+ */
+export function getScale(root, type = 'major', options = {}) {
+  const { direction = 'ascending' } = options;
+  const scaleType = SCALE_TYPES[type];
+  if (!scaleType) {
+    throw new Error(`Unknown scale type: ${type}`);
+  }
+  if (!SCALE_DIRECTIONS.includes(direction)) {
+    throw new Error(`Unknown scale direction: ${direction}`);
+  }
 
-  const noteIndex = NOTE_NAMES.indexOf(note);
-  if (noteIndex === -1) {
-    throw new Error(`Invalid note: ${note}`);
+  const parsed = parseNoteName(root);
+  if (!parsed || parsed.octave === null) {
+    throw new Error(`Invalid scale root: ${root}`);
   }
 
-  return (octave + 1) * 12 + noteIndex;
+  // Symmetric scales use flats in flat keys, otherwise sharps up and flats down
+  const flatKey = parsed.accidental < 0 || (LETTERS[parsed.letter] === 'F' && parsed.accidental === 0);
+  const ascending = spellScaleForm(parsed, scaleType, flatKey);
+  const descending = spellScaleForm(parsed, scaleType.descending || scaleType, true).reverse();
+
+  if (direction === 'descending') return descending;
+  if (direction === 'round-trip') return [...ascending, ...descending.slice(1)];
+  return ascending;
+}
+
+/**
+ * Get frequency range for all notes of a scale
+ * @param {string} root - Tonic with octave (e.g., 'C4')
+ * @param {string} type - Key of SCALE_TYPES
+ * @param {{direction?: string}} options - See getScale
+ * @returns {{min: number, max: number, notes: Array}}
+ */
+export function getScaleFrequencies(root, type = 'major', options = {}) {
+  const frequencies = getScale(root, type, options).map((note) => ({
+    note,
+    frequency: midiToFrequency(noteNameToMidi(note)),
+  }));
+  const values = frequencies.map((entry) => entry.frequency);
+
+  return {
+    min: Math.min(...values),
+    max: Math.max(...values),
+    notes: frequencies,
+  };
 }
 
 /**
  * Get all notes in a C major scale for a given octave
+ * @deprecated Use getScale(`C${octave}`, 'major')
  * @param {number} octave - Octave number (e.g., 4 for C4-C5)
  * @returns {string[]} Array of note names
  */
 export function getCMajorScale(octave) {
-  return [
-    `C${octave}`,
-    `D${octave}`,
-    `E${octave}`,
-    `F${octave}`,
-    `G${octave}`,
-    `A${octave}`,
-    `B${octave}`,
-    `C${octave + 1}`,
-  ];
+  return getScale(`C${octave}`, 'major');
 }
 
 /**
  * Get frequency range for all C major scale notes in an octave
+ * @deprecated Use getScaleFrequencies(`C${octave}`, 'major')
  * @param {number} octave - Octave number
  * @returns {{min: number, max: number, notes: Array}}
  */
 export function getCMajorScaleFrequencies(octave) {
-  const notes = getCMajorScale(octave);
-  const frequencies = notes.map((note) => ({
-    note,
-    frequency: midiToFrequency(noteNameToMidi(note)),
-  }));
-
-  return {
-    min: frequencies[0].frequency,
-    max: frequencies[frequencies.length - 1].frequency,
-    notes: frequencies,
-  };
+  return getScaleFrequencies(`C${octave}`, 'major');
 }
 
 export default {
+  setReferenceFrequency,
+  getReferenceFrequency,
+  getTemperamentOffset,
+  getTunedFrequency,
   frequencyToMidi,
   midiToFrequency,
   midiToNoteName,
@@ -194,6 +568,10 @@ export default {
   getNoteInfo,
   checkNoteMatch,
   noteNameToMidi,
+  parseNoteName,
+  formatNoteName,
+  getScale,
+  getScaleFrequencies,
   getCMajorScale,
   getCMajorScaleFrequencies,
 };
@@ -1,10 +1,26 @@
 /**
  * PitchDetector
- * Manages Web Worker for YIN algorithm pitch detection
+ * Manages Web Worker for pitch detection (YIN by default, pYIN and MPM selectable)
  * Provides simple interface for detecting pitch from audio input
  */
 
 import { getNoteInfo } from './NoteMapper.js';
+import VibratoAnalyzer from './VibratoAnalyzer.js';
+import BleedFilter from './BleedFilter.js';
+
+// Worker requests allowed to overlap before streamed frames are dropped
+const MAX_FRAMES_IN_FLIGHT = 2;
+
+// Volume gate used until the worker has reported a learned one
+const DEFAULT_VOLUME_GATE = 0.005;
+
+// How far above the noise floor the gate sits, by environment check verdict:
+// in noisy rooms only clearly louder frames are taken for singing
+const GATE_RATIOS = {
+  pass: 2.5,
+  warn: 3.5,
+  fail: 5,
+};
 
 class PitchDetector {
   constructor(audioContextManager) {
@@ -14,6 +30,26 @@ class PitchDetector {
     this.messageId = 0;
     this.pendingRequests = new Map();
     this.lastResult = null;
+
+    // Adaptive volume gate (mirrors the worker's noise-floor estimate)
+    this.noiseFloor = 0;
+    this.volumeGate = DEFAULT_VOLUME_GATE;
+
+    // Continuous (worklet-driven) detection
+    this.frameListener = null;
+    this.framesInFlight = 0;
+    this.droppedFrames = 0;
+
+    // Vibrato over the last second of results
+    this.vibratoAnalyzer = new VibratoAnalyzer();
+
+    // Reference tones heard through the microphone aren't singing
+    this.bleedFilter = new BleedFilter();
+    this.toneHandlers = {
+      'tone-start': (tone) => this.addPlayedTone(tone),
+      'tone-change': ({ id, frequency }) => this.movePlayedTone(id, frequency),
+      'tone-end': ({ id }) => this.removePlayedTone(id),
+    };
   }
 
   /**
@@ -40,6 +76,11 @@ class PitchDetector {
           reject(new Error(`Worker error: ${error.message}`));
         };
 
+        // Tones played by the audio manager itself
+        Object.entries(this.toneHandlers).forEach(([event, handler]) => {
+          this.audioContextManager.on(event, handler);
+        });
+
         // Initialize worker with sample rate
         const sampleRate = this.audioContextManager.getSampleRate();
 
@@ -88,17 +129,20 @@ class PitchDetector {
           const { resolve } = this.pendingRequests.get(id);
           this.pendingRequests.delete(id);
 
+          // Drop (or flag) detections of a tone we are playing
+          const gated = this.bleedFilter.process(data);
+
           // Add note information if frequency detected
-          let result = data;
-          if (data.frequency) {
-            const noteInfo = getNoteInfo(data.frequency);
+          let result = gated;
+          if (gated.frequency) {
+            const noteInfo = getNoteInfo(gated.frequency);
             result = {
-              ...data,
+              ...gated,
               ...noteInfo,
             };
           } else {
             result = {
-              ...data,
+              ...gated,
               note: null,
               cents: 0,
               targetFrequency: 0,
@@ -106,6 +150,13 @@ class PitchDetector {
             };
           }
 
+          result.vibrato = this.vibratoAnalyzer.update(performance.now(), gated.frequency);
+
+          if (data.volumeGate !== undefined) {
+            this.noiseFloor = data.noiseFloor;
+            this.volumeGate = data.volumeGate;
+          }
+
           this.lastResult = result;
           resolve(result);
         }
@@ -130,20 +181,37 @@ class PitchDetector {
    *   confidence: number,
    *   clarity: number,
    *   volume: number,
+   *   noiseFloor: number,
+   *   volumeGate: number,
    *   targetFrequency: number,
-   *   midi: number
-   * }>}
+   *   midi: number,
+   *   vibrato: {detected: boolean, rate: number, extent: number, centreFrequency: number|null},
+   *   bleed: 'suppressed'|'ambiguous'|null
+   * }>} vibrato is measured over the last second of results (see VibratoAnalyzer);
+   *   bleed says whether a played reference tone was removed or couldn't be
+   *   told apart from the voice (see BleedFilter)
    */
   async detect() {
     if (!this.isInitialized) {
       throw new Error('PitchDetector not initialized. Call init() first.');
     }
 
+    // Get audio data from AudioContext
+    return this.detectBuffer(this.audioContextManager.getAudioData());
+  }
+
+  /**
+   * Detect pitch from a given block of audio samples
+   * @param {Float32Array} audioData - Time-domain samples
+   * @returns {Promise<object>} Same result shape as detect()
+   */
+  async detectBuffer(audioData) {
+    if (!this.isInitialized) {
+      throw new Error('PitchDetector not initialized. Call init() first.');
+    }
+
     return new Promise((resolve, reject) => {
       try {
-        // Get audio data from AudioContext
-        const audioData = this.audioContextManager.getAudioData();
-
         if (audioData.length === 0) {
           resolve({
             frequency: null,
@@ -152,6 +220,8 @@ class PitchDetector {
             confidence: 0,
             clarity: 0,
             volume: 0,
+            noiseFloor: this.noiseFloor,
+            volumeGate: this.volumeGate,
             targetFrequency: 0,
             midi: 0,
           });
@@ -192,6 +262,59 @@ class PitchDetector {
     });
   }
 
+  /**
+   * Run detection on every frame streamed by the capture worklet, so results
+   * arrive once per hop regardless of display refresh rate
+   * @param {Function} onResult - Called with each detection result
+   * @param {Function} [onError] - Called when a detection fails
+   * @returns {boolean} False when the audio manager is not streaming frames
+   */
+  startContinuous(onResult, onError = null) {
+    if (this.audioContextManager.captureMode !== 'worklet') {
+      return false;
+    }
+
+    this.stopContinuous();
+
+    this.frameListener = async ({ buffer }) => {
+      // Drop frames rather than queue them if the worker falls behind
+      if (this.framesInFlight >= MAX_FRAMES_IN_FLIGHT) {
+        this.droppedFrames++;
+        return;
+      }
+
+      this.framesInFlight++;
+      try {
+        onResult(await this.detectBuffer(buffer));
+      } catch (error) {
+        if (onError) onError(error);
+      } finally {
+        this.framesInFlight--;
+      }
+    };
+
+    this.audioContextManager.on('audio-frame', this.frameListener);
+    return true;
+  }
+
+  /**
+   * Stop continuous detection
+   */
+  stopContinuous() {
+    if (!this.frameListener) return;
+
+    this.audioContextManager.off('audio-frame', this.frameListener);
+    this.frameListener = null;
+  }
+
+  /**
+   * Check if continuous detection is running
+   * @returns {boolean}
+   */
+  isContinuous() {
+    return this.frameListener !== null;
+  }
+
   /**
    * Get last detection result without triggering new detection
    * @returns {object|null}
@@ -201,18 +324,126 @@ class PitchDetector {
   }
 
   /**
-   * Update YIN algorithm configuration
-   * @param {{sampleRate?: number, bufferSize?: number, yinThreshold?: number}} config
+   * Update detection configuration
+   * Switching algorithm takes effect on the next detect() call; all algorithms
+   * return the same result shape (pYIN adds a voicedProbability field)
+   * @param {{
+   *   sampleRate?: number,
+   *   bufferSize?: number,
+   *   yinThreshold?: number,
+   *   algorithm?: 'yin'|'pyin'|'mpm',
+   *   mpmCutoff?: number,
+   *   useFFT?: boolean,
+   *   hopSize?: number
+   * }} config
    */
   updateConfig(config) {
     if (!this.worker) return;
 
+    // Hop size only affects the capture worklet, not the worker
+    if (config.hopSize) {
+      this.audioContextManager.setHopSize(config.hopSize);
+    }
+
+    // Larger analysis windows need a larger capture buffer as well
+    if (config.bufferSize) {
+      this.audioContextManager.setBufferSize(config.bufferSize);
+    }
+
     this.worker.postMessage({
       type: 'update-config',
       data: config,
     });
   }
 
+  /**
+   * Clear pYIN tracking and vibrato history so the next frame is judged without context
+   */
+  resetTracking() {
+    this.vibratoAnalyzer.reset();
+    if (!this.worker) return;
+
+    this.worker.postMessage({ type: 'reset-tracking' });
+  }
+
+  /**
+   * Tell the detector about a tone being played through the speakers, so the
+   * microphone picking it up isn't mistaken for singing
+   * @param {{id: string|number, frequency: number, duration?: number}} tone -
+   *   Duration in ms (omit for tones that play until removed)
+   */
+  addPlayedTone(tone) {
+    this.bleedFilter.addTone(tone);
+  }
+
+  /**
+   * Tell the detector a sustained played tone has moved to another pitch
+   * @param {string|number} id - Tone id given to addPlayedTone
+   * @param {number} frequency - New frequency in Hz
+   */
+  movePlayedTone(id, frequency) {
+    this.bleedFilter.updateTone(id, frequency);
+  }
+
+  /**
+   * Tell the detector a played tone has stopped
+   * @param {string|number} id - Tone id given to addPlayedTone
+   */
+  removePlayedTone(id) {
+    this.bleedFilter.removeTone(id);
+  }
+
+  /**
+   * Get the learned ambient volume level
+   * @returns {number} Volume 0-1 (same scale as result.volume)
+   */
+  getNoiseFloor() {
+    return this.noiseFloor;
+  }
+
+  /**
+   * Get the volume below which frames are treated as silence
+   * @returns {number} Volume 0-1 (same scale as result.volume)
+   */
+  getVolumeGate() {
+    return this.volumeGate;
+  }
+
+  /**
+   * Seed the noise-floor estimate, e.g. from a stored calibration
+   * @param {number} noiseFloor - Ambient volume level
+   */
+  setNoiseFloor(noiseFloor) {
+    if (!this.worker) return;
+
+    this.worker.postMessage({ type: 'set-noise-floor', data: { noiseFloor } });
+  }
+
+  /**
+   * Gate input as strictly as the room calls for
+   * @param {'pass'|'warn'|'fail'} verdict - Environment check verdict (see
+   *   EnvironmentAnalyzer.getReport)
+   * @returns {boolean} Whether the verdict was known
+   */
+  setEnvironmentVerdict(verdict) {
+    const gateRatio = GATE_RATIOS[verdict];
+    if (!gateRatio || !this.worker) return false;
+
+    this.worker.postMessage({ type: 'set-gate-ratio', data: { gateRatio } });
+    return true;
+  }
+
+  /**
+   * Forget the learned noise floor (e.g. after switching microphones)
+   */
+  resetNoiseFloor() {
+    if (!this.worker) return;
+
+    this.noiseFloor = 0;
+    this.volumeGate = DEFAULT_VOLUME_GATE;
+    this.worker.postMessage({ type: 'reset-noise-floor' });
+  }
+
   /**
    * Check if detector is ready
    * @returns {boolean}
@@ -225,6 +456,13 @@ class PitchDetector {
    * Clean up resources
    */
   destroy() {
+    this.stopContinuous();
+
+    Object.entries(this.toneHandlers).forEach(([event, handler]) => {
+      this.audioContextManager.off(event, handler);
+    });
+    this.bleedFilter.reset();
+
     if (this.worker) {
       this.worker.terminate();
       this.worker = null;
@@ -1,17 +1,49 @@
 /**
  * PitchDetector Web Worker
- * Performs YIN algorithm pitch detection in a separate thread
+ * Performs pitch detection in a separate thread (YIN, pYIN or McLeod Pitch Method)
  * Uses Transferable Objects for zero-copy buffer transfer
  */
 
+import NoiseFloorEstimator from './NoiseFloorEstimator.js';
+
 let sampleRate = 44100;
 let bufferSize = 1024;
 let yinThreshold = 0.15;
+let algorithm = 'yin';
+let mpmCutoff = 0.93;
+let useFFT = true;
 
-// YIN algorithm parameters
+// Detection range (shared by all algorithms)
 const MIN_FREQUENCY = 80; // E2 (lowest typical singing voice)
 const MAX_FREQUENCY = 1000; // B5 (highest typical singing voice)
 
+// Frames detected below this confidence are treated as ambient noise
+const NOISE_CONFIDENCE = 0.5;
+
+// Adaptive volume gate, learned from frames without singing
+const noiseFloor = new NoiseFloorEstimator();
+
+// Supported detection algorithms
+const ALGORITHMS = ['yin', 'pyin', 'mpm'];
+
+// Lowest MPM cutoff accepted (at 0 every key maximum would qualify)
+const MIN_MPM_CUTOFF = 0.01;
+
+// Offline (whole-recording) analysis
+const ANALYSIS_HOP_SIZE = 512;
+const ANALYSIS_FRAME_SIZE = 2048; // Matches the live analyser window
+const ANALYSIS_PROGRESS_INTERVAL = 100; // Frames between progress reports
+
+// pYIN parameters
+const PYIN_THRESHOLD_COUNT = 100; // Thresholds 0.01, 0.02, ... 1.00
+const PYIN_BETA_A = 2; // Beta(2, 18) prior over thresholds, mean 0.1
+const PYIN_BETA_B = 18;
+const PYIN_YIN_TRUST = 0.5; // How far candidate probabilities are trusted for voicing
+const PYIN_BIN_CENTS = 20; // Pitch resolution of the HMM
+const PYIN_MAX_JUMP_BINS = 25; // Largest pitch change between frames (500 cents)
+const PYIN_VOICING_SWITCH = 0.01; // Probability of switching voiced <-> unvoiced
+const PYIN_MIN_PROBABILITY = 1e-12; // Floor to keep log probabilities finite
+
 /**
  * YIN Algorithm Implementation
  * Reference: De Cheveigné, A., & Kawahara, H. (2002)
@@ -39,6 +71,143 @@ function differenceFunction(buffer) {
   return yinBuffer;
 }
 
+/**
+ * Fast Fourier Transform helpers
+ * Autocorrelation via FFT turns the O(N²) lag loops into O(N log N),
+ * which makes larger analysis windows (needed for bass voices) affordable
+ */
+
+/**
+ * Smallest power of two greater than or equal to n
+ * @param {number} n
+ * @returns {number}
+ */
+function nextPowerOfTwo(n) {
+  let size = 1;
+  while (size < n) size <<= 1;
+  return size;
+}
+
+/**
+ * In-place iterative radix-2 FFT
+ * @param {Float64Array} real - Real parts (length must be a power of two)
+ * @param {Float64Array} imag - Imaginary parts
+ * @param {boolean} inverse - Compute the inverse transform (unscaled)
+ */
+function fft(real, imag, inverse = false) {
+  const n = real.length;
+
+  // Bit-reversal permutation
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [real[i], real[j]] = [real[j], real[i]];
+      [imag[i], imag[j]] = [imag[j], imag[i]];
+    }
+  }
+
+  for (let size = 2; size <= n; size <<= 1) {
+    const angle = ((inverse ? 2 : -2) * Math.PI) / size;
+    const stepReal = Math.cos(angle);
+    const stepImag = Math.sin(angle);
+    const half = size >> 1;
+
+    for (let start = 0; start < n; start += size) {
+      let wReal = 1;
+      let wImag = 0;
+      for (let k = 0; k < half; k++) {
+        const a = start + k;
+        const b = a + half;
+        const tReal = real[b] * wReal - imag[b] * wImag;
+        const tImag = real[b] * wImag + imag[b] * wReal;
+        real[b] = real[a] - tReal;
+        imag[b] = imag[a] - tImag;
+        real[a] += tReal;
+        imag[a] += tImag;
+        const nextReal = wReal * stepReal - wImag * stepImag;
+        wImag = wReal * stepImag + wImag * stepReal;
+        wReal = nextReal;
+      }
+    }
+  }
+}
+
+/**
+ * Cross-correlation of a window with a signal via FFT
+ * result[tau] = sum_i window[i] * signal[i + tau]
+ * @param {Float32Array} signal - Full signal
+ * @param {number} windowLength - Window is signal[0..windowLength)
+ * @param {number} lags - Number of lags to return
+ * @returns {Float64Array} Correlation for lags 0..lags-1
+ */
+function crossCorrelateFFT(signal, windowLength, lags) {
+  const size = nextPowerOfTwo(signal.length + windowLength);
+  const signalReal = new Float64Array(size);
+  const signalImag = new Float64Array(size);
+  const windowReal = new Float64Array(size);
+  const windowImag = new Float64Array(size);
+
+  for (let i = 0; i < signal.length; i++) signalReal[i] = signal[i];
+  for (let i = 0; i < windowLength; i++) windowReal[i] = signal[i];
+
+  fft(signalReal, signalImag);
+  fft(windowReal, windowImag);
+
+  // signal * conj(window) in the frequency domain = correlation in time
+  for (let i = 0; i < size; i++) {
+    const re = signalReal[i] * windowReal[i] + signalImag[i] * windowImag[i];
+    const im = signalImag[i] * windowReal[i] - signalReal[i] * windowImag[i];
+    signalReal[i] = re;
+    signalImag[i] = im;
+  }
+
+  fft(signalReal, signalImag, true);
+
+  const result = new Float64Array(lags);
+  for (let tau = 0; tau < lags; tau++) {
+    result[tau] = signalReal[tau] / size;
+  }
+  return result;
+}
+
+/**
+ * Running sum of squares, prefix[i] = sum of buffer[0..i)^2
+ * @param {Float32Array} buffer
+ * @returns {Float64Array}
+ */
+function squaredPrefixSums(buffer) {
+  const prefix = new Float64Array(buffer.length + 1);
+  for (let i = 0; i < buffer.length; i++) {
+    prefix[i + 1] = prefix[i] + buffer[i] * buffer[i];
+  }
+  return prefix;
+}
+
+/**
+ * Step 1 (FFT path): Difference function from autocorrelation
+ * d(tau) = sum x[i]² + sum x[i+tau]² - 2 * sum x[i] * x[i+tau]
+ * Produces the same values as differenceFunction() in O(N log N)
+ * @param {Float32Array} buffer - Audio buffer
+ * @returns {Float32Array} Difference function
+ */
+function differenceFunctionFFT(buffer) {
+  const halfLength = Math.floor(buffer.length / 2);
+  const yinBuffer = new Float32Array(halfLength);
+  const prefix = squaredPrefixSums(buffer);
+  const correlation = crossCorrelateFFT(buffer, halfLength, halfLength);
+  const windowEnergy = prefix[halfLength];
+
+  for (let tau = 0; tau < halfLength; tau++) {
+    const shiftedEnergy = prefix[tau + halfLength] - prefix[tau];
+    // Rounding can leave tiny negatives where the true value is 0
+    yinBuffer[tau] = Math.max(0, windowEnergy + shiftedEnergy - 2 * correlation[tau]);
+  }
+
+  return yinBuffer;
+}
+
 /**
  * Step 2: Calculate cumulative mean normalized difference function
  * @param {Float32Array} yinBuffer - Difference function output
@@ -111,9 +280,9 @@ function parabolicInterpolation(normalizedBuffer, tau) {
  * @param {Float32Array} buffer - Audio time-domain data
  * @returns {{frequency: number|null, confidence: number, clarity: number}}
  */
-function detectPitch(buffer) {
+function detectPitchYIN(buffer) {
   // Step 1: Difference function
-  const yinBuffer = differenceFunction(buffer);
+  const yinBuffer = useFFT ? differenceFunctionFFT(buffer) : differenceFunction(buffer);
 
   // Step 2: Cumulative mean normalized difference
   const normalizedBuffer = cumulativeMeanNormalizedDifference(yinBuffer);
@@ -151,6 +320,503 @@ function detectPitch(buffer) {
   };
 }
 
+/**
+ * Probabilistic YIN (pYIN) Implementation
+ * Reference: Mauch, M., & Dixon, S. (2014). pYIN: A Fundamental Frequency
+ * Estimator Using Probabilistic Threshold Distributions
+ * Each frame yields several pitch candidates; an HMM with smooth pitch and
+ * voicing transitions is filtered forward one frame at a time, and each frame
+ * reports the end of the best path so far. There is no traceback (it would add
+ * latency to live feedback), so earlier reports are never revised, but one bad
+ * frame still can't pull the path away from a held pitch
+ */
+
+/**
+ * Discretized Beta distribution over YIN thresholds
+ * @returns {Float64Array} Probability of each threshold (sums to 1)
+ */
+function thresholdDistribution() {
+  const weights = new Float64Array(PYIN_THRESHOLD_COUNT);
+  let total = 0;
+
+  for (let i = 0; i < PYIN_THRESHOLD_COUNT; i++) {
+    const x = (i + 0.5) / PYIN_THRESHOLD_COUNT;
+    weights[i] = x ** (PYIN_BETA_A - 1) * (1 - x) ** (PYIN_BETA_B - 1);
+    total += weights[i];
+  }
+
+  for (let i = 0; i < PYIN_THRESHOLD_COUNT; i++) weights[i] /= total;
+  return weights;
+}
+
+const THRESHOLD_WEIGHTS = thresholdDistribution();
+
+/**
+ * Number of pitch bins covering MIN_FREQUENCY..MAX_FREQUENCY
+ * @returns {number}
+ */
+function pitchBinCount() {
+  return Math.ceil((1200 * Math.log2(MAX_FREQUENCY / MIN_FREQUENCY)) / PYIN_BIN_CENTS) + 1;
+}
+
+/**
+ * Map a frequency to its HMM pitch bin
+ * @param {number} frequency - Frequency in Hz
+ * @returns {number} Bin index
+ */
+function frequencyToBin(frequency) {
+  const bin = Math.round((1200 * Math.log2(frequency / MIN_FREQUENCY)) / PYIN_BIN_CENTS);
+  return Math.max(0, Math.min(pitchBinCount() - 1, bin));
+}
+
+/**
+ * Centre frequency of an HMM pitch bin
+ * @param {number} bin - Bin index
+ * @returns {number} Frequency in Hz
+ */
+function binToFrequency(bin) {
+  return MIN_FREQUENCY * 2 ** ((bin * PYIN_BIN_CENTS) / 1200);
+}
+
+/**
+ * Collect pitch candidates by sweeping the YIN threshold over its prior
+ * @param {Float32Array} normalizedBuffer - Cumulative mean normalized difference
+ * @returns {Array<{frequency: number, probability: number, clarity: number}>}
+ */
+function yinCandidates(normalizedBuffer) {
+  const probabilities = new Map();
+
+  for (let i = 0; i < PYIN_THRESHOLD_COUNT; i++) {
+    const threshold = (i + 1) / PYIN_THRESHOLD_COUNT;
+    const tau = absoluteThreshold(normalizedBuffer, threshold);
+    if (tau !== -1) {
+      probabilities.set(tau, (probabilities.get(tau) || 0) + THRESHOLD_WEIGHTS[i]);
+    }
+  }
+
+  return [...probabilities.entries()].map(([tau, probability]) => ({
+    frequency: sampleRate / parabolicInterpolation(normalizedBuffer, tau),
+    probability,
+    clarity: Math.max(0, Math.min(1, 1 - normalizedBuffer[tau])),
+  }));
+}
+
+// Forward Viterbi state (best-path log probabilities of the previous frame, normalized)
+let viterbiLogDelta = null;
+
+/**
+ * Log transition weights for a pitch change of -MAX_JUMP..+MAX_JUMP bins
+ * (triangular: small changes are most likely)
+ * @returns {Float64Array}
+ */
+function pitchJumpLogWeights() {
+  const width = 2 * PYIN_MAX_JUMP_BINS + 1;
+  const weights = new Float64Array(width);
+  let total = 0;
+
+  for (let i = 0; i < width; i++) {
+    weights[i] = PYIN_MAX_JUMP_BINS + 1 - Math.abs(i - PYIN_MAX_JUMP_BINS);
+    total += weights[i];
+  }
+
+  for (let i = 0; i < width; i++) weights[i] = Math.log(weights[i] / total);
+  return weights;
+}
+
+const JUMP_LOG_WEIGHTS = pitchJumpLogWeights();
+
+/**
+ * Advance the HMM by one frame
+ * States 0..B-1 are voiced pitch bins, B..2B-1 the unvoiced twin of each bin
+ * (unvoiced states remember the last pitch, so singing resumes smoothly)
+ * @param {Float64Array} observation - Observation probability per state
+ * @returns {number} State ending the best path so far (not revised later)
+ */
+function viterbiStep(observation) {
+  const bins = observation.length / 2;
+  const logStay = Math.log(1 - PYIN_VOICING_SWITCH);
+  const logSwitch = Math.log(PYIN_VOICING_SWITCH);
+  const next = new Float64Array(observation.length);
+  const prev = viterbiLogDelta;
+
+  for (let i = 0; i < bins; i++) {
+    let bestVoiced = -Infinity;
+    let bestUnvoiced = -Infinity;
+
+    if (!prev) {
+      bestVoiced = -Math.log(observation.length);
+      bestUnvoiced = bestVoiced;
+    } else {
+      for (let jump = -PYIN_MAX_JUMP_BINS; jump <= PYIN_MAX_JUMP_BINS; jump++) {
+        const j = i - jump;
+        if (j >= 0 && j < bins) {
+          const logJump = JUMP_LOG_WEIGHTS[jump + PYIN_MAX_JUMP_BINS];
+          const fromVoiced = prev[j] + logJump;
+          const fromUnvoiced = prev[bins + j] + logJump;
+
+          bestVoiced = Math.max(bestVoiced, fromVoiced + logStay, fromUnvoiced + logSwitch);
+          bestUnvoiced = Math.max(bestUnvoiced, fromVoiced + logSwitch, fromUnvoiced + logStay);
+        }
+      }
+    }
+
+    next[i] = bestVoiced + Math.log(Math.max(observation[i], PYIN_MIN_PROBABILITY));
+    next[bins + i] = bestUnvoiced
+      + Math.log(Math.max(observation[bins + i], PYIN_MIN_PROBABILITY));
+  }
+
+  // Normalize so the best state is 0 (keeps values from drifting to -Infinity)
+  let bestState = 0;
+  for (let s = 1; s < next.length; s++) {
+    if (next[s] > next[bestState]) bestState = s;
+  }
+  const offset = next[bestState];
+  for (let s = 0; s < next.length; s++) next[s] -= offset;
+
+  viterbiLogDelta = next;
+  return bestState;
+}
+
+/**
+ * How far the best voiced path outweighs the best unvoiced one
+ * @returns {number} 0-1 (0 before the first frame)
+ */
+function voicedShare() {
+  if (!viterbiLogDelta) return 0;
+
+  const bins = viterbiLogDelta.length / 2;
+  let bestVoiced = -Infinity;
+  let bestUnvoiced = -Infinity;
+  for (let i = 0; i < bins; i++) {
+    bestVoiced = Math.max(bestVoiced, viterbiLogDelta[i]);
+    bestUnvoiced = Math.max(bestUnvoiced, viterbiLogDelta[bins + i]);
+  }
+  // Logistic of the log-odds, written to stay finite for large gaps
+  return 1 / (1 + Math.exp(bestUnvoiced - bestVoiced));
+}
+
+/**
+ * Build the HMM observation vector from a frame's candidates
+ * @param {Array<{frequency: number, probability: number}>} candidates
+ * @returns {{observation: Float64Array, voicedProbability: number}}
+ */
+function buildObservation(candidates) {
+  const bins = pitchBinCount();
+  const observation = new Float64Array(bins * 2);
+  let voicedProbability = 0;
+
+  candidates.forEach((candidate) => {
+    if (candidate.frequency >= MIN_FREQUENCY && candidate.frequency <= MAX_FREQUENCY) {
+      observation[frequencyToBin(candidate.frequency)] += candidate.probability * PYIN_YIN_TRUST;
+      voicedProbability += candidate.probability;
+    }
+  });
+
+  voicedProbability = Math.min(1, voicedProbability);
+  const unvoiced = (1 - voicedProbability * PYIN_YIN_TRUST) / bins;
+  for (let i = bins; i < bins * 2; i++) observation[i] = unvoiced;
+
+  return { observation, voicedProbability };
+}
+
+/**
+ * Feed an unvoiced frame (e.g. below the volume gate) into the tracker
+ */
+function trackUnvoicedFrame() {
+  viterbiStep(buildObservation([]).observation);
+}
+
+/**
+ * Forget tracking history (new note, new algorithm or sample rate)
+ */
+function resetTracking() {
+  viterbiLogDelta = null;
+}
+
+/**
+ * Detect pitch using pYIN with Viterbi tracking across frames
+ * Confidence is the tracked candidate's clarity scaled by how firmly the
+ * tracker believes the frame is voiced; voicedProbability is the raw share of
+ * thresholds that found any pitch, which noise drags down even on a clear note
+ * @param {Float32Array} buffer - Audio time-domain data
+ * @returns {{
+ *   frequency: number|null,
+ *   confidence: number,
+ *   clarity: number,
+ *   voicedProbability: number
+ * }}
+ */
+function detectPitchPYIN(buffer) {
+  const yinBuffer = useFFT ? differenceFunctionFFT(buffer) : differenceFunction(buffer);
+  const normalizedBuffer = cumulativeMeanNormalizedDifference(yinBuffer);
+  const candidates = yinCandidates(normalizedBuffer);
+  const { observation, voicedProbability } = buildObservation(candidates);
+  const state = viterbiStep(observation);
+  const bins = observation.length / 2;
+
+  if (state >= bins) {
+    return {
+      frequency: null,
+      confidence: 0,
+      clarity: 0,
+      voicedProbability,
+    };
+  }
+
+  // Report the precise candidate behind the tracked bin, or the bin centre
+  // when the path bridged a frame without a nearby candidate
+  let best = null;
+  candidates.forEach((candidate) => {
+    const distance = Math.abs(frequencyToBin(candidate.frequency) - state);
+    if (distance <= 1 && (!best || candidate.probability > best.probability)) {
+      best = candidate;
+    }
+  });
+
+  const clarity = best ? best.clarity : 0;
+
+  return {
+    frequency: best ? best.frequency : binToFrequency(state),
+    confidence: clarity * voicedShare(),
+    clarity,
+    voicedProbability,
+  };
+}
+
+/**
+ * McLeod Pitch Method (MPM) Implementation
+ * Reference: McLeod, P., & Wyvill, G. (2005). A Smarter Way to Find Pitch
+ * Less prone to octave errors than YIN on breathy voices, because it picks the
+ * first NSDF peak close to the overall maximum instead of the first dip below a threshold
+ */
+
+/**
+ * Step 1: Calculate normalized square difference function (NSDF)
+ * Only lags up to the lowest detectable frequency are computed
+ * @param {Float32Array} buffer - Audio buffer
+ * @returns {Float32Array} NSDF values in range [-1, 1]
+ */
+function normalizedSquareDifference(buffer) {
+  const bufferLength = buffer.length;
+  const maxTau = Math.min(Math.ceil(sampleRate / MIN_FREQUENCY) + 2, bufferLength);
+  const nsdf = new Float32Array(maxTau);
+
+  for (let tau = 0; tau < maxTau; tau++) {
+    let acf = 0;
+    let divisor = 0;
+    for (let i = 0; i < bufferLength - tau; i++) {
+      acf += buffer[i] * buffer[i + tau];
+      divisor += buffer[i] * buffer[i] + buffer[i + tau] * buffer[i + tau];
+    }
+    nsdf[tau] = divisor > 0 ? (2 * acf) / divisor : 0;
+  }
+
+  return nsdf;
+}
+
+/**
+ * Step 1 (FFT path): NSDF from autocorrelation
+ * Produces the same values as normalizedSquareDifference() in O(N log N)
+ * @param {Float32Array} buffer - Audio buffer
+ * @returns {Float32Array} NSDF values in range [-1, 1]
+ */
+function normalizedSquareDifferenceFFT(buffer) {
+  const bufferLength = buffer.length;
+  const maxTau = Math.min(Math.ceil(sampleRate / MIN_FREQUENCY) + 2, bufferLength);
+  const nsdf = new Float32Array(maxTau);
+  const prefix = squaredPrefixSums(buffer);
+  const acf = crossCorrelateFFT(buffer, bufferLength, maxTau);
+  const totalEnergy = prefix[bufferLength];
+
+  for (let tau = 0; tau < maxTau; tau++) {
+    // m'(tau) = sum x[0..N-tau)² + sum x[tau..N)²
+    const divisor = prefix[bufferLength - tau] + (totalEnergy - prefix[tau]);
+    nsdf[tau] = divisor > 0 ? (2 * acf[tau]) / divisor : 0;
+  }
+
+  return nsdf;
+}
+
+/**
+ * Step 2: Find key maxima (highest peak between each positive-going zero
+ * crossing and the following negative-going zero crossing)
+ * @param {Float32Array} nsdf - NSDF output
+ * @returns {number[]} Tau values of key maxima
+ */
+function findKeyMaxima(nsdf) {
+  const minTau = Math.floor(sampleRate / MAX_FREQUENCY);
+  const maxTau = Math.min(Math.ceil(sampleRate / MIN_FREQUENCY), nsdf.length - 1);
+  const maxima = [];
+
+  // Skip the initial positive lobe around tau = 0
+  let tau = 1;
+  while (tau < maxTau && nsdf[tau] > 0) tau++;
+
+  let currentMax = -1;
+  for (; tau < maxTau; tau++) {
+    const positiveCrossing = nsdf[tau - 1] <= 0 && nsdf[tau] > 0;
+    const negativeCrossing = nsdf[tau - 1] > 0 && nsdf[tau] <= 0;
+
+    if (positiveCrossing) {
+      currentMax = tau;
+    } else if (negativeCrossing && currentMax !== -1) {
+      if (currentMax >= minTau) maxima.push(currentMax);
+      currentMax = -1;
+    }
+
+    if (currentMax !== -1 && nsdf[tau] > nsdf[currentMax]) {
+      currentMax = tau;
+    }
+  }
+
+  // A lobe still open at the end of the search range counts as well
+  if (currentMax !== -1 && currentMax >= minTau) maxima.push(currentMax);
+
+  return maxima;
+}
+
+/**
+ * Step 3: Pick the first key maximum within the cutoff of the highest one
+ * @param {Float32Array} nsdf - NSDF output
+ * @param {number[]} maxima - Key maxima tau values
+ * @param {number} cutoff - Fraction of the highest peak (typically 0.8-0.95)
+ * @returns {number} Tau value, or -1 if no maximum reaches the cutoff
+ */
+function selectPeak(nsdf, maxima, cutoff) {
+  if (maxima.length === 0) return -1;
+
+  const highest = maxima.reduce((max, tau) => Math.max(max, nsdf[tau]), -1);
+  if (highest <= 0) return -1;
+
+  const threshold = highest * cutoff;
+  const tau = maxima.find((candidate) => nsdf[candidate] >= threshold);
+  return tau === undefined ? -1 : tau;
+}
+
+/**
+ * Parabolic interpolation of a peak, returning refined position and height
+ * @param {Float32Array} values - Function values
+ * @param {number} tau - Index of the peak
+ * @returns {{tau: number, value: number}} Interpolated peak
+ */
+function interpolatePeak(values, tau) {
+  if (tau === 0 || tau >= values.length - 1) {
+    return { tau, value: values[tau] };
+  }
+
+  const s0 = values[tau - 1];
+  const s1 = values[tau];
+  const s2 = values[tau + 1];
+  const denominator = 2 * (2 * s1 - s2 - s0);
+
+  if (denominator === 0) {
+    return { tau, value: s1 };
+  }
+
+  const adjustment = (s2 - s0) / denominator;
+  return {
+    tau: tau + adjustment,
+    value: s1 + 0.25 * (s2 - s0) * adjustment,
+  };
+}
+
+/**
+ * Detect pitch using McLeod Pitch Method
+ * @param {Float32Array} buffer - Audio time-domain data
+ * @returns {{frequency: number|null, confidence: number, clarity: number}}
+ */
+function detectPitchMPM(buffer) {
+  const nsdf = useFFT ? normalizedSquareDifferenceFFT(buffer) : normalizedSquareDifference(buffer);
+  const maxima = findKeyMaxima(nsdf);
+  const tau = selectPeak(nsdf, maxima, mpmCutoff);
+
+  if (tau === -1) {
+    return {
+      frequency: null,
+      confidence: 0,
+      clarity: 0,
+    };
+  }
+
+  const peak = interpolatePeak(nsdf, tau);
+
+  // NSDF peak height is the periodicity of the signal ("clarity" in the paper),
+  // which plays the same role as YIN's 1 - d'(tau)
+  const clarity = Math.max(0, Math.min(1, peak.value));
+
+  return {
+    frequency: sampleRate / peak.tau,
+    confidence: clarity,
+    clarity,
+  };
+}
+
+/**
+ * Detect pitch with the currently selected algorithm
+ * @param {Float32Array} buffer - Audio time-domain data
+ * @returns {{frequency: number|null, confidence: number, clarity: number}}
+ */
+function detectPitch(buffer) {
+  if (algorithm === 'mpm') {
+    return detectPitchMPM(buffer);
+  }
+  if (algorithm === 'pyin') {
+    return detectPitchPYIN(buffer);
+  }
+  return detectPitchYIN(buffer);
+}
+
+/**
+ * Apply configuration from an 'init' or 'update-config' message
+ * @param {{
+ *   sampleRate?: number,
+ *   bufferSize?: number,
+ *   yinThreshold?: number,
+ *   algorithm?: string,
+ *   mpmCutoff?: number,
+ *   useFFT?: boolean
+ * }} config
+ * @returns {object} Active configuration
+ */
+function applyConfig(config) {
+  const previous = { sampleRate, algorithm };
+
+  if (config.sampleRate) sampleRate = config.sampleRate;
+  if (config.bufferSize) bufferSize = config.bufferSize;
+  if (config.yinThreshold !== undefined) yinThreshold = config.yinThreshold;
+  if (config.mpmCutoff !== undefined) {
+    if (Number.isFinite(config.mpmCutoff)) {
+      // A fraction of the highest peak: above 1 nothing qualifies
+      mpmCutoff = Math.min(1, Math.max(MIN_MPM_CUTOFF, config.mpmCutoff));
+    } else {
+      console.warn(`Invalid MPM cutoff: ${config.mpmCutoff}`);
+    }
+  }
+  if (config.useFFT !== undefined) useFFT = Boolean(config.useFFT);
+
+  if (config.algorithm !== undefined) {
+    if (ALGORITHMS.includes(config.algorithm)) {
+      algorithm = config.algorithm;
+    } else {
+      console.warn(`Unknown pitch algorithm: ${config.algorithm}`);
+    }
+  }
+
+  // Tracking history is meaningless across a change of algorithm or sample rate
+  if (previous.sampleRate !== sampleRate || previous.algorithm !== algorithm) {
+    resetTracking();
+  }
+
+  return {
+    sampleRate,
+    bufferSize,
+    yinThreshold,
+    algorithm,
+    mpmCutoff,
+    useFFT,
+  };
+}
+
 /**
  * Calculate RMS volume of buffer
  * @param {Float32Array} buffer
@@ -165,18 +831,126 @@ function calculateVolume(buffer) {
   return Math.min(rms * 10, 1.0);
 }
 
+/**
+ * Gate, detect and learn from one frame of audio
+ * Frames below the adaptive gate skip detection; frames without a confident
+ * pitch (for pYIN, frames the tracker calls unvoiced) update the noise-floor
+ * estimate.
+ * @param {Float32Array} buffer
+ * @returns {{
+ *   frequency: number|null,
+ *   confidence: number,
+ *   clarity: number,
+ *   volume: number,
+ *   noiseFloor: number,
+ *   volumeGate: number
+ * }}
+ */
+function processFrame(buffer) {
+  const volume = calculateVolume(buffer);
+
+  let result;
+  if (volume < noiseFloor.getGate()) {
+    // Too quiet, no pitch detection (but the tracker still sees a silent frame)
+    if (algorithm === 'pyin') trackUnvoicedFrame();
+    noiseFloor.update(volume);
+    result = {
+      frequency: null,
+      confidence: 0,
+      clarity: 0,
+      volume,
+    };
+  } else {
+    result = {
+      ...detectPitch(buffer),
+      volume,
+    };
+
+    // pYIN may bridge a held note through a low-confidence frame; that is
+    // still the singer, not the room
+    const unvoiced = algorithm === 'pyin'
+      ? !result.frequency
+      : !result.frequency || result.confidence < NOISE_CONFIDENCE;
+    if (unvoiced) {
+      noiseFloor.update(volume);
+    }
+  }
+
+  return {
+    ...result,
+    ...noiseFloor.getState(),
+  };
+}
+
+/**
+ * Run detection over a whole recording with a fixed hop size
+ * Tracking and the noise floor start fresh so earlier input can't leak in.
+ * @param {Float32Array} samples - Mono samples at the configured sample rate
+ * @param {{
+ *   hopSize?: number,
+ *   frameSize?: number,
+ *   onProgress?: Function
+ * }} options - Hop and window in samples; onProgress(fraction) is called
+ *   every ANALYSIS_PROGRESS_INTERVAL frames
+ * @returns {Array<{
+ *   time: number,
+ *   frequency: number|null,
+ *   confidence: number,
+ *   volume: number
+ * }>} One entry per frame, timed at the centre of its window (seconds)
+ */
+function analyzeSamples(samples, options = {}) {
+  const hopSize = Math.max(1, Math.round(options.hopSize || ANALYSIS_HOP_SIZE));
+  const frameSize = Math.round(options.frameSize || ANALYSIS_FRAME_SIZE);
+  const { onProgress } = options;
+
+  resetTracking();
+  noiseFloor.reset();
+
+  // Recordings shorter than one window are analysed as a single padded frame
+  let input = samples;
+  if (input.length < frameSize) {
+    input = new Float32Array(frameSize);
+    input.set(samples);
+  }
+
+  const frameCount = Math.floor((input.length - frameSize) / hopSize) + 1;
+  const track = new Array(frameCount);
+
+  for (let frame = 0; frame < frameCount; frame++) {
+    const start = frame * hopSize;
+    const result = processFrame(input.subarray(start, start + frameSize));
+
+    track[frame] = {
+      time: (start + frameSize / 2) / sampleRate,
+      frequency: result.frequency,
+      confidence: result.confidence,
+      volume: result.volume,
+    };
+
+    if (onProgress && frame % ANALYSIS_PROGRESS_INTERVAL === 0) {
+      onProgress(frame / frameCount);
+    }
+  }
+
+  return track;
+}
+
 // Worker message handler
 self.onmessage = function (e) {
   const { type, data, id } = e.data;
 
   switch (type) {
     case 'init':
-      sampleRate = data.sampleRate || 44100;
-      bufferSize = data.bufferSize || 1024;
-      yinThreshold = data.yinThreshold || 0.15;
       self.postMessage({
         type: 'initialized',
-        data: { sampleRate, bufferSize, yinThreshold },
+        data: applyConfig({
+          sampleRate: 44100,
+          bufferSize: 1024,
+          yinThreshold: 0.15,
+          algorithm: 'yin',
+          ...data,
+        }),
       });
       break;
 
@@ -188,28 +962,7 @@ self.onmessage = function (e) {
         return;
       }
 
-      // Calculate volume
-      const volume = calculateVolume(buffer);
-
-      // Only detect pitch if volume is above threshold
-      // Lowered to 0.005 to allow quiet mics/environments
-      let result;
-      if (volume < 0.005) {
-        // Too quiet, no pitch detection
-        result = {
-          frequency: null,
-          confidence: 0,
-          clarity: 0,
-          volume,
-        };
-      } else {
-        // Detect pitch
-        const pitchResult = detectPitch(buffer);
-        result = {
-          ...pitchResult,
-          volume,
-        };
-      }
+      const result = processFrame(buffer);
 
       self.postMessage({
         type: 'result',
@@ -219,28 +972,75 @@ self.onmessage = function (e) {
       break;
     }
 
+    case 'analyze': {
+      const track = analyzeSamples(data.samples, {
+        hopSize: data.hopSize,
+        frameSize: data.frameSize,
+        onProgress: (progress) => {
+          self.postMessage({ type: 'analysis-progress', id, data: { progress } });
+        },
+      });
+
+      self.postMessage({
+        type: 'analysis-complete',
+        id,
+        data: { track },
+      });
+      break;
+    }
+
     case 'update-config':
-      if (data.sampleRate) sampleRate = data.sampleRate;
-      if (data.bufferSize) bufferSize = data.bufferSize;
-      if (data.yinThreshold !== undefined) yinThreshold = data.yinThreshold;
       self.postMessage({
         type: 'config-updated',
-        data: { sampleRate, bufferSize, yinThreshold },
+        data: applyConfig(data),
       });
       break;
 
+    case 'reset-tracking':
+      resetTracking();
+      break;
+
+    case 'set-noise-floor':
+      noiseFloor.setFloor(data.noiseFloor);
+      break;
+
+    case 'reset-noise-floor':
+      noiseFloor.reset();
+      break;
+
+    case 'set-gate-ratio':
+      noiseFloor.setGateRatio(data.gateRatio);
+      break;
+
     default:
       console.warn(`Unknown message type: ${type}`);
   }
 };
 
-// Export for testing (not used in worker context)
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = {
-    detectPitch,
-    differenceFunction,
-    cumulativeMeanNormalizedDifference,
-    absoluteThreshold,
-    parabolicInterpolation,
-  };
-}
+// Export for testing (ignored in worker context)
+export {
+  applyConfig,
+  calculateVolume,
+  processFrame,
+  analyzeSamples,
+  noiseFloor,
+  detectPitch,
+  detectPitchYIN,
+  detectPitchPYIN,
+  detectPitchMPM,
+  yinCandidates,
+  resetTracking,
+  trackUnvoicedFrame,
+  differenceFunction,
+  differenceFunctionFFT,
+  fft,
+  crossCorrelateFFT,
+  cumulativeMeanNormalizedDifference,
+  absoluteThreshold,
+  parabolicInterpolation,
+  normalizedSquareDifference,
+  normalizedSquareDifferenceFFT,
+  findKeyMaxima,
+  selectPeak,
+  interpolatePeak,
+};
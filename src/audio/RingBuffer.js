@@ -0,0 +1,81 @@
+/**
+ * RingBuffer
+ * Fixed-capacity circular buffer of audio samples.
+ * Holds the most recent samples written by the capture worklet so an analysis
+ * window of any size (up to capacity) can be read without re-allocating.
+ */
+
+class RingBuffer {
+  /**
+   * @param {number} capacity - Maximum number of samples retained
+   */
+  constructor(capacity) {
+    this.buffer = new Float32Array(capacity);
+    this.capacity = capacity;
+    this.writeIndex = 0;
+    this.length = 0; // Samples written so far, capped at capacity
+  }
+
+  /**
+   * Append samples, overwriting the oldest ones when full
+   * @param {Float32Array} samples
+   */
+  write(samples) {
+    // Only the tail of an oversized block can be kept
+    const start = Math.max(0, samples.length - this.capacity);
+
+    for (let i = start; i < samples.length; i++) {
+      this.buffer[this.writeIndex] = samples[i];
+      this.writeIndex = (this.writeIndex + 1) % this.capacity;
+    }
+
+    this.length = Math.min(this.capacity, this.length + samples.length);
+  }
+
+  /**
+   * Read the most recent samples in chronological order
+   * Samples not yet written are returned as silence at the start of the window
+   * @param {number} size - Number of samples to read
+   * @returns {Float32Array}
+   */
+  read(size) {
+    const count = Math.min(size, this.capacity);
+    const output = new Float32Array(count);
+    const available = Math.min(count, this.length);
+    const offset = count - available;
+
+    let readIndex = (this.writeIndex - available + this.capacity) % this.capacity;
+    for (let i = 0; i < available; i++) {
+      output[offset + i] = this.buffer[readIndex];
+      readIndex = (readIndex + 1) % this.capacity;
+    }
+
+    return output;
+  }
+
+  /**
+   * Grow the buffer, keeping the most recent samples
+   * @param {number} capacity - New capacity (ignored if not larger)
+   */
+  resize(capacity) {
+    if (capacity <= this.capacity) return;
+
+    const retained = this.read(this.length);
+    this.buffer = new Float32Array(capacity);
+    this.capacity = capacity;
+    this.writeIndex = 0;
+    this.length = 0;
+    this.write(retained);
+  }
+
+  /**
+   * Discard all samples
+   */
+  clear() {
+    this.buffer.fill(0);
+    this.writeIndex = 0;
+    this.length = 0;
+  }
+}
+
+export default RingBuffer;
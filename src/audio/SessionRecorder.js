@@ -0,0 +1,134 @@
+/**
+ * SessionRecorder
+ * Keeps the raw microphone signal of one run so it can be played back or
+ * exported afterwards. Blocks come from the capture worklet, so the take is
+ * contiguous and markers placed by sample count line up with the audio.
+ */
+
+const MAX_RECORDING_SECONDS = 600; // Far beyond any challenge; bounds memory use
+
+class SessionRecorder {
+  /**
+   * @param {{sampleRate: number, maxSeconds?: number}} config
+   */
+  constructor(config) {
+    this.sampleRate = config.sampleRate;
+    this.maxSamples = Math.round((config.maxSeconds || MAX_RECORDING_SECONDS) * this.sampleRate);
+
+    this.chunks = [];
+    this.length = 0; // Samples kept so far
+    this.markers = [];
+    this.isRecording = false;
+    this.isPaused = false;
+    this.truncated = false;
+  }
+
+  /**
+   * Start (or restart) recording from silence
+   */
+  start() {
+    this.chunks = [];
+    this.length = 0;
+    this.markers = [];
+    this.truncated = false;
+    this.isPaused = false;
+    this.isRecording = true;
+  }
+
+  /**
+   * Append one captured block
+   * @param {Float32Array} samples - Contiguous microphone samples
+   */
+  append(samples) {
+    if (!this.isRecording || this.isPaused) return;
+
+    const room = this.maxSamples - this.length;
+    if (room <= 0) {
+      this.truncated = true;
+      return;
+    }
+
+    // Copy: the caller may reuse its block
+    const kept = samples.length > room ? samples.subarray(0, room) : samples;
+    this.chunks.push(Float32Array.from(kept));
+    this.length += kept.length;
+  }
+
+  /**
+   * Stop keeping samples while the game is paused
+   */
+  pause() {
+    this.isPaused = true;
+  }
+
+  /**
+   * Continue recording after a pause
+   */
+  resume() {
+    this.isPaused = false;
+  }
+
+  /**
+   * Get the length of the take so far
+   * @returns {number} Seconds
+   */
+  getDuration() {
+    return this.length / this.sampleRate;
+  }
+
+  /**
+   * Mark a moment in the take (exported as a WAV cue point)
+   * @param {string} label - Marker text
+   * @param {number} time - Seconds from the start (default: now)
+   */
+  addMarker(label, time = this.getDuration()) {
+    if (!this.isRecording) return;
+
+    this.markers.push({
+      time: Math.min(Math.max(0, time), this.getDuration()),
+      label,
+    });
+  }
+
+  /**
+   * Join the captured blocks into one buffer
+   * @returns {Float32Array}
+   */
+  getSamples() {
+    const samples = new Float32Array(this.length);
+    let offset = 0;
+    this.chunks.forEach((chunk) => {
+      samples.set(chunk, offset);
+      offset += chunk.length;
+    });
+    return samples;
+  }
+
+  /**
+   * Stop recording and hand over the take
+   * @returns {{
+   *   samples: Float32Array,
+   *   sampleRate: number,
+   *   duration: number,
+   *   markers: Array<{time: number, label: string}>,
+   *   truncated: boolean
+   * }}
+   */
+  stop() {
+    this.isRecording = false;
+
+    const recording = {
+      samples: this.getSamples(),
+      sampleRate: this.sampleRate,
+      duration: this.getDuration(),
+      markers: [...this.markers].sort((a, b) => a.time - b.time),
+      truncated: this.truncated,
+    };
+
+    // The take now belongs to the caller
+    this.chunks = [];
+    return recording;
+  }
+}
+
+export default SessionRecorder;
@@ -0,0 +1,166 @@
+/**
+ * VibratoAnalyzer
+ * Measures vibrato in a pitch history: rate (oscillations per second), extent
+ * (± cents around the centre) and the centre line the voice oscillates about.
+ *
+ * The history is detrended with a least-squares line so slow drift or a glide
+ * isn't mistaken for vibrato, then half-cycles are found from zero crossings
+ * (with a little hysteresis against detector jitter). Only whole half-cycles
+ * are measured, so a partial swing at either end doesn't bias the centre.
+ */
+
+import { frequencyToMidi, midiToFrequency } from './NoteMapper.js';
+
+const DEFAULT_WINDOW_MS = 1000;
+const MAX_GAP_MS = 150; // Longer dropouts start a new phrase
+
+// Singing vibrato is roughly 4-8 Hz and ±20-100 cents; leave some margin
+const MIN_RATE = 3;
+const MAX_RATE = 9;
+const MIN_EXTENT = 8;
+const MAX_EXTENT = 150;
+
+const MIN_HALF_CYCLES = 3; // At least 1.5 oscillations
+const MAX_HALF_PERIOD_VARIATION = 0.5; // Coefficient of variation of half-cycle lengths
+const CROSSING_HYSTERESIS = 2; // Cents either side of the centre line
+
+/**
+ * Measure vibrato in a pitch history
+ * @param {Array<{time: number, cents: number}>} points - Pitch in cents (any
+ *   reference) at times in milliseconds, in time order
+ * @returns {{detected: boolean, rate: number, extent: number, centre: number|null}}
+ *   Rate in Hz, extent in ± cents and centre in the same cents as the input
+ *   (the plain mean when no vibrato is detected)
+ */
+export function measureVibrato(points) {
+  const none = {
+    detected: false,
+    rate: 0,
+    extent: 0,
+    centre: points.length > 0
+      ? points.reduce((sum, p) => sum + p.cents, 0) / points.length
+      : null,
+  };
+
+  if (points.length < 2 * MIN_HALF_CYCLES) return none;
+
+  // Least-squares trend line
+  const n = points.length;
+  const meanTime = points.reduce((sum, p) => sum + p.time, 0) / n;
+  const meanCents = none.centre;
+  let covariance = 0;
+  let variance = 0;
+  points.forEach((p) => {
+    covariance += (p.time - meanTime) * (p.cents - meanCents);
+    variance += (p.time - meanTime) ** 2;
+  });
+  const slope = variance > 0 ? covariance / variance : 0;
+  const residuals = points.map((p) => p.cents - (meanCents + slope * (p.time - meanTime)));
+
+  // Zero crossings of the detrended pitch
+  const crossings = [];
+  let sign = 0;
+  for (let i = 0; i < n; i++) {
+    const r = residuals[i];
+    if (Math.abs(r) > CROSSING_HYSTERESIS) {
+      const current = Math.sign(r);
+      if (sign !== 0 && current !== sign) {
+        // Interpolate where the line was crossed
+        const previous = residuals[i - 1];
+        const fraction = previous === r ? 0 : previous / (previous - r);
+        const time = points[i - 1].time + fraction * (points[i].time - points[i - 1].time);
+        crossings.push({ time, index: i });
+      }
+      sign = current;
+    }
+  }
+
+  if (crossings.length < MIN_HALF_CYCLES + 1) return none;
+
+  // Half-cycles should be roughly regular
+  const halfPeriods = [];
+  for (let i = 1; i < crossings.length; i++) {
+    halfPeriods.push(crossings[i].time - crossings[i - 1].time);
+  }
+  const meanHalfPeriod = halfPeriods.reduce((sum, t) => sum + t, 0) / halfPeriods.length;
+  const spread = Math.sqrt(halfPeriods
+    .reduce((sum, t) => sum + (t - meanHalfPeriod) ** 2, 0) / halfPeriods.length);
+  if (meanHalfPeriod <= 0 || spread / meanHalfPeriod > MAX_HALF_PERIOD_VARIATION) return none;
+
+  const rate = 1000 / (2 * meanHalfPeriod);
+
+  // Centre and extent over whole half-cycles only
+  const first = crossings[0].index;
+  const last = crossings[crossings.length - 1].index;
+  const span = points.slice(first, last);
+  const spanResiduals = residuals.slice(first, last);
+  const centre = span.reduce((sum, p) => sum + p.cents, 0) / span.length;
+  const rms = Math.sqrt(spanResiduals.reduce((sum, r) => sum + r * r, 0) / spanResiduals.length);
+  const extent = rms * Math.SQRT2; // Amplitude of a sinusoid with this RMS
+
+  const detected = rate >= MIN_RATE && rate <= MAX_RATE
+    && extent >= MIN_EXTENT && extent <= MAX_EXTENT;
+
+  return detected
+    ? {
+      detected, rate, extent, centre,
+    }
+    : none;
+}
+
+class VibratoAnalyzer {
+  /**
+   * @param {{windowMs?: number}} config - History length analysed (default: 1 s)
+   */
+  constructor(config = {}) {
+    this.windowMs = config.windowMs || DEFAULT_WINDOW_MS;
+    this.history = []; // { time, cents } with cents = MIDI × 100
+  }
+
+  /**
+   * Add a detection result and analyse the last window
+   * @param {number} time - Timestamp in milliseconds
+   * @param {number|null} frequency - Detected pitch (null when unvoiced)
+   * @returns {{
+   *   detected: boolean,
+   *   rate: number,
+   *   extent: number,
+   *   centreFrequency: number|null
+   * }}
+   */
+  update(time, frequency) {
+    if (!frequency) {
+      return {
+        detected: false, rate: 0, extent: 0, centreFrequency: null,
+      };
+    }
+
+    // A dropout ends the phrase; vibrato doesn't carry across it
+    const latest = this.history[this.history.length - 1];
+    if (latest && time - latest.time > MAX_GAP_MS) {
+      this.history = [];
+    }
+
+    this.history.push({ time, cents: frequencyToMidi(frequency) * 100 });
+    while (this.history.length > 0 && this.history[0].time < time - this.windowMs) {
+      this.history.shift();
+    }
+
+    const vibrato = measureVibrato(this.history);
+    return {
+      detected: vibrato.detected,
+      rate: vibrato.rate,
+      extent: vibrato.extent,
+      centreFrequency: vibrato.detected ? midiToFrequency(vibrato.centre / 100) : null,
+    };
+  }
+
+  /**
+   * Forget the pitch history
+   */
+  reset() {
+    this.history = [];
+  }
+}
+
+export default VibratoAnalyzer;
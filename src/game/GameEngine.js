@@ -6,10 +6,32 @@
 import AudioContextManager from '../audio/AudioContextManager.js';
 import PitchDetector from '../audio/PitchDetector.js';
 import CalibrationEngine from '../audio/CalibrationEngine.js';
+import { getHighPassFrequency } from '../audio/InputFilterChain.js';
+import AudioFileAnalyzer from '../audio/AudioFileAnalyzer.js';
 import ScaleChallenge from './ScaleChallenge.js';
 import PracticeMode from './PracticeMode.js';
 import ScoreSystem from './ScoreSystem.js';
+import PitchTrackScorer from './PitchTrackScorer.js';
+import SessionDataExporter from './SessionDataExporter.js';
 import StateRecovery from './StateRecovery.js';
+import VoiceProfile, { chooseChallengeKey } from './VoiceProfile.js';
+import ReferenceToneGenerator, { ACCOMPANIMENT_MODES } from '../utils/ReferenceToneGenerator.js';
+import {
+  setReferenceFrequency,
+  getReferenceFrequency,
+  getNoteInfo,
+  parseNoteName,
+  midiToFrequency,
+  TEMPERAMENTS,
+} from '../audio/NoteMapper.js';
+import { createWavBlob } from '../utils/WavEncoder.js';
+
+// Practice tolerance (cents either side of the target) per difficulty
+const PRACTICE_TOLERANCES = {
+  easy: 50,
+  normal: 25,
+  hard: 10,
+};
 
 class GameEngine {
   constructor() {
@@ -23,6 +45,15 @@ class GameEngine {
     this.scoreSystem = new ScoreSystem();
     this.stateRecovery = new StateRecovery();
 
+    // Singer's range from the last calibration (picks the challenge key), kept
+    // between visits
+    this.voiceProfile = VoiceProfile.fromJSON(this.stateRecovery.loadVoiceProfile());
+
+    // Mic quality report from the last environment check (see EnvironmentAnalyzer)
+    this.environmentReport = this.voiceProfile?.environment ?? null;
+    this.settings = this.stateRecovery.loadSettings();
+    this.settings.referencePitch = setReferenceFrequency(this.settings.referencePitch);
+
     // Game state
     this.state = 'idle'; // idle, calibration, countdown, playing, paused, complete, failed, error
     this.subState = null;
@@ -36,6 +67,30 @@ class GameEngine {
     // Game loop
     this.gameLoopId = null;
     this.isPaused = false;
+
+    // Audio device event handlers (kept so re-initializing doesn't add duplicates)
+    this.deviceHandlers = null;
+
+    // Recording analysis (created on first use)
+    this.fileAnalyzer = null;
+
+    // Microphone take of the last challenge (settings.recordChallenges)
+    this.recording = null;
+
+    // Pitch frames and note results of the last run (CSV/JSON export)
+    this.sessionData = new SessionDataExporter();
+
+    // Drone / chord pad played under a session
+    this.referenceTones = new ReferenceToneGenerator();
+    this.referenceTones.setAccompanimentVolume(this.settings.accompanimentVolume);
+
+    // Whatever it plays leaks into the microphone; the detector gates it out
+    this.bleedAmbiguous = false;
+    this.referenceTones.on('tone-start', (tone) => this.pitchDetector?.addPlayedTone?.(tone));
+    this.referenceTones.on('tone-change', ({ id, frequency }) => (
+      this.pitchDetector?.movePlayedTone?.(id, frequency)
+    ));
+    this.referenceTones.on('tone-end', ({ id }) => this.pitchDetector?.removePlayedTone?.(id));
   }
 
   /**
@@ -46,7 +101,10 @@ class GameEngine {
     try {
       // Initialize audio context manager
       this.audioManager = AudioContextManager.getInstance();
-      const audioResult = await this.audioManager.initialize();
+      const audioResult = await this.audioManager.initialize({
+        deviceId: this.settings.inputDeviceId,
+        filters: this.getInputFilterConfig(),
+      });
 
       if (!audioResult.success) {
         return {
@@ -62,6 +120,8 @@ class GameEngine {
       // Initialize calibration engine
       this.calibrationEngine = new CalibrationEngine(this.pitchDetector);
 
+      this.setupDeviceListeners();
+
       return { success: true };
     } catch (error) {
       console.error('GameEngine initialization error:', error);
@@ -73,6 +133,154 @@ class GameEngine {
     }
   }
 
+  /**
+   * React to microphone changes reported by the audio manager
+   */
+  setupDeviceListeners() {
+    if (this.deviceHandlers) {
+      Object.entries(this.deviceHandlers).forEach(([event, handler]) => {
+        this.audioManager.off(event, handler);
+      });
+    }
+
+    this.deviceHandlers = {
+      'device-switched': (data) => {
+        // Levels and pitch history from the old microphone don't apply any more
+        this.pitchDetector.resetNoiseFloor?.();
+        this.pitchDetector.resetTracking?.();
+        this.emit('input-device-switched', data);
+      },
+      'device-lost': (data) => {
+        // No microphone left - don't let the clock run out on the player
+        this.pause();
+        this.emit('input-device-lost', data);
+      },
+      'device-changed': () => this.restorePreferredDevice(),
+    };
+
+    Object.entries(this.deviceHandlers).forEach(([event, handler]) => {
+      this.audioManager.on(event, handler);
+    });
+  }
+
+  /**
+   * Switch back to the remembered microphone if it has reappeared
+   * @returns {Promise<boolean>} Whether the device was switched
+   */
+  async restorePreferredDevice() {
+    const preferred = this.settings.inputDeviceId;
+    if (!preferred || this.audioManager.deviceId === preferred) {
+      return false;
+    }
+
+    const devices = await this.audioManager.listInputDevices();
+    if (!devices.some((device) => device.deviceId === preferred)) {
+      return false;
+    }
+
+    const result = await this.audioManager.selectInputDevice(preferred);
+    return result.success;
+  }
+
+  /**
+   * List available microphones
+   * @returns {Promise<Array<{deviceId: string, label: string}>>}
+   */
+  async listInputDevices() {
+    if (!this.audioManager) {
+      return AudioContextManager.getInstance().listInputDevices();
+    }
+    return this.audioManager.listInputDevices();
+  }
+
+  /**
+   * Choose the microphone and remember it for next time
+   * Switches immediately if audio is already running.
+   * @param {string|null} deviceId - Input device, or null for the browser default
+   * @returns {Promise<{success: boolean, deviceId?: string|null, error?: string}>}
+   */
+  async selectInputDevice(deviceId) {
+    if (this.audioManager?.isInitialized) {
+      const result = await this.audioManager.selectInputDevice(deviceId);
+      if (!result.success) return result;
+    }
+
+    this.updateSettings({ inputDeviceId: deviceId });
+    return { success: true, deviceId };
+  }
+
+  /**
+   * Get user settings
+   * @returns {object}
+   */
+  getSettings() {
+    return { ...this.settings };
+  }
+
+  /**
+   * Update and persist user settings
+   * @param {object} changes - Settings to change
+   */
+  updateSettings(changes) {
+    this.settings = { ...this.settings, ...changes };
+
+    // Concert pitch applies to every note conversion; keep what was actually accepted
+    if (changes.referencePitch !== undefined) {
+      this.settings.referencePitch = setReferenceFrequency(changes.referencePitch);
+    }
+
+    // Unknown temperaments would make every target lookup throw
+    if (changes.temperament !== undefined && !TEMPERAMENTS[changes.temperament]) {
+      console.warn(`Unknown temperament "${changes.temperament}", using equal temperament`);
+      this.settings.temperament = 'equal';
+    }
+
+    if (changes.accompaniment !== undefined
+      && !ACCOMPANIMENT_MODES.includes(changes.accompaniment)) {
+      console.warn(`Unknown accompaniment "${changes.accompaniment}", turning it off`);
+      this.settings.accompaniment = 'off';
+    }
+
+    // A tonic without octave ('D', 'Bb') or 'auto' (chosen from the voice profile)
+    if (changes.challengeKey !== undefined && changes.challengeKey !== 'auto') {
+      const parsed = parseNoteName(changes.challengeKey);
+      if (!parsed || parsed.octave !== null) {
+        console.warn(`Unknown challenge key "${changes.challengeKey}", choosing automatically`);
+        this.settings.challengeKey = 'auto';
+      }
+    }
+
+    if (changes.challengeOctave !== undefined && changes.challengeOctave !== 'auto') {
+      const octave = Number(changes.challengeOctave);
+      this.settings.challengeOctave = Number.isInteger(octave) && octave >= 1 && octave <= 6
+        ? octave
+        : 'auto';
+    }
+
+    // Seconds; anything unreadable or negative turns automatic hints off
+    if (changes.hintDelay !== undefined) {
+      this.settings.hintDelay = Math.max(0, Number(changes.hintDelay) || 0);
+    }
+
+    if (changes.inputFiltering !== undefined) {
+      this.settings.inputFiltering = Boolean(changes.inputFiltering);
+      this.applyInputFilters();
+    }
+
+    if (changes.accompanimentVolume !== undefined) {
+      this.referenceTones.setAccompanimentVolume(changes.accompanimentVolume);
+      this.settings.accompanimentVolume = this.referenceTones.getAccompanimentVolume();
+    }
+
+    // Switch the accompaniment over straight away if a session is running
+    if (changes.accompaniment !== undefined && this.state === 'playing') {
+      this.startAccompaniment();
+    }
+
+    this.stateRecovery.saveSettings(this.settings);
+    this.emit('settings-changed', this.getSettings());
+  }
+
   /**
    * Start calibration process
    * @param {Function} onProgress - Progress callback
@@ -81,35 +289,201 @@ class GameEngine {
   async startCalibration(onProgress) {
     this.state = 'calibration';
 
-    const result = await this.calibrationEngine.start(onProgress);
+    // The environment check hears the room unfiltered: the high-pass would cut
+    // the mains fundamental and the notches the rest of the hum. The singing
+    // after it goes through the high-pass only, until the mains is known.
+    this.audioManager?.setInputFilters?.({ enabled: false });
+    let checkingRoom = true;
+    const trackPhase = (phase, ...details) => {
+      if (checkingRoom && phase !== 'ambient') {
+        checkingRoom = false;
+        this.audioManager?.setInputFilters?.({
+          ...this.getInputFilterConfig(),
+          mainsFrequency: null,
+        });
+      }
+      if (onProgress) onProgress(phase, ...details);
+    };
 
-    if (result.success) {
-      this.emit('calibration-complete', result);
-    } else {
-      this.emit('calibration-failed', result);
+    try {
+      const result = await this.calibrationEngine.start(trackPhase);
+
+      // The room was checked even if the singing then went unheard
+      if (result.environment) {
+        this.applyEnvironmentReport(result.environment);
+      }
+
+      if (result.success) {
+        const profile = VoiceProfile.fromCalibration(result, this.audioManager?.deviceId ?? null);
+        if (profile) {
+          this.voiceProfile = profile;
+          this.stateRecovery.saveVoiceProfile(profile.toJSON());
+        }
+        this.emit('calibration-complete', result);
+      } else {
+        this.emit('calibration-failed', result);
+      }
+
+      return result;
+    } finally {
+      // Back to the singer's filters, notching the hum the check found
+      this.applyInputFilters();
     }
+  }
+
+  /**
+   * Get the singer's voice profile
+   * @returns {VoiceProfile|null} Null until calibration has measured a range
+   */
+  getVoiceProfile() {
+    return this.voiceProfile;
+  }
+
+  /**
+   * Get why the voice profile should be measured again
+   * @returns {'missing'|'range'|'device'|'age'|null} Null while it still fits
+   *   (see VoiceProfile.getStaleReason; the microphone is compared once audio
+   *   is initialized)
+   */
+  getCalibrationReason() {
+    if (!this.voiceProfile) return 'missing';
+    return this.voiceProfile.getStaleReason({ deviceId: this.audioManager?.deviceId ?? null });
+  }
 
-    return result;
+  /**
+   * Check whether to calibrate before playing
+   * With settings.autoCalibrate off, calibration only runs when asked for.
+   * @returns {boolean}
+   */
+  needsCalibration() {
+    return Boolean(this.settings.autoCalibrate) && this.getCalibrationReason() !== null;
+  }
+
+  /**
+   * Use the stored voice profile in place of calibrating: seeds the detector
+   * with the room's noise floor and gating as they were measured
+   * @returns {boolean} Whether there was a profile to use
+   */
+  applyVoiceProfile() {
+    if (!this.voiceProfile) return false;
+
+    if (this.voiceProfile.noiseFloor > 0) {
+      this.pitchDetector?.setNoiseFloor?.(this.voiceProfile.noiseFloor);
+    }
+    if (this.voiceProfile.environment) {
+      this.applyEnvironmentReport(this.voiceProfile.environment);
+    }
+    return true;
+  }
+
+  /**
+   * Get ready to start a challenge from the title screen, a restart or a
+   * replay: applies the stored voice profile unless calibration is needed
+   * @returns {string|null} Why to calibrate first (see getCalibrationReason),
+   *   or null when the challenge can start straight away
+   */
+  prepareChallenge() {
+    if (this.needsCalibration()) {
+      return this.getCalibrationReason();
+    }
+
+    this.applyVoiceProfile();
+    return null;
+  }
+
+  /**
+   * Get the mic quality report from the last environment check
+   * @returns {object|null} See EnvironmentAnalyzer.getReport; null before
+   *   any check
+   */
+  getEnvironmentReport() {
+    return this.environmentReport;
+  }
+
+  /**
+   * Adopt a mic quality report: the detector gates input by its verdict
+   * Emits 'environment-report' with the report.
+   * @param {object} report - See EnvironmentAnalyzer.getReport
+   */
+  applyEnvironmentReport(report) {
+    this.environmentReport = report;
+    this.pitchDetector?.setEnvironmentVerdict?.(report.verdict);
+    this.applyInputFilters();
+    this.emit('environment-report', report);
+  }
+
+  /**
+   * Get the input filters for this singer and room: a high-pass below the
+   * voice profile's range and notches at the mains frequency the environment
+   * check found, unless settings.inputFiltering is off
+   * @returns {{enabled: boolean, highPassFrequency: number, mainsFrequency: number|null}}
+   *   See InputFilterChain.configure
+   */
+  getInputFilterConfig() {
+    const lowestMidi = this.voiceProfile?.lowestMidi;
+    return {
+      enabled: this.settings.inputFiltering !== false,
+      highPassFrequency: getHighPassFrequency(
+        Number.isFinite(lowestMidi) ? midiToFrequency(lowestMidi) : null,
+      ),
+      mainsFrequency: this.environmentReport?.hum?.frequency ?? null,
+    };
+  }
+
+  /**
+   * Bring the audio manager's input filters up to date
+   */
+  applyInputFilters() {
+    this.audioManager?.setInputFilters?.(this.getInputFilterConfig());
+  }
+
+  /**
+   * Mark the voice profile stale if the voice heard this session kept
+   * leaving its range, so the next game calibrates again
+   */
+  checkVoiceRange() {
+    const profile = this.voiceProfile;
+    if (!profile || profile.staleReason || !profile.hasRangeDrift()) return;
+
+    profile.markStale('range');
+    this.stateRecovery.saveVoiceProfile(profile.toJSON());
+    this.emit('voice-profile-stale', { reason: 'range' });
+  }
+
+  /**
+   * Choose where the challenge scale sits: inside the voice profile's range,
+   * unless the key or octave has been set by hand (settings.challengeKey,
+   * settings.challengeOctave)
+   * @param {string} type - Scale type (see NoteMapper.SCALE_TYPES)
+   * @returns {{scale: object, key: string, octave: number, fits: boolean}}
+   *   See VoiceProfile.chooseKey
+   */
+  getChallengeKey(type = 'major') {
+    return chooseChallengeKey(this.voiceProfile, {
+      type,
+      key: this.settings.challengeKey,
+      octave: this.settings.challengeOctave,
+    });
   }
 
   /**
    * Start scale challenge mode
    * @param {number} octave - Octave for scale
    * @param {string} difficulty - Difficulty level
+   * @param {string[]|object} scale - Scale definition (default: C major in `octave`);
+   *   note names or { root, type, direction } as accepted by ScaleChallenge
    */
-  startChallenge(octave = 4, difficulty = 'normal') {
+  startChallenge(octave = 4, difficulty = 'normal', scale = null) {
     this.state = 'countdown';
     this.scoreSystem.reset();
+    this.recording = null;
 
     // Create scale challenge
-    this.currentMode = new ScaleChallenge({
+    this.currentMode = this.createChallenge({
       octave,
       difficulty,
-      onNoteHit: (noteData) => this.handleNoteHit(noteData),
-      onNoteMiss: (noteData) => this.handleNoteMiss(noteData),
-      onComplete: () => this.handleChallengeComplete(),
-      onFail: (reason) => this.handleChallengeFail(reason),
-      onProgress: (progress) => this.emit('challenge-progress', progress),
+      scale,
+      tuning: { temperament: this.settings.temperament },
     });
 
     // Countdown: 3, 2, 1, GO
@@ -124,29 +498,152 @@ class GameEngine {
         clearInterval(countdownInterval);
         this.state = 'playing';
         this.currentMode.start();
+        this.sessionData.start({
+          mode: 'challenge',
+          scale: [...this.currentMode.scale],
+          difficulty,
+          temperament: this.settings.temperament,
+          referencePitch: getReferenceFrequency(),
+        });
+        this.startRecording();
+        this.startAccompaniment();
         this.startGameLoop();
         this.emit('game-start');
       }
     }, 1000);
   }
 
+  /**
+   * Create a scale challenge wired to the engine's callbacks and reference tones
+   * @param {object} config - Challenge settings (octave, difficulty, scale, tuning)
+   * @returns {ScaleChallenge}
+   */
+  createChallenge(config) {
+    this.referenceTones.enable();
+
+    return new ScaleChallenge({
+      ...config,
+      onNoteHit: (noteData) => this.handleNoteHit(noteData),
+      onNoteMiss: (noteData) => this.handleNoteMiss(noteData),
+      onComplete: () => this.handleChallengeComplete(),
+      onFail: (reason) => this.handleChallengeFail(reason),
+      onProgress: (progress) => this.emit('challenge-progress', progress),
+      onAttemptFailed: (attempt) => this.emit('attempt-failed', attempt),
+      onReferenceTone: (tone) => this.emit('reference-tone', tone),
+      referenceTone: this.referenceTones,
+      playReferenceTone: this.settings.showReferenceTone,
+      hintDelay: this.settings.hintDelay > 0 ? this.settings.hintDelay * 1000 : Infinity,
+    });
+  }
+
+  /**
+   * Play the current target again (e.g. from a key press)
+   * Counts as a hint, and costs points when settings.hintPenalty is on.
+   * @returns {boolean} Whether a tone was played
+   */
+  replayReferenceTone() {
+    if (this.state !== 'playing') return false;
+    return this.currentMode?.replayTarget?.() || false;
+  }
+
+  /**
+   * Play the chosen accompaniment under the current exercise
+   * (tonic drone, tonic + fifth or I-IV-V pad; see settings.accompaniment)
+   */
+  startAccompaniment() {
+    const notes = this.currentMode?.scale || [this.currentMode?.config?.targetNote];
+    if (this.settings.accompaniment === 'off' || !notes[0]) {
+      this.referenceTones.stopAccompaniment();
+      return;
+    }
+
+    this.referenceTones.startAccompaniment(notes, { mode: this.settings.accompaniment });
+  }
+
+  /**
+   * Start recording the microphone for the challenge, if enabled
+   * A browser without worklet capture can't record; the run goes on without it.
+   */
+  startRecording() {
+    if (!this.settings.recordChallenges || !this.audioManager?.startRecording) return;
+
+    const result = this.audioManager.startRecording();
+    if (!result.success) {
+      console.warn(`Challenge recording unavailable: ${result.error}`);
+      this.emit('recording-unavailable', { error: result.error });
+    }
+  }
+
+  /**
+   * Stop recording and keep the take with the session
+   * @returns {object|null} The take (see getRecording), or null if not recording
+   */
+  stopRecording() {
+    const take = this.audioManager?.stopRecording?.();
+    if (!take) return null;
+
+    const config = this.currentMode?.config || {};
+    this.recording = {
+      ...take,
+      scale: this.currentMode?.scale ? [...this.currentMode.scale] : [],
+      difficulty: config.difficulty,
+      temperament: config.tuning?.temperament,
+      referencePitch: getReferenceFrequency(),
+      recordedAt: Date.now(),
+    };
+
+    return this.recording;
+  }
+
+  /**
+   * Get the microphone take of the last challenge
+   * @returns {{
+   *   samples: Float32Array,
+   *   sampleRate: number,
+   *   duration: number,
+   *   markers: Array<{time: number, label: string}>,
+   *   scale: string[],
+   *   recordedAt: number
+   * }|null}
+   */
+  getRecording() {
+    return this.recording;
+  }
+
+  /**
+   * Export the last take as a WAV file with a cue point at each note hit
+   * @returns {Blob|null}
+   */
+  exportRecording() {
+    if (!this.recording) return null;
+
+    const { samples, sampleRate, markers } = this.recording;
+    return createWavBlob(samples, sampleRate, markers);
+  }
+
+  /**
+   * Export the pitch frames and note results of the last run
+   * @param {'csv'|'json'} format - File format
+   * @returns {Blob|null} Null if nothing has been captured yet
+   */
+  exportSessionData(format = 'csv') {
+    if (!this.sessionData.hasData()) return null;
+    return this.sessionData.toBlob(format);
+  }
+
   /**
    * Start practice mode
    * @param {string} targetNote - Note to practice
    * @param {string} difficulty - Difficulty level
+   * @param {string} tonic - Key the target is tuned relative to (non-equal temperaments)
    */
-  startPractice(targetNote = 'C4', difficulty = 'normal') {
+  startPractice(targetNote = 'C4', difficulty = 'normal', tonic = 'C') {
     this.state = 'playing';
-
-    const tolerances = {
-      easy: 50,
-      normal: 25,
-      hard: 10,
-    };
+    this.referenceTones.enable();
 
     this.currentMode = new PracticeMode({
       targetNote,
-      tolerance: tolerances[difficulty],
+      tolerance: PRACTICE_TOLERANCES[difficulty],
       holdTime: 1500,
       onNoteHit: (noteData) => {
         this.emit('practice-note-hit', noteData);
@@ -154,17 +651,132 @@ class GameEngine {
       onProgress: (progress) => {
         this.emit('practice-progress', progress);
       },
+      onReferenceTone: (tone) => this.emit('reference-tone', tone),
+      referenceTone: this.referenceTones,
+      playReferenceTone: this.settings.showReferenceTone,
+      tuning: { temperament: this.settings.temperament, tonic },
     });
 
     this.currentMode.start();
+    this.sessionData.start({
+      mode: 'practice',
+      targetNote,
+      difficulty,
+      temperament: this.settings.temperament,
+      referencePitch: getReferenceFrequency(),
+    });
+    this.startAccompaniment();
     this.startGameLoop();
     this.emit('practice-start', { targetNote });
   }
 
+  /**
+   * Switch the practice target without leaving practice
+   * Statistics for the previous note are kept for the summary.
+   * @param {string} targetNote - Note to practice
+   * @returns {boolean} Whether practice is running
+   */
+  setPracticeNote(targetNote) {
+    if (this.currentMode?.type !== 'practice') return false;
+
+    this.currentMode.setTargetNote(targetNote);
+    this.startAccompaniment();
+    this.emit('practice-note-changed', { targetNote });
+    return true;
+  }
+
+  /**
+   * Change practice difficulty without leaving practice
+   * The session's statistics are kept for the summary.
+   * @param {string} difficulty - 'easy', 'normal' or 'hard'
+   * @returns {boolean} Whether practice is running
+   */
+  setPracticeDifficulty(difficulty) {
+    if (this.currentMode?.type !== 'practice' || !PRACTICE_TOLERANCES[difficulty]) return false;
+
+    this.currentMode.setTolerance(PRACTICE_TOLERANCES[difficulty]);
+    this.emit('practice-difficulty-changed', { difficulty });
+    return true;
+  }
+
+  /**
+   * Get running statistics for the note being practised
+   * @returns {object|null} PracticeMode statistics, or null outside practice
+   */
+  getPracticeStatistics() {
+    if (this.currentMode?.type !== 'practice') return null;
+    return this.currentMode.getStatistics();
+  }
+
+  /**
+   * Finish practice and summarise the session
+   * @returns {object|null} PracticeMode summary, or null outside practice
+   */
+  endPractice() {
+    if (this.currentMode?.type !== 'practice') return null;
+
+    this.state = 'complete';
+    this.stopGameLoop();
+    this.referenceTones.stopAccompaniment();
+    this.checkVoiceRange();
+
+    const summary = this.currentMode.getSummary();
+    this.emit('practice-complete', summary);
+    return summary;
+  }
+
+  /**
+   * Analyse a recorded take and score it against a scale
+   * Works without the microphone; the scale is judged like a live challenge
+   * at the current difficulty and temperament, without the time limit.
+   * @param {Blob|ArrayBuffer} file - Encoded audio (WAV, Opus, MP3, ...)
+   * @param {string[]|object} scale - Scale definition (default: C major, octave 4)
+   * @param {{onProgress?: Function, difficulty?: string}} options
+   * @returns {Promise<object>} AudioFileAnalyzer result plus `result` from
+   *   PitchTrackScorer ({success: false, error} if the file can't be analysed)
+   */
+  async analyzeRecording(file, scale = null, options = {}) {
+    const scorer = new PitchTrackScorer({
+      scale,
+      difficulty: options.difficulty || this.settings.difficulty,
+      tuning: { temperament: this.settings.temperament },
+    });
+
+    if (!this.fileAnalyzer) {
+      this.fileAnalyzer = new AudioFileAnalyzer();
+    }
+
+    const analysis = await this.fileAnalyzer.analyze(file, {
+      onProgress: options.onProgress,
+      tuning: scorer.getTuning(),
+      spelling: scorer.getSpelling(),
+    });
+
+    if (!analysis.success) return analysis;
+
+    return {
+      ...analysis,
+      result: scorer.score(analysis.track),
+    };
+  }
+
   /**
    * Main game loop
+   * With worklet capture, detection is driven by the audio stream at a fixed
+   * hop rate; otherwise the analyser is polled once per animation frame.
    */
   async startGameLoop() {
+    if (this.audioManager?.captureMode === 'worklet' && this.pitchDetector.startContinuous) {
+      this.pitchDetector.startContinuous(
+        (result) => {
+          if (this.state !== 'playing' || this.isPaused) return;
+          this.processPitchResult(result, performance.now());
+        },
+        (error) => console.error('Game loop error:', error),
+      );
+      return;
+    }
+
     const loop = async () => {
       if (this.state !== 'playing' || this.isPaused) {
         return;
@@ -174,42 +786,11 @@ class GameEngine {
 
       try {
         // Get current pitch
-        this.lastPitchResult = await this.pitchDetector.detect();
-
-        // Update current game mode
-        if (this.currentMode) {
-          const update = this.currentMode.update(this.lastPitchResult);
-
-          if (update.stateChanged) {
-            this.subState = update.newState;
-          }
-
-          if (update.noteCompleted) {
-            this.emit('note-completed', {
-              currentNote: this.currentMode.getCurrentNote?.(),
-              holdProgress: this.currentMode.getHoldProgress?.() || 0,
-            });
-          }
-        }
-
-        // Emit pitch update for UI
-        this.emit('pitch-update', {
-          ...this.lastPitchResult,
-          targetNote: this.currentMode?.getCurrentNote?.() || null,
-          holdProgress: this.currentMode?.getHoldProgress?.() || 0,
-        });
-
-        // Auto-save every 5 seconds (for challenge mode)
-        if (this.currentMode?.type !== 'practice' && frameStart % 5000 < 16) {
-          this.saveGameState();
-        }
+        this.processPitchResult(await this.pitchDetector.detect(), frameStart);
       } catch (error) {
         console.error('Game loop error:', error);
       }
 
-      // Performance monitoring
-      this.frameTime = performance.now() - frameStart;
-
       // Continue loop
       this.gameLoopId = requestAnimationFrame(loop);
     };
@@ -217,6 +798,75 @@ class GameEngine {
     this.gameLoopId = requestAnimationFrame(loop);
   }
 
+  /**
+   * Feed one detection result through the current mode and notify the UI
+   * @param {object} pitchResult - Result from PitchDetector
+   * @param {number} frameStart - Timestamp when the frame started processing
+   */
+  processPitchResult(pitchResult, frameStart) {
+    // Anything under the learned noise gate is room noise, not singing. The
+    // worker already gates, but the gate may have risen while frames were queued
+    const volumeGate = this.pitchDetector.getVolumeGate?.() || 0;
+    this.lastPitchResult = pitchResult.frequency && pitchResult.volume < volumeGate
+      ? {
+        ...pitchResult, frequency: null, note: null, confidence: 0,
+      }
+      : pitchResult;
+
+    // A played tone and the voice on the same pitch: report it once per stretch
+    const ambiguous = pitchResult.bleed === 'ambiguous';
+    if (ambiguous && !this.bleedAmbiguous) {
+      this.emit('reference-bleed', { frequency: pitchResult.frequency });
+    }
+    this.bleedAmbiguous = ambiguous;
+
+    // Name and cents follow the mode's key and temperament rather than plain 12-TET
+    const tuning = this.currentMode?.getTuning?.();
+    if (tuning && this.lastPitchResult.frequency) {
+      const spelling = this.currentMode.getSpelling?.() || {};
+      this.lastPitchResult = {
+        ...this.lastPitchResult,
+        ...getNoteInfo(this.lastPitchResult.frequency, tuning, spelling),
+      };
+    }
+
+    this.voiceProfile?.observe(this.lastPitchResult.frequency);
+
+    // Update current game mode
+    if (this.currentMode) {
+      const update = this.currentMode.update(this.lastPitchResult);
+
+      if (update.stateChanged) {
+        this.subState = update.newState;
+      }
+
+      if (update.noteCompleted) {
+        this.emit('note-completed', {
+          currentNote: this.currentMode.getCurrentNote?.(),
+          holdProgress: this.currentMode.getHoldProgress?.() || 0,
+        });
+      }
+    }
+
+    // Emit pitch update for UI
+    const pitchUpdate = {
+      ...this.lastPitchResult,
+      targetNote: this.currentMode?.getCurrentNote?.() || null,
+      holdProgress: this.currentMode?.getHoldProgress?.() || 0,
+      tuning: tuning || null,
+    };
+    this.sessionData.recordFrame(pitchUpdate);
+    this.emit('pitch-update', pitchUpdate);
+
+    // Auto-save every 5 seconds (for challenge mode)
+    if (this.currentMode?.type !== 'practice' && frameStart % 5000 < 16) {
+      this.saveGameState();
+    }
+
+    // Performance monitoring
+    this.frameTime = performance.now() - frameStart;
+  }
+
   /**
    * Stop game loop
    */
@@ -225,6 +875,8 @@ class GameEngine {
       cancelAnimationFrame(this.gameLoopId);
       this.gameLoopId = null;
     }
+
+    this.pitchDetector?.stopContinuous?.();
   }
 
   /**
@@ -236,10 +888,20 @@ class GameEngine {
       noteData.averageCents,
       noteData.timeToHit,
       true,
+      this.settings.hintPenalty ? noteData.hints : 0,
     );
 
     this.currentNote++;
 
+    // Cue the take where the scored hold began
+    const recorder = this.audioManager?.recorder;
+    if (recorder) {
+      const holdStart = recorder.getDuration() - (noteData.holdDuration || 0) / 1000;
+      recorder.addMarker(`${noteData.note} ${score.tier}`, holdStart);
+    }
+
+    this.sessionData.recordNote('note-hit', noteData, score);
+
     this.emit('note-hit', { noteData, score });
   }
 
@@ -249,6 +911,7 @@ class GameEngine {
    */
   handleNoteMiss(noteData) {
     this.scoreSystem.addNote(0, 0, false);
+    this.sessionData.recordNote('note-miss', noteData);
     this.emit('note-miss', { noteData });
   }
 
@@ -258,6 +921,9 @@ class GameEngine {
   handleChallengeComplete() {
     this.state = 'complete';
     this.stopGameLoop();
+    this.referenceTones.stopAccompaniment();
+    this.checkVoiceRange();
+    const recording = this.stopRecording();
 
     const finalScore = this.scoreSystem.getFinalScore();
     const grade = this.scoreSystem.getGrade();
@@ -268,7 +934,10 @@ class GameEngine {
       ...statistics,
       mode: 'challenge',
       octave: this.currentMode.config.octave,
+      scale: this.currentMode.config.scale,
       difficulty: this.currentMode.config.difficulty,
+      referencePitch: getReferenceFrequency(),
+      temperament: this.currentMode.config.tuning.temperament,
     });
 
     // Clear session
@@ -278,6 +947,8 @@ class GameEngine {
       finalScore,
       grade,
       statistics,
+      notes: this.sessionData.getNoteResults(),
+      recording,
     });
   }
 
@@ -288,6 +959,9 @@ class GameEngine {
   handleChallengeFail(reason) {
     this.state = 'failed';
     this.stopGameLoop();
+    this.referenceTones.stopAccompaniment();
+    this.checkVoiceRange();
+    this.stopRecording();
     this.stateRecovery.clearSession();
 
     this.emit('challenge-failed', { reason });
@@ -300,6 +974,9 @@ class GameEngine {
     if (this.state === 'playing') {
       this.isPaused = true;
       this.state = 'paused';
+      this.currentMode?.pause?.();
+      this.audioManager?.recorder?.pause();
+      this.referenceTones.stopAccompaniment();
       this.saveGameState();
       this.emit('game-paused');
     }
@@ -312,6 +989,9 @@ class GameEngine {
     if (this.state === 'paused') {
       this.isPaused = false;
       this.state = 'playing';
+      this.currentMode?.resume?.();
+      this.audioManager?.recorder?.resume();
+      this.startAccompaniment();
       this.startGameLoop();
       this.emit('game-resumed');
     }
@@ -322,6 +1002,8 @@ class GameEngine {
    */
   stop() {
     this.stopGameLoop();
+    this.stopRecording();
+    this.referenceTones.stopAccompaniment();
     this.state = 'idle';
     this.currentMode = null;
     this.emit('game-stopped');
@@ -340,11 +1022,24 @@ class GameEngine {
       modeState: this.currentMode.getStateForPersistence(),
       score: this.scoreSystem.getState(),
       currentNote: this.currentNote,
-      config: this.currentMode.config,
+      config: this.getPersistentConfig(),
       timestamp: Date.now(),
     });
   }
 
+  /**
+   * Get the current challenge's settings without callbacks and audio objects
+   * @returns {object}
+   */
+  getPersistentConfig() {
+    const {
+      octave, difficulty, scale, tuning, timeLimit, holdGrace, exitTolerance,
+    } = this.currentMode.config;
+    return {
+      octave, difficulty, scale, tuning, timeLimit, holdGrace, exitTolerance,
+    };
+  }
+
   /**
    * Check if there's a saved session
    * @returns {boolean}
@@ -365,7 +1060,7 @@ class GameEngine {
 
     // Restore game mode
     if (savedState.mode === 'challenge') {
-      this.currentMode = new ScaleChallenge(savedState.config);
+      this.currentMode = this.createChallenge(savedState.config);
       this.currentMode.restore(savedState.modeState);
     }
 
@@ -373,6 +1068,7 @@ class GameEngine {
     this.currentNote = savedState.currentNote;
 
     this.state = 'playing';
+    this.startAccompaniment();
     this.startGameLoop();
 
     return { success: true };
@@ -411,11 +1107,12 @@ class GameEngine {
   }
 
   /**
-   * Get high scores
+   * Get high scores sung at the current concert pitch
+   * (scores at other tunings aren't comparable)
    * @returns {Array}
    */
   getHighScores() {
-    return this.stateRecovery.getHighScores();
+    return this.stateRecovery.getHighScores(getReferenceFrequency());
   }
 
   /**
@@ -477,6 +1174,13 @@ class GameEngine {
       await this.audioManager.destroy();
     }
 
+    if (this.fileAnalyzer) {
+      this.fileAnalyzer.destroy();
+      this.fileAnalyzer = null;
+    }
+
+    this.referenceTones.destroy();
+
     this.listeners.clear();
   }
 }
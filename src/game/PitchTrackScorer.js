@@ -0,0 +1,140 @@
+/**
+ * PitchTrackScorer
+ * Scores a recorded pitch track against a scale by replaying it through
+ * ScaleChallenge on the recording's own clock, so a take is judged exactly
+ * like a live run (same tolerance, hold time and scoring tiers).
+ * The overall time limit is lifted, but each note keeps its live attempt
+ * windows: a note not held within them is missed, as is every note the take
+ * never reached.
+ */
+
+import ScaleChallenge from './ScaleChallenge.js';
+import ScoreSystem from './ScoreSystem.js';
+import VibratoAnalyzer from '../audio/VibratoAnalyzer.js';
+
+class PitchTrackScorer {
+  /**
+   * @param {{
+   *   scale?: string[]|object,
+   *   octave?: number,
+   *   difficulty?: string,
+   *   tuning?: object
+   * }} config - Same scale/difficulty/tuning options as ScaleChallenge
+   */
+  constructor(config = {}) {
+    this.config = {
+      scale: config.scale,
+      octave: config.octave,
+      difficulty: config.difficulty || 'normal',
+      tuning: config.tuning,
+    };
+
+    // Resolve the scale and tuning once (also validates the definition)
+    const template = new ScaleChallenge(this.config);
+    this.scale = template.scale;
+    this.tuning = template.getTuning();
+  }
+
+  /**
+   * Get the tuning targets are judged in (for naming notes in the track)
+   * @returns {{temperament: string, tonic: string}}
+   */
+  getTuning() {
+    return this.tuning;
+  }
+
+  /**
+   * Get options for spelling detected notes in the scale's key
+   * @returns {{scale: string[]}}
+   */
+  getSpelling() {
+    return { scale: this.scale };
+  }
+
+  /**
+   * Score a pitch track
+   * @param {Array<{time: number, frequency: number|null, confidence: number}>} track -
+   *   Frames in time order (seconds)
+   * @returns {{
+   *   score: number,
+   *   grade: string,
+   *   statistics: object,
+   *   scale: string[],
+   *   notes: Array<{
+   *     noteIndex: number,
+   *     note: string,
+   *     hit: boolean,
+   *     startTime?: number,
+   *     endTime?: number,
+   *     averageCents?: number,
+   *     vibrato?: {rate: number, extent: number}|null,
+   *     tier: string
+   *   }>
+   * }}
+   */
+  score(track) {
+    const scoreSystem = new ScoreSystem();
+    const notes = [];
+    const vibratoAnalyzer = new VibratoAnalyzer();
+    let now = track.length > 0 ? track[0].time * 1000 : 0;
+
+    const challenge = new ScaleChallenge({
+      ...this.config,
+      timeLimit: Infinity,
+      clock: () => now,
+      onNoteHit: (noteData) => {
+        const result = scoreSystem.addNote(noteData.averageCents, noteData.timeToHit, true);
+        notes.push({
+          noteIndex: noteData.noteIndex,
+          note: noteData.note,
+          hit: true,
+          startTime: (now - noteData.holdDuration) / 1000,
+          endTime: now / 1000,
+          averageCents: noteData.averageCents,
+          vibrato: noteData.vibrato,
+          tier: result.tier,
+        });
+      },
+      onNoteMiss: (noteData) => {
+        scoreSystem.addNote(0, 0, false);
+        notes.push({
+          noteIndex: noteData.noteIndex,
+          note: noteData.note,
+          hit: false,
+          tier: 'MISS',
+        });
+      },
+    });
+
+    challenge.start();
+    for (let i = 0; i < track.length && challenge.getState() === 'active'; i++) {
+      now = track[i].time * 1000;
+      challenge.update({
+        ...track[i],
+        vibrato: vibratoAnalyzer.update(now, track[i].frequency),
+      });
+    }
+
+    // Whatever the take never reached is missed (notes are settled in order,
+    // and a challenge failed on a miss has already recorded that note)
+    for (let i = notes.length; i < challenge.scale.length; i++) {
+      scoreSystem.addNote(0, 0, false);
+      notes.push({
+        noteIndex: i,
+        note: challenge.scale[i],
+        hit: false,
+        tier: 'MISS',
+      });
+    }
+
+    return {
+      score: scoreSystem.getFinalScore(),
+      grade: scoreSystem.getGrade(),
+      statistics: scoreSystem.getStatistics(),
+      scale: [...challenge.scale],
+      notes,
+    };
+  }
+}
+
+export default PitchTrackScorer;
@@ -4,7 +4,14 @@
  * Focus on accuracy and holding the correct pitch
  */
 
-import { checkNoteMatch } from '../audio/NoteMapper.js';
+import { checkNoteMatch, noteNameToMidi, getTunedFrequency } from '../audio/NoteMapper.js';
+
+// Hold forgiveness: a hold ends only beyond tolerance + EXIT_TOLERANCE_MARGIN
+// cents, and survives dropouts shorter than the grace window
+const EXIT_TOLERANCE_MARGIN = 10; // cents
+const HOLD_GRACE = 250; // ms
+
+const REFERENCE_TONE_DURATION = 1000; // ms
 
 class PracticeMode {
   constructor(config) {
@@ -12,9 +19,19 @@ class PracticeMode {
       targetNote: config.targetNote || 'C4',
       tolerance: config.tolerance || 25, // cents
       holdTime: config.holdTime || 1500, // ms
+      holdGrace: config.holdGrace ?? HOLD_GRACE, // ms (0 breaks on the first bad frame)
       onNoteHit: config.onNoteHit || (() => {}),
       onProgress: config.onProgress || (() => {}),
+      onReferenceTone: config.onReferenceTone || (() => {}),
+      referenceTone: config.referenceTone || null, // ReferenceToneGenerator (or null for silence)
+      playReferenceTone: config.playReferenceTone || false, // Play each target as it is chosen
+      // Temperament the target is tuned in, relative to the practice key's tonic
+      tuning: config.tuning || { temperament: 'equal', tonic: 'C' },
     };
+    this.config.exitTolerance = Math.max(
+      config.exitTolerance ?? this.config.tolerance + EXIT_TOLERANCE_MARGIN,
+      this.config.tolerance,
+    );
 
     this.type = 'practice';
     this.attempts = 0;
@@ -22,10 +39,19 @@ class PracticeMode {
     this.totalHoldTime = 0;
     this.bestAccuracy = null;
 
+    // Statistics of notes practised earlier in the session, and when it began
+    this.history = [];
+    this.startTime = null;
+
     this.isHolding = false;
     this.holdStartTime = null;
     this.holdSamples = [];
 
+    // Current dropout within a hold, and frames forgiven so far in this hold
+    this.dropoutStartTime = null;
+    this.dropoutFrames = 0;
+    this.forgivenFrames = 0;
+
     this.statistics = {
       attempts: 0,
       hits: 0,
@@ -39,6 +65,40 @@ class PracticeMode {
    */
   start() {
     // Practice mode doesn't have a formal start, just begins immediately
+    this.startTime = Date.now();
+
+    if (this.config.playReferenceTone) {
+      this.playTarget();
+    }
+  }
+
+  /**
+   * Get the frequency of the target in the practice tuning
+   * @returns {number} Frequency in Hz
+   */
+  getTargetFrequency() {
+    return getTunedFrequency(noteNameToMidi(this.config.targetNote), this.config.tuning);
+  }
+
+  /**
+   * Play the target through the reference tone generator
+   * @returns {boolean} Whether a tone was played
+   */
+  playTarget() {
+    if (!this.config.referenceTone) return false;
+
+    const frequency = this.getTargetFrequency();
+    this.config.referenceTone.playNote(frequency, REFERENCE_TONE_DURATION);
+    this.config.onReferenceTone({ note: this.config.targetNote, frequency });
+    return true;
+  }
+
+  /**
+   * Play the target again on the singer's request (no penalty in practice)
+   * @returns {boolean} Whether a tone was played
+   */
+  replayTarget() {
+    return this.playTarget();
   }
 
   /**
@@ -52,7 +112,8 @@ class PracticeMode {
       const match = checkNoteMatch(
         pitchResult.frequency,
         this.config.targetNote,
-        this.config.tolerance,
+        this.isHolding ? this.config.exitTolerance : this.config.tolerance,
+        this.config.tuning,
       );
 
       if (match.match) {
@@ -75,9 +136,17 @@ class PracticeMode {
       this.isHolding = true;
       this.holdStartTime = Date.now();
       this.holdSamples = [];
+      this.forgivenFrames = 0;
       this.attempts++;
     }
 
+    // Back on the note before the grace ran out: the dropout is forgiven
+    if (this.dropoutStartTime !== null) {
+      this.forgivenFrames += this.dropoutFrames;
+      this.dropoutStartTime = null;
+      this.dropoutFrames = 0;
+    }
+
     // Collect samples during hold
     this.holdSamples.push({
       cents: match.cents,
@@ -109,10 +178,17 @@ class PracticeMode {
    */
   handleNoteOff() {
     if (this.isHolding) {
+      // A short dropout doesn't end the hold
+      if (this.dropoutStartTime === null) {
+        this.dropoutStartTime = Date.now();
+      }
+      this.dropoutFrames++;
+      if (Date.now() - this.dropoutStartTime < this.config.holdGrace) {
+        return { stateChanged: false };
+      }
+
       // Lost the note before completing hold
-      this.isHolding = false;
-      this.holdStartTime = null;
-      this.holdSamples = [];
+      this.resetHold();
 
       this.config.onProgress({
         isHolding: false,
@@ -125,6 +201,18 @@ class PracticeMode {
     return { stateChanged: false };
   }
 
+  /**
+   * Drop the current hold
+   */
+  resetHold() {
+    this.isHolding = false;
+    this.holdStartTime = null;
+    this.holdSamples = [];
+    this.dropoutStartTime = null;
+    this.dropoutFrames = 0;
+    this.forgivenFrames = 0;
+  }
+
   /**
    * Complete a successful hold
    * @returns {object} Update result
@@ -154,12 +242,11 @@ class PracticeMode {
       averageCents: avgCents,
       holdDuration: Date.now() - this.holdStartTime,
       attempt: this.attempts,
+      forgivenFrames: this.forgivenFrames,
     });
 
     // Reset for next attempt
-    this.isHolding = false;
-    this.holdStartTime = null;
-    this.holdSamples = [];
+    this.resetHold();
 
     this.config.onProgress({
       isHolding: false,
@@ -176,8 +263,28 @@ class PracticeMode {
    * @param {string} noteName - New target note
    */
   setTargetNote(noteName) {
+    if (this.attempts > 0) {
+      this.history.push(this.getStatistics());
+    }
+
     this.config.targetNote = noteName;
+    this.resetHold();
     this.resetStatistics();
+
+    if (this.config.playReferenceTone) {
+      this.playTarget();
+    }
+  }
+
+  /**
+   * Change how close the singer must be, without ending the session
+   * Statistics carry on; a hold in progress starts over at the new tolerance.
+   * @param {number} tolerance - Cents either side of the target
+   */
+  setTolerance(tolerance) {
+    this.config.tolerance = tolerance;
+    this.config.exitTolerance = tolerance + EXIT_TOLERANCE_MARGIN;
+    this.resetHold();
   }
 
   /**
@@ -188,6 +295,22 @@ class PracticeMode {
     return this.config.targetNote;
   }
 
+  /**
+   * Get the tuning system the target is judged in
+   * @returns {{temperament: string, tonic: string}}
+   */
+  getTuning() {
+    return this.config.tuning;
+  }
+
+  /**
+   * Get options for spelling detected notes like the target (e.g. flats for 'Bb4')
+   * @returns {{scale: string[]}}
+   */
+  getSpelling() {
+    return { scale: [this.config.targetNote] };
+  }
+
   /**
    * Get hold progress (0-1)
    * @returns {number} Hold progress
@@ -225,6 +348,40 @@ class PracticeMode {
     };
   }
 
+  /**
+   * Summarise the session: every note practised (in order) and totals
+   * @returns {{
+   *   notes: Array<object>,
+   *   totals: {attempts: number, successfulHits: number, successRate: number,
+   *     averageAccuracy: number, totalPracticeTime: number},
+   *   duration: number
+   * }} Per-note entries as getStatistics; duration in ms
+   */
+  getSummary() {
+    const notes = [...this.history];
+    if (this.attempts > 0) {
+      notes.push(this.getStatistics());
+    }
+
+    const attempts = notes.reduce((sum, n) => sum + n.attempts, 0);
+    const successfulHits = notes.reduce((sum, n) => sum + n.successfulHits, 0);
+    const weightedCents = notes.reduce((sum, n) => sum + n.averageAccuracy * n.successfulHits, 0);
+
+    return {
+      notes,
+      totals: {
+        attempts,
+        successfulHits,
+        successRate: attempts > 0 ? Math.round((successfulHits / attempts) * 100) : 0,
+        averageAccuracy: successfulHits > 0
+          ? Math.round((weightedCents / successfulHits) * 10) / 10
+          : 0,
+        totalPracticeTime: notes.reduce((sum, n) => sum + n.totalPracticeTime, 0),
+      },
+      duration: this.startTime === null ? 0 : Date.now() - this.startTime,
+    };
+  }
+
   /**
    * Reset statistics for current note
    */
@@ -263,6 +420,7 @@ class PracticeMode {
   restore(savedState) {
     this.config.targetNote = savedState.targetNote || 'C4';
     this.config.tolerance = savedState.tolerance || 25;
+    this.config.exitTolerance = Math.max(this.config.exitTolerance, this.config.tolerance);
     this.attempts = savedState.attempts || 0;
     this.successfulHits = savedState.successfulHits || 0;
     this.bestAccuracy = savedState.bestAccuracy || null;
@@ -1,21 +1,80 @@
 /**
  * ScaleChallenge
- * Manages the 8-note C major scale challenge gameplay
+ * Manages the scale challenge gameplay (C major in the chosen octave by default)
  * Players must sing each note in sequence with correct pitch
  */
 
-import { getCMajorScale, checkNoteMatch } from '../audio/NoteMapper.js';
-
-// Difficulty settings (cent tolerance)
+import {
+  getScale,
+  formatNoteName,
+  checkNoteMatch,
+  noteNameToMidi,
+  getTunedFrequency,
+} from '../audio/NoteMapper.js';
+import { measureVibrato } from '../audio/VibratoAnalyzer.js';
+
+// Difficulty settings (cent tolerance; attemptTime is the window for one
+// attempt at a note, in ms). A hold starts within `tolerance` but only ends
+// beyond the wider `exitTolerance`, and survives dropouts (consonants,
+// breaths, detector glitches) shorter than `holdGrace` ms.
 const DIFFICULTY_SETTINGS = {
-  easy: { tolerance: 50, holdTime: 1200, maxAttempts: 5 },
-  normal: { tolerance: 25, holdTime: 1500, maxAttempts: 3 },
-  hard: { tolerance: 10, holdTime: 1800, maxAttempts: 3 },
+  easy: {
+    tolerance: 50,
+    exitTolerance: 65,
+    holdTime: 1200,
+    holdGrace: 300,
+    maxAttempts: 5,
+    attemptTime: 10000,
+  },
+  normal: {
+    tolerance: 25,
+    exitTolerance: 35,
+    holdTime: 1500,
+    holdGrace: 250,
+    maxAttempts: 3,
+    attemptTime: 8000,
+  },
+  hard: {
+    tolerance: 10,
+    exitTolerance: 18,
+    holdTime: 1800,
+    holdGrace: 150,
+    maxAttempts: 3,
+    attemptTime: 6000,
+  },
 };
 
+// A hold that breaks after this share of holdTime counts as a failed attempt
+// (shorter ones are passing through the note, not attempts)
+const BROKEN_HOLD_THRESHOLD = 0.25;
+
 // Time limit for entire challenge (milliseconds)
 const CHALLENGE_TIME_LIMIT = 120000; // 2 minutes
 
+// Reference tones: the target is played as each note begins (optional), on
+// request, and as a hint when the singer hasn't found it for a while
+const REFERENCE_TONE_DURATION = 1000; // ms
+const HINT_DELAY = 8000; // ms without holding the target before a hint plays
+
+/**
+ * Resolve a scale definition to the note names to sing
+ * @param {string[]|{root: string, type?: string, direction?: string}} definition -
+ *   Explicit note names, or arguments for getScale
+ * @returns {string[]} Note names
+ */
+function resolveScale(definition) {
+  if (Array.isArray(definition)) {
+    if (definition.length === 0) {
+      throw new Error('Scale must contain at least one note');
+    }
+    // Canonical spelling ('E♭4' -> 'Eb4'); fails early on unreadable names
+    return definition.map((note) => formatNoteName(note));
+  }
+
+  const { root, type, direction } = definition;
+  return getScale(root, type, { direction });
+}
+
 class ScaleChallenge {
   constructor(config) {
     this.config = {
@@ -26,21 +85,58 @@ class ScaleChallenge {
       onComplete: config.onComplete || (() => {}),
       onFail: config.onFail || (() => {}),
       onProgress: config.onProgress || (() => {}),
+      onAttemptFailed: config.onAttemptFailed || (() => {}),
+      onReferenceTone: config.onReferenceTone || (() => {}),
+      referenceTone: config.referenceTone || null, // ReferenceToneGenerator (or null for silence)
+      playReferenceTone: config.playReferenceTone || false, // Play each target as it begins
+      hintDelay: config.hintDelay || HINT_DELAY, // ms (Infinity for no automatic hints)
+      holdGrace: config.holdGrace, // ms; overrides the difficulty's (0 breaks on the first bad frame)
+      exitTolerance: config.exitTolerance, // cents; overrides the difficulty's
+      tuning: config.tuning || {},
+      timeLimit: config.timeLimit || CHALLENGE_TIME_LIMIT, // ms (Infinity for none)
+      clock: config.clock || (() => Date.now()), // Replaying recordings supplies its own
     };
 
-    this.scale = getCMajorScale(this.config.octave);
-    this.difficultySettings = DIFFICULTY_SETTINGS[this.config.difficulty];
+    // Note names or { root, type, direction } (see NoteMapper.getScale)
+    this.config.scale = config.scale || { root: `C${this.config.octave}`, type: 'major' };
+    this.scale = resolveScale(this.config.scale);
+
+    // Temperament targets are tuned in, relative to the scale's tonic
+    const tonic = this.scale[0].replace(/-?\d+$/, '');
+    this.config.tuning = { temperament: 'equal', tonic, ...this.config.tuning };
+    // Hold forgiveness can be tuned per challenge
+    const difficulty = DIFFICULTY_SETTINGS[this.config.difficulty];
+    this.difficultySettings = {
+      ...difficulty,
+      holdGrace: this.config.holdGrace ?? difficulty.holdGrace,
+      exitTolerance: Math.max(
+        this.config.exitTolerance ?? difficulty.exitTolerance,
+        difficulty.tolerance,
+      ),
+    };
 
     this.currentNoteIndex = 0;
     this.currentNoteAttempts = 0;
     this.totalAttempts = 0;
     this.startTime = null;
     this.noteStartTime = null;
+    this.attemptStartTime = null;
+    this.pausedAt = null;
+
+    // Reference tone hints (replays and automatic hints, not the tone a note starts with)
+    this.lastToneTime = null;
+    this.currentNoteHints = 0;
+    this.totalHints = 0;
 
     this.holdStartTime = null;
     this.holdSamples = [];
     this.isHolding = false;
 
+    // Current dropout within a hold, and frames forgiven so far in this hold
+    this.dropoutStartTime = null;
+    this.dropoutFrames = 0;
+    this.forgivenFrames = 0;
+
     this.failureCount = 0;
     this.state = 'ready'; // ready, active, complete, failed
   }
@@ -49,12 +145,71 @@ class ScaleChallenge {
    * Start the challenge
    */
   start() {
-    this.startTime = Date.now();
-    this.noteStartTime = Date.now();
+    this.startTime = this.config.clock();
+    this.noteStartTime = this.config.clock();
     this.state = 'active';
+    this.beginNote();
     this.emitProgress();
   }
 
+  /**
+   * Set up hints for the current note and play it if tones are on
+   */
+  beginNote() {
+    this.currentNoteHints = 0;
+    this.lastToneTime = this.config.clock();
+    this.attemptStartTime = this.config.clock();
+
+    if (this.config.playReferenceTone) {
+      this.playTarget('note-start');
+    }
+  }
+
+  /**
+   * Get the frequency of the current target in the challenge's tuning
+   * @returns {number|null} Frequency in Hz
+   */
+  getTargetFrequency() {
+    const note = this.getCurrentNote();
+    return note ? getTunedFrequency(noteNameToMidi(note), this.config.tuning) : null;
+  }
+
+  /**
+   * Play the current target through the reference tone generator
+   * @param {'note-start'|'replay'|'hint'} reason - Why it plays; replays and
+   *   hints count as hints for the note
+   * @returns {boolean} Whether a tone was played
+   */
+  playTarget(reason) {
+    const frequency = this.getTargetFrequency();
+    if (!this.config.referenceTone || !frequency) return false;
+
+    this.config.referenceTone.playNote(frequency, REFERENCE_TONE_DURATION);
+    this.lastToneTime = this.config.clock();
+
+    if (reason !== 'note-start') {
+      this.currentNoteHints++;
+      this.totalHints++;
+    }
+
+    this.config.onReferenceTone({
+      note: this.getCurrentNote(),
+      frequency,
+      reason,
+      hints: this.currentNoteHints,
+    });
+    return true;
+  }
+
+  /**
+   * Play the current target again on the singer's request
+   * @returns {boolean} Whether a tone was played
+   */
+  replayTarget() {
+    if (this.state !== 'active') return false;
+    return this.playTarget('replay');
+  }
+
   /**
    * Update with current pitch detection result
    * @param {object} pitchResult - Pitch detection result
@@ -66,20 +221,35 @@ class ScaleChallenge {
     }
 
     // Check for time limit exceeded
-    if (Date.now() - this.startTime > CHALLENGE_TIME_LIMIT) {
+    if (this.config.clock() - this.startTime > this.config.timeLimit) {
       this.fail('TIME_LIMIT_EXCEEDED');
       return { stateChanged: true, newState: 'failed' };
     }
 
+    // Out of time for this attempt (a hold in progress may still finish)
+    if (!this.isHolding
+      && this.config.clock() - this.attemptStartTime >= this.difficultySettings.attemptTime) {
+      return this.failAttempt('timeout');
+    }
+
+    // Struggling with the note: play it as a hint
+    if (!this.isHolding && this.config.clock() - this.lastToneTime >= this.config.hintDelay) {
+      this.playTarget('hint');
+    }
+
     // Get current target note
     const targetNote = this.scale[this.currentNoteIndex];
 
     // Check if current pitch matches target
     if (pitchResult.frequency && pitchResult.confidence > 0.7) {
+      // A voice with vibrato is on target when the centre of its oscillation is
+      const vibrato = pitchResult.vibrato?.detected ? pitchResult.vibrato : null;
+      const { tolerance, exitTolerance } = this.difficultySettings;
       const match = checkNoteMatch(
-        pitchResult.frequency,
+        vibrato ? vibrato.centreFrequency : pitchResult.frequency,
         targetNote,
-        this.difficultySettings.tolerance,
+        this.isHolding ? exitTolerance : tolerance,
+        this.config.tuning,
       );
 
       if (match.match) {
@@ -100,19 +270,28 @@ class ScaleChallenge {
     // Start holding if not already
     if (!this.isHolding) {
       this.isHolding = true;
-      this.holdStartTime = Date.now();
+      this.holdStartTime = this.config.clock();
       this.holdSamples = [];
+      this.forgivenFrames = 0;
+    }
+
+    // Back on the note before the grace ran out: the dropout is forgiven
+    if (this.dropoutStartTime !== null) {
+      this.forgivenFrames += this.dropoutFrames;
+      this.dropoutStartTime = null;
+      this.dropoutFrames = 0;
     }
 
-    // Collect samples during hold
+    // Collect samples during hold (pitchCents: the sung pitch itself, for vibrato)
     this.holdSamples.push({
       cents: match.cents,
+      pitchCents: 1200 * Math.log2(pitchResult.frequency / match.targetFrequency),
       confidence: pitchResult.confidence,
-      timestamp: Date.now(),
+      timestamp: this.config.clock(),
     });
 
     // Check if held long enough
-    const holdDuration = Date.now() - this.holdStartTime;
+    const holdDuration = this.config.clock() - this.holdStartTime;
     if (holdDuration >= this.difficultySettings.holdTime) {
       return this.completeNote();
     }
@@ -126,26 +305,73 @@ class ScaleChallenge {
    */
   handleNoteOff() {
     if (this.isHolding) {
+      // A short dropout doesn't end the hold
+      if (this.dropoutStartTime === null) {
+        this.dropoutStartTime = this.config.clock();
+      }
+      this.dropoutFrames++;
+      if (this.config.clock() - this.dropoutStartTime < this.difficultySettings.holdGrace) {
+        return { stateChanged: false };
+      }
+
       // Lost the note before completing hold
-      this.isHolding = false;
-      this.holdStartTime = null;
-      this.holdSamples = [];
+      const heldFor = this.dropoutStartTime - this.holdStartTime;
+      this.resetHold();
+
+      if (heldFor >= this.difficultySettings.holdTime * BROKEN_HOLD_THRESHOLD) {
+        return this.failAttempt('hold-broken');
+      }
     }
 
     return { stateChanged: false };
   }
 
+  /**
+   * Drop the current hold
+   */
+  resetHold() {
+    this.isHolding = false;
+    this.holdStartTime = null;
+    this.holdSamples = [];
+    this.dropoutStartTime = null;
+    this.dropoutFrames = 0;
+    this.forgivenFrames = 0;
+  }
+
+  /**
+   * Record a failed attempt during update and report any resulting state change
+   * @param {'hold-broken'|'timeout'} reason - Why the attempt failed
+   * @returns {object} Update result
+   */
+  failAttempt(reason) {
+    this.recordFailedAttempt(reason);
+
+    if (this.state !== 'active') {
+      return { stateChanged: true, newState: this.state };
+    }
+    return { stateChanged: false };
+  }
+
   /**
    * Complete current note and move to next
    * @returns {object} Update result
    */
   completeNote() {
+    // Judge a held vibrato by its centre line rather than by every swing
+    const vibrato = measureVibrato(this.holdSamples.map((s) => ({
+      time: s.timestamp,
+      cents: s.pitchCents,
+    })));
+
     // Calculate average cents during hold
-    const avgCents = this.holdSamples.length > 0
+    let avgCents = this.holdSamples.length > 0
       ? this.holdSamples.reduce((sum, s) => sum + s.cents, 0) / this.holdSamples.length
       : 0;
+    if (vibrato.detected) {
+      avgCents = vibrato.centre;
+    }
 
-    const timeToHit = Date.now() - this.noteStartTime;
+    const timeToHit = this.config.clock() - this.noteStartTime;
 
     // Emit note hit event
     this.config.onNoteHit({
@@ -157,15 +383,16 @@ class ScaleChallenge {
         ? this.holdSamples[this.holdSamples.length - 1].timestamp - this.holdSamples[0].timestamp
         : 0,
       attempts: this.currentNoteAttempts + 1,
+      hints: this.currentNoteHints,
+      forgivenFrames: this.forgivenFrames,
+      vibrato: vibrato.detected ? { rate: vibrato.rate, extent: vibrato.extent } : null,
     });
 
     // Reset for next note
-    this.isHolding = false;
-    this.holdStartTime = null;
-    this.holdSamples = [];
+    this.resetHold();
     this.currentNoteIndex++;
     this.currentNoteAttempts = 0;
-    this.noteStartTime = Date.now();
+    this.noteStartTime = this.config.clock();
 
     // Check if challenge complete
     if (this.currentNoteIndex >= this.scale.length) {
@@ -174,16 +401,20 @@ class ScaleChallenge {
       return { stateChanged: true, newState: 'complete', noteCompleted: true };
     }
 
+    this.beginNote();
     this.emitProgress();
     return { stateChanged: false, noteCompleted: true };
   }
 
   /**
    * Record a failed attempt on current note
+   * The note is missed once its attempts run out; otherwise a new attempt window opens.
+   * @param {'hold-broken'|'timeout'} reason - Why the attempt failed
    */
-  recordFailedAttempt() {
+  recordFailedAttempt(reason = 'timeout') {
     this.currentNoteAttempts++;
     this.totalAttempts++;
+    this.attemptStartTime = this.config.clock();
 
     if (this.currentNoteAttempts >= this.difficultySettings.maxAttempts) {
       this.failureCount++;
@@ -193,6 +424,7 @@ class ScaleChallenge {
         noteIndex: this.currentNoteIndex,
         note: this.scale[this.currentNoteIndex],
         attempts: this.currentNoteAttempts,
+        hints: this.currentNoteHints,
       });
 
       // Check if too many failures
@@ -202,16 +434,60 @@ class ScaleChallenge {
         // Move to next note even after failure
         this.currentNoteIndex++;
         this.currentNoteAttempts = 0;
-        this.noteStartTime = Date.now();
+        this.noteStartTime = this.config.clock();
 
         if (this.currentNoteIndex >= this.scale.length) {
           this.state = 'complete';
           this.config.onComplete();
         } else {
+          this.beginNote();
           this.emitProgress();
         }
       }
+      return;
     }
+
+    this.config.onAttemptFailed({
+      noteIndex: this.currentNoteIndex,
+      note: this.scale[this.currentNoteIndex],
+      reason,
+      attemptsRemaining: this.getAttemptsRemaining(),
+    });
+    this.emitProgress();
+  }
+
+  /**
+   * Get how many attempts are left at the current note
+   * @returns {number}
+   */
+  getAttemptsRemaining() {
+    return this.difficultySettings.maxAttempts - this.currentNoteAttempts;
+  }
+
+  /**
+   * Stop the clocks while the game is paused
+   */
+  pause() {
+    if (this.state !== 'active' || this.pausedAt !== null) return;
+
+    this.pausedAt = this.config.clock();
+
+    // A hold interrupted by the pause starts over, without costing an attempt
+    this.resetHold();
+  }
+
+  /**
+   * Restart the clocks after a pause, so the pause doesn't use up time
+   */
+  resume() {
+    if (this.pausedAt === null) return;
+
+    const paused = this.config.clock() - this.pausedAt;
+    this.pausedAt = null;
+    this.startTime += paused;
+    this.noteStartTime += paused;
+    this.attemptStartTime += paused;
+    this.lastToneTime += paused;
   }
 
   /**
@@ -232,6 +508,8 @@ class ScaleChallenge {
       totalNotes: this.scale.length,
       currentNote: this.scale[this.currentNoteIndex],
       progress: this.currentNoteIndex / this.scale.length,
+      attemptsRemaining: this.getAttemptsRemaining(),
+      maxAttempts: this.difficultySettings.maxAttempts,
     });
   }
 
@@ -252,6 +530,22 @@ class ScaleChallenge {
     return this.scale[this.currentNoteIndex];
   }
 
+  /**
+   * Get the tuning system targets are judged in
+   * @returns {{temperament: string, tonic: string}}
+   */
+  getTuning() {
+    return this.config.tuning;
+  }
+
+  /**
+   * Get options for spelling detected notes in the scale's key
+   * @returns {{scale: string[]}}
+   */
+  getSpelling() {
+    return { scale: this.scale };
+  }
+
   /**
    * Get hold progress (0-1)
    * @returns {number} Hold progress
@@ -259,7 +553,7 @@ class ScaleChallenge {
   getHoldProgress() {
     if (!this.isHolding || !this.holdStartTime) return 0;
 
-    const elapsed = Date.now() - this.holdStartTime;
+    const elapsed = this.config.clock() - this.holdStartTime;
     return Math.min(elapsed / this.difficultySettings.holdTime, 1.0);
   }
 
@@ -273,6 +567,7 @@ class ScaleChallenge {
       currentNoteAttempts: this.currentNoteAttempts,
       totalAttempts: this.totalAttempts,
       failureCount: this.failureCount,
+      totalHints: this.totalHints,
       startTime: this.startTime,
       noteStartTime: this.noteStartTime,
       state: this.state,
@@ -288,8 +583,11 @@ class ScaleChallenge {
     this.currentNoteAttempts = savedState.currentNoteAttempts || 0;
     this.totalAttempts = savedState.totalAttempts || 0;
     this.failureCount = savedState.failureCount || 0;
-    this.startTime = savedState.startTime || Date.now();
-    this.noteStartTime = savedState.noteStartTime || Date.now();
+    this.startTime = savedState.startTime || this.config.clock();
+    this.noteStartTime = savedState.noteStartTime || this.config.clock();
+    this.totalHints = savedState.totalHints || 0;
+    this.lastToneTime = this.config.clock();
+    this.attemptStartTime = this.config.clock();
     this.state = savedState.state || 'ready';
   }
 
@@ -303,7 +601,8 @@ class ScaleChallenge {
       totalNotes: this.scale.length,
       totalAttempts: this.totalAttempts,
       failureCount: this.failureCount,
-      timeElapsed: this.startTime ? Date.now() - this.startTime : 0,
+      hintsUsed: this.totalHints,
+      timeElapsed: this.startTime ? this.config.clock() - this.startTime : 0,
       difficulty: this.config.difficulty,
       octave: this.config.octave,
     };
@@ -21,6 +21,31 @@ const SCORING_TIERS = {
   OK: { maxCents: 50, points: 50 },
 };
 
+// Statistic each tier is tallied in
+const TIER_COUNTERS = {
+  PERFECT: 'perfectCount',
+  GREAT: 'greatCount',
+  OK: 'okCount',
+  MISS: 'missCount',
+};
+
+// Points taken off a note the singer needed reference-tone hints for (when
+// the hint penalty is on), once however many hints played
+const HINT_PENALTY = 10;
+
+/**
+ * Scoring tier for a note's average deviation
+ * @param {number} cents - Average cent deviation (either direction)
+ * @returns {'PERFECT'|'GREAT'|'OK'|'MISS'}
+ */
+export function accuracyTier(cents) {
+  const absCents = Math.abs(cents);
+  if (absCents <= SCORING_TIERS.PERFECT.maxCents) return 'PERFECT';
+  if (absCents <= SCORING_TIERS.GREAT.maxCents) return 'GREAT';
+  if (absCents <= SCORING_TIERS.OK.maxCents) return 'OK';
+  return 'MISS';
+}
+
 class ScoreSystem {
   constructor() {
     this.notes = [];
@@ -38,15 +63,18 @@ class ScoreSystem {
    * @param {number} avgCents - Average cent deviation during hold
    * @param {number} timeToHit - Time taken to hit the note (ms)
    * @param {boolean} success - Whether note was successfully hit
+   * @param {number} hints - Reference-tone hints played for the note (0 when
+   *   the penalty is off)
    * @returns {{
    *   tier: string,
    *   points: number,
    *   comboBonus: number,
+   *   hintPenalty: number,
    *   totalPoints: number,
    *   combo: number
    * }}
    */
-  addNote(avgCents, timeToHit, success) {
+  addNote(avgCents, timeToHit, success, hints = 0) {
     if (!success) {
       // Note missed
       this.notes.push({
@@ -71,27 +99,9 @@ class ScoreSystem {
     }
 
     // Determine tier based on accuracy
-    const absCents = Math.abs(avgCents);
-    let tier;
-    let basePoints;
-
-    if (absCents <= SCORING_TIERS.PERFECT.maxCents) {
-      tier = 'PERFECT';
-      basePoints = SCORING_TIERS.PERFECT.points;
-      this.perfectCount++;
-    } else if (absCents <= SCORING_TIERS.GREAT.maxCents) {
-      tier = 'GREAT';
-      basePoints = SCORING_TIERS.GREAT.points;
-      this.greatCount++;
-    } else if (absCents <= SCORING_TIERS.OK.maxCents) {
-      tier = 'OK';
-      basePoints = SCORING_TIERS.OK.points;
-      this.okCount++;
-    } else {
-      tier = 'MISS';
-      basePoints = 0;
-      this.missCount++;
-    }
+    const tier = accuracyTier(avgCents);
+    const basePoints = tier === 'MISS' ? 0 : SCORING_TIERS[tier].points;
+    this[TIER_COUNTERS[tier]]++;
 
     // Calculate combo bonus
     if (tier === 'PERFECT') {
@@ -106,13 +116,17 @@ class ScoreSystem {
     // Calculate time bonus (faster is better, up to +10 points)
     const timeBonus = this.calculateTimeBonus(timeToHit);
 
-    const totalPoints = basePoints + comboBonus + timeBonus;
+    // Needing hints costs a little, but never more than the note earned
+    const earned = basePoints + comboBonus + timeBonus;
+    const hintPenalty = hints > 0 ? Math.min(earned, HINT_PENALTY) : 0;
+    const totalPoints = earned - hintPenalty;
 
     this.notes.push({
       tier,
       points: basePoints,
       comboBonus,
       timeBonus,
+      hintPenalty,
       totalPoints,
       avgCents,
       timeToHit,
@@ -125,6 +139,7 @@ class ScoreSystem {
       points: basePoints,
       comboBonus,
       timeBonus,
+      hintPenalty,
       totalPoints,
       combo: this.currentCombo,
     };
@@ -0,0 +1,199 @@
+/**
+ * SessionDataExporter
+ * Keeps every pitch frame and note result of a run so it can be downloaded
+ * for analysis in a spreadsheet (CSV) or another tool (JSON).
+ * Times are seconds from the start of the run, on the same clock as a
+ * challenge recording.
+ */
+
+const EXPORT_VERSION = 1;
+
+// One CSV table: a row per frame and per note result, told apart by `type`
+const CSV_COLUMNS = [
+  'type',
+  'time',
+  'frequency',
+  'note',
+  'cents',
+  'confidence',
+  'clarity',
+  'volume',
+  'targetNote',
+  'holdProgress',
+  'bleed',
+  'noteIndex',
+  'tier',
+  'points',
+  'averageCents',
+  'timeToHit',
+  'holdDuration',
+  'attempts',
+  'forgivenFrames',
+  'vibratoRate',
+  'vibratoExtent',
+];
+
+/**
+ * Round a value for export, leaving non-numbers alone
+ * @param {*} value
+ * @param {number} decimals
+ * @returns {*}
+ */
+function round(value, decimals) {
+  if (typeof value !== 'number' || !Number.isFinite(value)) return value ?? null;
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Format one CSV cell (quoted when it contains a separator, quote or newline)
+ * @param {*} value
+ * @returns {string}
+ */
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+class SessionDataExporter {
+  /**
+   * @param {{clock?: Function}} config - Clock in milliseconds (default: performance.now)
+   */
+  constructor(config = {}) {
+    this.config = {
+      clock: config.clock || (() => performance.now()),
+    };
+
+    this.frames = [];
+    this.notes = [];
+    this.metadata = {};
+    this.startTime = null;
+  }
+
+  /**
+   * Begin a new run, discarding the previous one
+   * @param {object} metadata - Describes the run (mode, scale, difficulty, ...)
+   */
+  start(metadata = {}) {
+    this.frames = [];
+    this.notes = [];
+    this.metadata = { ...metadata, startedAt: new Date().toISOString() };
+    this.startTime = this.config.clock();
+  }
+
+  /**
+   * Get seconds since the run started
+   * @returns {number}
+   */
+  getTime() {
+    return this.startTime === null ? 0 : (this.config.clock() - this.startTime) / 1000;
+  }
+
+  /**
+   * Check whether anything has been captured
+   * @returns {boolean}
+   */
+  hasData() {
+    return this.frames.length > 0 || this.notes.length > 0;
+  }
+
+  /**
+   * Capture one pitch frame
+   * @param {object} update - `pitch-update` data from GameEngine
+   */
+  recordFrame(update) {
+    if (this.startTime === null) return;
+
+    this.frames.push({
+      time: round(this.getTime(), 3),
+      frequency: round(update.frequency, 2),
+      note: update.note ?? null,
+      cents: round(update.cents, 1),
+      confidence: round(update.confidence, 3),
+      clarity: round(update.clarity, 3),
+      volume: round(update.volume, 4),
+      targetNote: update.targetNote ?? null,
+      holdProgress: round(update.holdProgress, 3),
+      bleed: update.bleed ?? null,
+    });
+  }
+
+  /**
+   * Capture a note result
+   * @param {'note-hit'|'note-miss'} type - Result type
+   * @param {object} noteData - Note data from the game mode
+   * @param {object} score - Score from ScoreSystem.addNote (hits only)
+   */
+  recordNote(type, noteData, score = {}) {
+    if (this.startTime === null) return;
+
+    this.notes.push({
+      type,
+      time: round(this.getTime(), 3),
+      noteIndex: noteData.noteIndex ?? null,
+      note: noteData.note ?? null,
+      tier: score.tier || 'MISS',
+      points: score.totalPoints ?? 0,
+      averageCents: round(noteData.averageCents, 1),
+      timeToHit: round(noteData.timeToHit, 0),
+      holdDuration: round(noteData.holdDuration, 0),
+      attempts: noteData.attempts ?? null,
+      forgivenFrames: noteData.forgivenFrames ?? null,
+      vibratoRate: round(noteData.vibrato?.rate, 2),
+      vibratoExtent: round(noteData.vibrato?.extent, 1),
+    });
+  }
+
+  /**
+   * Get the note results of the run so far
+   * @returns {Array<object>} Copies of the recorded results, in order
+   */
+  getNoteResults() {
+    return this.notes.map((note) => ({ ...note }));
+  }
+
+  /**
+   * Build the JSON export
+   * @returns {{version: number, session: object, frames: Array, notes: Array}}
+   */
+  toJSON() {
+    return {
+      version: EXPORT_VERSION,
+      session: { ...this.metadata },
+      frames: this.frames.map((frame) => ({ ...frame })),
+      notes: this.getNoteResults(),
+    };
+  }
+
+  /**
+   * Build the CSV export (frames and note results in time order)
+   * @returns {string}
+   */
+  toCSV() {
+    const rows = [
+      ...this.frames.map((frame) => ({ type: 'frame', ...frame })),
+      ...this.notes,
+    ].sort((a, b) => a.time - b.time);
+
+    const lines = rows.map((row) => CSV_COLUMNS.map((column) => csvCell(row[column])).join(','));
+    return [CSV_COLUMNS.join(','), ...lines].join('\r\n');
+  }
+
+  /**
+   * Export as a downloadable file
+   * @param {'csv'|'json'} format - File format
+   * @returns {Blob}
+   */
+  toBlob(format = 'csv') {
+    if (format === 'json') {
+      return new Blob([JSON.stringify(this.toJSON(), null, 2)], { type: 'application/json' });
+    }
+    if (format === 'csv') {
+      return new Blob([this.toCSV()], { type: 'text/csv' });
+    }
+    throw new Error(`Unknown export format: ${format}`);
+  }
+}
+
+export default SessionDataExporter;
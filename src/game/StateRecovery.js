@@ -3,9 +3,23 @@
  * Manages session persistence and high score tracking using browser storage
  */
 
+import { DEFAULT_A4_FREQUENCY } from '../audio/NoteMapper.js';
+
 const SESSION_KEY = 'scale-climber-session';
 const HIGH_SCORES_KEY = 'scale-climber-high-scores';
 const SETTINGS_KEY = 'scale-climber-settings';
+const VOICE_PROFILE_KEY = 'scale-climber-voice-profile';
+const MAX_HIGH_SCORES = 10; // Kept per concert pitch
+
+/**
+ * Concert pitch a high score was sung at (scores saved before tuning was
+ * configurable were all at the default)
+ * @param {object} entry - High score entry
+ * @returns {number} A4 frequency in Hz
+ */
+function scoreReferencePitch(entry) {
+  return entry.referencePitch ?? DEFAULT_A4_FREQUENCY;
+}
 
 class StateRecovery {
   constructor() {
@@ -111,9 +125,10 @@ class StateRecovery {
 
   /**
    * Save high score
+   * Scores are ranked only against scores sung at the same concert pitch
    * @param {number} score - Final score
    * @param {string} grade - Grade achieved
-   * @param {object} metadata - Additional metadata (optional)
+   * @param {object} metadata - Additional metadata (optional, incl. referencePitch)
    * @returns {boolean} Is new high score
    */
   saveHighScore(score, grade, metadata = {}) {
@@ -128,6 +143,7 @@ class StateRecovery {
         timestamp: Date.now(),
         date: new Date().toISOString(),
         ...metadata,
+        referencePitch: scoreReferencePitch(metadata),
       };
 
       scores.push(newScore);
@@ -135,8 +151,14 @@ class StateRecovery {
       // Sort by score descending
       scores.sort((a, b) => b.score - a.score);
 
-      // Keep top 10 scores
-      const topScores = scores.slice(0, 10);
+      // Keep top 10 scores for each tuning
+      const countByPitch = new Map();
+      const topScores = scores.filter((entry) => {
+        const pitch = scoreReferencePitch(entry);
+        const count = countByPitch.get(pitch) || 0;
+        countByPitch.set(pitch, count + 1);
+        return count < MAX_HIGH_SCORES;
+      });
 
       localStorage.setItem(HIGH_SCORES_KEY, JSON.stringify(topScores));
 
@@ -150,9 +172,11 @@ class StateRecovery {
 
   /**
    * Get high scores
+   * @param {number|null} referencePitch - Only scores sung at this concert pitch
+   *   (all tunings if omitted)
    * @returns {Array} Array of high scores
    */
-  getHighScores() {
+  getHighScores(referencePitch = null) {
     if (!this.hasLocalStorage) return [];
 
     try {
@@ -160,7 +184,11 @@ class StateRecovery {
       if (!data) return [];
 
       const scores = JSON.parse(data);
-      return Array.isArray(scores) ? scores : [];
+      if (!Array.isArray(scores)) return [];
+
+      return referencePitch === null
+        ? scores
+        : scores.filter((entry) => scoreReferencePitch(entry) === referencePitch);
     } catch (error) {
       console.error('Failed to load high scores:', error);
       return [];
@@ -169,10 +197,11 @@ class StateRecovery {
 
   /**
    * Get personal best score
+   * @param {number|null} referencePitch - Only scores sung at this concert pitch
    * @returns {number} Highest score or 0
    */
-  getPersonalBest() {
-    const scores = this.getHighScores();
+  getPersonalBest(referencePitch = null) {
+    const scores = this.getHighScores(referencePitch);
     if (scores.length === 0) return 0;
     return scores[0].score;
   }
@@ -225,6 +254,52 @@ class StateRecovery {
     }
   }
 
+  /**
+   * Save the singer's voice profile
+   * @param {object} profile - VoiceProfile data (see VoiceProfile.toJSON)
+   * @returns {boolean} Success
+   */
+  saveVoiceProfile(profile) {
+    if (!this.hasLocalStorage) return false;
+
+    try {
+      localStorage.setItem(VOICE_PROFILE_KEY, JSON.stringify(profile));
+      return true;
+    } catch (error) {
+      console.error('Failed to save voice profile:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Load the singer's voice profile
+   * @returns {object|null} Profile data or null
+   */
+  loadVoiceProfile() {
+    if (!this.hasLocalStorage) return null;
+
+    try {
+      const data = localStorage.getItem(VOICE_PROFILE_KEY);
+      return data ? JSON.parse(data) : null;
+    } catch (error) {
+      console.error('Failed to load voice profile:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Forget the singer's voice profile
+   */
+  clearVoiceProfile() {
+    if (!this.hasLocalStorage) return;
+
+    try {
+      localStorage.removeItem(VOICE_PROFILE_KEY);
+    } catch (error) {
+      console.error('Failed to clear voice profile:', error);
+    }
+  }
+
   /**
    * Get default settings
    * @returns {object} Default settings
@@ -234,9 +309,20 @@ class StateRecovery {
       volume: 0.7,
       difficulty: 'normal',
       octave: 4,
-      showReferenceTone: true,
-      autoCalibrate: true,
+      challengeKey: 'auto', // Challenge tonic ('D', 'Bb') or 'auto' from the voice profile
+      challengeOctave: 'auto', // Challenge octave (1-6) or 'auto' from the voice profile
+      showReferenceTone: true, // Play each target note as it begins
+      hintDelay: 8, // Seconds before a struggling singer hears the target (0 = never)
+      hintPenalty: false, // Hints cost a few points
+      autoCalibrate: true, // Calibrate when there's no voice profile or it has gone stale
+      inputFiltering: true, // High-pass and mains-hum notches ahead of pitch detection
       theme: 'dark',
+      inputDeviceId: null, // null = browser default microphone
+      referencePitch: DEFAULT_A4_FREQUENCY, // Concert pitch (A4) in Hz
+      temperament: 'equal', // equal | just | pythagorean | meantone
+      recordChallenges: false, // Keep the microphone take of each challenge
+      accompaniment: 'off', // off | drone | drone-fifth | chords
+      accompanimentVolume: 0.25, // Separate from the effects volume
     };
   }
 
@@ -246,6 +332,7 @@ class StateRecovery {
   clearAll() {
     this.clearSession();
     this.clearHighScores();
+    this.clearVoiceProfile();
 
     if (this.hasLocalStorage) {
       try {
@@ -23,6 +23,9 @@ const STATE = {
   ERROR_MIC_DENIED: 'ERROR_MIC_DENIED',
 };
 
+// A hum must be this many times louder than the noise gate to count
+const VOICE_GATE_RATIO = 4;
+
 class TitleScreenManager {
   constructor(gameEngine) {
     this.gameEngine = gameEngine;
@@ -155,6 +158,11 @@ class TitleScreenManager {
         txt(ui.subhead, 'A bit louder—or move closer to the mic.');
         txt(ui.voiceHint, 'Closer = better');
         break;
+      case STATE.TOO_NOISY:
+        txt(ui.headline, 'TOO MUCH RACKET.');
+        txt(ui.subhead, this.getNoiseAdvice());
+        txt(ui.voiceHint, 'Quieter room = cleaner climb');
+        break;
       case STATE.PITCH_UNCERTAIN:
         txt(ui.headline, 'GIVE ME A CLEAN TONE.');
         txt(ui.subhead, 'One long “oo” works best.');
@@ -260,14 +268,15 @@ class TitleScreenManager {
 
     const { diff, clarity } = pitchData;
 
-    // Thresholds
-    const VOL_THRESH = 0.02;
+    // Thresholds (volume is relative to the detector's learned noise gate)
+    const volThresh = this.gameEngine.pitchDetector.getVolumeGate() * VOICE_GATE_RATIO;
     const CLARITY_THRESH = 0.9;
     const STABLE_THRESH_CENTS = 25;
 
-    // 1. Check Volume
-    if (volume < VOL_THRESH) {
-      this.setState(STATE.TOO_QUIET);
+    // 1. Check Volume (in a room the environment check failed, the room is
+    // the likelier culprit)
+    if (volume < volThresh) {
+      this.setState(this.isTooNoisy() ? STATE.TOO_NOISY : STATE.TOO_QUIET);
       this.resetHold();
       return;
     }
@@ -306,6 +315,23 @@ class TitleScreenManager {
     }
   }
 
+  /**
+   * Check whether the last environment check failed the room
+   * @returns {boolean}
+   */
+  isTooNoisy() {
+    return this.gameEngine.getEnvironmentReport?.()?.verdict === 'fail';
+  }
+
+  /**
+   * Get the environment check's first piece of advice
+   * @returns {string}
+   */
+  getNoiseAdvice() {
+    const report = this.gameEngine.getEnvironmentReport?.();
+    return report?.advice?.[0] || 'Find a quieter spot, or get closer to the mic.';
+  }
+
   resetHold() {
     this.holdProgress = 0;
     if (this.currentState === STATE.CLIP_IN_HOLDING) {
@@ -0,0 +1,282 @@
+/**
+ * VoiceProfile
+ * What calibration learned about a singer's voice (range, voice type, the
+ * room's noise floor and mic quality report, and the microphone it was
+ * measured with), and the challenge key and octave that keep a whole scale
+ * inside their comfortable range.
+ *
+ * The comfortable range is the measured range less a semitone at each end
+ * (the extremes of a short calibration are rarely sustainable). A scale is
+ * placed inside it, then as far as possible inside the tessitura (the zone
+ * around the note the singer finds easiest), centred there; a key or octave
+ * the singer picked by hand is kept, and the rest of the choice is made
+ * around it.
+ *
+ * Profiles are kept between visits so returning singers can skip calibration.
+ * One goes stale when it was measured with another microphone, is old, or the
+ * singer's voice keeps landing well outside the measured range.
+ */
+
+import { getScale, noteNameToMidi, frequencyToMidi } from '../audio/NoteMapper.js';
+
+const COMFORT_MARGIN = 1; // Semitones trimmed off each end of the measured range
+
+// Tonic spelling for each pitch class, in the order ties are broken in (keys
+// with fewer accidentals first)
+const KEY_PREFERENCE = ['C', 'G', 'F', 'D', 'Bb', 'A', 'Eb', 'E', 'Ab', 'B', 'Db', 'F#'];
+
+const OCTAVES = [1, 2, 3, 4, 5, 6];
+const DEFAULT_OCTAVE = 4; // Without a profile: middle C, as before calibration existed
+
+// Staleness
+const MAX_AGE = 90 * 24 * 60 * 60 * 1000; // ms; voices and rooms change
+const RANGE_DRIFT = 3; // Semitones beyond the measured range that count as outside it
+const MIN_RANGE_FRAMES = 200; // Voiced frames observed before judging the range
+const MAX_OUTSIDE_RATIO = 0.3; // Share of voiced frames outside the range
+
+class VoiceProfile {
+  /**
+   * @param {{
+   *   lowestMidi: number,
+   *   highestMidi: number,
+   *   voiceType?: string,
+   *   tessitura?: {lowestMidi: number, highestMidi: number, centreMidi?: number},
+   *   noiseFloor?: number,
+   *   environment?: object,
+   *   deviceId?: string,
+   *   createdAt?: number,
+   *   staleReason?: string
+   * }} data - Measured range as MIDI note numbers; environment is the mic
+   *   quality report (see EnvironmentAnalyzer.getReport); createdAt in ms
+   *   since the epoch
+   */
+  constructor(data) {
+    this.lowestMidi = Math.min(data.lowestMidi, data.highestMidi);
+    this.highestMidi = Math.max(data.lowestMidi, data.highestMidi);
+    this.voiceType = data.voiceType || null;
+    this.tessitura = data.tessitura
+      && Number.isFinite(data.tessitura.lowestMidi) && Number.isFinite(data.tessitura.highestMidi)
+      ? {
+        lowestMidi: data.tessitura.lowestMidi,
+        highestMidi: data.tessitura.highestMidi,
+        centreMidi: data.tessitura.centreMidi
+          ?? (data.tessitura.lowestMidi + data.tessitura.highestMidi) / 2,
+      }
+      : null;
+    this.noiseFloor = data.noiseFloor ?? null;
+    this.environment = data.environment || null;
+    this.deviceId = data.deviceId || null;
+    this.createdAt = data.createdAt ?? Date.now();
+    this.staleReason = data.staleReason || null; // Set once the voice stopped matching
+
+    // Voiced frames heard since the profile was loaded, and how many were out of range
+    this.observedFrames = 0;
+    this.outsideFrames = 0;
+  }
+
+  /**
+   * Build a profile from a CalibrationEngine result
+   * @param {object} result - Successful calibration result
+   * @param {string|null} deviceId - Microphone calibration listened to
+   * @returns {VoiceProfile|null} Null if the result has no usable range
+   */
+  static fromCalibration(result, deviceId = null) {
+    if (!result?.success
+      || !Number.isFinite(result.lowestMidi) || !Number.isFinite(result.highestMidi)) {
+      return null;
+    }
+
+    return new VoiceProfile({
+      lowestMidi: result.lowestMidi,
+      highestMidi: result.highestMidi,
+      voiceType: result.voiceType,
+      tessitura: result.tessitura,
+      noiseFloor: result.noiseFloor,
+      environment: result.environment,
+      deviceId,
+    });
+  }
+
+  /**
+   * Rebuild a stored profile
+   * @param {object|null} data - Result of toJSON
+   * @returns {VoiceProfile|null} Null if nothing usable was stored
+   */
+  static fromJSON(data) {
+    if (!data || !Number.isFinite(data.lowestMidi) || !Number.isFinite(data.highestMidi)) {
+      return null;
+    }
+    return new VoiceProfile(data);
+  }
+
+  /**
+   * Count a detected pitch towards the range check
+   * @param {number|null} frequency - Detected pitch (null when unvoiced)
+   */
+  observe(frequency) {
+    if (!frequency) return;
+
+    const midi = frequencyToMidi(frequency);
+    this.observedFrames++;
+    if (midi < this.lowestMidi - RANGE_DRIFT || midi > this.highestMidi + RANGE_DRIFT) {
+      this.outsideFrames++;
+    }
+  }
+
+  /**
+   * Check whether the voice heard lately keeps leaving the measured range
+   * @returns {boolean}
+   */
+  hasRangeDrift() {
+    return this.observedFrames >= MIN_RANGE_FRAMES
+      && this.outsideFrames / this.observedFrames > MAX_OUTSIDE_RATIO;
+  }
+
+  /**
+   * Mark the profile as no longer describing the singer
+   * @param {string} reason - Why (e.g. 'range')
+   */
+  markStale(reason) {
+    this.staleReason = reason;
+  }
+
+  /**
+   * Check whether the profile should be measured again
+   * @param {{deviceId?: string|null, now?: number}} context - Microphone in use
+   *   (not compared when unknown) and the current time
+   * @returns {'range'|'device'|'age'|null} Why it is stale, or null if still good
+   */
+  getStaleReason({ deviceId = null, now = Date.now() } = {}) {
+    if (this.staleReason) return this.staleReason;
+    if (deviceId && this.deviceId && deviceId !== this.deviceId) return 'device';
+    if (now - this.createdAt > MAX_AGE) return 'age';
+    return null;
+  }
+
+  /**
+   * Get the range a scale should stay inside
+   * @returns {{low: number, high: number}} MIDI note numbers
+   */
+  getComfortableRange() {
+    const margin = this.highestMidi - this.lowestMidi >= 12 + 2 * COMFORT_MARGIN
+      ? COMFORT_MARGIN
+      : 0;
+    return { low: this.lowestMidi + margin, high: this.highestMidi - margin };
+  }
+
+  /**
+   * Get the zone a scale is best kept in
+   * @returns {{low: number, high: number}} MIDI note numbers (the comfortable
+   *   range for profiles measured without a tessitura)
+   */
+  getTessitura() {
+    if (!this.tessitura) return this.getComfortableRange();
+    return { low: this.tessitura.lowestMidi, high: this.tessitura.highestMidi };
+  }
+
+  /**
+   * Choose the challenge key and octave for this voice
+   * @param {{type?: string, direction?: string, key?: string, octave?: number|string}} options -
+   *   Scale type and direction (see NoteMapper.getScale); a key ('D', 'Bb') or
+   *   octave other than 'auto' is kept as given
+   * @returns {{
+   *   scale: {root: string, type: string, direction: string},
+   *   key: string,
+   *   octave: number,
+   *   fits: boolean
+   * }} `fits` is false when no choice keeps the whole scale in range
+   */
+  chooseKey(options = {}) {
+    return chooseChallengeKey(this, options);
+  }
+
+  /**
+   * Get the plain data of the profile (for storage)
+   * @returns {object}
+   */
+  toJSON() {
+    return {
+      lowestMidi: this.lowestMidi,
+      highestMidi: this.highestMidi,
+      voiceType: this.voiceType,
+      tessitura: this.tessitura,
+      noiseFloor: this.noiseFloor,
+      environment: this.environment,
+      deviceId: this.deviceId,
+      createdAt: this.createdAt,
+      staleReason: this.staleReason,
+    };
+  }
+}
+
+/**
+ * Choose a challenge key and octave, with or without a voice profile
+ * Without a profile the scale starts on the chosen key (default C) in
+ * octave 4, or in the chosen octave.
+ * @param {VoiceProfile|null} profile - Singer's voice profile
+ * @param {object} options - See VoiceProfile.chooseKey
+ * @returns {object} See VoiceProfile.chooseKey
+ */
+export function chooseChallengeKey(profile, options = {}) {
+  const type = options.type || 'major';
+  const direction = options.direction || 'ascending';
+  const fixedKey = options.key && options.key !== 'auto' ? options.key : null;
+  const fixedOctave = options.octave && options.octave !== 'auto' ? Number(options.octave) : null;
+
+  const keys = fixedKey ? [fixedKey] : KEY_PREFERENCE;
+  const octaves = fixedOctave ? [fixedOctave] : OCTAVES;
+
+  if (!profile) {
+    const key = fixedKey || 'C';
+    const octave = fixedOctave || DEFAULT_OCTAVE;
+    return {
+      scale: { root: `${key}${octave}`, type, direction },
+      key,
+      octave,
+      fits: true,
+    };
+  }
+
+  // Span of the scale above its tonic (the same in every key)
+  const offsets = getScale('C4', type, { direction }).map((note) => noteNameToMidi(note) - 60);
+  const bottom = Math.min(...offsets);
+  const top = Math.max(...offsets);
+
+  const range = profile.getComfortableRange();
+  const tessitura = profile.getTessitura();
+  const centre = (tessitura.low + tessitura.high) / 2;
+
+  let best = null;
+  keys.forEach((key) => {
+    octaves.forEach((octave) => {
+      // Spelled as sung: Cb4 is a semitone under C4, B#3 is C4
+      const root = noteNameToMidi(`${key}${octave}`);
+      const low = root + bottom;
+      const high = root + top;
+      const overflow = Math.max(0, range.low - low) + Math.max(0, high - range.high);
+      const strain = Math.max(0, tessitura.low - low) + Math.max(0, high - tessitura.high);
+      const offCentre = Math.abs((low + high) / 2 - centre);
+
+      // Fewest semitones out of range, then out of the tessitura, then the
+      // most centred; earlier keys win ties
+      const better = !best
+        || overflow < best.overflow
+        || (overflow === best.overflow && strain < best.strain)
+        || (overflow === best.overflow && strain === best.strain && offCentre < best.offCentre);
+      if (better) {
+        best = {
+          key, octave, overflow, strain, offCentre,
+        };
+      }
+    });
+  });
+
+  return {
+    scale: { root: `${best.key}${best.octave}`, type, direction },
+    key: best.key,
+    octave: best.octave,
+    fits: best.overflow === 0,
+  };
+}
+
+export default VoiceProfile;
@@ -4,6 +4,7 @@
  */
 
 import GameEngine from './game/GameEngine.js';
+import { accuracyTier } from './game/ScoreSystem.js';
 import CanvasRenderer from './visuals/CanvasRenderer.js';
 import CharacterSprite from './visuals/CharacterSprite.js';
 import PitchMeter from './visuals/PitchMeter.js';
@@ -13,22 +14,66 @@ import AccessibilitySettings from './utils/AccessibilitySettings.js';
 import AudioFeedback from './utils/AudioFeedback.js';
 import ReferenceToneGenerator from './utils/ReferenceToneGenerator.js';
 import TitleScreenManager from './game/TitleScreenManager.js';
+import PitchTrackPlot from './visuals/PitchTrackPlot.js';
+import { formatNoteName, midiToNoteName, SCALE_TYPES } from './audio/NoteMapper.js';
 
 // Global state
 let gameEngine = null;
 let renderer = null;
 let audioFeedback = null;
 let titleScreenManager = null;
+let settingsReturnScreen = 'title-screen-layer';
+let analysisReturnScreen = 'title-screen-layer';
+let recordingUrl = null; // Object URL of the take shown on the results screen
+let gameListenersReady = false;
+let practiceListenersReady = false;
+
+// Keys of the practice note picker, one octave from C
+const PRACTICE_KEYS = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+// Why calibration runs again (see GameEngine.getCalibrationReason)
+const CALIBRATION_REASONS = {
+  missing: "Let's measure your voice so the scale fits your range.",
+  device: 'Your microphone has changed since you last calibrated.',
+  age: "It's been a while since you calibrated. Let's check your range again.",
+  range: "Your voice hasn't matched your saved range lately. Let's measure it again.",
+  manual: 'Recalibrating your voice.',
+};
+
+// Headline of the mic quality report for each environment check verdict
+const MIC_VERDICTS = {
+  pass: 'Mic check passed: your room and mic sound good.',
+  warn: 'Mic check: usable, but it could sound better.',
+  fail: 'Mic check failed: pitch detection will struggle here.',
+};
+
+// Arrow shown for each guided calibration step
+const CALIBRATION_PROMPTS = {
+  slide_down: '↓',
+  slide_up: '↑',
+  sustain: '—',
+};
+
+// Messages for recording analysis failures
+const ANALYSIS_ERRORS = {
+  OFFLINE_AUDIO_UNSUPPORTED: "This browser can't decode audio files.",
+  DECODE_FAILED: "Couldn't read that file. Try a WAV, Opus or MP3 recording.",
+  ANALYSIS_FAILED: 'Pitch analysis failed. Please try again.',
+};
 
 // Screen management
 const screens = {
   loading: document.getElementById('loading-screen'),
   start: document.getElementById('start-screen'), // Keeps compatibility if we fall back
   'title-screen-layer': document.getElementById('title-screen-layer'),
+  settings: document.getElementById('settings-screen'),
+  analysis: document.getElementById('analysis-screen'),
   'calibration-ready': document.getElementById('calibration-ready-screen'),
   calibration: document.getElementById('calibration-screen'),
   game: document.getElementById('game-screen'),
   results: document.getElementById('results-screen'),
+  practice: document.getElementById('practice-screen'),
+  'practice-summary': document.getElementById('practice-summary-screen'),
   error: document.getElementById('error-screen'),
 };
 
@@ -79,31 +124,337 @@ function showError(message) {
   showScreen('error');
 }
 
+/**
+ * Fill the microphone picker with the available input devices
+ */
+async function populateInputDevices() {
+  const select = document.getElementById('input-device-select');
+  const status = document.getElementById('input-device-status');
+  if (!select) return;
+
+  const devices = await gameEngine.listInputDevices();
+  const { inputDeviceId } = gameEngine.getSettings();
+
+  select.innerHTML = '<option value="">System default</option>';
+  devices
+    .filter((device) => device.deviceId && device.deviceId !== 'default')
+    .forEach((device) => {
+      const option = document.createElement('option');
+      option.value = device.deviceId;
+      option.textContent = device.label;
+      select.appendChild(option);
+    });
+
+  select.value = devices.some((device) => device.deviceId === inputDeviceId)
+    ? inputDeviceId
+    : '';
+
+  if (status && devices.length === 0) {
+    status.textContent = 'No microphones found.';
+  }
+}
+
+/**
+ * Show settings screen
+ * @param {string} returnScreen - Screen to go back to when done
+ */
+function showSettings(returnScreen) {
+  settingsReturnScreen = returnScreen;
+
+  const pitchInput = document.getElementById('reference-pitch-input');
+  if (pitchInput) {
+    pitchInput.value = gameEngine.getSettings().referencePitch;
+  }
+
+  const challengeKeySelect = document.getElementById('challenge-key-select');
+  if (challengeKeySelect) {
+    challengeKeySelect.value = gameEngine.getSettings().challengeKey;
+  }
+
+  const challengeOctaveSelect = document.getElementById('challenge-octave-select');
+  if (challengeOctaveSelect) {
+    challengeOctaveSelect.value = String(gameEngine.getSettings().challengeOctave);
+  }
+
+  const temperamentSelect = document.getElementById('temperament-select');
+  if (temperamentSelect) {
+    temperamentSelect.value = gameEngine.getSettings().temperament;
+  }
+
+  const accompanimentSelect = document.getElementById('accompaniment-select');
+  if (accompanimentSelect) {
+    accompanimentSelect.value = gameEngine.getSettings().accompaniment;
+  }
+
+  const accompanimentVolumeInput = document.getElementById('accompaniment-volume-input');
+  if (accompanimentVolumeInput) {
+    accompanimentVolumeInput.value = gameEngine.getSettings().accompanimentVolume;
+  }
+
+  const referenceToneCheckbox = document.getElementById('reference-tone-checkbox');
+  if (referenceToneCheckbox) {
+    referenceToneCheckbox.checked = gameEngine.getSettings().showReferenceTone;
+  }
+
+  const hintDelaySelect = document.getElementById('hint-delay-select');
+  if (hintDelaySelect) {
+    hintDelaySelect.value = String(gameEngine.getSettings().hintDelay);
+  }
+
+  const hintPenaltyCheckbox = document.getElementById('hint-penalty-checkbox');
+  if (hintPenaltyCheckbox) {
+    hintPenaltyCheckbox.checked = gameEngine.getSettings().hintPenalty;
+  }
+
+  const recordCheckbox = document.getElementById('record-challenges-checkbox');
+  if (recordCheckbox) {
+    recordCheckbox.checked = gameEngine.getSettings().recordChallenges;
+  }
+
+  const autoCalibrateCheckbox = document.getElementById('auto-calibrate-checkbox');
+  if (autoCalibrateCheckbox) {
+    autoCalibrateCheckbox.checked = gameEngine.getSettings().autoCalibrate;
+  }
+
+  const filteringCheckbox = document.getElementById('input-filtering-checkbox');
+  if (filteringCheckbox) {
+    filteringCheckbox.checked = gameEngine.getSettings().inputFiltering;
+  }
+  describeInputFilters();
+  describeVoiceProfile();
+  showMicReport('settings-mic-report', gameEngine.getEnvironmentReport());
+
+  showScreen('settings');
+  populateInputDevices();
+}
+
+/**
+ * Say what the input filters remove, on the settings screen
+ */
+function describeInputFilters() {
+  const hint = document.getElementById('input-filtering-hint');
+  if (!hint) return;
+
+  const { enabled, highPassFrequency, mainsFrequency } = gameEngine.getInputFilterConfig();
+  if (!enabled) {
+    hint.textContent = 'Pitch is detected on the raw microphone signal.';
+    return;
+  }
+
+  const hum = mainsFrequency
+    ? ` and ${mainsFrequency} Hz mains hum (found during calibration)`
+    : '';
+  hint.textContent = `Removes rumble below ${highPassFrequency} Hz${hum} before your pitch `
+    + 'is detected. Turn it off to compare detection on the raw signal.';
+}
+
+/**
+ * Summarise the saved voice profile on the settings screen
+ */
+function describeVoiceProfile() {
+  const summary = document.getElementById('voice-profile-summary');
+  if (!summary) return;
+
+  const profile = gameEngine.getVoiceProfile();
+  if (!profile) {
+    summary.textContent = 'Not calibrated yet.';
+    return;
+  }
+
+  const low = midiToNoteName(profile.lowestMidi, { unicode: true });
+  const high = midiToNoteName(profile.highestMidi, { unicode: true });
+  const date = new Date(profile.createdAt).toLocaleDateString();
+  const due = gameEngine.getCalibrationReason() ? ' Due for recalibration.' : '';
+  const zone = profile.tessitura
+    ? ` (most comfortable ${midiToNoteName(profile.tessitura.lowestMidi, { unicode: true })}`
+      + `–${midiToNoteName(profile.tessitura.highestMidi, { unicode: true })})`
+    : '';
+  summary.textContent = `${profile.voiceType || 'Voice'}, ${low}–${high}${zone}, `
+    + `calibrated ${date}.${due}`;
+}
+
+/**
+ * Show recording analysis screen
+ * @param {string} returnScreen - Screen to go back to when done
+ */
+function showAnalysis(returnScreen) {
+  analysisReturnScreen = returnScreen;
+
+  const scaleSelect = document.getElementById('analysis-scale-select');
+  if (scaleSelect && scaleSelect.options.length === 0) {
+    Object.keys(SCALE_TYPES).forEach((type) => {
+      const option = document.createElement('option');
+      option.value = type;
+      option.textContent = type.charAt(0).toUpperCase() + type.slice(1).replace('-', ' ');
+      scaleSelect.appendChild(option);
+    });
+  }
+
+  showScreen('analysis');
+}
+
+/**
+ * Analyse the chosen recording and show its pitch track and score
+ */
+async function runAnalysis() {
+  const file = document.getElementById('analysis-file-input').files[0];
+  const status = document.getElementById('analysis-status');
+  const summary = document.getElementById('analysis-summary');
+  const canvas = document.getElementById('analysis-plot');
+  if (!file) return;
+
+  const scale = {
+    root: formatNoteName(document.getElementById('analysis-root-input').value.trim() || 'C4'),
+    type: document.getElementById('analysis-scale-select').value,
+    direction: document.getElementById('analysis-direction-select').value,
+  };
+
+  summary.innerHTML = '';
+  canvas.classList.remove('visible');
+  status.textContent = 'Analysing... 0%';
+
+  const analysis = await gameEngine.analyzeRecording(file, scale, {
+    onProgress: (progress) => {
+      status.textContent = `Analysing... ${Math.round(progress * 100)}%`;
+    },
+  });
+
+  if (!analysis.success) {
+    status.textContent = ANALYSIS_ERRORS[analysis.error] || 'Analysis failed.';
+    return;
+  }
+
+  const { result } = analysis;
+  const plot = new PitchTrackPlot();
+  plot.setData({ track: analysis.track, scale: result.scale, notes: result.notes });
+  canvas.classList.add('visible');
+  plot.render(canvas.getContext('2d'), canvas.width, canvas.height);
+
+  const hits = result.notes.filter((note) => note.hit).length;
+  status.textContent = `Analysed ${analysis.duration.toFixed(1)}s of audio.`;
+  summary.innerHTML = `
+    <div>Grade: ${result.grade}</div>
+    <div>Score: ${result.score}</div>
+    <div>Notes hit: ${hits} / ${result.notes.length}</div>
+    <div>Average deviation: ${result.statistics.averageCents} cents</div>
+  `;
+  announceToScreenReader(`Analysis complete. Grade ${result.grade}, ${hits} notes hit.`);
+}
+
 /**
  * Show calibration ready screen
+ * @param {string|null} reason - Why calibration is needed (key of CALIBRATION_REASONS)
  */
-function showCalibrationReady() {
+function showCalibrationReady(reason = null) {
+  const reasonText = document.getElementById('calibration-reason');
+  if (reasonText) {
+    reasonText.textContent = CALIBRATION_REASONS[reason] || '';
+    reasonText.hidden = !CALIBRATION_REASONS[reason];
+  }
   showScreen('calibration-ready');
 }
 
 /**
- * Start calibration process with countdown
+ * Start the game engine's audio once (requires a user gesture for browser autoplay policy)
  */
-async function startCalibration() {
-  try {
-    showScreen('calibration');
-
-    // Initialize game engine audio (requires user gesture for browser autoplay policy)
+async function initializeAudio() {
+  if (!gameEngine.pitchDetector) {
     const initResult = await gameEngine.initialize();
     if (!initResult.success) {
       throw new Error(initResult.error || 'Failed to initialize audio');
     }
+  }
 
-    // Resume AudioContext if suspended (required for Safari/iOS)
-    if (gameEngine.audioManager) {
-      await gameEngine.audioManager.resume();
+  // Resume AudioContext if suspended (required for Safari/iOS)
+  if (gameEngine.audioManager) {
+    await gameEngine.audioManager.resume();
+  }
+}
+
+/**
+ * Start a challenge, calibrating first only when the voice profile is
+ * missing or stale (and settings.autoCalibrate is on)
+ */
+async function startGame() {
+  try {
+    await initializeAudio();
+
+    const calibrationReason = gameEngine.prepareChallenge();
+    if (calibrationReason) {
+      showCalibrationReady(calibrationReason);
+      return;
     }
 
+    beginChallenge();
+  } catch (error) {
+    console.error('Failed to start challenge:', error);
+    showError(`Failed to start: ${error.message}`);
+  }
+}
+
+/**
+ * Start the challenge where the scale fits the voice profile (or the chosen key)
+ */
+function beginChallenge() {
+  const challengeKey = gameEngine.getChallengeKey();
+  showScreen('game');
+  gameEngine.startChallenge(challengeKey.octave, 'normal', challengeKey.scale);
+  announceChallengeKey(challengeKey);
+
+  // Setup game event listeners
+  setupGameListeners();
+}
+
+/**
+ * Show a mic quality report: its verdict and what to do about each problem
+ * @param {string} id - Report container
+ * @param {object|null} report - See GameEngine.getEnvironmentReport (null hides it)
+ */
+function showMicReport(id, report) {
+  const container = document.getElementById(id);
+  if (!container) return;
+
+  container.hidden = !report;
+  if (!report) return;
+
+  container.dataset.verdict = report.verdict;
+  container.querySelector('.mic-report-verdict').textContent = MIC_VERDICTS[report.verdict];
+  container.querySelector('.mic-report-advice').replaceChildren(...report.advice.map((advice) => {
+    const item = document.createElement('li');
+    item.textContent = advice;
+    return item;
+  }));
+}
+
+/**
+ * Show which guided calibration step is running
+ * @param {string} state - CalibrationEngine state
+ */
+function showCalibrationStep(state) {
+  const steps = document.querySelectorAll('#calibration-steps li');
+  const order = Array.from(steps).map((step) => step.dataset.step);
+  const current = order.indexOf(state);
+  steps.forEach((step, index) => {
+    step.classList.toggle('active', index === current);
+    step.classList.toggle('done', current > index);
+  });
+
+  const prompt = document.getElementById('calibration-prompt');
+  if (prompt) {
+    prompt.textContent = CALIBRATION_PROMPTS[state] || '';
+    prompt.dataset.step = state;
+  }
+}
+
+/**
+ * Start calibration process with countdown
+ */
+async function startCalibration() {
+  try {
+    showScreen('calibration');
+
+    await initializeAudio();
+
     // Get UI elements
     const instruction = document.getElementById('calibration-instruction');
     const volumeFill = document.getElementById('volume-meter-fill');
@@ -112,13 +463,14 @@ async function startCalibration() {
     const samplesCounter = document.getElementById('calibration-samples');
     const progressBar = document.getElementById('calibration-progress');
 
-    // Quick countdown: 2, 1, Go!
+    showMicReport('calibration-mic-report', null);
+    let lastState = null;
+
+    // Quick countdown: 2, 1, then calibration asks for silence before singing
     instruction.textContent = 'Get ready... 2';
     await sleep(800);
     instruction.textContent = 'Get ready... 1';
     await sleep(800);
-    instruction.textContent = 'START SINGING! 🎤';
-    await sleep(400);
 
     // Run calibration with real-time visual feedback
     const calibrationResult = await gameEngine.startCalibration((state, progress, message) => {
@@ -126,19 +478,20 @@ async function startCalibration() {
       const { calibrationEngine } = gameEngine;
       const volume = calibrationEngine?.getCurrentVolume() || 0;
       const lastResult = gameEngine.pitchDetector.getLastResult();
-      const note = lastResult?.note || '--';
+      const note = lastResult?.note ? formatNoteName(lastResult.note, { unicode: true }) : '--';
       const volPct = Math.round(volume * 100);
 
       // Update volume meter (fill from right to left, so we set the "empty" portion)
       const fillWidth = Math.max(0, 100 - volPct);
       volumeFill.style.width = `${fillWidth}%`;
 
-      // Update volume percentage with color coding
+      // Update volume percentage with color coding (relative to the room's noise gate)
+      const thresholds = calibrationEngine.getThresholds();
       volumePercent.textContent = `${volPct}%`;
       volumePercent.className = 'volume-meter-value';
-      if (volPct < 2) {
+      if (volume < thresholds.pass) {
         volumePercent.classList.add('low');
-      } else if (volPct < 5) {
+      } else if (volume < thresholds.good) {
         volumePercent.classList.add('ok');
       } else {
         volumePercent.classList.add('good');
@@ -153,15 +506,22 @@ async function startCalibration() {
         currentNoteValue.textContent = '--';
       }
 
-      // Update samples counter (extract from message if available)
-      const samplesMatch = message.match(/(\d+)\/(\d+) notes/);
-      if (samplesMatch) {
-        samplesCounter.textContent = `${samplesMatch[1]} / ${samplesMatch[2]} notes`;
-      } else if (message.includes('notes detected')) {
-        const countMatch = message.match(/(\d+) notes/);
-        if (countMatch) {
-          samplesCounter.textContent = `${countMatch[1]} / 10 notes`;
+      // Range heard so far
+      const liveRange = calibrationEngine.getLiveRange?.();
+      samplesCounter.textContent = liveRange
+        ? `Range: ${midiToNoteName(liveRange.lowestMidi, { unicode: true })}`
+          + `–${midiToNoteName(liveRange.highestMidi, { unicode: true })}`
+        : 'Range: --';
+
+      // Highlight the current step and show which way to slide
+      if (state !== lastState) {
+        showCalibrationStep(state);
+
+        // The room has been heard once the singing starts
+        if (lastState === 'ambient') {
+          showMicReport('calibration-mic-report', calibrationEngine.getEnvironmentReport?.());
         }
+        lastState = state;
       }
 
       // Update progress bar
@@ -174,21 +534,215 @@ async function startCalibration() {
     });
 
     if (!calibrationResult.success) {
-      throw new Error(calibrationResult.message || 'Calibration failed');
+      const advice = calibrationResult.environment?.advice ?? [];
+      throw new Error([calibrationResult.message || 'Calibration failed', ...advice].join(' '));
     }
 
-    // Start challenge
-    showScreen('game');
-    gameEngine.startChallenge(4, 'normal');
-
-    // Setup game event listeners
-    setupGameListeners();
+    beginChallenge();
   } catch (error) {
     console.error('Failed to start challenge:', error);
     showError(`Failed to start: ${error.message}`);
   }
 }
 
+/**
+ * Get the note chosen in the practice picker
+ * @returns {string} Note name (e.g. 'F#4')
+ */
+function getPracticeNote() {
+  const key = document.querySelector('#practice-keyboard [aria-checked="true"]');
+  const octave = document.getElementById('practice-octave-select').value;
+  return `${key?.dataset.key || 'C'}${octave}`;
+}
+
+/**
+ * Show the practice target and clear the live feedback
+ * @param {string} note - Note being practised
+ */
+function showPracticeTarget(note) {
+  document.getElementById('practice-target-note').textContent = formatNoteName(note, {
+    unicode: true,
+  });
+  document.getElementById('practice-cents').textContent = '--';
+  updatePracticeHold(0);
+  updatePracticeStats();
+}
+
+/**
+ * Fill the practice hold bar
+ * @param {number} progress - Hold progress (0-1)
+ */
+function updatePracticeHold(progress) {
+  const percent = Math.round(progress * 100);
+  document.getElementById('practice-hold-fill').style.width = `${percent}%`;
+  document.getElementById('practice-hold').setAttribute('aria-valuenow', percent);
+}
+
+/**
+ * Show running statistics for the note being practised
+ */
+function updatePracticeStats() {
+  const stats = gameEngine.getPracticeStatistics();
+  if (!stats) return;
+
+  const best = stats.bestAccuracy === null ? '-' : `${stats.bestAccuracy}¢`;
+  document.getElementById('practice-stats').innerHTML = `
+    <div role="listitem">Holds: ${stats.successfulHits} / ${stats.attempts}</div>
+    <div role="listitem">Success rate: ${stats.successRate}%</div>
+    <div role="listitem">Average deviation: ${stats.averageAccuracy}¢</div>
+    <div role="listitem">Best: ${best}</div>
+  `;
+}
+
+/**
+ * Build the one-octave piano used to pick the practice note
+ */
+function buildPracticeKeyboard() {
+  const keyboard = document.getElementById('practice-keyboard');
+  if (!keyboard || keyboard.children.length > 0) return;
+
+  PRACTICE_KEYS.forEach((key, index) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = key.includes('#') ? 'practice-key black' : 'practice-key';
+    button.dataset.key = key;
+    button.setAttribute('role', 'radio');
+    button.setAttribute('aria-checked', index === 0 ? 'true' : 'false');
+    button.textContent = formatNoteName(key, { unicode: true });
+    button.addEventListener('click', () => {
+      keyboard.querySelectorAll('.practice-key').forEach((other) => {
+        other.setAttribute('aria-checked', other === button ? 'true' : 'false');
+      });
+      changePracticeNote();
+    });
+    keyboard.appendChild(button);
+  });
+}
+
+/**
+ * Practise the note now chosen in the picker, keeping the session going
+ */
+function changePracticeNote() {
+  const note = getPracticeNote();
+  if (gameEngine.setPracticeNote(note)) {
+    showPracticeTarget(note);
+    announceToScreenReader(`Now practising ${formatNoteName(note, { unicode: true })}`);
+  }
+}
+
+/**
+ * Update the practice screen from engine events (registered once)
+ */
+function setupPracticeListeners() {
+  if (practiceListenersReady) return;
+  practiceListenersReady = true;
+
+  gameEngine.on('practice-progress', ({ progress }) => {
+    updatePracticeHold(progress);
+  });
+
+  gameEngine.on('pitch-update', (data) => {
+    if (gameEngine.currentMode?.type !== 'practice') return;
+
+    const cents = document.getElementById('practice-cents');
+    const tuned = data.frequency && gameEngine.currentMode.getTargetNote() === data.note;
+    cents.classList.toggle('on-target', Boolean(tuned) && Math.abs(data.cents) <= 10);
+    if (!data.frequency || !data.note) {
+      cents.textContent = '--';
+    } else if (tuned) {
+      cents.textContent = `${data.cents > 0 ? '+' : ''}${Math.round(data.cents)}¢`;
+    } else {
+      cents.textContent = `Singing ${formatNoteName(data.note, { unicode: true })}`;
+    }
+  });
+
+  gameEngine.on('practice-note-hit', (noteData) => {
+    updatePracticeStats();
+    // A completed hold is never a miss, even if its average drifted past OK
+    const tier = accuracyTier(noteData.averageCents);
+    if (audioFeedback) audioFeedback.playNoteResult(tier === 'MISS' ? 'OK' : tier);
+
+    const note = formatNoteName(noteData.note, { unicode: true });
+    announceToScreenReader(`Held ${note}, ${Math.round(noteData.averageCents)} cents`);
+  });
+
+  gameEngine.on('practice-complete', (summary) => {
+    showScreen('practice-summary');
+    displayPracticeSummary(summary);
+    announceToScreenReader(`Practice finished. ${summary.totals.successfulHits} holds.`);
+  });
+}
+
+/**
+ * Open practice mode, starting audio first if needed
+ */
+async function startPractice() {
+  try {
+    await initializeAudio();
+    gameEngine.applyVoiceProfile();
+
+    buildPracticeKeyboard();
+    setupPracticeListeners();
+
+    const note = getPracticeNote();
+    gameEngine.startPractice(note, document.getElementById('practice-difficulty-select').value);
+    showScreen('practice');
+    showPracticeTarget(note);
+  } catch (error) {
+    console.error('Failed to start practice:', error);
+    showError(`Failed to start: ${error.message}`);
+  }
+}
+
+/**
+ * Show the end-of-practice summary
+ * @param {object} summary - Summary from PracticeMode.getSummary
+ */
+function displayPracticeSummary(summary) {
+  const { totals } = summary;
+  const minutes = Math.floor(summary.duration / 60000);
+  const seconds = Math.round((summary.duration % 60000) / 1000);
+  document.getElementById('practice-summary-stats').innerHTML = `
+    <div role="listitem">Time: ${minutes}:${String(seconds).padStart(2, '0')}</div>
+    <div role="listitem">Notes practised: ${summary.notes.length}</div>
+    <div role="listitem">Holds: ${totals.successfulHits} / ${totals.attempts}</div>
+    <div role="listitem">Success rate: ${totals.successRate}%</div>
+    <div role="listitem">Average deviation: ${totals.averageAccuracy}¢</div>
+  `;
+
+  const table = document.getElementById('practice-summary-report');
+  const body = table.querySelector('tbody');
+  body.innerHTML = '';
+  summary.notes.forEach((stats) => {
+    const row = document.createElement('tr');
+    const cells = [
+      formatNoteName(stats.targetNote, { unicode: true }),
+      `${stats.successfulHits} / ${stats.attempts}`,
+      `${stats.successRate}%`,
+      stats.successfulHits > 0 ? `${stats.averageAccuracy}¢` : '-',
+      stats.bestAccuracy === null ? '-' : `${stats.bestAccuracy}¢`,
+    ];
+    cells.forEach((text) => {
+      const cell = document.createElement('td');
+      cell.textContent = text;
+      row.appendChild(cell);
+    });
+    body.appendChild(row);
+  });
+
+  table.hidden = summary.notes.length === 0;
+}
+
+/**
+ * Tell the singer which key the challenge is in
+ * @param {{key: string, octave: number, fits: boolean}} challengeKey - From getChallengeKey
+ */
+function announceChallengeKey({ key, octave, fits }) {
+  const root = formatNoteName(`${key}${octave}`, { unicode: true });
+  const range = fits ? 'inside your range' : 'as close to your range as it goes';
+  announceToScreenReader(`Scale starts on ${root}, ${range}.`);
+}
+
 /**
  * Sleep utility
  */
@@ -200,6 +754,9 @@ function sleep(ms) {
  * Setup game event listeners
  */
 function setupGameListeners() {
+  if (gameListenersReady) return;
+  gameListenersReady = true;
+
   // Pitch updates
   gameEngine.on('pitch-update', (data) => {
     if (renderer) {
@@ -240,6 +797,19 @@ function setupGameListeners() {
     }
   });
 
+  // Attempts left at the current note
+  gameEngine.on('challenge-progress', ({ attemptsRemaining, maxAttempts }) => {
+    if (renderer) {
+      renderer.updateGameState({ attemptsRemaining, maxAttempts });
+    }
+  });
+
+  gameEngine.on('attempt-failed', ({ reason, attemptsRemaining }) => {
+    const cause = reason === 'timeout' ? 'Time is up' : 'Lost the note';
+    const left = attemptsRemaining === 1 ? '1 attempt left' : `${attemptsRemaining} attempts left`;
+    announceToScreenReader(`${cause}. ${left}.`);
+  });
+
   // Note misses
   gameEngine.on('note-miss', () => {
     if (renderer) {
@@ -268,6 +838,40 @@ function setupGameListeners() {
     announceToScreenReader(`Challenge complete! Grade: ${data.grade}`);
   });
 
+  // Microphone switched automatically after a disconnect
+  gameEngine.on('input-device-switched', (data) => {
+    if (data.fallback) {
+      announceToScreenReader('Microphone disconnected. Switched to another microphone.');
+    }
+  });
+
+  // Microphone disconnected and nothing to fall back to (game is paused)
+  gameEngine.on('input-device-lost', () => {
+    announceToScreenReader('Microphone disconnected. Reconnect it, then resume.');
+  });
+
+  // Recording is on but this browser can't capture a gapless take
+  gameEngine.on('recording-unavailable', () => {
+    announceToScreenReader("This browser can't record the challenge. Playing without recording.");
+  });
+
+  // An automatic hint played the target again
+  gameEngine.on('reference-tone', ({ note, reason }) => {
+    if (reason === 'hint') {
+      announceToScreenReader(`Hint: listen for ${formatNoteName(note, { unicode: true })}`);
+    }
+  });
+
+  // The microphone hears a reference tone at the pitch being sung
+  gameEngine.on('reference-bleed', () => {
+    announceToScreenReader("Your voice and the reference tone can't be told apart. Headphones will help.");
+  });
+
+  // The voice heard this session didn't match the saved range
+  gameEngine.on('voice-profile-stale', () => {
+    announceToScreenReader('Your voice has changed since calibration. You will recalibrate next time.');
+  });
+
   // Challenge failed
   gameEngine.on('challenge-failed', (data) => {
     showError(`Challenge failed: ${data.reason}`);
@@ -296,6 +900,104 @@ function displayResults(data) {
     <div>Max Combo: ${data.statistics.maxCombo}</div>
     <div>Accuracy: ${data.statistics.accuracy}%</div>
   `;
+
+  displayNoteReport(data.notes || []);
+  displayRecording(data.recording);
+}
+
+/**
+ * List how each note went, including the vibrato it was sung with
+ * @param {Array<object>} notes - Note results (see SessionDataExporter.recordNote)
+ */
+function displayNoteReport(notes) {
+  const table = document.getElementById('note-report');
+  if (!table) return;
+
+  const body = table.querySelector('tbody');
+  body.innerHTML = '';
+  notes.forEach((result) => {
+    const row = document.createElement('tr');
+    const centre = result.type === 'note-hit'
+      ? `${result.averageCents > 0 ? '+' : ''}${result.averageCents}¢`
+      : '-';
+    const cells = [
+      result.note ? formatNoteName(result.note, { unicode: true }) : '-',
+      result.tier,
+      centre,
+      result.vibratoRate
+        ? `${result.vibratoRate.toFixed(1)} Hz · ±${Math.round(result.vibratoExtent)}¢`
+        : 'None',
+    ];
+    cells.forEach((text) => {
+      const cell = document.createElement('td');
+      cell.textContent = text;
+      row.appendChild(cell);
+    });
+    body.appendChild(row);
+  });
+
+  table.hidden = notes.length === 0;
+}
+
+/**
+ * Offer the recorded take for playback and download
+ * @param {object|null} recording - Take from GameEngine (null when not recorded)
+ */
+function displayRecording(recording) {
+  const panel = document.getElementById('recording-panel');
+  if (!panel) return;
+
+  if (recordingUrl) {
+    URL.revokeObjectURL(recordingUrl);
+    recordingUrl = null;
+  }
+
+  const wav = recording ? gameEngine.exportRecording() : null;
+  if (!wav) {
+    panel.hidden = true;
+    return;
+  }
+
+  recordingUrl = URL.createObjectURL(wav);
+  document.getElementById('recording-player').src = recordingUrl;
+
+  const download = document.getElementById('recording-download');
+  const stamp = new Date(recording.recordedAt).toISOString().slice(0, 16).replace(/[T:]/g, '-');
+  download.href = recordingUrl;
+  download.download = `scale-climber-${stamp}.wav`;
+
+  panel.hidden = false;
+}
+
+/**
+ * Save a file to the user's downloads
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Suggested file name
+ */
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Download the pitch frames and note results of the last run
+ * @param {'csv'|'json'} format - File format
+ */
+function exportSessionData(format) {
+  const blob = gameEngine.exportSessionData(format);
+  if (!blob) {
+    announceToScreenReader('No pitch data to export yet.');
+    return;
+  }
+
+  const stamp = new Date().toISOString().slice(0, 16).replace(/[T:]/g, '-');
+  downloadBlob(blob, `scale-climber-${stamp}.${format}`);
 }
 
 /**
@@ -341,7 +1043,7 @@ function toggleHUD(visible) {
 // Button event listeners
 document.getElementById('start-button')?.addEventListener('click', () => {
   if (audioFeedback) audioFeedback.playClick();
-  showCalibrationReady();
+  startGame();
 });
 
 document.getElementById('begin-calibration-button')?.addEventListener('click', () => {
@@ -358,19 +1060,163 @@ document.getElementById('cancel-calibration-button')?.addEventListener('click',
 
 document.getElementById('practice-button')?.addEventListener('click', () => {
   if (audioFeedback) audioFeedback.playClick();
-  // eslint-disable-next-line no-console
-  console.log('Practice mode not yet implemented');
+  startPractice();
+});
+
+document.getElementById('practice-octave-select')?.addEventListener('change', () => {
+  changePracticeNote();
+});
+
+document.getElementById('practice-difficulty-select')?.addEventListener('change', (e) => {
+  gameEngine.setPracticeDifficulty(e.target.value);
+});
+
+document.getElementById('practice-tone-button')?.addEventListener('click', () => {
+  gameEngine.replayReferenceTone();
+});
+
+document.getElementById('practice-finish-button')?.addEventListener('click', () => {
+  if (audioFeedback) audioFeedback.playClick();
+  gameEngine.endPractice();
+});
+
+document.getElementById('practice-again-button')?.addEventListener('click', () => {
+  if (audioFeedback) audioFeedback.playClick();
+  startPractice();
+});
+
+document.getElementById('practice-menu-button')?.addEventListener('click', () => {
+  if (audioFeedback) audioFeedback.playClick();
+  gameEngine.stop();
+  showScreen('title-screen-layer');
+  if (titleScreenManager) titleScreenManager.startLoop();
 });
 
 document.getElementById('settings-button')?.addEventListener('click', () => {
   if (audioFeedback) audioFeedback.playClick();
-  // eslint-disable-next-line no-console
-  console.log('Settings not yet implemented');
+  showSettings('start');
+});
+
+document.getElementById('ts-settings-btn')?.addEventListener('click', () => {
+  if (audioFeedback) audioFeedback.playClick();
+  showSettings('title-screen-layer');
+});
+
+document.getElementById('settings-back-button')?.addEventListener('click', () => {
+  if (audioFeedback) audioFeedback.playClick();
+  showScreen(settingsReturnScreen);
+});
+
+document.getElementById('settings-form')?.addEventListener('submit', (e) => {
+  e.preventDefault();
+});
+
+document.getElementById('analysis-button')?.addEventListener('click', () => {
+  if (audioFeedback) audioFeedback.playClick();
+  showAnalysis('start');
+});
+
+document.getElementById('ts-analysis-btn')?.addEventListener('click', () => {
+  if (audioFeedback) audioFeedback.playClick();
+  showAnalysis('title-screen-layer');
+});
+
+document.getElementById('analysis-back-button')?.addEventListener('click', () => {
+  if (audioFeedback) audioFeedback.playClick();
+  showScreen(analysisReturnScreen);
+});
+
+document.getElementById('analysis-form')?.addEventListener('submit', async (e) => {
+  e.preventDefault();
+
+  const status = document.getElementById('analysis-status');
+  try {
+    await runAnalysis();
+  } catch (error) {
+    // Invalid root note or scale
+    status.textContent = error.message;
+  }
+});
+
+document.getElementById('reference-pitch-input')?.addEventListener('change', (e) => {
+  gameEngine.updateSettings({ referencePitch: Number(e.target.value) });
+
+  // Show the tuning actually in effect (out-of-range values are rejected)
+  e.target.value = gameEngine.getSettings().referencePitch;
+});
+
+document.getElementById('challenge-key-select')?.addEventListener('change', (e) => {
+  gameEngine.updateSettings({ challengeKey: e.target.value });
+});
+
+document.getElementById('challenge-octave-select')?.addEventListener('change', (e) => {
+  gameEngine.updateSettings({ challengeOctave: e.target.value });
+});
+
+document.getElementById('temperament-select')?.addEventListener('change', (e) => {
+  gameEngine.updateSettings({ temperament: e.target.value });
+});
+
+document.getElementById('accompaniment-select')?.addEventListener('change', (e) => {
+  gameEngine.updateSettings({ accompaniment: e.target.value });
+});
+
+document.getElementById('accompaniment-volume-input')?.addEventListener('input', (e) => {
+  gameEngine.updateSettings({ accompanimentVolume: Number(e.target.value) });
+});
+
+document.getElementById('reference-tone-checkbox')?.addEventListener('change', (e) => {
+  gameEngine.updateSettings({ showReferenceTone: e.target.checked });
+});
+
+document.getElementById('hint-delay-select')?.addEventListener('change', (e) => {
+  gameEngine.updateSettings({ hintDelay: Number(e.target.value) });
+});
+
+document.getElementById('hint-penalty-checkbox')?.addEventListener('change', (e) => {
+  gameEngine.updateSettings({ hintPenalty: e.target.checked });
+});
+
+document.getElementById('auto-calibrate-checkbox')?.addEventListener('change', (e) => {
+  gameEngine.updateSettings({ autoCalibrate: e.target.checked });
+});
+
+document.getElementById('recalibrate-button')?.addEventListener('click', () => {
+  if (audioFeedback) audioFeedback.playClick();
+  showCalibrationReady('manual');
+});
+
+document.getElementById('record-challenges-checkbox')?.addEventListener('change', (e) => {
+  gameEngine.updateSettings({ recordChallenges: e.target.checked });
+});
+
+document.getElementById('input-filtering-checkbox')?.addEventListener('change', (e) => {
+  gameEngine.updateSettings({ inputFiltering: e.target.checked });
+  describeInputFilters();
+});
+
+document.getElementById('input-device-select')?.addEventListener('change', async (e) => {
+  const status = document.getElementById('input-device-status');
+  const result = await gameEngine.selectInputDevice(e.target.value || null);
+
+  if (status) {
+    status.textContent = result.success
+      ? 'Microphone saved.'
+      : `Couldn't open that microphone (${result.error}).`;
+  }
+});
+
+document.getElementById('export-csv-button')?.addEventListener('click', () => {
+  exportSessionData('csv');
+});
+
+document.getElementById('export-json-button')?.addEventListener('click', () => {
+  exportSessionData('json');
 });
 
 document.getElementById('play-again-button')?.addEventListener('click', () => {
   if (audioFeedback) audioFeedback.playClick();
-  showCalibrationReady();
+  startGame();
 });
 
 document.getElementById('menu-button')?.addEventListener('click', () => {
@@ -388,7 +1234,7 @@ document.getElementById('error-menu-button')?.addEventListener('click', () => {
 
 document.getElementById('retry-button')?.addEventListener('click', () => {
   if (audioFeedback) audioFeedback.playClick();
-  showCalibrationReady(); // Or restart last mode
+  startGame();
 });
 
 document.getElementById('pause-button')?.addEventListener('click', () => {
@@ -448,8 +1294,8 @@ async function initializeApp() {
     };
 
     gameEngine.restart = () => {
-      // Reset game state and restart
-      showCalibrationReady();
+      // Reset game state and restart (calibrating only if the profile is stale)
+      startGame();
     };
 
     // Initialize renderer
@@ -476,7 +1322,7 @@ async function initializeApp() {
     titleScreenManager = new TitleScreenManager(gameEngine);
     titleScreenManager.init('title-screen-layer', () => {
       // Transition to Game Flow
-      showCalibrationReady();
+      startGame();
     });
 
     // eslint-disable-next-line no-console
@@ -15,6 +15,8 @@ const KEY_BINDINGS = {
   M: 'mute',
   h: 'toggleHUD',
   H: 'toggleHUD',
+  t: 'replayTone',
+  T: 'replayTone',
   1: 'octave1',
   2: 'octave2',
   3: 'octave3',
@@ -91,6 +93,12 @@ class KeyboardControls {
         break;
       }
 
+      case 'replayTone':
+        if (this.gameEngine.replayReferenceTone?.()) {
+          this.announceToScreenReader('Playing the target note');
+        }
+        break;
+
       case 'toggleHUD':
         this.hudVisible = !this.hudVisible;
         if (this.callbacks.onHUDToggle) {
@@ -194,6 +202,7 @@ class KeyboardControls {
       { key: 'R', action: 'Restart', description: 'Restart current challenge' },
       { key: 'M', action: 'Mute', description: 'Toggle audio mute' },
       { key: 'H', action: 'Toggle HUD', description: 'Show/hide game overlay' },
+      { key: 'T', action: 'Play Target', description: 'Hear the target note again (counts as a hint)' },
       { key: 'P', action: 'Practice', description: 'Start practice mode' },
       { key: '1-4', action: 'Select Octave', description: 'Quick octave selection' },
       { key: '?', action: 'Help', description: 'Show/hide this help' },
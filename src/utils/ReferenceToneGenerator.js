@@ -1,15 +1,83 @@
 /**
  * ReferenceToneGenerator
  * Plays reference tones to help users match target pitches
- * Optional guide melody feature
+ * Optional guide melody feature, plus a sustained accompaniment (tonic drone,
+ * tonic + fifth, or an I-IV-V chord pad) to sing a scale against.
+ *
+ * The accompaniment is mixed to stay out of the pitch detector's way: pure
+ * sine voices (no overtones landing on sung notes), voiced an octave or two
+ * below the exercise but no lower than small speakers reproduce, and kept at
+ * a low level on its own volume control. That still puts it inside the
+ * detector's range, so every voice is announced and the detector gates out
+ * what the microphone picks up of it (see BleedFilter).
+ *
+ * Every pitch it starts, moves or stops is announced ('tone-start' {id,
+ * frequency, duration?} with duration in ms, 'tone-change' {id, frequency},
+ * 'tone-end' {id}) so the pitch detector can tell the speakers apart from the
+ * singer. Accompaniment voices are announced once, without a duration, and
+ * chord changes move them rather than starting new tones.
  */
 
+import { noteNameToMidi, midiToFrequency } from '../audio/NoteMapper.js';
+
+// Accompaniment styles
+export const ACCOMPANIMENT_MODES = ['off', 'drone', 'drone-fifth', 'chords'];
+
+// Chord tones above the pad root (semitones); minor keys use a minor i and iv
+const PROGRESSION = {
+  major: [[0, 4, 7], [5, 9, 12], [7, 11, 14], [0, 4, 7]], // I IV V I
+  minor: [[0, 3, 7], [5, 8, 12], [7, 11, 14], [0, 3, 7]], // i iv V i
+};
+const CHORD_DURATION = 2000; // ms per chord
+
+// Where the accompaniment sits relative to the lowest sung note (semitones)
+const DRONE_OFFSET = -12; // Tonic an octave below (the fifth under it if audible)
+const CHORD_ROOT_OFFSET = -24; // Root-position chords topping out a seventh below
+const MIN_ACCOMPANIMENT_FREQUENCY = 100; // ~G2 - laptop and phone speakers lose lower
+
+const ACCOMPANIMENT_FADE = 0.5; // Seconds to fade in/out
+const DEFAULT_ACCOMPANIMENT_VOLUME = 0.25;
+
+/**
+ * Move a pitch up by octaves until small speakers can reproduce it
+ * @param {number} midi - MIDI number
+ * @returns {number} MIDI number
+ */
+function raiseToAudible(midi) {
+  let raised = midi;
+  while (midiToFrequency(raised) < MIN_ACCOMPANIMENT_FREQUENCY) {
+    raised += 12;
+  }
+  return raised;
+}
+
+/**
+ * Check whether a scale is in a minor key (minor third above the tonic, no major third)
+ * @param {number[]} midis - Scale notes as MIDI numbers, tonic first
+ * @returns {boolean}
+ */
+function isMinorScale(midis) {
+  const degrees = midis.map((midi) => (((midi - midis[0]) % 12) + 12) % 12);
+  return degrees.includes(3) && !degrees.includes(4);
+}
+
 class ReferenceToneGenerator {
   constructor() {
     this.audioContext = null;
     this.enabled = false;
     this.volume = 0.3;
     this.oscillatorType = 'sine'; // sine, square, sawtooth, triangle
+
+    // Accompaniment (independent of reference tones and sound effects)
+    this.accompanimentVolume = DEFAULT_ACCOMPANIMENT_VOLUME;
+    this.accompanimentGain = null;
+    this.accompanimentVoices = [];
+    this.accompanimentTimer = null;
+    this.chordIndex = 0;
+
+    // Event listeners ('tone-start', 'tone-change', 'tone-end')
+    this.listeners = new Map();
+    this.toneCount = 0;
   }
 
   /**
@@ -68,6 +136,7 @@ class ReferenceToneGenerator {
 
       oscillator.start(now);
       oscillator.stop(now + durationSeconds);
+      this.announceTone(frequency, duration);
 
       // Clean up after playback
       oscillator.addEventListener('ended', () => {
@@ -80,7 +149,7 @@ class ReferenceToneGenerator {
   }
 
   /**
-   * Play note by name (e.g., 'C4', 'A#5')
+   * Play note by name (e.g., 'C4', 'A#5', 'B♭3')
    * @param {string} noteName - Note name with octave
    * @param {number} duration - Duration in milliseconds
    */
@@ -112,42 +181,17 @@ class ReferenceToneGenerator {
   }
 
   /**
-   * Convert note name to frequency
-   * @param {string} noteName - Note name (e.g., 'C4', 'A#5')
-   * @returns {number} Frequency in Hz
+   * Convert note name to frequency (follows the configured concert pitch)
+   * @param {string} noteName - Note name (e.g., 'C4', 'A#5', 'Eb3', 'F♯4')
+   * @returns {number|null} Frequency in Hz, or null if the name is invalid
    */
   noteToFrequency(noteName) {
-    const notePattern = /^([A-G])([#b]?)(\d)$/;
-    const match = noteName.match(notePattern);
-
-    if (!match) {
+    try {
+      return midiToFrequency(noteNameToMidi(noteName));
+    } catch (err) {
       console.warn(`Invalid note name: ${noteName}`);
       return null;
     }
-
-    const [, note, accidental, octave] = match;
-
-    // A4 = 440Hz reference
-    const A4 = 440;
-    const noteOffsets = {
-      C: -9,
-      D: -7,
-      E: -5,
-      F: -4,
-      G: -2,
-      A: 0,
-      B: 2,
-    };
-
-    let semitones = noteOffsets[note];
-    if (accidental === '#') semitones += 1;
-    if (accidental === 'b') semitones -= 1;
-
-    // Add octave offset (A4 is octave 4)
-    semitones += (parseInt(octave, 10) - 4) * 12;
-
-    // Calculate frequency: f = A4 * 2^(semitones/12)
-    return A4 * 2 ** (semitones / 12);
   }
 
   /**
@@ -215,6 +259,234 @@ class ReferenceToneGenerator {
     }
   }
 
+  /**
+   * Start a sustained accompaniment under an exercise
+   * Restarts if one is already playing.
+   * @param {string[]} notes - Notes of the exercise (scale order; the first is the tonic)
+   * @param {{mode?: string}} options - 'drone' (tonic), 'drone-fifth' or 'chords' (I-IV-V)
+   * @returns {boolean} Whether anything is playing
+   */
+  startAccompaniment(notes, { mode = 'drone' } = {}) {
+    this.stopAccompaniment(0);
+    if (mode === 'off' || !notes || notes.length === 0) return false;
+    if (!ACCOMPANIMENT_MODES.includes(mode)) {
+      console.warn(`Unknown accompaniment mode: ${mode}`);
+      return false;
+    }
+
+    if (!this.audioContext) this.initialize();
+    if (!this.audioContext) return false;
+
+    let midis;
+    try {
+      midis = notes.map((note) => noteNameToMidi(note));
+    } catch (err) {
+      console.warn('Invalid accompaniment notes:', err);
+      return false;
+    }
+
+    const tonic = midis[0];
+    const lowest = Math.min(...midis);
+    const below = (offset) => lowest + offset - ((((lowest + offset - tonic) % 12) + 12) % 12);
+
+    // Chord/drone pitches as MIDI numbers, one array per step
+    let steps;
+    if (mode === 'chords') {
+      const root = raiseToAudible(below(CHORD_ROOT_OFFSET));
+      steps = PROGRESSION[isMinorScale(midis) ? 'minor' : 'major']
+        .map((chord) => chord.map((interval) => root + interval));
+    } else {
+      const root = raiseToAudible(below(DRONE_OFFSET));
+      steps = [mode === 'drone-fifth' ? [root, raiseToAudible(root - 5)] : [root]];
+    }
+
+    try {
+      if (this.audioContext.state === 'suspended') {
+        this.audioContext.resume();
+      }
+
+      const now = this.audioContext.currentTime;
+      this.accompanimentGain = this.audioContext.createGain();
+      this.accompanimentGain.gain.setValueAtTime(0, now);
+      this.accompanimentGain.gain.linearRampToValueAtTime(
+        this.accompanimentVolume,
+        now + ACCOMPANIMENT_FADE,
+      );
+      this.accompanimentGain.connect(this.audioContext.destination);
+
+      // Equal share per voice so chords aren't louder than a drone
+      const voiceLevel = 1 / steps[0].length;
+      this.accompanimentVoices = steps[0].map((midi) => {
+        const oscillator = this.audioContext.createOscillator();
+        const gainNode = this.audioContext.createGain();
+        oscillator.type = 'sine';
+        oscillator.frequency.setValueAtTime(midiToFrequency(midi), now);
+        gainNode.gain.setValueAtTime(voiceLevel, now);
+        oscillator.connect(gainNode);
+        gainNode.connect(this.accompanimentGain);
+        oscillator.start(now);
+        return {
+          oscillator,
+          gainNode,
+          frequency: midiToFrequency(midi),
+          toneId: this.announceTone(midiToFrequency(midi)),
+        };
+      });
+    } catch (err) {
+      console.warn('Failed to start accompaniment:', err);
+      this.stopAccompaniment(0);
+      return false;
+    }
+
+    if (steps.length > 1) {
+      this.chordIndex = 0;
+      this.accompanimentTimer = setInterval(() => {
+        this.chordIndex = (this.chordIndex + 1) % steps.length;
+        this.setChord(steps[this.chordIndex]);
+      }, CHORD_DURATION);
+    }
+
+    return true;
+  }
+
+  /**
+   * Move the accompaniment voices to a new chord
+   * @param {number[]} chord - MIDI numbers, one per voice
+   */
+  setChord(chord) {
+    const now = this.audioContext.currentTime;
+    this.accompanimentVoices = this.accompanimentVoices.map((voice, i) => {
+      const frequency = midiToFrequency(chord[i]);
+      voice.oscillator.frequency.setValueAtTime(frequency, now);
+      this.emit('tone-change', { id: voice.toneId, frequency });
+      return { ...voice, frequency };
+    });
+  }
+
+  /**
+   * Stop the accompaniment
+   * @param {number} fade - Fade-out in seconds
+   */
+  stopAccompaniment(fade = ACCOMPANIMENT_FADE) {
+    if (this.accompanimentTimer) {
+      clearInterval(this.accompanimentTimer);
+      this.accompanimentTimer = null;
+    }
+
+    if (!this.accompanimentGain) return;
+
+    const gain = this.accompanimentGain;
+    const voices = this.accompanimentVoices;
+    this.accompanimentGain = null;
+    this.accompanimentVoices = [];
+    voices.forEach(({ toneId }) => this.emit('tone-end', { id: toneId }));
+
+    try {
+      const now = this.audioContext.currentTime;
+      gain.gain.setValueAtTime(this.accompanimentVolume, now);
+      gain.gain.linearRampToValueAtTime(0, now + fade);
+      voices.forEach(({ oscillator }) => oscillator.stop(now + fade));
+    } catch (err) {
+      console.warn('Failed to stop accompaniment:', err);
+    }
+
+    setTimeout(() => {
+      voices.forEach(({ oscillator, gainNode }) => {
+        oscillator.disconnect();
+        gainNode.disconnect();
+      });
+      gain.disconnect();
+    }, fade * 1000);
+  }
+
+  /**
+   * Check if the accompaniment is playing
+   * @returns {boolean}
+   */
+  isAccompanimentPlaying() {
+    return this.accompanimentVoices.length > 0;
+  }
+
+  /**
+   * Set accompaniment volume (independent of reference tones and effects)
+   * @param {number} volume - Volume level (0-1)
+   */
+  setAccompanimentVolume(volume) {
+    this.accompanimentVolume = Math.max(0, Math.min(1, volume));
+
+    if (this.accompanimentGain) {
+      const now = this.audioContext.currentTime;
+      this.accompanimentGain.gain.setValueAtTime(this.accompanimentVolume, now);
+    }
+  }
+
+  /**
+   * Get accompaniment volume
+   * @returns {number} Current volume (0-1)
+   */
+  getAccompanimentVolume() {
+    return this.accompanimentVolume;
+  }
+
+  /**
+   * Announce a pitch that has started sounding
+   * @param {number} frequency - Frequency in Hz
+   * @param {number} [duration] - Milliseconds (omit for tones stopped with 'tone-end')
+   * @returns {string} Tone id
+   */
+  announceTone(frequency, duration) {
+    this.toneCount++;
+    const id = `tone-${this.toneCount}`;
+    this.emit('tone-start', duration === undefined
+      ? { id, frequency }
+      : { id, frequency, duration });
+    return id;
+  }
+
+  /**
+   * Event emitter - register listener
+   * @param {string} event - Event name
+   * @param {Function} callback - Callback function
+   */
+  on(event, callback) {
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, []);
+    }
+    this.listeners.get(event).push(callback);
+  }
+
+  /**
+   * Event emitter - remove listener
+   * @param {string} event - Event name
+   * @param {Function} callback - Callback function
+   */
+  off(event, callback) {
+    if (!this.listeners.has(event)) return;
+
+    const callbacks = this.listeners.get(event);
+    const index = callbacks.indexOf(callback);
+    if (index > -1) {
+      callbacks.splice(index, 1);
+    }
+  }
+
+  /**
+   * Event emitter - emit event
+   * @param {string} event - Event name
+   * @param {*} data - Event data
+   */
+  emit(event, data) {
+    if (!this.listeners.has(event)) return;
+
+    this.listeners.get(event).forEach((callback) => {
+      try {
+        callback(data);
+      } catch (error) {
+        console.error(`Error in event listener for ${event}:`, error);
+      }
+    });
+  }
+
   /**
    * Delay helper
    * @param {number} ms - Milliseconds to delay
@@ -228,6 +500,8 @@ class ReferenceToneGenerator {
    * Clean up resources
    */
   destroy() {
+    this.stopAccompaniment(0);
+
     if (this.audioContext) {
       this.audioContext.close();
       this.audioContext = null;
@@ -0,0 +1,138 @@
+/**
+ * WavEncoder
+ * Encodes mono samples as a 16-bit PCM WAV file. Markers are written as cue
+ * points with labels (`cue ` chunk plus a LIST/adtl chunk), which audio
+ * editors such as Audacity, Reaper and Sound Forge show as named markers.
+ */
+
+const BITS_PER_SAMPLE = 16;
+const BYTES_PER_SAMPLE = BITS_PER_SAMPLE / 8;
+const CUE_POINT_SIZE = 24;
+
+/**
+ * Write a four-character chunk id
+ * @param {DataView} view
+ * @param {number} offset
+ * @param {string} id
+ */
+function writeFourCC(view, offset, id) {
+  for (let i = 0; i < 4; i++) {
+    view.setUint8(offset + i, id.charCodeAt(i));
+  }
+}
+
+/**
+ * Encode a label as null-terminated text (non-ASCII replaced with '?')
+ * @param {string} label
+ * @returns {Uint8Array}
+ */
+function encodeLabel(label) {
+  const text = String(label);
+  const bytes = new Uint8Array(text.length + 1);
+  for (let i = 0; i < text.length; i++) {
+    const code = text.charCodeAt(i);
+    bytes[i] = code < 128 ? code : 63;
+  }
+  return bytes;
+}
+
+/**
+ * Encode samples as a WAV file
+ * @param {Float32Array} samples - Mono samples in [-1, 1]
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {Array<{time: number, label: string}>} markers - Cue points (seconds)
+ * @returns {ArrayBuffer}
+ */
+export function encodeWav(samples, sampleRate, markers = []) {
+  const dataSize = samples.length * BYTES_PER_SAMPLE;
+
+  // Cue points, clamped to the audio
+  const cues = markers.map((marker, i) => ({
+    id: i + 1,
+    position: Math.min(samples.length, Math.max(0, Math.round(marker.time * sampleRate))),
+    label: encodeLabel(marker.label),
+  }));
+  const cueSize = cues.length > 0 ? 8 + 4 + cues.length * CUE_POINT_SIZE : 0;
+
+  // Each labl sub-chunk is padded to an even length
+  const labelSizes = cues.map((cue) => 4 + cue.label.length);
+  const listSize = cues.length > 0
+    ? 8 + 4 + labelSizes.reduce((sum, size) => sum + 8 + size + (size % 2), 0)
+    : 0;
+
+  const buffer = new ArrayBuffer(44 + dataSize + cueSize + listSize);
+  const view = new DataView(buffer);
+
+  // RIFF header
+  writeFourCC(view, 0, 'RIFF');
+  view.setUint32(4, buffer.byteLength - 8, true);
+  writeFourCC(view, 8, 'WAVE');
+
+  // Format: PCM, mono
+  writeFourCC(view, 12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true);
+  view.setUint16(22, 1, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * BYTES_PER_SAMPLE, true);
+  view.setUint16(32, BYTES_PER_SAMPLE, true);
+  view.setUint16(34, BITS_PER_SAMPLE, true);
+
+  // Samples
+  writeFourCC(view, 36, 'data');
+  view.setUint32(40, dataSize, true);
+  let offset = 44;
+  for (let i = 0; i < samples.length; i++) {
+    const sample = Math.max(-1, Math.min(1, samples[i]));
+    view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7FFF, true);
+    offset += BYTES_PER_SAMPLE;
+  }
+
+  if (cues.length === 0) return buffer;
+
+  // Cue points
+  writeFourCC(view, offset, 'cue ');
+  view.setUint32(offset + 4, cueSize - 8, true);
+  view.setUint32(offset + 8, cues.length, true);
+  offset += 12;
+  cues.forEach((cue) => {
+    view.setUint32(offset, cue.id, true);
+    view.setUint32(offset + 4, cue.position, true);
+    writeFourCC(view, offset + 8, 'data');
+    view.setUint32(offset + 12, 0, true); // Chunk start
+    view.setUint32(offset + 16, 0, true); // Block start
+    view.setUint32(offset + 20, cue.position, true);
+    offset += CUE_POINT_SIZE;
+  });
+
+  // Cue labels
+  writeFourCC(view, offset, 'LIST');
+  view.setUint32(offset + 4, listSize - 8, true);
+  writeFourCC(view, offset + 8, 'adtl');
+  offset += 12;
+  cues.forEach((cue, i) => {
+    writeFourCC(view, offset, 'labl');
+    view.setUint32(offset + 4, labelSizes[i], true);
+    view.setUint32(offset + 8, cue.id, true);
+    new Uint8Array(buffer, offset + 12, cue.label.length).set(cue.label);
+    offset += 8 + labelSizes[i] + (labelSizes[i] % 2);
+  });
+
+  return buffer;
+}
+
+/**
+ * Encode samples as a WAV Blob (for playback or download)
+ * @param {Float32Array} samples - Mono samples in [-1, 1]
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {Array<{time: number, label: string}>} markers - Cue points (seconds)
+ * @returns {Blob}
+ */
+export function createWavBlob(samples, sampleRate, markers = []) {
+  return new Blob([encodeWav(samples, sampleRate, markers)], { type: 'audio/wav' });
+}
+
+export default {
+  encodeWav,
+  createWavBlob,
+};
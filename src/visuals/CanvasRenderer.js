@@ -28,6 +28,8 @@ class CanvasRenderer {
       score: 0,
       combo: 0,
       noteResult: null, // PERFECT, GREAT, OK, MISS
+      attemptsRemaining: null, // At the current note (challenge only)
+      maxAttempts: null,
     };
 
     // Setup
@@ -259,6 +261,16 @@ class CanvasRenderer {
       );
     }
 
+    // Attempts left at the current note
+    if (this.gameState.attemptsRemaining !== null) {
+      this.ctx.fillStyle = this.gameState.attemptsRemaining === 1 ? '#E74C3C' : '#2C3E50';
+      this.ctx.fillText(
+        `Attempts: ${this.gameState.attemptsRemaining}/${this.gameState.maxAttempts}`,
+        padding,
+        padding + fontSize * 3 + 20,
+      );
+    }
+
     // Performance stats (top right)
     const stats = this.performanceMonitor.getStatistics();
     this.ctx.textAlign = 'right';
@@ -4,12 +4,15 @@
  * Shows target note, current pitch, and cent deviation
  */
 
+import { formatNoteName } from '../audio/NoteMapper.js';
+
 class PitchMeter {
   constructor() {
     this.targetNote = null;
     this.currentFrequency = null;
     this.centDeviation = 0;
     this.confidence = 0;
+    this.tuning = null; // Temperament the cents are measured against
 
     this.width = 300;
     this.height = 80;
@@ -30,6 +33,7 @@ class PitchMeter {
       this.currentFrequency = state.pitchData.frequency;
       this.centDeviation = state.pitchData.cents || 0;
       this.confidence = state.pitchData.confidence || 0;
+      this.tuning = state.pitchData.tuning || null;
     }
   }
 
@@ -61,7 +65,17 @@ class PitchMeter {
       ctx.fillStyle = '#2C3E50';
       ctx.font = 'bold 18px sans-serif';
       ctx.textAlign = 'center';
-      ctx.fillText(`Target: ${this.targetNote}`, this.width / 2, 25);
+      const target = formatNoteName(this.targetNote, { unicode: true });
+      ctx.fillText(`Target: ${target}`, this.width / 2, 25);
+    }
+
+    // Temperament label (equal temperament is the unlabelled default)
+    const tuningLabel = this.getTuningLabel();
+    if (tuningLabel) {
+      ctx.fillStyle = '#7F8C8D';
+      ctx.font = '11px sans-serif';
+      ctx.textAlign = 'right';
+      ctx.fillText(tuningLabel, this.width - 8, 16);
     }
 
     // Cent deviation meter
@@ -75,6 +89,18 @@ class PitchMeter {
     ctx.restore();
   }
 
+  /**
+   * Short label for a non-equal temperament, e.g. "Just · C"
+   * @returns {string|null}
+   */
+  getTuningLabel() {
+    if (!this.tuning || this.tuning.temperament === 'equal') return null;
+
+    const { temperament, tonic } = this.tuning;
+    const name = temperament.charAt(0).toUpperCase() + temperament.slice(1);
+    return `${name} · ${tonic}`;
+  }
+
   /**
    * Render cent deviation meter
    * @param {CanvasRenderingContext2D} ctx - Canvas context
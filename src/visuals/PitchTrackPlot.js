@@ -0,0 +1,130 @@
+/**
+ * PitchTrackPlot
+ * Draws an analysed recording: detected pitch over time against the target
+ * notes of a scale, with the stretches that scored highlighted
+ */
+
+import { frequencyToMidi, noteNameToMidi, formatNoteName } from '../audio/NoteMapper.js';
+
+const PADDING = {
+  top: 16,
+  right: 16,
+  bottom: 28,
+  left: 48,
+};
+const MIN_SEMITONE_SPAN = 12;
+
+class PitchTrackPlot {
+  constructor() {
+    this.track = [];
+    this.scale = [];
+    this.notes = [];
+  }
+
+  /**
+   * Set what to draw
+   * @param {{track: Array, scale?: string[], notes?: Array}} data - Pitch track
+   *   from AudioFileAnalyzer, and scale/notes from PitchTrackScorer
+   */
+  setData({ track, scale = [], notes = [] }) {
+    this.track = track || [];
+    this.scale = scale;
+    this.notes = notes;
+  }
+
+  /**
+   * Work out the pitch range to show (MIDI, fractional)
+   * @returns {{low: number, high: number}}
+   */
+  getPitchRange() {
+    const pitches = this.scale.map((note) => noteNameToMidi(note));
+    this.track.forEach((frame) => {
+      if (frame.frequency) pitches.push(frequencyToMidi(frame.frequency));
+    });
+
+    if (pitches.length === 0) return { low: 60, high: 72 };
+
+    let low = Math.floor(Math.min(...pitches)) - 1;
+    let high = Math.ceil(Math.max(...pitches)) + 1;
+
+    // Keep a short take from being stretched across the whole plot
+    const missing = MIN_SEMITONE_SPAN - (high - low);
+    if (missing > 0) {
+      low -= Math.floor(missing / 2);
+      high += Math.ceil(missing / 2);
+    }
+
+    return { low, high };
+  }
+
+  /**
+   * Render the plot
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   * @param {number} width - Canvas width
+   * @param {number} height - Canvas height
+   */
+  render(ctx, width, height) {
+    const plotWidth = width - PADDING.left - PADDING.right;
+    const plotHeight = height - PADDING.top - PADDING.bottom;
+    const duration = this.track.length > 0 ? this.track[this.track.length - 1].time : 1;
+    const { low, high } = this.getPitchRange();
+
+    const toX = (time) => PADDING.left + (time / duration) * plotWidth;
+    const toY = (midi) => PADDING.top + ((high - midi) / (high - low)) * plotHeight;
+
+    ctx.save();
+
+    // Background
+    ctx.fillStyle = '#1A2433';
+    ctx.fillRect(0, 0, width, height);
+
+    // Time axis (one tick per second, or fewer on long takes)
+    const tickStep = Math.max(1, Math.ceil(duration / 10));
+    ctx.fillStyle = '#95A5A6';
+    ctx.font = '11px sans-serif';
+    ctx.textAlign = 'center';
+    for (let t = 0; t <= duration; t += tickStep) {
+      ctx.fillText(`${t}s`, toX(t), height - 8);
+    }
+
+    // Target notes
+    const targets = [...new Set(this.scale)];
+    ctx.textAlign = 'right';
+    targets.forEach((note) => {
+      const y = toY(noteNameToMidi(note));
+      ctx.strokeStyle = 'rgba(236, 240, 241, 0.25)';
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      ctx.moveTo(PADDING.left, y);
+      ctx.lineTo(width - PADDING.right, y);
+      ctx.stroke();
+
+      ctx.fillStyle = '#ECF0F1';
+      ctx.fillText(formatNoteName(note, { unicode: true }), PADDING.left - 6, y + 4);
+    });
+
+    // Holds that scored
+    const hits = this.notes.filter((note) => note.hit);
+    ctx.fillStyle = 'rgba(46, 204, 113, 0.25)';
+    hits.forEach((note) => {
+      const y = toY(noteNameToMidi(note.note));
+      const x = toX(note.startTime);
+      ctx.fillRect(x, y - 6, Math.max(2, toX(note.endTime) - x), 12);
+    });
+
+    // Detected pitch
+    this.track.forEach((frame) => {
+      if (!frame.frequency) return;
+
+      const inHold = hits.some((note) => frame.time >= note.startTime
+        && frame.time <= note.endTime);
+      ctx.globalAlpha = Math.max(0.3, frame.confidence);
+      ctx.fillStyle = inHold ? '#2ECC71' : '#5DADE2';
+      ctx.fillRect(toX(frame.time) - 1, toY(frequencyToMidi(frame.frequency)) - 1, 2, 2);
+    });
+
+    ctx.restore();
+  }
+}
+
+export default PitchTrackPlot;
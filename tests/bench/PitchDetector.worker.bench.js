@@ -0,0 +1,61 @@
+/**
+ * Benchmark: direct O(N²) vs FFT O(N log N) difference functions
+ * Run with `npm run bench`
+ */
+import { bench, describe } from 'vitest';
+import {
+  differenceFunction,
+  differenceFunctionFFT,
+  normalizedSquareDifference,
+  normalizedSquareDifferenceFFT,
+} from '../../src/audio/PitchDetector.worker.js';
+
+const SAMPLE_RATE = 44100;
+const BUFFER_SIZES = [1024, 2048, 4096];
+
+const generators = {
+  sine: (frequency, i) => Math.sin((2 * Math.PI * frequency * i) / SAMPLE_RATE),
+  sawtooth: (frequency, i) => 2 * (((i * frequency) / SAMPLE_RATE) % 1) - 1,
+};
+
+/**
+ * Build a synthetic test buffer
+ * @param {'sine'|'sawtooth'} shape - Waveform
+ * @param {number} frequency - Frequency in Hz
+ * @param {number} size - Buffer length
+ * @returns {Float32Array}
+ */
+function createBuffer(shape, frequency, size) {
+  const buffer = new Float32Array(size);
+  for (let i = 0; i < size; i++) {
+    buffer[i] = 0.5 * generators[shape](frequency, i);
+  }
+  return buffer;
+}
+
+Object.keys(generators).forEach((shape) => {
+  BUFFER_SIZES.forEach((size) => {
+    // 98 Hz (G2) - a bass note that needs the larger windows
+    const buffer = createBuffer(shape, 98, size);
+
+    describe(`YIN difference function - ${shape}, ${size} samples`, () => {
+      bench('direct', () => {
+        differenceFunction(buffer);
+      });
+
+      bench('fft', () => {
+        differenceFunctionFFT(buffer);
+      });
+    });
+
+    describe(`MPM NSDF - ${shape}, ${size} samples`, () => {
+      bench('direct', () => {
+        normalizedSquareDifference(buffer);
+      });
+
+      bench('fft', () => {
+        normalizedSquareDifferenceFFT(buffer);
+      });
+    });
+  });
+});
@@ -36,6 +36,15 @@ beforeAll(() => {
         disconnect: vi.fn(),
       }));
 
+      this.createBiquadFilter = vi.fn(() => ({
+        type: 'lowpass',
+        frequency: { value: 350, setValueAtTime: vi.fn() },
+        Q: { value: 1, setValueAtTime: vi.fn() },
+        gain: { value: 0, setValueAtTime: vi.fn() },
+        connect: vi.fn(),
+        disconnect: vi.fn(),
+      }));
+
       this.createMediaStreamSource = vi.fn(() => ({
         connect: vi.fn(),
         disconnect: vi.fn(),
@@ -126,6 +126,346 @@ describe('AudioContextManager', () => {
       expect(volume).toBeLessThanOrEqual(1);
       expect(typeof volume).toBe('number');
     });
+
+    it('should resize the analysis window', () => {
+      expect(manager.setBufferSize(4096)).toBe(true);
+
+      expect(manager.getAudioData().length).toBe(4096);
+    });
+  });
+
+  describe('Continuous Capture', () => {
+    let workletNode;
+
+    /**
+     * Replace AudioContext with one exposing an audioWorklet
+     * @param {Function} addModule - Mock for audioWorklet.addModule
+     */
+    function stubAudioWorklet(addModule) {
+      const BaseContext = window.AudioContext;
+      vi.stubGlobal('AudioContext', class extends BaseContext {
+        constructor() {
+          super();
+          this.audioWorklet = { addModule };
+        }
+      });
+    }
+
+    beforeEach(() => {
+      stubAudioWorklet(vi.fn(async () => {}));
+      vi.stubGlobal('AudioWorkletNode', vi.fn(() => {
+        workletNode = {
+          port: { postMessage: vi.fn(), onmessage: null },
+          connect: vi.fn(),
+          disconnect: vi.fn(),
+        };
+        return workletNode;
+      }));
+    });
+
+    afterEach(() => {
+      vi.unstubAllGlobals();
+    });
+
+    /**
+     * Deliver a block of samples as the capture worklet would
+     * @param {number} length - Block length
+     * @param {number} value - Sample value
+     */
+    function postSamples(length, value) {
+      workletNode.port.onmessage({ data: { type: 'samples', samples: new Float32Array(length).fill(value) } });
+    }
+
+    it('should use the worklet when AudioWorklet is supported', async () => {
+      const result = await manager.initialize({ hopSize: 256 });
+
+      expect(result.captureMode).toBe('worklet');
+      expect(manager.context.audioWorklet.addModule).toHaveBeenCalled();
+      expect(AudioWorkletNode).toHaveBeenCalledWith(
+        manager.context,
+        'capture-processor',
+        expect.objectContaining({ processorOptions: { hopSize: 256 } }),
+      );
+    });
+
+    it('should fall back to the analyser when AudioWorklet is missing', async () => {
+      vi.unstubAllGlobals();
+
+      const result = await manager.initialize();
+
+      expect(result.success).toBe(true);
+      expect(result.captureMode).toBe('analyser');
+      expect(manager.getAudioData().length).toBe(manager.analyser.fftSize);
+    });
+
+    it('should fall back to the analyser when the module fails to load', async () => {
+      const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      stubAudioWorklet(vi.fn(async () => { throw new Error('blocked'); }));
+
+      const result = await manager.initialize();
+
+      expect(result.captureMode).toBe('analyser');
+      expect(warnSpy).toHaveBeenCalled();
+      warnSpy.mockRestore();
+    });
+
+    it('should emit one frame per hop once a full window is captured', async () => {
+      await manager.initialize({ hopSize: 512 });
+      const onFrame = vi.fn();
+      manager.on('audio-frame', onFrame);
+
+      // 2048-sample window needs four hops
+      for (let i = 0; i < 3; i++) postSamples(512, 0.1);
+      expect(onFrame).not.toHaveBeenCalled();
+
+      postSamples(512, 0.2);
+      postSamples(512, 0.3);
+
+      expect(onFrame).toHaveBeenCalledTimes(2);
+      const { buffer } = onFrame.mock.calls[1][0];
+      expect(buffer.length).toBe(2048);
+      expect(buffer[0]).toBeCloseTo(0.1);
+      expect(buffer[2047]).toBeCloseTo(0.3);
+    });
+
+    it('should read audio data from the ring buffer', async () => {
+      await manager.initialize();
+      postSamples(512, 0.25);
+
+      const data = manager.getAudioData();
+
+      expect(data.length).toBe(manager.analyser.fftSize);
+      expect(data[0]).toBe(0);
+      expect(data[data.length - 1]).toBeCloseTo(0.25);
+    });
+
+    it('should forward hop size changes to the worklet', async () => {
+      await manager.initialize();
+
+      expect(manager.setHopSize(1024)).toBe(true);
+      expect(workletNode.port.postMessage).toHaveBeenCalledWith({
+        type: 'set-hop-size',
+        data: { hopSize: 1024 },
+      });
+    });
+
+    it('should record captured samples until stopped', async () => {
+      await manager.initialize({ hopSize: 512 });
+      postSamples(512, 0.1);
+
+      expect(manager.startRecording()).toEqual({ success: true });
+      postSamples(512, 0.2);
+      manager.recorder.addMarker('C4 PERFECT');
+      postSamples(512, 0.3);
+
+      const take = manager.stopRecording();
+      postSamples(512, 0.4);
+
+      expect(take.samples).toHaveLength(1024);
+      expect(take.samples[0]).toBeCloseTo(0.2);
+      expect(take.samples[1023]).toBeCloseTo(0.3);
+      expect(take.sampleRate).toBe(manager.context.sampleRate);
+      expect(take.markers).toEqual([
+        { time: 512 / manager.context.sampleRate, label: 'C4 PERFECT' },
+      ]);
+      expect(manager.stopRecording()).toBeNull();
+    });
+
+    it('should not record without worklet capture', async () => {
+      vi.unstubAllGlobals();
+      await manager.initialize();
+
+      expect(manager.startRecording()).toEqual({
+        success: false,
+        error: 'RECORDING_UNSUPPORTED',
+      });
+    });
+
+    it('should disconnect the worklet on destroy', async () => {
+      await manager.initialize();
+      const node = workletNode;
+
+      await manager.destroy();
+
+      expect(node.disconnect).toHaveBeenCalled();
+      expect(manager.captureNode).toBeNull();
+      expect(manager.captureMode).toBe('analyser');
+    });
+  });
+
+  describe('Input Devices', () => {
+    const devices = [
+      {
+        kind: 'audioinput', deviceId: 'default', label: 'Default', groupId: 'a',
+      },
+      {
+        kind: 'audioinput', deviceId: 'usb', label: '', groupId: 'b',
+      },
+      {
+        kind: 'videooutput', deviceId: 'cam', label: 'Camera', groupId: 'c',
+      },
+    ];
+
+    beforeEach(() => {
+      navigator.mediaDevices.enumerateDevices = vi.fn(async () => devices);
+    });
+
+    afterEach(() => {
+      delete navigator.mediaDevices.enumerateDevices;
+    });
+
+    /**
+     * Capture the 'ended' handler registered on the current stream's track
+     * @returns {Function}
+     */
+    function endedHandler() {
+      const [track] = manager.stream.getTracks();
+      return track.addEventListener.mock.calls.find(([event]) => event === 'ended')[1];
+    }
+
+    it('should list only audio inputs', async () => {
+      const inputs = await manager.listInputDevices();
+
+      expect(inputs.map((device) => device.deviceId)).toEqual(['default', 'usb']);
+      expect(inputs[1].label).toBe('Microphone 2');
+    });
+
+    it('should request the chosen device', async () => {
+      await manager.initialize({ deviceId: 'usb' });
+
+      expect(navigator.mediaDevices.getUserMedia).toHaveBeenCalledWith({
+        audio: expect.objectContaining({ deviceId: { exact: 'usb' } }),
+      });
+    });
+
+    it('should fall back to the default device when the remembered one is gone', async () => {
+      const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      const originalGetUserMedia = navigator.mediaDevices.getUserMedia;
+      navigator.mediaDevices.getUserMedia = vi.fn((constraints) => {
+        if (constraints.audio.deviceId) {
+          const error = new Error('Not found');
+          error.name = 'OverconstrainedError';
+          return Promise.reject(error);
+        }
+        return originalGetUserMedia(constraints);
+      });
+
+      const result = await manager.initialize({ deviceId: 'unplugged' });
+
+      expect(result.success).toBe(true);
+      expect(navigator.mediaDevices.getUserMedia).toHaveBeenCalledTimes(2);
+
+      navigator.mediaDevices.getUserMedia = originalGetUserMedia;
+      warnSpy.mockRestore();
+    });
+
+    it('should swap the source without rebuilding the graph', async () => {
+      await manager.initialize({ continuous: false });
+      const { analyser, gainNode, source: oldSource } = manager;
+      const [oldTrack] = manager.stream.getTracks();
+      const onSwitched = vi.fn();
+      manager.on('device-switched', onSwitched);
+
+      const result = await manager.selectInputDevice('usb');
+
+      expect(result.success).toBe(true);
+      expect(manager.analyser).toBe(analyser);
+      expect(manager.gainNode).toBe(gainNode);
+      expect(manager.source).not.toBe(oldSource);
+      expect(manager.source.connect).toHaveBeenCalledWith(gainNode);
+      expect(oldSource.disconnect).toHaveBeenCalled();
+      expect(oldTrack.stop).toHaveBeenCalled();
+      expect(onSwitched).toHaveBeenCalledWith(expect.objectContaining({ fallback: false }));
+    });
+
+    it('should report errors when switching fails', async () => {
+      await manager.initialize();
+      const originalGetUserMedia = navigator.mediaDevices.getUserMedia;
+      navigator.mediaDevices.getUserMedia = vi.fn(() => {
+        const error = new Error('Busy');
+        error.name = 'NotReadableError';
+        return Promise.reject(error);
+      });
+
+      const result = await manager.selectInputDevice('usb');
+
+      expect(result).toEqual({ success: false, error: 'DEVICE_IN_USE' });
+      navigator.mediaDevices.getUserMedia = originalGetUserMedia;
+    });
+
+    it('should not switch before initialization', async () => {
+      const result = await manager.selectInputDevice('usb');
+
+      expect(result.error).toBe('NOT_INITIALIZED');
+    });
+
+    it('should fall back to another device when the current one disconnects', async () => {
+      await manager.initialize();
+      const onDisconnected = vi.fn();
+      const onSwitched = vi.fn();
+      manager.on('device-disconnected', onDisconnected);
+      manager.on('device-switched', onSwitched);
+
+      await endedHandler()();
+      await vi.waitFor(() => expect(onSwitched).toHaveBeenCalled());
+
+      expect(onDisconnected).toHaveBeenCalled();
+      expect(onSwitched).toHaveBeenCalledWith(expect.objectContaining({
+        deviceId: null,
+        fallback: true,
+      }));
+    });
+
+    it('should emit device-lost when no other device is available', async () => {
+      navigator.mediaDevices.enumerateDevices = vi.fn(async () => []);
+      await manager.initialize();
+      const onLost = vi.fn();
+      manager.on('device-lost', onLost);
+
+      endedHandler()();
+      await vi.waitFor(() => expect(onLost).toHaveBeenCalled());
+    });
+
+    it('should not fall back when disabled', async () => {
+      await manager.initialize({ autoFallback: false });
+      const onSwitched = vi.fn();
+      manager.on('device-switched', onSwitched);
+
+      endedHandler()();
+      await Promise.resolve();
+
+      expect(onSwitched).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Input Filters', () => {
+    it('should filter the signal between the gain and the analyser', async () => {
+      await manager.initialize({ continuous: false, filters: { mainsFrequency: 50 } });
+
+      expect(manager.gainNode.connect).toHaveBeenCalledWith(manager.inputFilters.input);
+      expect(manager.inputFilters.output.connect).toHaveBeenCalledWith(manager.analyser);
+      expect(manager.getInputFilters()).toEqual({
+        enabled: true, highPassFrequency: 70, mainsFrequency: 50,
+      });
+    });
+
+    it('should reconfigure the filters while running', async () => {
+      await manager.initialize({ continuous: false });
+      const { analyser } = manager;
+      const onChanged = vi.fn();
+      manager.on('input-filters-changed', onChanged);
+
+      const applied = manager.setInputFilters({ enabled: false });
+
+      expect(applied.enabled).toBe(false);
+      expect(onChanged).toHaveBeenCalledWith(applied);
+      expect(manager.analyser).toBe(analyser);
+    });
+
+    it('should have no filters before initialization', () => {
+      expect(manager.setInputFilters({ enabled: false })).toBeNull();
+      expect(manager.getInputFilters()).toBeNull();
+    });
   });
 
   describe('State Management', () => {
@@ -171,6 +511,21 @@ describe('AudioContextManager', () => {
       // If no error thrown, test passes
     });
 
+    it('should announce the tone so its bleed can be ignored', async () => {
+      const onStart = vi.fn();
+      const onEnd = vi.fn();
+      manager.on('tone-start', onStart);
+      manager.on('tone-end', onEnd);
+
+      await manager.playReferenceTone(330, 0.5);
+
+      expect(onStart).toHaveBeenCalledWith(expect.objectContaining({
+        frequency: 330,
+        duration: 500,
+      }));
+      expect(onEnd).toHaveBeenCalledWith({ id: onStart.mock.calls[0][0].id });
+    });
+
     it('should throw error if not initialized', async () => {
       const uninitializedManager = new AudioContextManager();
       AudioContextManager.instance = null;
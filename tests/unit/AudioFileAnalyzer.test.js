@@ -0,0 +1,199 @@
+import {
+  describe, it, expect, beforeEach, afterEach, vi,
+} from 'vitest';
+import AudioFileAnalyzer from '../../src/audio/AudioFileAnalyzer.js';
+import { applyConfig, analyzeSamples } from '../../src/audio/PitchDetector.worker.js';
+
+const SAMPLE_RATE = 44100;
+
+/**
+ * Stub OfflineAudioContext: "decodes" any buffer to a tone of the given length
+ * @param {number} seconds - Decoded duration
+ * @param {number} frequency - Tone frequency in Hz
+ * @returns {Function} Mock constructor (instances recorded in .instances)
+ */
+function stubOfflineAudioContext(seconds, frequency = 440) {
+  const instances = [];
+
+  const MockOfflineAudioContext = vi.fn(function MockContext(channels, length, sampleRate) {
+    this.length = length;
+    this.sampleRate = sampleRate;
+    this.destination = {};
+    this.decodeAudioData = vi.fn((encoded) => (encoded.byteLength > 0
+      ? Promise.resolve({ duration: seconds, numberOfChannels: 2 })
+      : Promise.reject(new Error('EncodingError'))));
+    this.createBufferSource = vi.fn(() => ({ connect: vi.fn(), start: vi.fn() }));
+    this.startRendering = vi.fn(() => {
+      const data = new Float32Array(length);
+      for (let i = 0; i < length; i++) {
+        data[i] = 0.5 * Math.sin((2 * Math.PI * frequency * i) / sampleRate);
+      }
+      return Promise.resolve({ getChannelData: () => data });
+    });
+    instances.push(this);
+  });
+  MockOfflineAudioContext.instances = instances;
+
+  vi.stubGlobal('OfflineAudioContext', MockOfflineAudioContext);
+  return MockOfflineAudioContext;
+}
+
+/**
+ * Stub Worker that runs the real worker functions on the main thread
+ * @param {'ready'|'silent'|'error'} start - How the worker answers 'init'
+ */
+function stubWorker(start = 'ready') {
+  vi.stubGlobal('Worker', class {
+    postMessage({ type, id, data }) {
+      if (start === 'silent') return;
+      setTimeout(() => {
+        if (start === 'error') {
+          this.onerror({ message: 'boom' });
+        } else if (type === 'init') {
+          applyConfig(data);
+          this.onmessage({ data: { type: 'initialized' } });
+        } else if (type === 'analyze') {
+          const track = analyzeSamples(data.samples, {
+            ...data,
+            onProgress: (progress) => {
+              this.onmessage({ data: { type: 'analysis-progress', id, data: { progress } } });
+            },
+          });
+          this.onmessage({ data: { type: 'analysis-complete', id, data: { track } } });
+        }
+      }, 0);
+    }
+
+    terminate() {
+      this.terminated = true;
+    }
+  });
+}
+
+describe('AudioFileAnalyzer', () => {
+  let analyzer;
+
+  beforeEach(() => {
+    stubWorker();
+    analyzer = new AudioFileAnalyzer();
+  });
+
+  afterEach(() => {
+    analyzer.destroy();
+    vi.unstubAllGlobals();
+    applyConfig({ sampleRate: SAMPLE_RATE, algorithm: 'yin' });
+  });
+
+  it('should report unsupported browsers', async () => {
+    vi.stubGlobal('OfflineAudioContext', undefined);
+
+    const result = await analyzer.analyze(new ArrayBuffer(8));
+
+    expect(result).toEqual({ success: false, error: 'OFFLINE_AUDIO_UNSUPPORTED' });
+  });
+
+  it('should decode to mono at the analysis sample rate', async () => {
+    const MockContext = stubOfflineAudioContext(0.5);
+
+    const samples = await analyzer.decode(new ArrayBuffer(8));
+
+    const renderer = MockContext.instances[1];
+    expect(MockContext).toHaveBeenLastCalledWith(1, SAMPLE_RATE / 2, SAMPLE_RATE);
+    expect(renderer.createBufferSource).toHaveBeenCalled();
+    expect(samples).toHaveLength(SAMPLE_RATE / 2);
+  });
+
+  it('should read Blobs', async () => {
+    stubOfflineAudioContext(0.1);
+    const blob = { arrayBuffer: vi.fn(() => Promise.resolve(new ArrayBuffer(8))) };
+
+    await analyzer.decode(blob);
+
+    expect(blob.arrayBuffer).toHaveBeenCalled();
+  });
+
+  it('should return a time-stamped pitch track', async () => {
+    stubOfflineAudioContext(0.5);
+    const onProgress = vi.fn();
+
+    const result = await analyzer.analyze(new ArrayBuffer(8), { onProgress });
+
+    expect(result.success).toBe(true);
+    expect(result.duration).toBeCloseTo(0.5, 3);
+    expect(result.hopSize).toBe(512);
+    expect(result.track.length).toBeGreaterThan(30);
+
+    const frame = result.track[10];
+    expect(frame.time).toBeCloseTo((10 * 512 + 1024) / SAMPLE_RATE, 6);
+    expect(frame.frequency).toBeCloseTo(440, 0);
+    expect(frame.note).toBe('A4');
+    expect(Math.abs(frame.cents)).toBeLessThan(5);
+    expect(frame.confidence).toBeGreaterThan(0.9);
+    expect(frame.volume).toBeGreaterThan(0);
+    expect(onProgress).toHaveBeenLastCalledWith(1);
+  });
+
+  it('should name notes with the given spelling', async () => {
+    stubOfflineAudioContext(0.2, 466.16);
+
+    const result = await analyzer.analyze(new ArrayBuffer(8), { spelling: { key: 'Bb' } });
+
+    expect(result.track[5].note).toBe('Bb4');
+  });
+
+  it('should report files that cannot be decoded', async () => {
+    stubOfflineAudioContext(0.5);
+    const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const result = await analyzer.analyze(new ArrayBuffer(0));
+
+    expect(result).toEqual({ success: false, error: 'DECODE_FAILED' });
+    warnSpy.mockRestore();
+  });
+
+  it('should start the worker only once', async () => {
+    stubOfflineAudioContext(0.1);
+
+    await analyzer.analyze(new ArrayBuffer(8));
+    const { worker } = analyzer;
+    await analyzer.analyze(new ArrayBuffer(8));
+
+    expect(analyzer.worker).toBe(worker);
+  });
+
+  it('should start a fresh worker after one fails to initialise', async () => {
+    stubOfflineAudioContext(0.1);
+    const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.useFakeTimers();
+    stubWorker('silent');
+
+    const pending = analyzer.analyze(new ArrayBuffer(8));
+    await vi.advanceTimersByTimeAsync(0);
+    const { worker } = analyzer;
+    await vi.advanceTimersByTimeAsync(5000);
+
+    expect(await pending).toEqual({ success: false, error: 'ANALYSIS_FAILED' });
+    expect(worker.terminated).toBe(true);
+    expect(analyzer.workerReady).toBeNull();
+
+    vi.useRealTimers();
+    stubWorker();
+    const retry = await analyzer.analyze(new ArrayBuffer(8));
+
+    expect(retry.success).toBe(true);
+    errorSpy.mockRestore();
+  });
+
+  it('should drop a worker that errors', async () => {
+    stubOfflineAudioContext(0.1);
+    const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+    stubWorker('error');
+
+    const result = await analyzer.analyze(new ArrayBuffer(8));
+
+    expect(result).toEqual({ success: false, error: 'ANALYSIS_FAILED' });
+    expect(analyzer.worker).toBeNull();
+    expect(analyzer.workerReady).toBeNull();
+    errorSpy.mockRestore();
+  });
+});
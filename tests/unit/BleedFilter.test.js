@@ -0,0 +1,158 @@
+import {
+  describe, it, expect, beforeEach,
+} from 'vitest';
+import BleedFilter from '../../src/audio/BleedFilter.js';
+
+describe('BleedFilter', () => {
+  let filter;
+  let now;
+
+  /**
+   * Run a detection through the filter
+   * @param {number|null} frequency
+   * @param {number} volume
+   * @returns {object}
+   */
+  const detect = (frequency, volume = 0.05) => filter.process({
+    frequency, volume, confidence: 0.9,
+  });
+
+  beforeEach(() => {
+    now = 0;
+    filter = new BleedFilter({ clock: () => now });
+  });
+
+  it('should pass detections through when nothing is playing', () => {
+    const result = detect(440);
+
+    expect(result.frequency).toBe(440);
+    expect(result.bleed).toBeNull();
+  });
+
+  it('should suppress the tone as it starts', () => {
+    filter.addTone({ id: 'a', frequency: 440, duration: 1000 });
+    now = 100;
+
+    const result = detect(442, 0.04);
+
+    expect(result.frequency).toBeNull();
+    expect(result.confidence).toBe(0);
+    expect(result.bleed).toBe('suppressed');
+  });
+
+  it('should treat octave errors of the tone as bleed', () => {
+    filter.addTone({ id: 'a', frequency: 220, duration: 1000 });
+    now = 100;
+
+    expect(detect(440).bleed).toBe('suppressed');
+    expect(detect(110).bleed).toBe('suppressed');
+  });
+
+  it('should keep the tonic sung an octave over a drone', () => {
+    filter.addTone({ id: 'drone', frequency: 130.81 }); // C3, until removed
+
+    // From the drone's first moments and at any level
+    now = 100;
+    expect(detect(261.63, 0.01)).toEqual(expect.objectContaining({
+      frequency: 261.63, bleed: null,
+    }));
+    now = 2000;
+    expect(detect(261.63, 0.01).bleed).toBeNull();
+    expect(detect(65.41, 0.01).bleed).toBeNull();
+  });
+
+  it('should not relearn a sustained tone when it moves', () => {
+    filter.addTone({ id: 'pad', frequency: 440 });
+    now = 100;
+    detect(440, 0.02);
+
+    now = 2000;
+    filter.updateTone('pad', 330);
+    now = 2100;
+
+    // Past the learning window of the pad, a voice on the new pitch is kept
+    expect(detect(330, 0.1)).toEqual(expect.objectContaining({ frequency: 330, bleed: null }));
+    expect(detect(330, 0.02).bleed).toBe('suppressed');
+    expect(detect(440, 0.02).bleed).toBeNull();
+  });
+
+  it('should keep detections at other pitches while a tone plays', () => {
+    filter.addTone({ id: 'a', frequency: 440, duration: 1000 });
+    now = 100;
+
+    const result = detect(330);
+
+    expect(result.frequency).toBe(330);
+    expect(result.bleed).toBeNull();
+  });
+
+  it('should gate later frames by the learned bleed level', () => {
+    filter.addTone({ id: 'a', frequency: 440, duration: 2000 });
+    now = 100;
+    detect(440, 0.02);
+
+    now = 500;
+    expect(detect(440, 0.025).bleed).toBe('suppressed');
+    expect(detect(440, 0.05).bleed).toBe('ambiguous');
+
+    const voice = detect(440, 0.2);
+    expect(voice.frequency).toBe(440);
+    expect(voice.bleed).toBeNull();
+  });
+
+  it('should keep singing when the tone was never heard', () => {
+    filter.addTone({ id: 'a', frequency: 440, duration: 2000 });
+
+    now = 500;
+    const result = detect(440, 0.01);
+
+    expect(result.frequency).toBe(440);
+    expect(result.bleed).toBeNull();
+  });
+
+  it('should report ambiguity when the tone starts on the sung pitch', () => {
+    detect(440, 0.1);
+    now = 50;
+    filter.addTone({ id: 'a', frequency: 440, duration: 1000 });
+    now = 100;
+
+    const result = detect(440, 0.1);
+
+    expect(result.frequency).toBe(440);
+    expect(result.bleed).toBe('ambiguous');
+  });
+
+  it('should gate the echo briefly after a tone is removed', () => {
+    filter.addTone({ id: 'a', frequency: 440 });
+    now = 100;
+    detect(440, 0.02);
+
+    filter.removeTone('a');
+    now = 200;
+    expect(detect(440, 0.02).bleed).toBe('suppressed');
+
+    now = 400;
+    expect(detect(440, 0.02).bleed).toBeNull();
+    expect(filter.hasActiveTones()).toBe(false);
+  });
+
+  it('should expire tones after their duration', () => {
+    filter.addTone({ id: 'a', frequency: 440, duration: 500 });
+    expect(filter.hasActiveTones()).toBe(true);
+
+    now = 700;
+    expect(filter.hasActiveTones()).toBe(false);
+  });
+
+  it('should ignore tones without a frequency', () => {
+    filter.addTone({ id: 'a', frequency: 0 });
+
+    expect(filter.hasActiveTones()).toBe(false);
+  });
+
+  it('should leave silent frames alone', () => {
+    filter.addTone({ id: 'a', frequency: 440, duration: 1000 });
+
+    expect(detect(null, 0)).toEqual(expect.objectContaining({ frequency: null, bleed: null }));
+  });
+});
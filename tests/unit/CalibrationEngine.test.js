@@ -0,0 +1,261 @@
+import {
+  describe, it, expect, beforeEach, afterEach, vi,
+} from 'vitest';
+import CalibrationEngine, {
+  findRangeCluster,
+  getTessitura,
+} from '../../src/audio/CalibrationEngine.js';
+import { midiToFrequency } from '../../src/audio/NoteMapper.js';
+
+/**
+ * Repeat a MIDI note
+ * @param {number} midi
+ * @param {number} count
+ * @returns {number[]}
+ */
+const repeat = (midi, count) => Array(count).fill(midi);
+
+describe('findRangeCluster', () => {
+  it('should return null without readings', () => {
+    expect(findRangeCluster([])).toBeNull();
+  });
+
+  it('should drop semitones heard for a single frame', () => {
+    const range = findRangeCluster([...repeat(57, 5), ...repeat(60, 5), 62, 55]);
+
+    expect(range.lowestMidi).toBe(57);
+    expect(range.highestMidi).toBe(60);
+  });
+
+  it('should reject clusters separated from the voice', () => {
+    // An octave error above a slide from G3 to C4
+    const range = findRangeCluster([
+      ...repeat(55, 4), ...repeat(57, 4), ...repeat(59, 4), ...repeat(60, 6), ...repeat(72, 3),
+    ]);
+
+    expect(range).toEqual({
+      lowestMidi: 55, highestMidi: 60, modeMidi: 60, sampleCount: 18,
+    });
+  });
+
+  it('should bin fractional readings to the nearest semitone', () => {
+    const range = findRangeCluster([59.8, 60.2, 60.4, 63.6, 64.1]);
+
+    expect(range.lowestMidi).toBe(60);
+    expect(range.highestMidi).toBe(64);
+  });
+
+  it('should fall back to every reading when all are single frames', () => {
+    const range = findRangeCluster([50, 52, 54]);
+
+    expect(range.lowestMidi).toBe(50);
+    expect(range.highestMidi).toBe(54);
+  });
+});
+
+describe('getTessitura', () => {
+  it('should centre the zone on the comfortable note', () => {
+    expect(getTessitura({ lowestMidi: 40, highestMidi: 80 }, 60)).toEqual({
+      lowestMidi: 53, highestMidi: 67, centreMidi: 60,
+    });
+  });
+
+  it('should keep off the edges of the range', () => {
+    expect(getTessitura({ lowestMidi: 55, highestMidi: 80 }, 58)).toEqual({
+      lowestMidi: 57, highestMidi: 65, centreMidi: 58,
+    });
+  });
+
+  it('should always contain the comfortable note', () => {
+    const tessitura = getTessitura({ lowestMidi: 59, highestMidi: 61 }, 60);
+
+    expect(tessitura.lowestMidi).toBe(60);
+    expect(tessitura.highestMidi).toBe(60);
+  });
+});
+
+describe('CalibrationEngine', () => {
+  let engine;
+  let detector;
+  let frames;
+
+  /**
+   * Build a detector that sings a scripted MIDI note per calibration phase
+   * @param {object} script - Phase name -> function of the frame index
+   *   returning a MIDI note (or null for silence)
+   * @returns {object}
+   */
+  const createDetector = (script) => ({
+    detect: vi.fn(async () => {
+      const phase = engine.getState();
+      frames[phase] = (frames[phase] || 0) + 1;
+      const midi = script[phase] ? script[phase](frames[phase] - 1) : null;
+      return midi === null
+        ? {
+          frequency: null, note: null, confidence: 0, volume: 0.001,
+        }
+        : {
+          frequency: midiToFrequency(midi), note: null, confidence: 0.9, volume: 0.1,
+        };
+    }),
+    getVolumeGate: () => 0.005,
+    getNoiseFloor: () => 0.001,
+  });
+
+  /**
+   * Run a calibration to completion
+   * @returns {Promise<object>}
+   */
+  const calibrate = async () => {
+    const promise = engine.start(() => {});
+    await vi.runAllTimersAsync();
+    return promise;
+  };
+
+  // Slides down from C4 to A2, up to C5 (with an octave error), holds F3
+  const singer = {
+    volume_test: () => 60,
+    slide_down: (i) => Math.max(45, 60 - Math.floor(i / 2)),
+    slide_up: (i) => (i === 10 || i === 11 ? 96 : Math.min(72, 55 + Math.floor(i / 2))),
+    sustain: () => 53,
+  };
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    frames = {};
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  it('should measure the full range and tessitura over the guided phases', async () => {
+    detector = createDetector(singer);
+    engine = new CalibrationEngine(detector);
+
+    const result = await calibrate();
+
+    expect(result.success).toBe(true);
+    expect(result.lowestMidi).toBe(45);
+    expect(result.highestMidi).toBe(72);
+    expect(result.lowestNote).toBe('A2');
+    expect(result.highestNote).toBe('C5');
+    expect(result.tessitura).toEqual(expect.objectContaining({
+      lowestMidi: 47, highestMidi: 60, centreMidi: 53,
+    }));
+    expect(result.voiceType).toBe('Baritone');
+    expect(result.rejectedSamples).toBe(2);
+    expect(result.noiseFloor).toBe(0.001);
+  });
+
+  it('should run the phases in order', async () => {
+    detector = createDetector(singer);
+    engine = new CalibrationEngine(detector);
+    const states = [];
+
+    const promise = engine.start((state) => {
+      if (states[states.length - 1] !== state) states.push(state);
+    });
+    await vi.runAllTimersAsync();
+    await promise;
+
+    expect(states).toEqual([
+      'ambient', 'volume_test', 'slide_down', 'slide_up', 'sustain', 'analysis', 'complete',
+    ]);
+  });
+
+  it('should end a slide once the singer stops reaching further', async () => {
+    detector = createDetector(singer);
+    engine = new CalibrationEngine(detector);
+
+    await calibrate();
+
+    // 7 s at 50 ms per frame would be 140 frames
+    expect(frames.slide_down).toBeLessThan(100);
+  });
+
+  it('should report the phase that went unheard', async () => {
+    detector = createDetector({ ...singer, slide_up: () => null });
+    engine = new CalibrationEngine(detector);
+
+    const result = await calibrate();
+
+    expect(result).toEqual(expect.objectContaining({
+      success: false, error: 'INSUFFICIENT_DATA', phase: 'slide_up',
+    }));
+  });
+
+  it('should fail the volume test when nothing is sung', async () => {
+    detector = createDetector({});
+    engine = new CalibrationEngine(detector);
+
+    const result = await calibrate();
+
+    expect(result.success).toBe(false);
+    expect(result.error).toBe('VOLUME_TOO_LOW');
+  });
+
+  describe('Environment check', () => {
+    /**
+     * Raw audio: a little room noise in the ambient phase, a loud tone otherwise
+     * @param {number} noise - Peak of the room noise
+     * @returns {{getAudioData: Function, getSampleRate: Function}}
+     */
+    const createAudioSource = (noise) => ({
+      getAudioData: () => Float32Array.from({ length: 2048 }, (_, i) => (
+        engine.getState() === 'ambient'
+          ? noise * Math.sin(i * 1.7) * Math.cos(i * 0.31)
+          : 0.2 * Math.sin((2 * Math.PI * 220 * i) / 44100)
+      )),
+      getSampleRate: () => 44100,
+    });
+
+    it('should return the mic quality report with the result', async () => {
+      detector = createDetector(singer);
+      engine = new CalibrationEngine(detector, createAudioSource(0.001));
+
+      const result = await calibrate();
+
+      expect(result.environment.verdict).toBe('pass');
+      expect(result.environment.snrDb).toBeGreaterThan(20);
+    });
+
+    it('should report a noisy room even when calibration fails', async () => {
+      detector = createDetector({ ...singer, slide_down: () => null });
+      engine = new CalibrationEngine(detector, createAudioSource(0.05));
+
+      const result = await calibrate();
+
+      expect(result.error).toBe('INSUFFICIENT_DATA');
+      expect(result.environment.verdict).toBe('fail');
+      expect(result.environment.advice.length).toBeGreaterThan(0);
+    });
+
+    it('should leave the report out without raw audio', async () => {
+      detector = createDetector(singer);
+      engine = new CalibrationEngine(detector);
+
+      const result = await calibrate();
+
+      expect(result.success).toBe(true);
+      expect(result.environment).toBeNull();
+    });
+  });
+
+  it('should report the live range without outliers while singing', async () => {
+    detector = createDetector(singer);
+    engine = new CalibrationEngine(detector);
+    let liveRange = null;
+
+    const promise = engine.start((state) => {
+      if (state === 'sustain') liveRange = engine.getLiveRange();
+    });
+    await vi.runAllTimersAsync();
+    await promise;
+
+    expect(liveRange.lowestMidi).toBe(45);
+    expect(liveRange.highestMidi).toBe(72);
+  });
+});
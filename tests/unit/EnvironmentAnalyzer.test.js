@@ -0,0 +1,157 @@
+import { describe, it, expect } from 'vitest';
+import EnvironmentAnalyzer, {
+  measureTonePower,
+  measureHum,
+  countClippedSamples,
+} from '../../src/audio/EnvironmentAnalyzer.js';
+
+const SAMPLE_RATE = 44100;
+const FRAME_SIZE = 2048;
+
+/**
+ * One analysis window of a sum of sines plus deterministic noise
+ * @param {{tones?: Array<{frequency: number, amplitude: number}>, noise?: number, start?: number}} options -
+ *   Noise is the peak of a uniform pseudo-random signal; start offsets the
+ *   window (in samples) so frames differ
+ * @returns {Float32Array}
+ */
+function frame({ tones = [], noise = 0, start = 0 } = {}) {
+  const samples = new Float32Array(FRAME_SIZE);
+  let seed = start + 1;
+  for (let i = 0; i < FRAME_SIZE; i++) {
+    const t = (start + i) / SAMPLE_RATE;
+    seed = (seed * 16807) % 2147483647;
+    let value = noise * ((seed / 2147483647) * 2 - 1);
+    tones.forEach(({ frequency, amplitude }) => {
+      value += amplitude * Math.sin(2 * Math.PI * frequency * t);
+    });
+    samples[i] = value;
+  }
+  return samples;
+}
+
+/**
+ * Feed frames of silence and singing to an analyzer
+ * @param {object} ambient - frame() options for the room
+ * @param {object|null} signal - frame() options for the singing
+ * @returns {object} Report
+ */
+function check(ambient, signal = null) {
+  const analyzer = new EnvironmentAnalyzer({ sampleRate: SAMPLE_RATE });
+  for (let i = 0; i < 20; i++) {
+    analyzer.addAmbientFrame(frame({ ...ambient, start: i * FRAME_SIZE }));
+  }
+  if (signal) {
+    for (let i = 0; i < 20; i++) {
+      analyzer.addSignalFrame(frame({ ...signal, start: i * FRAME_SIZE }));
+    }
+  }
+  return analyzer.getReport();
+}
+
+// A voice at A3 and a reasonably quiet room
+const VOICE = { tones: [{ frequency: 220, amplitude: 0.1 }] };
+const QUIET_ROOM = { noise: 0.001 };
+
+describe('EnvironmentAnalyzer', () => {
+  describe('measureTonePower', () => {
+    it('should measure the power of a sine', () => {
+      const samples = frame({ tones: [{ frequency: 441, amplitude: 0.5 }] });
+
+      expect(measureTonePower(samples, 441, SAMPLE_RATE)).toBeCloseTo(0.125, 2);
+    });
+
+    it('should ignore other frequencies', () => {
+      const samples = frame({ tones: [{ frequency: 441, amplitude: 0.5 }] });
+
+      expect(measureTonePower(samples, 1000, SAMPLE_RATE)).toBeLessThan(0.001);
+    });
+  });
+
+  describe('measureHum', () => {
+    it('should tell 50 Hz from 60 Hz mains', () => {
+      const fifty = measureHum(frame({
+        tones: [{ frequency: 50, amplitude: 0.01 }, { frequency: 150, amplitude: 0.005 }],
+      }), SAMPLE_RATE);
+      const sixty = measureHum(frame({
+        tones: [{ frequency: 60, amplitude: 0.01 }, { frequency: 180, amplitude: 0.005 }],
+      }), SAMPLE_RATE);
+
+      expect(fifty[50]).toBeGreaterThan(fifty[60]);
+      expect(sixty[60]).toBeGreaterThan(sixty[50]);
+    });
+  });
+
+  describe('countClippedSamples', () => {
+    it('should count samples at full scale', () => {
+      expect(countClippedSamples(new Float32Array([0, 1, -1, 0.5, 0.9995]))).toBe(3);
+    });
+  });
+
+  describe('getReport', () => {
+    it('should pass a quiet room with clear singing', () => {
+      const report = check(QUIET_ROOM, VOICE);
+
+      expect(report.verdict).toBe('pass');
+      expect(report.issues).toEqual([]);
+      expect(report.advice).toEqual([]);
+      expect(report.snrDb).toBeGreaterThan(30);
+      expect(report.hum.frequency).toBeNull();
+    });
+
+    it('should fail a loud room', () => {
+      const report = check({ noise: 0.03 }, VOICE);
+
+      expect(report.verdict).toBe('fail');
+      expect(report.issues.map((issue) => issue.code)).toContain('NOISY_ROOM');
+      expect(report.ambientDb).toBeGreaterThan(-42);
+    });
+
+    it('should find mains hum and its frequency', () => {
+      const report = check({
+        noise: 0.0005,
+        tones: [{ frequency: 60, amplitude: 0.004 }, { frequency: 120, amplitude: 0.002 }],
+      }, VOICE);
+
+      expect(report.hum.frequency).toBe(60);
+      expect(report.issues).toContainEqual(expect.objectContaining({
+        code: 'MAINS_HUM', severity: 'warn',
+      }));
+      expect(report.advice.join(' ')).toContain('60 Hz');
+      expect(report.verdict).toBe('warn');
+    });
+
+    it('should warn when the voice is barely above the room', () => {
+      const report = check({ noise: 0.002 }, { tones: [{ frequency: 220, amplitude: 0.01 }] });
+
+      expect(report.snrDb).toBeLessThan(20);
+      expect(report.issues.map((issue) => issue.code)).toContain('LOW_SNR');
+    });
+
+    it('should fail an overloading microphone', () => {
+      const report = check(QUIET_ROOM, { tones: [{ frequency: 220, amplitude: 2 }] });
+
+      expect(report.clippingRatio).toBeGreaterThan(0.02);
+      expect(report.issues).toContainEqual(expect.objectContaining({
+        code: 'CLIPPING', severity: 'fail',
+      }));
+      expect(report.verdict).toBe('fail');
+    });
+
+    it('should leave the signal-to-noise ratio unknown before any singing', () => {
+      const report = check(QUIET_ROOM);
+
+      expect(report.ambientDb).not.toBeNull();
+      expect(report.snrDb).toBeNull();
+    });
+
+    it('should report nothing measured before any frames', () => {
+      const analyzer = new EnvironmentAnalyzer();
+
+      expect(analyzer.hasData()).toBe(false);
+      expect(analyzer.getReport()).toEqual(expect.objectContaining({
+        verdict: 'pass', ambientDb: null, snrDb: null, hum: { frequency: null, levelDb: null },
+      }));
+    });
+  });
+});
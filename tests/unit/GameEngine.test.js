@@ -2,6 +2,9 @@ import {
   describe, it, expect, beforeEach, afterEach, vi,
 } from 'vitest';
 import GameEngine from '../../src/game/GameEngine.js';
+import AudioFileAnalyzer from '../../src/audio/AudioFileAnalyzer.js';
+import SessionRecorder from '../../src/audio/SessionRecorder.js';
+import { getReferenceFrequency } from '../../src/audio/NoteMapper.js';
 
 // Mock audio components
 vi.mock('../../src/audio/AudioContextManager.js', () => ({
@@ -10,6 +13,15 @@ vi.mock('../../src/audio/AudioContextManager.js', () => ({
       initialize: vi.fn(async () => ({ success: true })),
       destroy: vi.fn(async () => {}),
       getContext: vi.fn(() => ({})),
+      on: vi.fn(),
+      off: vi.fn(),
+      isInitialized: true,
+      deviceId: 'built-in',
+      listInputDevices: vi.fn(async () => [
+        { deviceId: 'built-in', label: 'Built-in Microphone' },
+        { deviceId: 'usb', label: 'USB Microphone' },
+      ]),
+      selectInputDevice: vi.fn(async (deviceId) => ({ success: true, deviceId })),
     })),
   },
 }));
@@ -137,6 +149,82 @@ describe('GameEngine', () => {
     });
   });
 
+  describe('Input Devices', () => {
+    beforeEach(async () => {
+      await gameEngine.initialize();
+    });
+
+    /**
+     * Fire an audio manager event through the handler GameEngine registered
+     * @param {string} event - Event name
+     * @param {*} data - Event data
+     */
+    function emitAudioEvent(event, data) {
+      const call = gameEngine.audioManager.on.mock.calls.find(([name]) => name === event);
+      return call[1](data);
+    }
+
+    it('should open the remembered microphone', async () => {
+      gameEngine.updateSettings({ inputDeviceId: 'usb' });
+      await gameEngine.initialize();
+
+      expect(gameEngine.audioManager.initialize).toHaveBeenCalledWith(
+        expect.objectContaining({ deviceId: 'usb' }),
+      );
+    });
+
+    it('should switch microphone and remember the choice', async () => {
+      const result = await gameEngine.selectInputDevice('usb');
+
+      expect(result.success).toBe(true);
+      expect(gameEngine.audioManager.selectInputDevice).toHaveBeenCalledWith('usb');
+      expect(gameEngine.stateRecovery.loadSettings().inputDeviceId).toBe('usb');
+    });
+
+    it('should not remember a microphone that failed to open', async () => {
+      gameEngine.updateSettings({ inputDeviceId: null });
+      gameEngine.audioManager.selectInputDevice.mockResolvedValueOnce({
+        success: false,
+        error: 'DEVICE_IN_USE',
+      });
+
+      const result = await gameEngine.selectInputDevice('usb');
+
+      expect(result.success).toBe(false);
+      expect(gameEngine.getSettings().inputDeviceId).toBeNull();
+    });
+
+    it('should reset detector state when the microphone changes', () => {
+      gameEngine.pitchDetector.resetNoiseFloor = vi.fn();
+      gameEngine.pitchDetector.resetTracking = vi.fn();
+      const onSwitched = vi.fn();
+      gameEngine.on('input-device-switched', onSwitched);
+
+      emitAudioEvent('device-switched', { deviceId: 'usb', fallback: true });
+
+      expect(gameEngine.pitchDetector.resetNoiseFloor).toHaveBeenCalled();
+      expect(gameEngine.pitchDetector.resetTracking).toHaveBeenCalled();
+      expect(onSwitched).toHaveBeenCalledWith({ deviceId: 'usb', fallback: true });
+    });
+
+    it('should pause the challenge when no microphone is left', () => {
+      gameEngine.startChallenge(4, 'normal');
+      vi.advanceTimersByTime(4000);
+
+      emitAudioEvent('device-lost', { deviceId: 'usb' });
+
+      expect(gameEngine.getState()).toBe('paused');
+    });
+
+    it('should switch back to the remembered microphone when it reappears', async () => {
+      gameEngine.updateSettings({ inputDeviceId: 'usb' });
+
+      await emitAudioEvent('device-changed');
+
+      expect(gameEngine.audioManager.selectInputDevice).toHaveBeenCalledWith('usb');
+    });
+  });
+
   describe('Calibration', () => {
     beforeEach(async () => {
       await gameEngine.initialize();
@@ -168,6 +256,260 @@ describe('GameEngine', () => {
     });
   });
 
+  describe('Voice Profile', () => {
+    beforeEach(async () => {
+      await gameEngine.initialize();
+      gameEngine.calibrationEngine.start.mockResolvedValue({
+        success: true,
+        lowestMidi: 43, // G2
+        highestMidi: 64, // E4
+        voiceType: 'Baritone',
+        recommendedOctave: 3,
+      });
+    });
+
+    afterEach(() => {
+      gameEngine.updateSettings({
+        challengeKey: 'auto', challengeOctave: 'auto', autoCalibrate: true,
+      });
+      gameEngine.stateRecovery.clearVoiceProfile();
+    });
+
+    it('should start on C4 until calibration has measured a range', () => {
+      expect(gameEngine.getVoiceProfile()).toBeNull();
+      expect(gameEngine.getChallengeKey().scale.root).toBe('C4');
+    });
+
+    it('should fit the challenge scale to the calibrated range', async () => {
+      await gameEngine.startCalibration(() => {});
+
+      expect(gameEngine.getVoiceProfile().voiceType).toBe('Baritone');
+      const choice = gameEngine.getChallengeKey();
+      expect(choice.scale.root).toBe('C3');
+      expect(choice.fits).toBe(true);
+    });
+
+    it('should keep the profile when calibration measures no range', async () => {
+      await gameEngine.startCalibration(() => {});
+      gameEngine.calibrationEngine.start.mockResolvedValue({ success: true, voiceType: 'Tenor' });
+      await gameEngine.startCalibration(() => {});
+
+      expect(gameEngine.getVoiceProfile().voiceType).toBe('Baritone');
+    });
+
+    it('should let the key and octave be overridden', async () => {
+      await gameEngine.startCalibration(() => {});
+
+      gameEngine.updateSettings({ challengeKey: 'Bb' });
+      expect(gameEngine.getChallengeKey().scale.root).toBe('Bb2');
+
+      gameEngine.updateSettings({ challengeOctave: '4' });
+      expect(gameEngine.getChallengeKey().scale.root).toBe('Bb4');
+    });
+
+    it('should save the profile with the microphone it was measured on', async () => {
+      await gameEngine.startCalibration(() => {});
+
+      const restored = new GameEngine();
+      expect(restored.getVoiceProfile().toJSON()).toEqual(expect.objectContaining({
+        lowestMidi: 43, highestMidi: 64, deviceId: 'built-in',
+      }));
+    });
+
+    it('should calibrate only when the profile is missing or stale', async () => {
+      expect(gameEngine.getCalibrationReason()).toBe('missing');
+      expect(gameEngine.needsCalibration()).toBe(true);
+
+      await gameEngine.startCalibration(() => {});
+      expect(gameEngine.needsCalibration()).toBe(false);
+
+      gameEngine.audioManager.deviceId = 'usb';
+      expect(gameEngine.getCalibrationReason()).toBe('device');
+      expect(gameEngine.needsCalibration()).toBe(true);
+    });
+
+    it('should not calibrate automatically with autoCalibrate off', () => {
+      gameEngine.updateSettings({ autoCalibrate: false });
+
+      expect(gameEngine.getCalibrationReason()).toBe('missing');
+      expect(gameEngine.needsCalibration()).toBe(false);
+    });
+
+    it('should seed the noise floor from the stored profile', async () => {
+      gameEngine.calibrationEngine.start.mockResolvedValue({
+        success: true, lowestMidi: 43, highestMidi: 64, noiseFloor: 0.004,
+      });
+      await gameEngine.startCalibration(() => {});
+      gameEngine.pitchDetector.setNoiseFloor = vi.fn();
+
+      expect(gameEngine.applyVoiceProfile()).toBe(true);
+      expect(gameEngine.pitchDetector.setNoiseFloor).toHaveBeenCalledWith(0.004);
+    });
+
+    it('should skip calibration from the title screen with a fresh stored profile', async () => {
+      gameEngine.stateRecovery.saveVoiceProfile({
+        lowestMidi: 43, highestMidi: 64, noiseFloor: 0.004, deviceId: 'built-in', createdAt: Date.now(),
+      });
+
+      // A returning player: a new session that reads the stored profile
+      const returning = new GameEngine();
+      await returning.initialize();
+      returning.pitchDetector.setNoiseFloor = vi.fn();
+
+      expect(returning.prepareChallenge()).toBeNull();
+      expect(returning.pitchDetector.setNoiseFloor).toHaveBeenCalledWith(0.004);
+      expect(returning.getChallengeKey().scale.root).toBe('C3');
+      await returning.destroy();
+    });
+
+    it('should ask for calibration before a challenge when the profile is stale', async () => {
+      expect(gameEngine.prepareChallenge()).toBe('missing');
+
+      await gameEngine.startCalibration(() => {});
+      gameEngine.audioManager.deviceId = 'usb';
+
+      expect(gameEngine.prepareChallenge()).toBe('device');
+    });
+
+    it('should gate the detector by the environment check verdict', async () => {
+      const environment = { verdict: 'warn', advice: ['Unplug the charger.'] };
+      gameEngine.calibrationEngine.start.mockResolvedValue({
+        success: true, lowestMidi: 43, highestMidi: 64, environment,
+      });
+      gameEngine.pitchDetector.setEnvironmentVerdict = vi.fn();
+      const listener = vi.fn();
+      gameEngine.on('environment-report', listener);
+
+      await gameEngine.startCalibration(() => {});
+
+      expect(gameEngine.pitchDetector.setEnvironmentVerdict).toHaveBeenCalledWith('warn');
+      expect(listener).toHaveBeenCalledWith(environment);
+      expect(gameEngine.getEnvironmentReport()).toEqual(environment);
+      expect(new GameEngine().getEnvironmentReport()).toEqual(environment);
+    });
+
+    it('should keep the environment report of a failed calibration', async () => {
+      gameEngine.calibrationEngine.start.mockResolvedValue({
+        success: false, error: 'VOLUME_TOO_LOW', environment: { verdict: 'fail', advice: [] },
+      });
+
+      await gameEngine.startCalibration(() => {});
+
+      expect(gameEngine.getVoiceProfile()).toBeNull();
+      expect(gameEngine.getEnvironmentReport().verdict).toBe('fail');
+    });
+
+    it('should gate the detector from the stored profile', async () => {
+      gameEngine.calibrationEngine.start.mockResolvedValue({
+        success: true, lowestMidi: 43, highestMidi: 64, environment: { verdict: 'fail', advice: [] },
+      });
+      await gameEngine.startCalibration(() => {});
+      gameEngine.pitchDetector.setEnvironmentVerdict = vi.fn();
+
+      gameEngine.applyVoiceProfile();
+
+      expect(gameEngine.pitchDetector.setEnvironmentVerdict).toHaveBeenCalledWith('fail');
+    });
+
+    it('should mark the profile stale when the voice keeps leaving its range', async () => {
+      await gameEngine.startCalibration(() => {});
+      const listener = vi.fn();
+      gameEngine.on('voice-profile-stale', listener);
+      vi.spyOn(gameEngine.referenceTones, 'playNote').mockImplementation(() => {});
+
+      // A soprano singing on a baritone's profile
+      gameEngine.startPractice('A5', 'normal');
+      for (let i = 0; i < 250; i++) {
+        gameEngine.processPitchResult({ frequency: 880, confidence: 0.9 }, 0);
+      }
+      gameEngine.endPractice();
+
+      expect(listener).toHaveBeenCalledWith({ reason: 'range' });
+      expect(gameEngine.getCalibrationReason()).toBe('range');
+      expect(new GameEngine().getCalibrationReason()).toBe('range');
+    });
+
+    it('should reject unreadable overrides', () => {
+      const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+      gameEngine.updateSettings({ challengeKey: 'H#', challengeOctave: '12' });
+
+      expect(gameEngine.getSettings().challengeKey).toBe('auto');
+      expect(gameEngine.getSettings().challengeOctave).toBe('auto');
+      warnSpy.mockRestore();
+    });
+  });
+
+  describe('Input Filters', () => {
+    beforeEach(async () => {
+      await gameEngine.initialize();
+      gameEngine.audioManager.setInputFilters = vi.fn((config) => config);
+    });
+
+    afterEach(() => {
+      gameEngine.updateSettings({ inputFiltering: true });
+      gameEngine.stateRecovery.clearVoiceProfile();
+    });
+
+    it('should start with a default high-pass and no notches', () => {
+      expect(gameEngine.getInputFilterConfig()).toEqual({
+        enabled: true, highPassFrequency: 70, mainsFrequency: null,
+      });
+    });
+
+    it('should switch filtering off and on from the settings', () => {
+      gameEngine.updateSettings({ inputFiltering: false });
+
+      expect(gameEngine.getSettings().inputFiltering).toBe(false);
+      expect(gameEngine.audioManager.setInputFilters).toHaveBeenLastCalledWith(
+        expect.objectContaining({ enabled: false }),
+      );
+
+      gameEngine.updateSettings({ inputFiltering: true });
+      expect(gameEngine.audioManager.setInputFilters).toHaveBeenLastCalledWith(
+        expect.objectContaining({ enabled: true }),
+      );
+    });
+
+    it('should notch the mains hum found during calibration', async () => {
+      gameEngine.calibrationEngine.start.mockImplementation(async (onProgress) => {
+        // The hum, fundamental included, has to reach the environment check
+        onProgress('ambient', 0);
+        expect(gameEngine.audioManager.setInputFilters).toHaveBeenLastCalledWith({
+          enabled: false,
+        });
+
+        // The singing only goes through the high-pass
+        onProgress('volume_test', 0);
+        expect(gameEngine.audioManager.setInputFilters).toHaveBeenLastCalledWith({
+          enabled: true, highPassFrequency: 70, mainsFrequency: null,
+        });
+        return {
+          success: true,
+          lowestMidi: 45, // A2
+          highestMidi: 64,
+          environment: { verdict: 'warn', hum: { frequency: 60 }, advice: [] },
+        };
+      });
+
+      await gameEngine.startCalibration(() => {});
+
+      expect(gameEngine.audioManager.setInputFilters).toHaveBeenLastCalledWith({
+        enabled: true, highPassFrequency: 87, mainsFrequency: 60,
+      });
+    });
+
+    it('should restore the filters when calibration throws', async () => {
+      gameEngine.calibrationEngine.start.mockRejectedValue(new Error('Microphone lost'));
+
+      await expect(gameEngine.startCalibration(() => {})).rejects.toThrow('Microphone lost');
+
+      expect(gameEngine.audioManager.setInputFilters).toHaveBeenLastCalledWith({
+        enabled: true, highPassFrequency: 70, mainsFrequency: null,
+      });
+    });
+  });
+
   describe('Challenge Mode', () => {
     beforeEach(async () => {
       await gameEngine.initialize();
@@ -204,6 +546,17 @@ describe('GameEngine', () => {
       expect(gameEngine.scoreSystem.totalScore).toBe(0);
     });
 
+    it('should start a challenge on any scale', () => {
+      gameEngine.updateSettings({ temperament: 'just' });
+      gameEngine.startChallenge(3, 'normal', { root: 'G3', type: 'mixolydian' });
+
+      expect(gameEngine.currentMode.getCurrentNote()).toBe('G3');
+      expect(gameEngine.currentMode.scale[6]).toBe('F4');
+      expect(gameEngine.currentMode.getTuning()).toEqual({ temperament: 'just', tonic: 'G' });
+
+      gameEngine.updateSettings({ temperament: 'equal' });
+    });
+
     it('should emit countdown events', () => {
       const onCountdownTick = vi.fn();
       gameEngine.on('countdown-tick', onCountdownTick);
@@ -252,6 +605,75 @@ describe('GameEngine', () => {
       gameEngine.startPractice('C4', 'hard');
       expect(gameEngine.currentMode.config.tolerance).toBe(10);
     });
+
+    it('should play the practice target when reference tones are on', () => {
+      const playSpy = vi.spyOn(gameEngine.referenceTones, 'playNote').mockImplementation(() => {});
+      const listener = vi.fn();
+      gameEngine.on('reference-tone', listener);
+
+      gameEngine.startPractice('A4', 'normal');
+
+      expect(playSpy).toHaveBeenCalledWith(expect.closeTo(440, 1), 1000);
+      expect(listener).toHaveBeenCalledWith(expect.objectContaining({ note: 'A4' }));
+      expect(gameEngine.replayReferenceTone()).toBe(true);
+      expect(playSpy).toHaveBeenCalledTimes(2);
+    });
+
+    it('should change the practice note without leaving practice', () => {
+      vi.spyOn(gameEngine.referenceTones, 'playNote').mockImplementation(() => {});
+      const listener = vi.fn();
+      gameEngine.on('practice-note-changed', listener);
+
+      expect(gameEngine.setPracticeNote('E4')).toBe(false);
+
+      gameEngine.startPractice('C4', 'normal');
+      expect(gameEngine.setPracticeNote('E4')).toBe(true);
+
+      expect(gameEngine.getState()).toBe('playing');
+      expect(gameEngine.getPracticeStatistics().targetNote).toBe('E4');
+      expect(listener).toHaveBeenCalledWith({ targetNote: 'E4' });
+    });
+
+    it('should change practice difficulty without leaving practice', () => {
+      vi.spyOn(gameEngine.referenceTones, 'playNote').mockImplementation(() => {});
+      const listener = vi.fn();
+      gameEngine.on('practice-difficulty-changed', listener);
+
+      expect(gameEngine.setPracticeDifficulty('hard')).toBe(false);
+
+      gameEngine.startPractice('C4', 'normal');
+      gameEngine.processPitchResult({ frequency: 261.63, confidence: 0.8 }, 0);
+      vi.advanceTimersByTime(1500);
+      gameEngine.processPitchResult({ frequency: 261.63, confidence: 0.8 }, 0);
+      const practice = gameEngine.currentMode;
+
+      expect(gameEngine.setPracticeDifficulty('hard')).toBe(true);
+
+      expect(gameEngine.currentMode).toBe(practice);
+      expect(practice.config.tolerance).toBe(10);
+      expect(gameEngine.getPracticeStatistics().successfulHits).toBe(1);
+      expect(listener).toHaveBeenCalledWith({ difficulty: 'hard' });
+    });
+
+    it('should end practice with a summary', () => {
+      vi.spyOn(gameEngine.referenceTones, 'playNote').mockImplementation(() => {});
+      const listener = vi.fn();
+      gameEngine.on('practice-complete', listener);
+
+      expect(gameEngine.endPractice()).toBeNull();
+
+      gameEngine.startPractice('C4', 'normal');
+      gameEngine.processPitchResult({ frequency: 261.63, confidence: 0.8 }, 0);
+      vi.advanceTimersByTime(1500);
+      gameEngine.processPitchResult({ frequency: 261.63, confidence: 0.8 }, 0);
+
+      const summary = gameEngine.endPractice();
+
+      expect(gameEngine.getState()).toBe('complete');
+      expect(summary.notes).toHaveLength(1);
+      expect(summary.totals.successfulHits).toBe(1);
+      expect(listener).toHaveBeenCalledWith(summary);
+    });
   });
 
   describe('Game Loop', () => {
@@ -288,6 +710,46 @@ describe('GameEngine', () => {
       expect(onPitchUpdate).not.toHaveBeenCalled();
     });
 
+    it('should treat frames under the noise gate as silence', () => {
+      gameEngine.pitchDetector.getVolumeGate = vi.fn(() => 0.02);
+      gameEngine.startPractice('C4', 'normal');
+      gameEngine.stopGameLoop();
+
+      gameEngine.processPitchResult({
+        frequency: 261.63, note: 'C4', confidence: 0.9, volume: 0.01,
+      }, 0);
+
+      expect(gameEngine.getLastPitchResult().frequency).toBeNull();
+    });
+
+    it('should spell detected notes in the key of the scale', () => {
+      gameEngine.startChallenge(4, 'normal', { root: 'F4', type: 'major' });
+      gameEngine.stopGameLoop();
+
+      gameEngine.processPitchResult({
+        frequency: 466.16, note: 'A#4', cents: 0, confidence: 0.9, volume: 0.5,
+      }, 0);
+
+      expect(gameEngine.getLastPitchResult().note).toBe('Bb4');
+    });
+
+    it('should report cents against the tempered target', () => {
+      gameEngine.updateSettings({ temperament: 'just' });
+      gameEngine.startPractice('E4', 'normal');
+      gameEngine.stopGameLoop();
+
+      gameEngine.processPitchResult({
+        frequency: 261.63 * 1.25, note: 'E4', cents: -14, confidence: 0.9, volume: 0.5,
+      }, 0);
+
+      const result = gameEngine.getLastPitchResult();
+      expect(result.note).toBe('E4');
+      expect(Math.abs(result.cents)).toBeLessThan(1);
+      expect(gameEngine.currentMode.getTuning()).toEqual({ temperament: 'just', tonic: 'C' });
+
+      gameEngine.updateSettings({ temperament: 'equal' });
+    });
+
     it('should not run game loop when paused', () => {
       gameEngine.startChallenge(4, 'normal');
       vi.advanceTimersByTime(4000); // Complete countdown
@@ -459,6 +921,401 @@ describe('GameEngine', () => {
     });
   });
 
+  describe('Challenge Recording', () => {
+    beforeEach(async () => {
+      await gameEngine.initialize();
+
+      // Record into a real SessionRecorder, fed by the test
+      const manager = gameEngine.audioManager;
+      manager.startRecording = vi.fn(() => {
+        manager.recorder = new SessionRecorder({ sampleRate: 1000 });
+        manager.recorder.start();
+        return { success: true };
+      });
+      manager.stopRecording = vi.fn(() => {
+        const take = manager.recorder?.stop() || null;
+        manager.recorder = null;
+        return take;
+      });
+    });
+
+    afterEach(() => {
+      gameEngine.updateSettings({ recordChallenges: false });
+    });
+
+    it('should not record unless enabled', () => {
+      gameEngine.startChallenge(4, 'normal');
+      vi.advanceTimersByTime(4000);
+
+      expect(gameEngine.audioManager.startRecording).not.toHaveBeenCalled();
+    });
+
+    it('should keep the take with the results', () => {
+      const onComplete = vi.fn();
+      gameEngine.on('challenge-complete', onComplete);
+      gameEngine.updateSettings({ recordChallenges: true });
+
+      gameEngine.startChallenge(4, 'normal');
+      vi.advanceTimersByTime(4000);
+      gameEngine.audioManager.recorder.append(new Float32Array(2000));
+      gameEngine.handleNoteHit({
+        note: 'C4', averageCents: 2, timeToHit: 500, holdDuration: 500,
+      });
+      gameEngine.handleChallengeComplete();
+
+      const { recording } = onComplete.mock.calls[0][0];
+      expect(recording.duration).toBe(2);
+      expect(recording.markers).toEqual([{ time: 1.5, label: 'C4 PERFECT' }]);
+      expect(recording.scale[0]).toBe('C4');
+      expect(recording.difficulty).toBe('normal');
+      expect(gameEngine.getRecording()).toBe(recording);
+    });
+
+    it('should not record while paused', () => {
+      gameEngine.updateSettings({ recordChallenges: true });
+      gameEngine.startChallenge(4, 'normal');
+      vi.advanceTimersByTime(4000);
+
+      gameEngine.pause();
+      gameEngine.audioManager.recorder.append(new Float32Array(1000));
+      gameEngine.resume();
+      gameEngine.audioManager.recorder.append(new Float32Array(500));
+      gameEngine.handleChallengeFail('TIME_LIMIT_EXCEEDED');
+
+      expect(gameEngine.getRecording().duration).toBe(0.5);
+    });
+
+    it('should export the take as WAV', () => {
+      gameEngine.updateSettings({ recordChallenges: true });
+      expect(gameEngine.exportRecording()).toBeNull();
+
+      gameEngine.startChallenge(4, 'normal');
+      vi.advanceTimersByTime(4000);
+      gameEngine.audioManager.recorder.append(new Float32Array(100));
+      gameEngine.stop();
+
+      const wav = gameEngine.exportRecording();
+      expect(wav.type).toBe('audio/wav');
+      expect(wav.size).toBe(44 + 200);
+    });
+
+    it('should play on when recording is unavailable', () => {
+      const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      const onUnavailable = vi.fn();
+      gameEngine.on('recording-unavailable', onUnavailable);
+      gameEngine.audioManager.startRecording = vi.fn(() => ({
+        success: false,
+        error: 'RECORDING_UNSUPPORTED',
+      }));
+      gameEngine.updateSettings({ recordChallenges: true });
+
+      gameEngine.startChallenge(4, 'normal');
+      vi.advanceTimersByTime(4000);
+
+      expect(gameEngine.getState()).toBe('playing');
+      expect(onUnavailable).toHaveBeenCalledWith({ error: 'RECORDING_UNSUPPORTED' });
+      warnSpy.mockRestore();
+    });
+
+    it('should start each challenge without the previous take', () => {
+      gameEngine.updateSettings({ recordChallenges: true });
+      gameEngine.startChallenge(4, 'normal');
+      vi.advanceTimersByTime(4000);
+      gameEngine.stop();
+
+      gameEngine.startChallenge(4, 'normal');
+
+      expect(gameEngine.getRecording()).toBeNull();
+    });
+  });
+
+  describe('Accompaniment', () => {
+    beforeEach(async () => {
+      await gameEngine.initialize();
+    });
+
+    afterEach(() => {
+      gameEngine.updateSettings({ accompaniment: 'off', accompanimentVolume: 0.25 });
+    });
+
+    it('should stay silent by default', () => {
+      const startSpy = vi.spyOn(gameEngine.referenceTones, 'startAccompaniment');
+
+      gameEngine.startChallenge(4, 'normal');
+      vi.advanceTimersByTime(4000);
+
+      expect(startSpy).not.toHaveBeenCalled();
+    });
+
+    it('should play under a challenge once it starts', () => {
+      gameEngine.updateSettings({ accompaniment: 'chords' });
+      const startSpy = vi.spyOn(gameEngine.referenceTones, 'startAccompaniment');
+
+      gameEngine.startChallenge(4, 'normal', { root: 'D4', type: 'dorian' });
+      expect(startSpy).not.toHaveBeenCalled(); // Not during the countdown
+      vi.advanceTimersByTime(4000);
+
+      expect(startSpy).toHaveBeenCalledWith(gameEngine.currentMode.scale, { mode: 'chords' });
+      expect(gameEngine.referenceTones.isAccompanimentPlaying()).toBe(true);
+    });
+
+    it('should drone the practice note', () => {
+      gameEngine.updateSettings({ accompaniment: 'drone' });
+      const startSpy = vi.spyOn(gameEngine.referenceTones, 'startAccompaniment');
+
+      gameEngine.startPractice('G4', 'normal');
+
+      expect(startSpy).toHaveBeenCalledWith(['G4'], { mode: 'drone' });
+    });
+
+    it('should stop while paused and when the session ends', () => {
+      gameEngine.updateSettings({ accompaniment: 'drone' });
+      gameEngine.startChallenge(4, 'normal');
+      vi.advanceTimersByTime(4000);
+
+      gameEngine.pause();
+      expect(gameEngine.referenceTones.isAccompanimentPlaying()).toBe(false);
+
+      gameEngine.resume();
+      expect(gameEngine.referenceTones.isAccompanimentPlaying()).toBe(true);
+
+      gameEngine.handleChallengeComplete();
+      expect(gameEngine.referenceTones.isAccompanimentPlaying()).toBe(false);
+    });
+
+    it('should keep its own volume setting', () => {
+      gameEngine.updateSettings({ volume: 0.9, accompanimentVolume: 0.1 });
+
+      expect(gameEngine.referenceTones.getAccompanimentVolume()).toBe(0.1);
+      expect(gameEngine.getSettings().volume).toBe(0.9);
+      gameEngine.updateSettings({ volume: 0.7 });
+    });
+
+    it('should turn off unknown accompaniment styles', () => {
+      const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+      gameEngine.updateSettings({ accompaniment: 'orchestra' });
+
+      expect(gameEngine.getSettings().accompaniment).toBe('off');
+      warnSpy.mockRestore();
+    });
+  });
+
+  describe('Reference Tone Bleed', () => {
+    beforeEach(async () => {
+      await gameEngine.initialize();
+      gameEngine.pitchDetector.addPlayedTone = vi.fn();
+      gameEngine.pitchDetector.movePlayedTone = vi.fn();
+      gameEngine.pitchDetector.removePlayedTone = vi.fn();
+    });
+
+    afterEach(() => {
+      gameEngine.updateSettings({ accompaniment: 'off' });
+    });
+
+    it('should tell the detector which tones are playing', () => {
+      gameEngine.referenceTones.startAccompaniment(['C4'], { mode: 'drone' });
+
+      const [[tone]] = gameEngine.pitchDetector.addPlayedTone.mock.calls;
+      expect(tone.frequency).toBeCloseTo(130.81, 1);
+
+      gameEngine.referenceTones.stopAccompaniment(0);
+      expect(gameEngine.pitchDetector.removePlayedTone).toHaveBeenCalledWith(tone.id);
+    });
+
+    it('should move the detector\'s tones with chord changes', () => {
+      gameEngine.referenceTones.startAccompaniment(['C4', 'E4', 'G4'], { mode: 'chords' });
+      const [[root]] = gameEngine.pitchDetector.addPlayedTone.mock.calls;
+
+      vi.advanceTimersByTime(2000);
+
+      expect(gameEngine.pitchDetector.addPlayedTone).toHaveBeenCalledTimes(3);
+      expect(gameEngine.pitchDetector.movePlayedTone)
+        .toHaveBeenCalledWith(root.id, expect.closeTo(174.61, 1)); // F3
+      gameEngine.referenceTones.stopAccompaniment(0);
+    });
+
+    it('should report once when voice and tone cannot be told apart', () => {
+      const listener = vi.fn();
+      gameEngine.on('reference-bleed', listener);
+      const frame = { frequency: 440, volume: 0.1, bleed: 'ambiguous' };
+
+      gameEngine.processPitchResult(frame, 0);
+      gameEngine.processPitchResult(frame, 0);
+      expect(listener).toHaveBeenCalledTimes(1);
+      expect(listener).toHaveBeenCalledWith({ frequency: 440 });
+
+      gameEngine.processPitchResult({ ...frame, bleed: null }, 0);
+      gameEngine.processPitchResult(frame, 0);
+      expect(listener).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('Reference Tone Hints', () => {
+    let playSpy;
+
+    beforeEach(async () => {
+      await gameEngine.initialize();
+      playSpy = vi.spyOn(gameEngine.referenceTones, 'playNote').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      gameEngine.updateSettings({ showReferenceTone: true, hintDelay: 8, hintPenalty: false });
+    });
+
+    it('should play the first target once the challenge starts', () => {
+      const listener = vi.fn();
+      gameEngine.on('reference-tone', listener);
+
+      gameEngine.startChallenge(4, 'normal');
+      expect(playSpy).not.toHaveBeenCalled(); // Not during the countdown
+      vi.advanceTimersByTime(4000);
+
+      expect(playSpy).toHaveBeenCalledWith(expect.closeTo(261.63, 1), 1000);
+      expect(listener).toHaveBeenCalledWith(expect.objectContaining({
+        note: 'C4',
+        reason: 'note-start',
+      }));
+    });
+
+    it('should follow the showReferenceTone setting', () => {
+      gameEngine.updateSettings({ showReferenceTone: false });
+
+      gameEngine.startChallenge(4, 'normal');
+      vi.advanceTimersByTime(4000);
+
+      expect(playSpy).not.toHaveBeenCalled();
+    });
+
+    it('should replay the target only while playing', () => {
+      expect(gameEngine.replayReferenceTone()).toBe(false);
+
+      gameEngine.startChallenge(4, 'normal');
+      vi.advanceTimersByTime(4000);
+      playSpy.mockClear();
+
+      expect(gameEngine.replayReferenceTone()).toBe(true);
+      expect(playSpy).toHaveBeenCalledTimes(1);
+
+      gameEngine.pause();
+      expect(gameEngine.replayReferenceTone()).toBe(false);
+    });
+
+    it('should turn automatic hints off with a zero delay', () => {
+      gameEngine.updateSettings({ hintDelay: 0 });
+      gameEngine.startChallenge(4, 'normal');
+
+      expect(gameEngine.currentMode.config.hintDelay).toBe(Infinity);
+    });
+
+    it('should reject unreadable hint delays', () => {
+      gameEngine.updateSettings({ hintDelay: 'soon' });
+
+      expect(gameEngine.getSettings().hintDelay).toBe(0);
+    });
+
+    it('should only charge for hints when the penalty is on', () => {
+      const noteData = {
+        noteIndex: 0, note: 'C4', averageCents: 5, timeToHit: 1500, hints: 2,
+      };
+      const addSpy = vi.spyOn(gameEngine.scoreSystem, 'addNote');
+
+      gameEngine.handleNoteHit(noteData);
+      expect(addSpy).toHaveBeenLastCalledWith(5, 1500, true, 0);
+
+      gameEngine.updateSettings({ hintPenalty: true });
+      gameEngine.handleNoteHit(noteData);
+      expect(addSpy).toHaveBeenLastCalledWith(5, 1500, true, 2);
+    });
+
+    it('should save the challenge without its audio objects', () => {
+      const saveSpy = vi.spyOn(gameEngine.stateRecovery, 'saveSession');
+      gameEngine.startChallenge(4, 'normal');
+      vi.advanceTimersByTime(4000);
+
+      gameEngine.saveGameState();
+
+      const { config } = saveSpy.mock.calls[0][0];
+      expect(config.referenceTone).toBeUndefined();
+      expect(config.difficulty).toBe('normal');
+    });
+  });
+
+  describe('Attempt Windows', () => {
+    beforeEach(async () => {
+      await gameEngine.initialize();
+      gameEngine.updateSettings({ showReferenceTone: false });
+      gameEngine.startChallenge(4, 'normal');
+      vi.advanceTimersByTime(4000);
+    });
+
+    afterEach(() => {
+      gameEngine.updateSettings({ showReferenceTone: true });
+    });
+
+    it('should report failed attempts', () => {
+      const listener = vi.fn();
+      gameEngine.on('attempt-failed', listener);
+
+      gameEngine.currentMode.recordFailedAttempt('timeout');
+
+      expect(listener).toHaveBeenCalledWith(expect.objectContaining({
+        note: 'C4',
+        reason: 'timeout',
+        attemptsRemaining: 2,
+      }));
+    });
+
+    it('should hold the attempt clock while paused', () => {
+      const pauseSpy = vi.spyOn(gameEngine.currentMode, 'pause');
+      const resumeSpy = vi.spyOn(gameEngine.currentMode, 'resume');
+
+      gameEngine.pause();
+      gameEngine.resume();
+
+      expect(pauseSpy).toHaveBeenCalled();
+      expect(resumeSpy).toHaveBeenCalled();
+    });
+  });
+
+  describe('Session Data Export', () => {
+    beforeEach(async () => {
+      await gameEngine.initialize();
+    });
+
+    it('should have nothing to export before a run', () => {
+      expect(gameEngine.exportSessionData('csv')).toBeNull();
+    });
+
+    it('should capture pitch frames and note results', () => {
+      gameEngine.startChallenge(4, 'normal');
+      vi.advanceTimersByTime(4000);
+
+      gameEngine.processPitchResult({
+        frequency: 261.63, confidence: 0.9, clarity: 0.95, volume: 0.2,
+      }, 0);
+      gameEngine.handleNoteHit({
+        noteIndex: 0, note: 'C4', averageCents: 2, timeToHit: 400, holdDuration: 1500,
+      });
+      gameEngine.handleNoteMiss({ noteIndex: 1, note: 'D4', attempts: 3 });
+
+      const { session, frames, notes } = gameEngine.sessionData.toJSON();
+      expect(session).toEqual(expect.objectContaining({ mode: 'challenge', difficulty: 'normal' }));
+      expect(frames[frames.length - 1]).toEqual(expect.objectContaining({
+        frequency: 261.63,
+        note: 'C4',
+        clarity: 0.95,
+        targetNote: 'C4',
+      }));
+      expect(notes.map((note) => [note.type, note.note, note.tier])).toEqual([
+        ['note-hit', 'C4', 'PERFECT'],
+        ['note-miss', 'D4', 'MISS'],
+      ]);
+      expect(gameEngine.exportSessionData('csv').type).toBe('text/csv');
+      expect(gameEngine.exportSessionData('json').type).toBe('application/json');
+    });
+  });
+
   describe('State Recovery', () => {
     beforeEach(async () => {
       await gameEngine.initialize();
@@ -469,12 +1326,70 @@ describe('GameEngine', () => {
       expect(typeof hasSavedSession).toBe('boolean');
     });
 
+    it('should apply and persist the concert pitch', () => {
+      gameEngine.updateSettings({ referencePitch: 442 });
+
+      expect(getReferenceFrequency()).toBe(442);
+      expect(gameEngine.stateRecovery.loadSettings().referencePitch).toBe(442);
+
+      gameEngine.updateSettings({ referencePitch: 440 });
+    });
+
+    it('should fall back to equal temperament for unknown temperaments', () => {
+      const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+      gameEngine.updateSettings({ temperament: 'werckmeister' });
+
+      expect(gameEngine.getSettings().temperament).toBe('equal');
+      warnSpy.mockRestore();
+    });
+
+    it('should only list high scores at the current concert pitch', () => {
+      gameEngine.stateRecovery.clearHighScores();
+      gameEngine.stateRecovery.saveHighScore(900, 'S', { referencePitch: 432 });
+      gameEngine.stateRecovery.saveHighScore(500, 'B', { referencePitch: 440 });
+
+      expect(gameEngine.getHighScores().map((entry) => entry.score)).toEqual([500]);
+    });
+
     it('should get high scores', () => {
       const highScores = gameEngine.getHighScores();
       expect(Array.isArray(highScores)).toBe(true);
     });
   });
 
+  describe('Recording Analysis', () => {
+    it('should score an analysed recording against the chosen scale', async () => {
+      const track = [];
+      for (let time = 0; time < 4; time += 0.01) {
+        track.push({
+          time, frequency: time < 2 ? 349.23 : 392, confidence: 0.9, volume: 0.3,
+        });
+      }
+      const analyzeSpy = vi.spyOn(AudioFileAnalyzer.prototype, 'analyze')
+        .mockResolvedValue({ success: true, track, duration: 4 });
+
+      const analysis = await gameEngine.analyzeRecording(new ArrayBuffer(8), ['F4', 'G4']);
+
+      expect(analyzeSpy).toHaveBeenCalledWith(expect.any(ArrayBuffer), expect.objectContaining({
+        spelling: { scale: ['F4', 'G4'] },
+      }));
+      expect(analysis.result.notes.map((note) => note.hit)).toEqual([true, true]);
+      expect(analysis.result.grade).toBeDefined();
+      analyzeSpy.mockRestore();
+    });
+
+    it('should pass analysis errors through', async () => {
+      const analyzeSpy = vi.spyOn(AudioFileAnalyzer.prototype, 'analyze')
+        .mockResolvedValue({ success: false, error: 'DECODE_FAILED' });
+
+      const analysis = await gameEngine.analyzeRecording(new ArrayBuffer(0));
+
+      expect(analysis).toEqual({ success: false, error: 'DECODE_FAILED' });
+      analyzeSpy.mockRestore();
+    });
+  });
+
   describe('Resource Cleanup', () => {
     it('should cleanup resources on destroy', async () => {
       await gameEngine.initialize();
@@ -0,0 +1,95 @@
+import { describe, it, expect } from 'vitest';
+import InputFilterChain, {
+  getFilterSpecs,
+  getHighPassFrequency,
+} from '../../src/audio/InputFilterChain.js';
+
+describe('InputFilterChain', () => {
+  describe('getFilterSpecs', () => {
+    it('should high-pass just under the lowest detected note by default', () => {
+      expect(getFilterSpecs()).toEqual([
+        { type: 'highpass', frequency: 70, Q: Math.SQRT1_2 },
+      ]);
+    });
+
+    it('should notch the mains frequency and its harmonics', () => {
+      const notches = getFilterSpecs({ mainsFrequency: 50 })
+        .filter((spec) => spec.type === 'notch')
+        .map((spec) => spec.frequency);
+
+      expect(notches).toEqual([50, 100, 150]);
+    });
+
+    it('should ignore frequencies that are not mains', () => {
+      expect(getFilterSpecs({ mainsFrequency: 55 })).toHaveLength(1);
+    });
+
+    it('should leave the high-pass out at 0 Hz', () => {
+      expect(getFilterSpecs({ highPassFrequency: 0, mainsFrequency: 60 })[0].type).toBe('notch');
+    });
+
+    it('should describe no filters when disabled', () => {
+      expect(getFilterSpecs({ enabled: false, mainsFrequency: 60 })).toEqual([]);
+    });
+  });
+
+  describe('getHighPassFrequency', () => {
+    it('should sit a few semitones under the lowest note sung', () => {
+      expect(getHighPassFrequency(110)).toBe(87); // A2 -> F2
+    });
+
+    it('should stay within sensible limits', () => {
+      expect(getHighPassFrequency(50)).toBe(40);
+      expect(getHighPassFrequency(400)).toBe(120);
+    });
+
+    it('should use the default without a range', () => {
+      expect(getHighPassFrequency(null)).toBe(70);
+    });
+  });
+
+  describe('Graph', () => {
+    it('should chain input, filters and output', () => {
+      const context = new AudioContext();
+      const chain = new InputFilterChain(context, { mainsFrequency: 60 });
+
+      expect(chain.filters.map((filter) => filter.frequency.value)).toEqual([70, 60, 120, 180]);
+      expect(chain.input.connect).toHaveBeenCalledWith(chain.filters[0]);
+      expect(chain.filters[3].connect).toHaveBeenCalledWith(chain.output);
+    });
+
+    it('should pass the signal straight through when disabled', () => {
+      const context = new AudioContext();
+      const chain = new InputFilterChain(context);
+      const [highPass] = chain.filters;
+
+      const config = chain.configure({ enabled: false });
+
+      expect(config).toEqual({ enabled: false, highPassFrequency: 70, mainsFrequency: null });
+      expect(highPass.disconnect).toHaveBeenCalled();
+      expect(chain.filters).toEqual([]);
+      expect(chain.input.connect).toHaveBeenLastCalledWith(chain.output);
+    });
+
+    it('should only change the options given', () => {
+      const chain = new InputFilterChain(new AudioContext(), { highPassFrequency: 90 });
+
+      chain.configure({ mainsFrequency: 50 });
+      chain.configure({ mainsFrequency: 'unknown' });
+
+      expect(chain.getConfig()).toEqual({
+        enabled: true, highPassFrequency: 90, mainsFrequency: null,
+      });
+    });
+
+    it('should pass the signal through without biquad support', () => {
+      const context = new AudioContext();
+      delete context.createBiquadFilter;
+
+      const chain = new InputFilterChain(context, { mainsFrequency: 50 });
+
+      expect(chain.filters).toEqual([]);
+      expect(chain.input.connect).toHaveBeenCalledWith(chain.output);
+    });
+  });
+});
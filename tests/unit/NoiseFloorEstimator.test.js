@@ -0,0 +1,78 @@
+import { describe, it, expect } from 'vitest';
+import NoiseFloorEstimator from '../../src/audio/NoiseFloorEstimator.js';
+
+describe('NoiseFloorEstimator', () => {
+  it('should start with the legacy 0.005 gate', () => {
+    const estimator = new NoiseFloorEstimator();
+
+    expect(estimator.getGate()).toBeCloseTo(0.005, 6);
+  });
+
+  it('should raise the gate in a noisy room', () => {
+    const estimator = new NoiseFloorEstimator();
+
+    for (let i = 0; i < 300; i++) estimator.update(0.012);
+
+    expect(estimator.getFloor()).toBeCloseTo(0.012, 3);
+    expect(estimator.getGate()).toBeGreaterThan(0.025);
+  });
+
+  it('should lower the gate in a quiet room', () => {
+    const estimator = new NoiseFloorEstimator();
+
+    for (let i = 0; i < 30; i++) estimator.update(0.0004);
+
+    expect(estimator.getGate()).toBeLessThan(0.005);
+  });
+
+  it('should fall faster than it rises', () => {
+    const rising = new NoiseFloorEstimator({ initialFloor: 0.01 });
+    const falling = new NoiseFloorEstimator({ initialFloor: 0.01 });
+
+    rising.update(0.02);
+    falling.update(0);
+
+    expect(0.01 - falling.getFloor()).toBeGreaterThan(rising.getFloor() - 0.01);
+  });
+
+  it('should clamp the gate', () => {
+    const estimator = new NoiseFloorEstimator();
+
+    estimator.setFloor(0);
+    expect(estimator.getGate()).toBe(0.002);
+
+    estimator.setFloor(1);
+    expect(estimator.getGate()).toBe(0.05);
+  });
+
+  it('should gate more strictly with a higher gate ratio', () => {
+    const estimator = new NoiseFloorEstimator();
+    estimator.setFloor(0.004);
+
+    estimator.setGateRatio(5);
+    expect(estimator.getGate()).toBeCloseTo(0.02, 6);
+
+    estimator.setGateRatio(0.5);
+    estimator.setGateRatio(NaN);
+    expect(estimator.getGate()).toBeCloseTo(0.02, 6);
+  });
+
+  it('should ignore invalid levels', () => {
+    const estimator = new NoiseFloorEstimator();
+
+    estimator.update(NaN);
+    estimator.setFloor(-1);
+
+    expect(estimator.getFloor()).toBe(0.002);
+    expect(estimator.frameCount).toBe(0);
+  });
+
+  it('should reset to the initial floor', () => {
+    const estimator = new NoiseFloorEstimator();
+    for (let i = 0; i < 50; i++) estimator.update(0.03);
+
+    estimator.reset();
+
+    expect(estimator.getState()).toEqual({ noiseFloor: 0.002, volumeGate: 0.005 });
+  });
+});
@@ -1,5 +1,9 @@
-import { describe, it, expect } from 'vitest';
 import {
+  describe, it, expect, afterEach, vi,
+} from 'vitest';
+import {
+  setReferenceFrequency,
+  getReferenceFrequency,
   frequencyToMidi,
   midiToFrequency,
   midiToNoteName,
@@ -8,8 +12,15 @@ import {
   getNoteInfo,
   checkNoteMatch,
   noteNameToMidi,
+  parseNoteName,
+  formatNoteName,
   getCMajorScale,
   getCMajorScaleFrequencies,
+  getScale,
+  getScaleFrequencies,
+  SCALE_TYPES,
+  getTemperamentOffset,
+  getTunedFrequency,
 } from '../../src/audio/NoteMapper.js';
 
 describe('NoteMapper', () => {
@@ -59,6 +70,67 @@ describe('NoteMapper', () => {
       expect(midiToNoteName(61)).toBe('C#4');
       expect(midiToNoteName(70)).toBe('A#4');
     });
+
+    it('should spell notes in a key signature', () => {
+      expect(midiToNoteName(70, { key: 'F' })).toBe('Bb4');
+      expect(midiToNoteName(65, { key: 'F#' })).toBe('E#4');
+      expect(midiToNoteName(59, { key: 'Gb' })).toBe('Cb4');
+      expect(midiToNoteName(63, { key: 'C minor' })).toBe('Eb4');
+      expect(midiToNoteName(63, { key: 'E' })).toBe('D#4');
+    });
+
+    it('should spell notes outside the key with its accidentals', () => {
+      expect(midiToNoteName(61, { key: 'Bb' })).toBe('Db4');
+      expect(midiToNoteName(61, { key: 'D' })).toBe('C#4');
+      expect(midiToNoteName(61, { preferFlats: true })).toBe('Db4');
+    });
+
+    it('should spell notes like a given scale', () => {
+      expect(midiToNoteName(66, { scale: ['Eb4', 'Gb4', 'Ab4'] })).toBe('Gb4');
+    });
+
+    it('should write Unicode accidentals on request', () => {
+      expect(midiToNoteName(70, { key: 'Bb', unicode: true })).toBe('B♭4');
+    });
+
+    it('should reject invalid keys', () => {
+      expect(() => midiToNoteName(60, { key: 'H' })).toThrow();
+    });
+  });
+
+  describe('parseNoteName', () => {
+    it.each([
+      ['Bb3', { letter: 6, accidental: -1, octave: 3 }],
+      ['E♭4', { letter: 2, accidental: -1, octave: 4 }],
+      ['F♯5', { letter: 3, accidental: 1, octave: 5 }],
+      ['Gx2', { letter: 4, accidental: 2, octave: 2 }],
+      ['C𝄪4', { letter: 0, accidental: 2, octave: 4 }],
+      ['B𝄫3', { letter: 6, accidental: -2, octave: 3 }],
+      ['Abb', { letter: 5, accidental: -2, octave: null }],
+    ])('should parse %s', (name, expected) => {
+      expect(parseNoteName(name)).toEqual(expected);
+    });
+
+    it.each(['H4', 'C#b4', 'Cbbb4', 'c4', ''])('should reject %s', (name) => {
+      expect(parseNoteName(name)).toBeNull();
+    });
+  });
+
+  describe('formatNoteName', () => {
+    it('should normalize any accepted spelling', () => {
+      expect(formatNoteName('E♭4')).toBe('Eb4');
+      expect(formatNoteName('Gx2')).toBe('G##2');
+      expect(formatNoteName('Db')).toBe('Db');
+    });
+
+    it('should write Unicode accidentals', () => {
+      expect(formatNoteName('F#4', { unicode: true })).toBe('F♯4');
+      expect(formatNoteName('Bbb3', { unicode: true })).toBe('B𝄫3');
+    });
+
+    it('should throw for invalid names', () => {
+      expect(() => formatNoteName('X4')).toThrow();
+    });
   });
 
   describe('noteNameToMidi', () => {
@@ -75,6 +147,19 @@ describe('NoteMapper', () => {
       expect(noteNameToMidi('A#4')).toBe(70);
     });
 
+    it('should handle flats and double accidentals', () => {
+      expect(noteNameToMidi('Bb3')).toBe(58);
+      expect(noteNameToMidi('F##4')).toBe(67);
+      expect(noteNameToMidi('Cb4')).toBe(59);
+      expect(noteNameToMidi('B#3')).toBe(60);
+    });
+
+    it('should handle Unicode accidentals', () => {
+      expect(noteNameToMidi('E♭4')).toBe(63);
+      expect(noteNameToMidi('C♯4')).toBe(61);
+      expect(noteNameToMidi('G𝄪4')).toBe(69);
+    });
+
     it('should throw error for invalid note names', () => {
       expect(() => noteNameToMidi('H4')).toThrow();
       expect(() => noteNameToMidi('C')).toThrow();
@@ -191,6 +276,84 @@ describe('NoteMapper', () => {
     });
   });
 
+  describe('getScale', () => {
+    it('should match the C major scale by default', () => {
+      expect(getScale('C4')).toEqual(getCMajorScale(4));
+    });
+
+    it.each([
+      ['F4', 'major', 'F4 G4 A4 Bb4 C5 D5 E5 F5'],
+      ['Bb3', 'major', 'Bb3 C4 D4 Eb4 F4 G4 A4 Bb4'],
+      ['F#4', 'major', 'F#4 G#4 A#4 B4 C#5 D#5 E#5 F#5'],
+      ['A3', 'natural-minor', 'A3 B3 C4 D4 E4 F4 G4 A4'],
+      ['G#4', 'harmonic-minor', 'G#4 A#4 B4 C#5 D#5 E5 F##5 G#5'],
+      ['D4', 'dorian', 'D4 E4 F4 G4 A4 B4 C5 D5'],
+      ['E4', 'phrygian', 'E4 F4 G4 A4 B4 C5 D5 E5'],
+      ['Eb4', 'lydian', 'Eb4 F4 G4 A4 Bb4 C5 D5 Eb5'],
+      ['B3', 'locrian', 'B3 C4 D4 E4 F4 G4 A4 B4'],
+      ['G4', 'major-pentatonic', 'G4 A4 B4 D5 E5 G5'],
+      ['Eb4', 'minor-pentatonic', 'Eb4 Gb4 Ab4 Bb4 Db5 Eb5'],
+      ['C4', 'blues', 'C4 Eb4 F4 Gb4 G4 Bb4 C5'],
+      ['E4', 'whole-tone', 'E4 F#4 G#4 A#4 C5 D5 E5'],
+    ])('should spell %s %s for the key', (root, type, expected) => {
+      expect(getScale(root, type).join(' ')).toBe(expected);
+    });
+
+    it('should spell the chromatic scale with sharps up and flats down', () => {
+      const scale = getScale('C4', 'chromatic', { direction: 'round-trip' });
+
+      expect(scale).toHaveLength(25);
+      expect(scale.slice(0, 4)).toEqual(['C4', 'C#4', 'D4', 'D#4']);
+      expect(scale.slice(-4)).toEqual(['Eb4', 'D4', 'Db4', 'C4']);
+    });
+
+    it('should use flats for a chromatic scale in a flat key', () => {
+      expect(getScale('F4', 'chromatic').slice(0, 3)).toEqual(['F4', 'Gb4', 'G4']);
+    });
+
+    it('should reverse the scale when descending', () => {
+      expect(getScale('C4', 'major', { direction: 'descending' }))
+        .toEqual(['C5', 'B4', 'A4', 'G4', 'F4', 'E4', 'D4', 'C4']);
+    });
+
+    it('should sing the top note once on a round trip', () => {
+      const scale = getScale('C4', 'major', { direction: 'round-trip' });
+
+      expect(scale).toHaveLength(15);
+      expect(scale.filter((note) => note === 'C5')).toHaveLength(1);
+    });
+
+    it('should descend melodic minor as natural minor', () => {
+      expect(getScale('A3', 'melodic-minor', { direction: 'round-trip' }).join(' '))
+        .toBe('A3 B3 C4 D4 E4 F#4 G#4 A4 G4 F4 E4 D4 C4 B3 A3');
+    });
+
+    it('should produce notes that round-trip through noteNameToMidi', () => {
+      Object.keys(SCALE_TYPES).forEach((type) => {
+        const midis = getScale('Db4', type).map(noteNameToMidi);
+        const intervals = midis.map((midi) => midi - midis[0]);
+
+        expect(intervals).toEqual([...SCALE_TYPES[type].intervals, 12]);
+      });
+    });
+
+    it('should reject unknown types, directions and roots', () => {
+      expect(() => getScale('C4', 'bebop')).toThrow();
+      expect(() => getScale('C4', 'major', { direction: 'sideways' })).toThrow();
+      expect(() => getScale('C')).toThrow();
+    });
+  });
+
+  describe('getScaleFrequencies', () => {
+    it('should report the range of a descending scale', () => {
+      const result = getScaleFrequencies('A3', 'natural-minor', { direction: 'descending' });
+
+      expect(result.notes[0].note).toBe('A4');
+      expect(result.min).toBeCloseTo(220, 1);
+      expect(result.max).toBeCloseTo(440, 1);
+    });
+  });
+
   describe('getCMajorScaleFrequencies', () => {
     it('should return frequencies for C4-C5 scale', () => {
       const result = getCMajorScaleFrequencies(4);
@@ -210,6 +373,86 @@ describe('NoteMapper', () => {
     });
   });
 
+  describe('Temperaments', () => {
+    const just = { temperament: 'just', tonic: 'C' };
+
+    it('should leave equal temperament unchanged', () => {
+      expect(getTemperamentOffset(64)).toBe(0);
+      expect(getTunedFrequency(69)).toBeCloseTo(440, 5);
+    });
+
+    it('should flatten a just major third by ~13.7 cents', () => {
+      expect(getTemperamentOffset(64, just)).toBeCloseTo(-13.69, 1);
+      expect(getTunedFrequency(64, just)).toBeCloseTo(261.63 * 1.25, 0);
+    });
+
+    it('should accept a pure third that equal temperament rejects', () => {
+      const pureThird = midiToFrequency(60) * 1.25;
+
+      expect(checkNoteMatch(pureThird, 'E4', 5).match).toBe(false);
+      expect(checkNoteMatch(pureThird, 'E4', 5, just).match).toBe(true);
+    });
+
+    it('should tune relative to the tonic', () => {
+      // F# is the major third of D
+      expect(getTemperamentOffset(66, { temperament: 'just', tonic: 'D' })).toBeCloseTo(-13.69, 1);
+      expect(getTemperamentOffset(66, just)).not.toBeCloseTo(-13.69, 1);
+    });
+
+    it('should narrow the fifth by a quarter comma in meantone', () => {
+      expect(getTemperamentOffset(67, { temperament: 'meantone', tonic: 'C' }))
+        .toBeCloseTo(-3.42, 1);
+    });
+
+    it('should report cents against the tempered note', () => {
+      const info = getNoteInfo(midiToFrequency(60) * 1.25, just);
+
+      expect(info.note).toBe('E4');
+      expect(Math.abs(info.cents)).toBeLessThan(1);
+    });
+
+    it('should reject unknown temperaments', () => {
+      expect(() => getTemperamentOffset(60, { temperament: 'werckmeister' })).toThrow();
+    });
+  });
+
+  describe('Concert pitch', () => {
+    afterEach(() => {
+      setReferenceFrequency(440);
+    });
+
+    it('should default to A4 = 440Hz', () => {
+      expect(getReferenceFrequency()).toBe(440);
+    });
+
+    it('should tune every conversion to the reference', () => {
+      setReferenceFrequency(442);
+
+      expect(midiToFrequency(69)).toBe(442);
+      expect(midiToFrequency(60)).toBeCloseTo(262.81, 2);
+      expect(getNoteInfo(442).cents).toBe(0);
+      expect(checkNoteMatch(442, 'A4', 5).match).toBe(true);
+    });
+
+    it('should report cents against the active tuning', () => {
+      setReferenceFrequency(432);
+
+      // 440Hz is ~32 cents sharp of A4 at A432
+      expect(getNoteInfo(440).note).toBe('A4');
+      expect(getNoteInfo(440).cents).toBeCloseTo(31.8, 1);
+      expect(checkNoteMatch(440, 'A4', 25).match).toBe(false);
+    });
+
+    it('should reject out-of-range references', () => {
+      const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+      expect(setReferenceFrequency(880)).toBe(440);
+      expect(setReferenceFrequency('abc')).toBe(440);
+      expect(warnSpy).toHaveBeenCalledTimes(2);
+      warnSpy.mockRestore();
+    });
+  });
+
   describe('Integration: Round-trip conversions', () => {
     it('should maintain accuracy in frequency <-> MIDI <-> frequency', () => {
       const original = 440;
@@ -0,0 +1,459 @@
+import {
+  describe, it, expect, beforeEach, afterEach, vi,
+} from 'vitest';
+import {
+  applyConfig,
+  detectPitch,
+  differenceFunction,
+  differenceFunctionFFT,
+  normalizedSquareDifference,
+  normalizedSquareDifferenceFFT,
+  findKeyMaxima,
+  selectPeak,
+  yinCandidates,
+  cumulativeMeanNormalizedDifference,
+  resetTracking,
+  trackUnvoicedFrame,
+  processFrame,
+  analyzeSamples,
+  noiseFloor,
+} from '../../src/audio/PitchDetector.worker.js';
+
+const SAMPLE_RATE = 44100;
+const BUFFER_SIZE = 2048;
+
+/**
+ * Generate a sine wave buffer
+ * @param {number} frequency - Frequency in Hz
+ * @param {number} amplitude - Peak amplitude
+ * @returns {Float32Array}
+ */
+function sine(frequency, amplitude = 0.5) {
+  const buffer = new Float32Array(BUFFER_SIZE);
+  for (let i = 0; i < BUFFER_SIZE; i++) {
+    buffer[i] = amplitude * Math.sin((2 * Math.PI * frequency * i) / SAMPLE_RATE);
+  }
+  return buffer;
+}
+
+/**
+ * Generate a sawtooth wave buffer (rich in harmonics)
+ * @param {number} frequency - Frequency in Hz
+ * @param {number} length - Buffer length
+ * @returns {Float32Array}
+ */
+function sawtooth(frequency, length = BUFFER_SIZE) {
+  const buffer = new Float32Array(length);
+  const period = SAMPLE_RATE / frequency;
+  for (let i = 0; i < length; i++) {
+    buffer[i] = 0.5 * (2 * ((i / period) % 1) - 1);
+  }
+  return buffer;
+}
+
+/**
+ * Largest absolute difference between two arrays, relative to the peak of the first
+ * @param {ArrayLike<number>} expected
+ * @param {ArrayLike<number>} actual
+ * @returns {number}
+ */
+function maxRelativeError(expected, actual) {
+  let peak = 0;
+  let error = 0;
+  for (let i = 0; i < expected.length; i++) {
+    peak = Math.max(peak, Math.abs(expected[i]));
+    error = Math.max(error, Math.abs(expected[i] - actual[i]));
+  }
+  return peak > 0 ? error / peak : error;
+}
+
+/**
+ * Generate deterministic broadband noise
+ * @param {number} amplitude - Peak amplitude
+ * @returns {Float32Array}
+ */
+function noise(amplitude) {
+  const buffer = new Float32Array(BUFFER_SIZE);
+  let seed = 12345;
+  for (let i = 0; i < BUFFER_SIZE; i++) {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    buffer[i] = amplitude * ((seed / 1073741824) - 1);
+  }
+  return buffer;
+}
+
+/**
+ * Generate a voice-like tone with a weak fundamental and strong 2nd harmonic
+ * (the case that produces octave jumps on breathy voices)
+ * @param {number} frequency - Fundamental frequency in Hz
+ * @returns {Float32Array}
+ */
+function weakFundamental(frequency) {
+  const buffer = new Float32Array(BUFFER_SIZE);
+  for (let i = 0; i < BUFFER_SIZE; i++) {
+    const t = (2 * Math.PI * frequency * i) / SAMPLE_RATE;
+    buffer[i] = 0.2 * Math.sin(t) + 0.5 * Math.sin(2 * t) + 0.2 * Math.sin(3 * t);
+  }
+  return buffer;
+}
+
+/**
+ * Generate a frame dominated by the 2nd harmonic, which plain YIN reports an
+ * octave too high
+ * @param {number} frequency - Fundamental frequency in Hz
+ * @returns {Float32Array}
+ */
+function octaveGlitch(frequency) {
+  const buffer = new Float32Array(BUFFER_SIZE);
+  for (let i = 0; i < BUFFER_SIZE; i++) {
+    const t = (2 * Math.PI * frequency * i) / SAMPLE_RATE;
+    buffer[i] = 0.05 * Math.sin(t) + 0.5 * Math.sin(2 * t) + 0.01 * Math.sin(17 * i);
+  }
+  return buffer;
+}
+
+describe('PitchDetector worker', () => {
+  beforeEach(() => {
+    applyConfig({ sampleRate: SAMPLE_RATE, algorithm: 'yin' });
+  });
+
+  afterEach(() => {
+    applyConfig({ algorithm: 'yin', useFFT: true });
+  });
+
+  describe('applyConfig', () => {
+    it('should default to YIN', () => {
+      expect(applyConfig({}).algorithm).toBe('yin');
+    });
+
+    it('should switch algorithm to MPM', () => {
+      const config = applyConfig({ algorithm: 'mpm', mpmCutoff: 0.9 });
+
+      expect(config.algorithm).toBe('mpm');
+      expect(config.mpmCutoff).toBe(0.9);
+    });
+
+    it('should keep the MPM cutoff within (0, 1]', () => {
+      const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+      expect(applyConfig({ mpmCutoff: 1.5 }).mpmCutoff).toBe(1);
+      expect(applyConfig({ mpmCutoff: 0 }).mpmCutoff).toBeGreaterThan(0);
+      expect(applyConfig({ mpmCutoff: Number.NaN }).mpmCutoff).toBeGreaterThan(0);
+      expect(warnSpy).toHaveBeenCalled();
+
+      warnSpy.mockRestore();
+      applyConfig({ mpmCutoff: 0.93 });
+    });
+
+    it('should ignore unknown algorithms', () => {
+      const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+      const config = applyConfig({ algorithm: 'fft-peak' });
+
+      expect(config.algorithm).toBe('yin');
+      expect(warnSpy).toHaveBeenCalled();
+      warnSpy.mockRestore();
+    });
+  });
+
+  describe.each(['yin', 'pyin', 'mpm'])('%s detection', (algorithm) => {
+    beforeEach(() => {
+      applyConfig({ algorithm });
+    });
+
+    it('should detect A4 (440Hz)', () => {
+      const result = detectPitch(sine(440));
+
+      expect(result.frequency).toBeCloseTo(440, 0);
+      expect(result.confidence).toBeGreaterThan(0.9);
+    });
+
+    it('should detect C4 (261.63Hz)', () => {
+      const result = detectPitch(sine(261.63));
+
+      expect(result.frequency).toBeCloseTo(261.63, 0);
+    });
+
+    it('should detect low E2 (82.41Hz)', () => {
+      const result = detectPitch(sine(82.41));
+
+      expect(Math.abs(result.frequency - 82.41)).toBeLessThan(1);
+    });
+
+    it('should return the same result shape for silence', () => {
+      const result = detectPitch(new Float32Array(BUFFER_SIZE));
+
+      expect(result).toEqual(expect.objectContaining({
+        frequency: null,
+        confidence: 0,
+        clarity: 0,
+      }));
+    });
+
+    it('should keep confidence and clarity in range [0, 1]', () => {
+      const result = detectPitch(weakFundamental(196));
+
+      expect(result.confidence).toBeGreaterThanOrEqual(0);
+      expect(result.confidence).toBeLessThanOrEqual(1);
+      expect(result.clarity).toBeGreaterThanOrEqual(0);
+      expect(result.clarity).toBeLessThanOrEqual(1);
+    });
+  });
+
+  describe('FFT difference function', () => {
+    it.each([
+      ['sine', sine(220)],
+      ['sawtooth', sawtooth(110)],
+      ['silence', new Float32Array(BUFFER_SIZE)],
+    ])('should match the direct YIN difference function (%s)', (name, buffer) => {
+      const direct = differenceFunction(buffer);
+      const viaFFT = differenceFunctionFFT(buffer);
+
+      expect(viaFFT.length).toBe(direct.length);
+      expect(maxRelativeError(direct, viaFFT)).toBeLessThan(1e-5);
+    });
+
+    it('should match the direct NSDF', () => {
+      const buffer = sawtooth(147);
+
+      const direct = normalizedSquareDifference(buffer);
+      const viaFFT = normalizedSquareDifferenceFFT(buffer);
+
+      expect(maxRelativeError(direct, viaFFT)).toBeLessThan(1e-5);
+    });
+
+    it('should handle buffers that are not a power of two', () => {
+      const buffer = sawtooth(98, 3000);
+
+      expect(maxRelativeError(differenceFunction(buffer), differenceFunctionFFT(buffer)))
+        .toBeLessThan(1e-5);
+    });
+
+    it.each(['yin', 'mpm'])('should detect the same pitch with and without FFT (%s)', (algorithm) => {
+      const buffer = sawtooth(164.81);
+
+      applyConfig({ algorithm, useFFT: false });
+      const direct = detectPitch(buffer);
+      applyConfig({ algorithm, useFFT: true });
+      const viaFFT = detectPitch(buffer);
+
+      expect(viaFFT.frequency).toBeCloseTo(direct.frequency, 3);
+      expect(viaFFT.confidence).toBeCloseTo(direct.confidence, 3);
+    });
+  });
+
+  describe('Probabilistic YIN', () => {
+    beforeEach(() => {
+      applyConfig({ algorithm: 'pyin' });
+      resetTracking();
+    });
+
+    it('should report a voicing probability', () => {
+      const result = detectPitch(sine(330));
+
+      expect(result.voicedProbability).toBeGreaterThan(0.9);
+    });
+
+    it('should stay confident on a clear note that noise makes partly unvoiced', () => {
+      const tone = sine(220);
+      const hiss = noise(0.2);
+      const noisy = tone.map((sample, i) => sample + hiss[i]);
+
+      let result;
+      for (let i = 0; i < 5; i++) result = detectPitch(noisy);
+
+      expect(result.voicedProbability).toBeLessThan(0.7);
+      expect(result.confidence).toBeGreaterThan(0.7);
+      expect(result.confidence).toBeLessThanOrEqual(result.clarity);
+    });
+
+    it('should collect candidates whose probabilities sum to at most 1', () => {
+      const normalized = cumulativeMeanNormalizedDifference(
+        differenceFunction(weakFundamental(196)),
+      );
+      const candidates = yinCandidates(normalized);
+      const total = candidates.reduce((sum, c) => sum + c.probability, 0);
+
+      expect(candidates.length).toBeGreaterThan(0);
+      expect(total).toBeLessThanOrEqual(1 + 1e-9);
+    });
+
+    it('should keep tracking through a single octave-error frame', () => {
+      applyConfig({ algorithm: 'yin' });
+      expect(detectPitch(octaveGlitch(196)).frequency).toBeGreaterThan(380);
+
+      applyConfig({ algorithm: 'pyin' });
+      for (let i = 0; i < 5; i++) detectPitch(sine(196));
+      const result = detectPitch(octaveGlitch(196));
+
+      expect(Math.abs(result.frequency - 196)).toBeLessThan(2);
+    });
+
+    it('should go unvoiced after sustained silence', () => {
+      for (let i = 0; i < 5; i++) detectPitch(sine(196));
+      for (let i = 0; i < 10; i++) trackUnvoicedFrame();
+
+      const result = detectPitch(new Float32Array(BUFFER_SIZE));
+
+      expect(result.frequency).toBeNull();
+      expect(result.voicedProbability).toBe(0);
+    });
+
+    it('should reset tracking when the algorithm changes', () => {
+      for (let i = 0; i < 5; i++) detectPitch(sine(196));
+
+      applyConfig({ algorithm: 'yin' });
+      applyConfig({ algorithm: 'pyin' });
+
+      // Without history the glitch frame is taken at face value
+      expect(detectPitch(octaveGlitch(196)).frequency).toBeGreaterThan(380);
+    });
+  });
+
+  describe('Adaptive volume gate', () => {
+    beforeEach(() => {
+      noiseFloor.reset();
+    });
+
+    it('should report the noise floor and gate with every result', () => {
+      const result = processFrame(sine(440));
+
+      expect(result.noiseFloor).toBeGreaterThan(0);
+      expect(result.volumeGate).toBeGreaterThan(0);
+    });
+
+    it('should skip detection below the gate', () => {
+      const result = processFrame(sine(440, 0.0003));
+
+      expect(result.frequency).toBeNull();
+      expect(result.volume).toBeLessThan(result.volumeGate);
+    });
+
+    it('should learn room noise and gate it out', () => {
+      const room = noise(0.006);
+      for (let i = 0; i < 300; i++) processFrame(room);
+
+      const result = processFrame(room);
+
+      expect(result.frequency).toBeNull();
+      expect(result.volumeGate).toBeGreaterThan(0.005);
+    });
+
+    it('should let a quiet singer through in a quiet room', () => {
+      const silence = noise(0.0001);
+      for (let i = 0; i < 50; i++) processFrame(silence);
+
+      // Volume ~0.003: below the fixed 0.005 cutoff, above a quiet room's gate
+      const result = processFrame(sine(330, 0.0004));
+
+      expect(result.frequency).toBeCloseTo(330, 0);
+    });
+
+    it('should not learn from sung notes', () => {
+      const before = noiseFloor.getFloor();
+      for (let i = 0; i < 20; i++) processFrame(sine(330, 0.5));
+
+      expect(noiseFloor.getFloor()).toBe(before);
+    });
+
+    it('should not learn from a noisy note the pYIN tracker holds as voiced', () => {
+      applyConfig({ algorithm: 'pyin' });
+      const tone = sine(220);
+      const hiss = noise(0.2);
+      const noisy = tone.map((sample, i) => sample + hiss[i]);
+
+      processFrame(noisy);
+      const before = noiseFloor.getFloor();
+      for (let i = 0; i < 20; i++) processFrame(noisy);
+
+      expect(noiseFloor.getFloor()).toBe(before);
+    });
+  });
+
+  describe('Offline analysis', () => {
+    /**
+     * Concatenate sine tones
+     * @param {Array<[number, number]>} tones - [frequency, seconds] pairs (0 Hz = silence)
+     * @returns {Float32Array}
+     */
+    function take(tones) {
+      const parts = tones.map(([frequency, seconds]) => {
+        const part = new Float32Array(Math.round(seconds * SAMPLE_RATE));
+        for (let i = 0; i < part.length; i++) {
+          part[i] = frequency ? 0.5 * Math.sin((2 * Math.PI * frequency * i) / SAMPLE_RATE) : 0;
+        }
+        return part;
+      });
+      const samples = new Float32Array(parts.reduce((sum, part) => sum + part.length, 0));
+      let offset = 0;
+      parts.forEach((part) => {
+        samples.set(part, offset);
+        offset += part.length;
+      });
+      return samples;
+    }
+
+    it('should produce one frame per hop, timed at the window centre', () => {
+      const track = analyzeSamples(take([[440, 0.5]]), { hopSize: 1024, frameSize: 2048 });
+
+      expect(track).toHaveLength(Math.floor((22050 - 2048) / 1024) + 1);
+      expect(track[0].time).toBeCloseTo(1024 / SAMPLE_RATE, 6);
+      expect(track[1].time - track[0].time).toBeCloseTo(1024 / SAMPLE_RATE, 6);
+    });
+
+    it('should follow a melody through the recording', () => {
+      const track = analyzeSamples(take([[262, 0.3], [0, 0.2], [392, 0.3]]));
+      const at = (time) => track.find((frame) => frame.time >= time);
+
+      expect(at(0.15).frequency).toBeCloseTo(262, 0);
+      expect(at(0.4).frequency).toBeNull();
+      expect(at(0.65).frequency).toBeCloseTo(392, 0);
+      expect(at(0.65).volume).toBeGreaterThan(0);
+    });
+
+    it('should analyse recordings shorter than one window', () => {
+      const track = analyzeSamples(take([[440, 0.01]]));
+
+      expect(track).toHaveLength(1);
+    });
+
+    it('should report progress', () => {
+      const onProgress = vi.fn();
+      analyzeSamples(take([[440, 2]]), { onProgress });
+
+      expect(onProgress).toHaveBeenCalled();
+      expect(onProgress.mock.calls.at(-1)[0]).toBeLessThan(1);
+    });
+  });
+
+  describe('McLeod Pitch Method', () => {
+    beforeEach(() => {
+      applyConfig({ algorithm: 'mpm' });
+    });
+
+    it('should produce NSDF of 1 at lag 0', () => {
+      const nsdf = normalizedSquareDifference(sine(440));
+      expect(nsdf[0]).toBeCloseTo(1, 5);
+    });
+
+    it('should find a key maximum at the period', () => {
+      const nsdf = normalizedSquareDifference(sine(441));
+      const maxima = findKeyMaxima(nsdf);
+
+      expect(maxima[0]).toBe(100); // 44100 / 441
+    });
+
+    it('should select no peak when none reaches the cutoff', () => {
+      const nsdf = normalizedSquareDifference(sine(441));
+      const maxima = findKeyMaxima(nsdf);
+
+      expect(selectPeak(nsdf, maxima, 1.5)).toBe(-1);
+    });
+
+    it('should not jump an octave on a weak fundamental', () => {
+      const result = detectPitch(weakFundamental(196));
+
+      expect(Math.abs(result.frequency - 196)).toBeLessThan(2);
+    });
+  });
+});
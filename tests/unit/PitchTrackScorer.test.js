@@ -0,0 +1,128 @@
+import { describe, it, expect } from 'vitest';
+import PitchTrackScorer from '../../src/game/PitchTrackScorer.js';
+import { midiToFrequency, noteNameToMidi } from '../../src/audio/NoteMapper.js';
+
+const FRAME_SECONDS = 0.01;
+
+/**
+ * Build a pitch track that holds each note for a while
+ * @param {Array<[string|null, number]>} segments - [note, seconds] pairs (null = silence)
+ * @param {number} detune - Cents added to every note
+ * @returns {Array<object>}
+ */
+function trackOf(segments, detune = 0) {
+  const track = [];
+  let time = 0;
+
+  segments.forEach(([note, seconds]) => {
+    const frequency = note
+      ? midiToFrequency(noteNameToMidi(note) + detune / 100)
+      : null;
+    for (let t = 0; t < seconds; t += FRAME_SECONDS) {
+      track.push({
+        time,
+        frequency,
+        confidence: note ? 0.9 : 0,
+        volume: note ? 0.3 : 0,
+      });
+      time += FRAME_SECONDS;
+    }
+  });
+
+  return track;
+}
+
+describe('PitchTrackScorer', () => {
+  const C_MAJOR = ['C4', 'D4', 'E4', 'F4', 'G4', 'A4', 'B4', 'C5'];
+
+  it('should score a take that sings every note', () => {
+    const scorer = new PitchTrackScorer();
+    const result = scorer.score(trackOf(C_MAJOR.map((note) => [note, 1.6])));
+
+    expect(result.scale).toEqual(C_MAJOR);
+    expect(result.notes.every((note) => note.hit)).toBe(true);
+    expect(result.statistics.perfectCount).toBe(8);
+    expect(result.score).toBeGreaterThan(0);
+  });
+
+  it('should time each scored hold within the recording', () => {
+    const scorer = new PitchTrackScorer({ scale: ['C4', 'G4'] });
+    const result = scorer.score(trackOf([[null, 1], ['C4', 2], ['G4', 2]]));
+
+    expect(result.notes[0].startTime).toBeCloseTo(1, 1);
+    expect(result.notes[0].endTime).toBeCloseTo(2.5, 1);
+    expect(result.notes[1].startTime).toBeCloseTo(3, 1);
+  });
+
+  it('should count notes never reached as misses', () => {
+    const scorer = new PitchTrackScorer();
+    const result = scorer.score(trackOf([['C4', 1.6], ['D4', 1.6], ['F4', 3]]));
+
+    expect(result.notes.filter((note) => note.hit)).toHaveLength(2);
+    expect(result.notes[2]).toEqual(expect.objectContaining({ note: 'E4', hit: false }));
+    expect(result.statistics.missCount).toBe(6);
+  });
+
+  it('should not apply the live time limit', () => {
+    // Each gap fits the easy attempt windows; together they outlast two minutes
+    const scorer = new PitchTrackScorer({ scale: ['C4', 'D4', 'E4', 'F4'], difficulty: 'easy' });
+    const result = scorer.score(trackOf(['C4', 'D4', 'E4', 'F4'].flatMap((note) => [
+      [null, 35], [note, 1.6],
+    ])));
+
+    expect(result.notes).toHaveLength(4);
+    expect(result.notes.every((note) => note.hit)).toBe(true);
+  });
+
+  it('should record a note missed mid-take in order', () => {
+    // D4 is never sung: its attempt windows run out while E4 waits
+    const scorer = new PitchTrackScorer();
+    const result = scorer.score(trackOf([['C4', 1.6], [null, 25], ...C_MAJOR.slice(2)
+      .map((note) => [note, 1.6])]));
+
+    expect(result.notes.map((note) => note.noteIndex)).toEqual([0, 1, 2, 3, 4, 5, 6, 7]);
+    expect(result.notes[1]).toEqual(expect.objectContaining({ note: 'D4', hit: false, tier: 'MISS' }));
+    expect(result.statistics.totalNotes).toBe(8);
+    expect(result.statistics.missCount).toBe(1);
+  });
+
+  it('should not count the note that ends a failed take twice', () => {
+    const scorer = new PitchTrackScorer();
+    const result = scorer.score(trackOf([[null, 80]]));
+
+    expect(result.notes.map((note) => note.noteIndex)).toEqual([0, 1, 2, 3, 4, 5, 6, 7]);
+    expect(result.statistics.totalNotes).toBe(8);
+  });
+
+  it('should judge at the chosen difficulty', () => {
+    const sharp = trackOf([['C4', 2]], 18);
+
+    expect(new PitchTrackScorer({ scale: ['C4'] }).score(sharp).notes[0].hit).toBe(true);
+    expect(new PitchTrackScorer({ scale: ['C4'], difficulty: 'hard' }).score(sharp).notes[0].hit)
+      .toBe(false);
+  });
+
+  it('should report the vibrato each note was sung with', () => {
+    const track = [];
+    for (let time = 0; time < 3; time += FRAME_SECONDS) {
+      const cents = 40 * Math.sin(2 * Math.PI * 6 * time);
+      track.push({
+        time, frequency: midiToFrequency(67 + cents / 100), confidence: 0.9, volume: 0.3,
+      });
+    }
+
+    const result = new PitchTrackScorer({ scale: ['G4'] }).score(track);
+
+    expect(result.notes[0].hit).toBe(true);
+    expect(result.notes[0].vibrato.rate).toBeCloseTo(6, 0);
+    expect(Math.abs(result.notes[0].averageCents)).toBeLessThan(3);
+  });
+
+  it('should accept any scale definition', () => {
+    const scorer = new PitchTrackScorer({ scale: { root: 'F4', type: 'major-pentatonic' } });
+
+    expect(scorer.score([]).scale).toEqual(['F4', 'G4', 'A4', 'C5', 'D5', 'F5']);
+    expect(scorer.getSpelling()).toEqual({ scale: scorer.scale });
+    expect(scorer.getTuning().tonic).toBe('F');
+  });
+});
@@ -92,6 +92,10 @@ describe('PracticeMode', () => {
       expect(practiceMode.isHolding).toBe(true);
 
       practiceMode.update({ frequency: 350.0, confidence: 0.8 }); // Wrong note
+      expect(practiceMode.isHolding).toBe(true); // Within the grace window
+
+      vi.advanceTimersByTime(250);
+      practiceMode.update({ frequency: 350.0, confidence: 0.8 });
       expect(practiceMode.isHolding).toBe(false);
       expect(practiceMode.holdSamples).toHaveLength(0);
     });
@@ -100,6 +104,8 @@ describe('PracticeMode', () => {
       practiceMode.update({ frequency: 261.63, confidence: 0.8 });
       mockCallbacks.onProgress.mockClear();
 
+      practiceMode.update({ frequency: 350.0, confidence: 0.8 });
+      vi.advanceTimersByTime(250);
       practiceMode.update({ frequency: 350.0, confidence: 0.8 });
 
       expect(mockCallbacks.onProgress).toHaveBeenCalledWith(
@@ -222,6 +228,8 @@ describe('PracticeMode', () => {
       practiceMode.update({ frequency: 261.63, confidence: 0.8 });
       vi.advanceTimersByTime(500);
       practiceMode.update({ frequency: 350.0, confidence: 0.8 }); // Lost it
+      vi.advanceTimersByTime(250);
+      practiceMode.update({ frequency: 350.0, confidence: 0.8 });
 
       // Success
       practiceMode.update({ frequency: 261.63, confidence: 0.8 });
@@ -233,6 +241,42 @@ describe('PracticeMode', () => {
     });
   });
 
+  describe('Hold Forgiveness', () => {
+    it('should keep a hold through a short dropout', () => {
+      practiceMode.update({ frequency: 261.63, confidence: 0.8 });
+      vi.advanceTimersByTime(700);
+      practiceMode.update({ frequency: null, confidence: 0 });
+      vi.advanceTimersByTime(200);
+      practiceMode.update({ frequency: 261.63, confidence: 0.8 });
+      vi.advanceTimersByTime(600);
+      practiceMode.update({ frequency: 261.63, confidence: 0.8 });
+
+      expect(mockCallbacks.onNoteHit).toHaveBeenCalledWith(
+        expect.objectContaining({ forgivenFrames: 1 }),
+      );
+      expect(practiceMode.attempts).toBe(1);
+    });
+
+    it('should end a hold only beyond the exit tolerance', () => {
+      expect(practiceMode.config.exitTolerance).toBe(35);
+
+      practiceMode.update({ frequency: 261.63, confidence: 0.8 });
+      practiceMode.update({ frequency: 261.63 * 2 ** (30 / 1200), confidence: 0.8 });
+
+      expect(practiceMode.isHolding).toBe(true);
+      expect(practiceMode.dropoutStartTime).toBeNull();
+    });
+
+    it('should break at once without a grace window', () => {
+      practiceMode = new PracticeMode({ ...mockCallbacks, holdGrace: 0 });
+
+      practiceMode.update({ frequency: 261.63, confidence: 0.8 });
+      practiceMode.update({ frequency: null, confidence: 0 });
+
+      expect(practiceMode.isHolding).toBe(false);
+    });
+  });
+
   describe('Change Target Note', () => {
     it('should change target note', () => {
       practiceMode.setTargetNote('A4');
@@ -265,6 +309,95 @@ describe('PracticeMode', () => {
     });
   });
 
+  describe('Reference Tones', () => {
+    let referenceTone;
+
+    beforeEach(() => {
+      referenceTone = { playNote: vi.fn() };
+    });
+
+    it('should play the target on start and on each new note when enabled', () => {
+      const onReferenceTone = vi.fn();
+      practiceMode = new PracticeMode({
+        targetNote: 'A4', referenceTone, playReferenceTone: true, onReferenceTone,
+      });
+
+      practiceMode.start();
+      expect(referenceTone.playNote).toHaveBeenCalledWith(expect.closeTo(440, 1), 1000);
+      expect(onReferenceTone).toHaveBeenCalledWith({ note: 'A4', frequency: expect.closeTo(440, 1) });
+
+      practiceMode.setTargetNote('C4');
+      expect(referenceTone.playNote).toHaveBeenLastCalledWith(expect.closeTo(261.63, 1), 1000);
+    });
+
+    it('should stay silent until asked when playReferenceTone is off', () => {
+      practiceMode = new PracticeMode({ targetNote: 'A4', referenceTone });
+
+      practiceMode.start();
+      expect(referenceTone.playNote).not.toHaveBeenCalled();
+
+      expect(practiceMode.replayTarget()).toBe(true);
+      expect(referenceTone.playNote).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not play without a tone generator', () => {
+      expect(practiceMode.replayTarget()).toBe(false);
+    });
+  });
+
+  describe('Session Summary', () => {
+    /**
+     * Hold the current target long enough to complete it
+     * @param {number} frequency - Frequency to sing
+     */
+    const holdNote = (frequency) => {
+      practiceMode.update({ frequency, confidence: 0.8 });
+      vi.advanceTimersByTime(1500);
+      practiceMode.update({ frequency, confidence: 0.8 });
+    };
+
+    it('should keep statistics of earlier notes when the target changes', () => {
+      practiceMode.start();
+      holdNote(261.63);
+
+      practiceMode.setTargetNote('A4');
+      holdNote(440);
+      holdNote(440);
+
+      const summary = practiceMode.getSummary();
+      expect(summary.notes.map((n) => n.targetNote)).toEqual(['C4', 'A4']);
+      expect(summary.notes[0].successfulHits).toBe(1);
+      expect(summary.notes[1].successfulHits).toBe(2);
+      expect(summary.totals.successfulHits).toBe(3);
+      expect(summary.totals.attempts).toBe(3);
+      expect(summary.totals.successRate).toBe(100);
+      expect(summary.totals.totalPracticeTime).toBe(4500);
+      expect(summary.duration).toBe(4500);
+    });
+
+    it('should leave out notes that were never attempted', () => {
+      practiceMode.start();
+      practiceMode.setTargetNote('D4');
+      practiceMode.setTargetNote('E4');
+
+      const summary = practiceMode.getSummary();
+      expect(summary.notes).toEqual([]);
+      expect(summary.totals.successRate).toBe(0);
+      expect(summary.totals.averageAccuracy).toBe(0);
+    });
+
+    it('should weight average accuracy by hits', () => {
+      practiceMode.start();
+      holdNote(261.63 * 2 ** (10 / 1200)); // +10 cents
+
+      practiceMode.setTargetNote('A4');
+      holdNote(440 * 2 ** (-4 / 1200)); // -4 cents
+      holdNote(440 * 2 ** (-4 / 1200));
+
+      expect(practiceMode.getSummary().totals.averageAccuracy).toBeCloseTo(6, 0);
+    });
+  });
+
   describe('Hold Progress', () => {
     it('should return 0 progress when not holding', () => {
       expect(practiceMode.getHoldProgress()).toBe(0);
@@ -298,6 +431,8 @@ describe('PracticeMode', () => {
       practiceMode.update({ frequency: 261.63, confidence: 0.8 });
       vi.advanceTimersByTime(500);
       practiceMode.update({ frequency: 350.0, confidence: 0.8 });
+      vi.advanceTimersByTime(250);
+      practiceMode.update({ frequency: 350.0, confidence: 0.8 });
 
       // Success
       practiceMode.update({ frequency: 261.63, confidence: 0.8 });
@@ -415,6 +550,36 @@ describe('PracticeMode', () => {
 
       expect(hard.isHolding).toBe(false);
     });
+
+    it('should change tolerance mid-session and keep statistics', () => {
+      practiceMode.update({ frequency: 261.63, confidence: 0.8 });
+      vi.advanceTimersByTime(1500);
+      practiceMode.update({ frequency: 261.63, confidence: 0.8 });
+
+      practiceMode.setTolerance(10);
+
+      // 15 cents off - inside the old tolerance, outside the new one
+      practiceMode.update({ frequency: 264.0, confidence: 0.8 });
+
+      expect(practiceMode.isHolding).toBe(false);
+      expect(practiceMode.config.exitTolerance).toBe(20);
+      expect(practiceMode.successfulHits).toBe(1);
+    });
+
+    it('should tune the target relative to the practice key', () => {
+      // A just major third above D (F#4) is ~14 cents flat of equal temperament
+      const pureThird = 293.66 * 1.25;
+      const just = new PracticeMode({
+        targetNote: 'F#4',
+        tolerance: 10,
+        tuning: { temperament: 'just', tonic: 'D' },
+      });
+
+      just.update({ frequency: pureThird, confidence: 0.8 });
+
+      expect(just.getTuning().temperament).toBe('just');
+      expect(just.isHolding).toBe(true);
+    });
   });
 
   describe('State Method', () => {
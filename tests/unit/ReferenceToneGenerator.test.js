@@ -0,0 +1,207 @@
+import {
+  describe, it, expect, beforeEach, afterEach, vi,
+} from 'vitest';
+import ReferenceToneGenerator from '../../src/utils/ReferenceToneGenerator.js';
+import { noteNameToMidi } from '../../src/audio/NoteMapper.js';
+
+const C_MAJOR = ['C4', 'D4', 'E4', 'F4', 'G4', 'A4', 'B4', 'C5'];
+const A_MINOR = ['A3', 'B3', 'C4', 'D4', 'E4', 'F4', 'G4', 'A4'];
+
+/**
+ * Get the sounding pitches as note numbers
+ * @param {ReferenceToneGenerator} generator
+ * @returns {number[]} Rounded MIDI numbers
+ */
+function sounding(generator) {
+  return generator.accompanimentVoices
+    .map(({ frequency }) => Math.round(12 * Math.log2(frequency / 440) + 69));
+}
+
+describe('ReferenceToneGenerator', () => {
+  let generator;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    generator = new ReferenceToneGenerator();
+  });
+
+  afterEach(() => {
+    generator.destroy();
+    vi.useRealTimers();
+  });
+
+  describe('Accompaniment', () => {
+    it('should drone the tonic an octave below the exercise', () => {
+      expect(generator.startAccompaniment(C_MAJOR, { mode: 'drone' })).toBe(true);
+
+      expect(generator.isAccompanimentPlaying()).toBe(true);
+      expect(sounding(generator)).toEqual([noteNameToMidi('C3')]);
+    });
+
+    it('should put the fifth over the tonic drone when under it is too low', () => {
+      generator.startAccompaniment(C_MAJOR, { mode: 'drone-fifth' });
+
+      expect(sounding(generator)).toEqual([noteNameToMidi('C3'), noteNameToMidi('G3')]);
+    });
+
+    it('should put the fifth under the tonic drone in higher exercises', () => {
+      generator.startAccompaniment(['C5', 'D5', 'E5'], { mode: 'drone-fifth' });
+
+      expect(sounding(generator)).toEqual([noteNameToMidi('C4'), noteNameToMidi('G3')]);
+    });
+
+    it('should drone a descending scale from its lowest note', () => {
+      generator.startAccompaniment([...C_MAJOR].reverse(), { mode: 'drone' });
+
+      expect(sounding(generator)).toEqual([noteNameToMidi('C3')]);
+    });
+
+    it('should cycle through I, IV and V in root position', () => {
+      generator.startAccompaniment(C_MAJOR, { mode: 'chords' });
+      const chords = [sounding(generator)];
+      for (let i = 0; i < 4; i++) {
+        vi.advanceTimersByTime(2000);
+        chords.push(sounding(generator));
+      }
+
+      const c3 = noteNameToMidi('C3');
+      expect(chords).toEqual([
+        [c3, c3 + 4, c3 + 7],
+        [c3 + 5, c3 + 9, c3 + 12],
+        [c3 + 7, c3 + 11, c3 + 14],
+        [c3, c3 + 4, c3 + 7],
+        [c3, c3 + 4, c3 + 7],
+      ]);
+    });
+
+    it('should use minor chords in minor keys', () => {
+      generator.startAccompaniment(A_MINOR, { mode: 'chords' });
+      const tonic = sounding(generator);
+      vi.advanceTimersByTime(2000);
+      const subdominant = sounding(generator);
+      vi.advanceTimersByTime(2000);
+      const dominant = sounding(generator);
+
+      const a2 = noteNameToMidi('A2');
+      expect(tonic).toEqual([a2, a2 + 3, a2 + 7]);
+      expect(subdominant).toEqual([a2 + 5, a2 + 8, a2 + 12]);
+      expect(dominant).toEqual([a2 + 7, a2 + 11, a2 + 14]); // Major V
+    });
+
+    it('should keep the pad two octaves under a high exercise', () => {
+      generator.startAccompaniment(['C5', 'D5', 'E5'], { mode: 'chords' });
+
+      expect(sounding(generator)[0]).toBe(noteNameToMidi('C3'));
+    });
+
+    it('should keep every voice within reach of small speakers', () => {
+      ['drone', 'drone-fifth', 'chords'].forEach((mode) => {
+        [C_MAJOR, A_MINOR, ['E2', 'F#2', 'G#2']].forEach((notes) => {
+          generator.startAccompaniment(notes, { mode });
+          for (let i = 0; i < 4; i++) {
+            generator.accompanimentVoices.forEach(({ frequency }) => {
+              expect(frequency).toBeGreaterThanOrEqual(100);
+            });
+            vi.advanceTimersByTime(2000);
+          }
+        });
+      });
+    });
+
+    it('should use pure tones on their own volume', () => {
+      generator.setVolume(0.9);
+      generator.setAccompanimentVolume(0.2);
+      generator.startAccompaniment(C_MAJOR, { mode: 'drone' });
+
+      const master = generator.accompanimentGain;
+      expect(master.gain.linearRampToValueAtTime).toHaveBeenCalledWith(0.2, expect.any(Number));
+      expect(generator.accompanimentVoices[0].oscillator.type).toBe('sine');
+
+      generator.setAccompanimentVolume(1.5);
+      expect(generator.getAccompanimentVolume()).toBe(1);
+      expect(master.gain.setValueAtTime).toHaveBeenLastCalledWith(1, expect.any(Number));
+    });
+
+    it('should play whether or not reference tones are enabled', () => {
+      generator.disable();
+
+      expect(generator.startAccompaniment(C_MAJOR)).toBe(true);
+    });
+
+    it('should fade out and release the voices on stop', () => {
+      generator.startAccompaniment(C_MAJOR, { mode: 'chords' });
+      const { oscillator } = generator.accompanimentVoices[0];
+
+      generator.stopAccompaniment();
+
+      expect(generator.isAccompanimentPlaying()).toBe(false);
+      expect(oscillator.stop).toHaveBeenCalledWith(0.5);
+      vi.advanceTimersByTime(500);
+      expect(oscillator.disconnect).toHaveBeenCalled();
+      expect(generator.accompanimentTimer).toBeNull();
+    });
+
+    it('should not play when off or given bad input', () => {
+      const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+      expect(generator.startAccompaniment(C_MAJOR, { mode: 'off' })).toBe(false);
+      expect(generator.startAccompaniment(C_MAJOR, { mode: 'organ' })).toBe(false);
+      expect(generator.startAccompaniment(['H4'])).toBe(false);
+      expect(generator.startAccompaniment([])).toBe(false);
+      expect(generator.isAccompanimentPlaying()).toBe(false);
+      warnSpy.mockRestore();
+    });
+  });
+
+  describe('Tone announcements', () => {
+    it('should announce reference notes with their length', () => {
+      const onStart = vi.fn();
+      generator.on('tone-start', onStart);
+      generator.enable();
+      const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+      generator.playNote(440, 800);
+      warnSpy.mockRestore();
+
+      expect(onStart).toHaveBeenCalledWith(expect.objectContaining({
+        frequency: 440,
+        duration: 800,
+      }));
+    });
+
+    it('should announce accompaniment voices once and move them on chord changes', () => {
+      const onStart = vi.fn();
+      const onChange = vi.fn();
+      const onEnd = vi.fn();
+      generator.on('tone-start', onStart);
+      generator.on('tone-change', onChange);
+      generator.on('tone-end', onEnd);
+
+      generator.startAccompaniment(C_MAJOR, { mode: 'chords' });
+      expect(onStart).toHaveBeenCalledTimes(3);
+      expect(onStart.mock.calls[0][0].duration).toBeUndefined();
+
+      vi.advanceTimersByTime(2000);
+      expect(onStart).toHaveBeenCalledTimes(3);
+      expect(onEnd).not.toHaveBeenCalled();
+      expect(onChange).toHaveBeenCalledTimes(3);
+      expect(onChange.mock.calls.map(([{ id }]) => id))
+        .toEqual(onStart.mock.calls.map(([{ id }]) => id));
+      expect(onChange.mock.calls[0][0].frequency).toBe(generator.accompanimentVoices[0].frequency);
+
+      generator.stopAccompaniment();
+      expect(onEnd.mock.calls.map(([{ id }]) => id).sort())
+        .toEqual(onStart.mock.calls.map(([{ id }]) => id).sort());
+    });
+
+    it('should stop notifying removed listeners', () => {
+      const onStart = vi.fn();
+      generator.on('tone-start', onStart);
+      generator.off('tone-start', onStart);
+
+      generator.startAccompaniment(C_MAJOR);
+
+      expect(onStart).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,53 @@
+import { describe, it, expect } from 'vitest';
+import RingBuffer from '../../src/audio/RingBuffer.js';
+
+describe('RingBuffer', () => {
+  it('should pad unwritten samples with silence', () => {
+    const ring = new RingBuffer(8);
+    ring.write(new Float32Array([1, 2, 3]));
+
+    expect(Array.from(ring.read(5))).toEqual([0, 0, 1, 2, 3]);
+  });
+
+  it('should return the most recent samples in order after wrapping', () => {
+    const ring = new RingBuffer(4);
+    ring.write(new Float32Array([1, 2, 3]));
+    ring.write(new Float32Array([4, 5, 6]));
+
+    expect(Array.from(ring.read(4))).toEqual([3, 4, 5, 6]);
+    expect(Array.from(ring.read(2))).toEqual([5, 6]);
+  });
+
+  it('should keep only the tail of a block larger than capacity', () => {
+    const ring = new RingBuffer(3);
+    ring.write(new Float32Array([1, 2, 3, 4, 5]));
+
+    expect(ring.length).toBe(3);
+    expect(Array.from(ring.read(3))).toEqual([3, 4, 5]);
+  });
+
+  it('should never read more than capacity', () => {
+    const ring = new RingBuffer(4);
+
+    expect(ring.read(10).length).toBe(4);
+  });
+
+  it('should keep recent samples when resized', () => {
+    const ring = new RingBuffer(3);
+    ring.write(new Float32Array([1, 2, 3, 4]));
+    ring.resize(6);
+    ring.write(new Float32Array([5]));
+
+    expect(ring.capacity).toBe(6);
+    expect(Array.from(ring.read(6))).toEqual([0, 0, 2, 3, 4, 5]);
+  });
+
+  it('should discard samples on clear', () => {
+    const ring = new RingBuffer(4);
+    ring.write(new Float32Array([1, 2]));
+    ring.clear();
+
+    expect(ring.length).toBe(0);
+    expect(Array.from(ring.read(2))).toEqual([0, 0]);
+  });
+});
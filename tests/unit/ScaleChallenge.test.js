@@ -2,6 +2,8 @@ import {
   describe, it, expect, beforeEach, vi,
 } from 'vitest';
 import ScaleChallenge from '../../src/game/ScaleChallenge.js';
+import VibratoAnalyzer from '../../src/audio/VibratoAnalyzer.js';
+import { midiToFrequency } from '../../src/audio/NoteMapper.js';
 
 describe('ScaleChallenge', () => {
   let challenge;
@@ -58,6 +60,53 @@ describe('ScaleChallenge', () => {
     });
   });
 
+  describe('Scale Definitions', () => {
+    it('should build the scale from a root, type and direction', () => {
+      const minor = new ScaleChallenge({
+        scale: { root: 'A3', type: 'harmonic-minor', direction: 'descending' },
+      });
+
+      expect(minor.scale).toEqual(['A4', 'G#4', 'F4', 'E4', 'D4', 'C4', 'B3', 'A3']);
+      expect(minor.getCurrentNote()).toBe('A4');
+    });
+
+    it('should accept an explicit list of notes', () => {
+      const arpeggio = new ScaleChallenge({ scale: ['Bb3', 'D4', 'F4', 'Bb4'] });
+
+      expect(arpeggio.scale).toHaveLength(4);
+      expect(arpeggio.getTuning().tonic).toBe('Bb');
+    });
+
+    it('should normalize Unicode note names', () => {
+      const custom = new ScaleChallenge({ scale: ['E♭4', 'F4', 'G4'] });
+
+      expect(custom.scale[0]).toBe('Eb4');
+      expect(custom.getSpelling()).toEqual({ scale: ['Eb4', 'F4', 'G4'] });
+    });
+
+    it('should reject invalid scale definitions', () => {
+      expect(() => new ScaleChallenge({ scale: [] })).toThrow();
+      expect(() => new ScaleChallenge({ scale: ['C4', 'X4'] })).toThrow();
+      expect(() => new ScaleChallenge({ scale: { root: 'C4', type: 'bebop' } })).toThrow();
+    });
+
+    it('should match flat targets and finish after the last note', () => {
+      const pentatonic = new ScaleChallenge({
+        scale: { root: 'Eb4', type: 'minor-pentatonic' },
+        ...mockCallbacks,
+      });
+      pentatonic.start();
+      pentatonic.currentNoteIndex = 5; // Eb5
+
+      pentatonic.update({ frequency: 622.25, confidence: 0.8 });
+      vi.advanceTimersByTime(1500);
+      const result = pentatonic.update({ frequency: 622.25, confidence: 0.8 });
+
+      expect(result.newState).toBe('complete');
+      expect(mockCallbacks.onComplete).toHaveBeenCalled();
+    });
+  });
+
   describe('Challenge Start', () => {
     it('should start challenge and set active state', () => {
       challenge.start();
@@ -121,6 +170,10 @@ describe('ScaleChallenge', () => {
       expect(challenge.isHolding).toBe(true);
 
       challenge.update({ frequency: 350.0, confidence: 0.8 }); // Wrong note
+      expect(challenge.isHolding).toBe(true); // Within the grace window
+
+      vi.advanceTimersByTime(250);
+      challenge.update({ frequency: 350.0, confidence: 0.8 });
       expect(challenge.isHolding).toBe(false);
       expect(challenge.holdSamples).toHaveLength(0);
     });
@@ -302,6 +355,198 @@ describe('ScaleChallenge', () => {
     });
   });
 
+  describe('Attempt Windows', () => {
+    const onTarget = { frequency: 261.63, confidence: 0.9 };
+    const silence = { frequency: null, confidence: 0 };
+
+    beforeEach(() => {
+      mockCallbacks.onAttemptFailed = vi.fn();
+      challenge = new ScaleChallenge({ octave: 4, difficulty: 'normal', ...mockCallbacks });
+      challenge.start();
+    });
+
+    it('should fail an attempt when its window runs out', () => {
+      vi.advanceTimersByTime(7900);
+      challenge.update(silence);
+      expect(challenge.currentNoteAttempts).toBe(0);
+
+      vi.advanceTimersByTime(200);
+      challenge.update(silence);
+
+      expect(challenge.currentNoteAttempts).toBe(1);
+      expect(mockCallbacks.onAttemptFailed).toHaveBeenCalledWith({
+        noteIndex: 0,
+        note: 'C4',
+        reason: 'timeout',
+        attemptsRemaining: 2,
+      });
+      expect(mockCallbacks.onProgress).toHaveBeenLastCalledWith(expect.objectContaining({
+        currentNote: 'C4',
+        attemptsRemaining: 2,
+        maxAttempts: 3,
+      }));
+    });
+
+    it('should miss the note when every window runs out', () => {
+      for (let i = 0; i < 3; i++) {
+        vi.advanceTimersByTime(8000);
+        challenge.update(silence);
+      }
+
+      expect(mockCallbacks.onNoteMiss).toHaveBeenCalledWith(expect.objectContaining({
+        note: 'C4',
+        attempts: 3,
+      }));
+      expect(challenge.getCurrentNote()).toBe('D4');
+      expect(challenge.getAttemptsRemaining()).toBe(3);
+    });
+
+    it('should fail an attempt when a real hold breaks', () => {
+      challenge.update(onTarget);
+      vi.advanceTimersByTime(500);
+      challenge.update(onTarget);
+      challenge.update(silence);
+      vi.advanceTimersByTime(250);
+      challenge.update(silence);
+
+      expect(mockCallbacks.onAttemptFailed).toHaveBeenCalledWith(expect.objectContaining({
+        reason: 'hold-broken',
+      }));
+    });
+
+    it('should not count passing through the note as an attempt', () => {
+      challenge.update(onTarget);
+      vi.advanceTimersByTime(100);
+      challenge.update(silence);
+      vi.advanceTimersByTime(250);
+      challenge.update(silence);
+
+      expect(challenge.currentNoteAttempts).toBe(0);
+    });
+
+    it('should let a hold in progress finish after the window ends', () => {
+      vi.advanceTimersByTime(7000);
+      challenge.update(onTarget);
+      vi.advanceTimersByTime(1500);
+      challenge.update(onTarget);
+
+      expect(mockCallbacks.onNoteHit).toHaveBeenCalled();
+      expect(mockCallbacks.onAttemptFailed).not.toHaveBeenCalled();
+    });
+
+    it('should report the failure a missed note causes', () => {
+      challenge.failureCount = 2;
+
+      let result;
+      for (let i = 0; i < 3; i++) {
+        vi.advanceTimersByTime(8000);
+        result = challenge.update(silence);
+      }
+
+      expect(result).toEqual({ stateChanged: true, newState: 'failed' });
+      expect(mockCallbacks.onFail).toHaveBeenCalledWith('TOO_MANY_FAILURES');
+    });
+
+    it('should not spend the window while paused', () => {
+      vi.advanceTimersByTime(5000);
+      challenge.pause();
+      vi.advanceTimersByTime(60000);
+      challenge.resume();
+
+      vi.advanceTimersByTime(2000);
+      challenge.update(silence);
+
+      expect(challenge.currentNoteAttempts).toBe(0);
+      expect(challenge.state).toBe('active');
+    });
+
+    it('should restart an interrupted hold after a pause without penalty', () => {
+      challenge.update(onTarget);
+      vi.advanceTimersByTime(1000);
+      challenge.pause();
+      challenge.resume();
+
+      expect(challenge.isHolding).toBe(false);
+      challenge.update(silence);
+      expect(challenge.currentNoteAttempts).toBe(0);
+    });
+  });
+
+  describe('Hold Forgiveness', () => {
+    const onTarget = { frequency: 261.63, confidence: 0.9 };
+    const cents = (offset) => ({ frequency: 261.63 * 2 ** (offset / 1200), confidence: 0.9 });
+
+    beforeEach(() => {
+      challenge.start();
+    });
+
+    it('should keep a hold through a short dropout', () => {
+      challenge.update(onTarget);
+      vi.advanceTimersByTime(600);
+      challenge.update({ frequency: null, confidence: 0 }); // Breath
+      vi.advanceTimersByTime(100);
+      challenge.update({ frequency: 261.63, confidence: 0.4 }); // Consonant
+      vi.advanceTimersByTime(100);
+      challenge.update(onTarget);
+      vi.advanceTimersByTime(800);
+      challenge.update(onTarget);
+
+      expect(mockCallbacks.onNoteHit).toHaveBeenCalledWith(expect.objectContaining({
+        note: 'C4',
+        forgivenFrames: 2,
+      }));
+    });
+
+    it('should report no forgiven frames for a clean hold', () => {
+      challenge.update(onTarget);
+      vi.advanceTimersByTime(1500);
+      challenge.update(onTarget);
+
+      expect(mockCallbacks.onNoteHit.mock.calls[0][0].forgivenFrames).toBe(0);
+    });
+
+    it('should need the tight tolerance to start a hold but the wider one to end it', () => {
+      challenge.update(cents(30));
+      expect(challenge.isHolding).toBe(false);
+
+      challenge.update(cents(10));
+      challenge.update(cents(30));
+      expect(challenge.isHolding).toBe(true);
+      expect(challenge.dropoutStartTime).toBeNull();
+
+      challenge.update(cents(40));
+      expect(challenge.dropoutStartTime).not.toBeNull();
+    });
+
+    it('should not count frames from a dropout that ended the hold', () => {
+      challenge.update(onTarget);
+      challenge.update({ frequency: null, confidence: 0 });
+      vi.advanceTimersByTime(300);
+      challenge.update({ frequency: null, confidence: 0 });
+      expect(challenge.isHolding).toBe(false);
+
+      challenge.update(onTarget);
+      vi.advanceTimersByTime(1500);
+      challenge.update(onTarget);
+
+      expect(mockCallbacks.onNoteHit.mock.calls[0][0].forgivenFrames).toBe(0);
+    });
+
+    it('should allow the grace window and exit tolerance to be configured', () => {
+      challenge = new ScaleChallenge({
+        ...mockCallbacks, holdGrace: 0, exitTolerance: 5,
+      });
+      challenge.start();
+
+      // The exit tolerance is never tighter than the entry tolerance
+      expect(challenge.difficultySettings.exitTolerance).toBe(25);
+
+      challenge.update(onTarget);
+      challenge.update({ frequency: null, confidence: 0 });
+      expect(challenge.isHolding).toBe(false);
+    });
+  });
+
   describe('Hold Progress', () => {
     beforeEach(() => {
       challenge.start();
@@ -341,6 +586,7 @@ describe('ScaleChallenge', () => {
         currentNoteAttempts: 0,
         totalAttempts: 0,
         failureCount: 1,
+        totalHints: 0,
         startTime: expect.any(Number),
         noteStartTime: expect.any(Number),
         state: 'active',
@@ -368,6 +614,126 @@ describe('ScaleChallenge', () => {
     });
   });
 
+  describe('Reference Tones', () => {
+    let referenceTone;
+
+    /**
+     * Build a challenge that plays through a mock generator
+     * @param {object} options - Extra config
+     * @returns {ScaleChallenge}
+     */
+    const withTones = (options = {}) => new ScaleChallenge({
+      octave: 4,
+      difficulty: 'normal',
+      ...mockCallbacks,
+      referenceTone,
+      ...options,
+    });
+
+    const onTarget = { frequency: 261.63, confidence: 0.9 };
+
+    beforeEach(() => {
+      referenceTone = { playNote: vi.fn() };
+    });
+
+    it('should play each target as it begins when enabled', () => {
+      challenge = withTones({ playReferenceTone: true });
+      challenge.start();
+
+      expect(referenceTone.playNote).toHaveBeenCalledWith(expect.closeTo(261.63, 1), 1000);
+
+      challenge.recordFailedAttempt();
+      challenge.recordFailedAttempt();
+      challenge.recordFailedAttempt();
+
+      expect(referenceTone.playNote).toHaveBeenLastCalledWith(expect.closeTo(293.66, 1), 1000);
+      expect(challenge.totalHints).toBe(0); // Note-start tones aren't hints
+    });
+
+    it('should stay silent at note start when disabled', () => {
+      challenge = withTones();
+      challenge.start();
+
+      expect(referenceTone.playNote).not.toHaveBeenCalled();
+    });
+
+    it('should play targets in the challenge tuning', () => {
+      challenge = withTones({ playReferenceTone: true, tuning: { temperament: 'just' } });
+      challenge.start();
+      challenge.currentNoteIndex = 2; // E4, a just third below equal temperament
+      challenge.replayTarget();
+
+      const frequency = referenceTone.playNote.mock.calls[1][0];
+      expect(1200 * Math.log2(frequency / 329.63)).toBeCloseTo(-13.7, 0);
+    });
+
+    it('should replay the target on request and count it as a hint', () => {
+      const onReferenceTone = vi.fn();
+      challenge = withTones({ onReferenceTone });
+      challenge.start();
+
+      expect(challenge.replayTarget()).toBe(true);
+      expect(onReferenceTone).toHaveBeenCalledWith({
+        note: 'C4',
+        frequency: expect.closeTo(261.63, 1),
+        reason: 'replay',
+        hints: 1,
+      });
+      expect(challenge.getStatistics().hintsUsed).toBe(1);
+    });
+
+    it('should not replay when the challenge is not running', () => {
+      challenge = withTones();
+
+      expect(challenge.replayTarget()).toBe(false);
+      expect(referenceTone.playNote).not.toHaveBeenCalled();
+    });
+
+    it('should play a hint after struggling for the hint delay', () => {
+      challenge = withTones({ hintDelay: 5000 });
+      challenge.start();
+
+      vi.advanceTimersByTime(4900);
+      challenge.update({ frequency: null, confidence: 0 });
+      expect(referenceTone.playNote).not.toHaveBeenCalled();
+
+      vi.advanceTimersByTime(200);
+      challenge.update({ frequency: null, confidence: 0 });
+      expect(referenceTone.playNote).toHaveBeenCalledTimes(1);
+
+      // The next hint waits another full delay
+      vi.advanceTimersByTime(1000);
+      challenge.update({ frequency: null, confidence: 0 });
+      expect(referenceTone.playNote).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not hint while the target is being held', () => {
+      challenge = withTones({ hintDelay: 1000 });
+      challenge.start();
+      challenge.update(onTarget);
+
+      vi.advanceTimersByTime(1200);
+      challenge.update(onTarget);
+
+      expect(referenceTone.playNote).not.toHaveBeenCalled();
+    });
+
+    it('should report hints used with each note', () => {
+      challenge = withTones();
+      challenge.start();
+      challenge.replayTarget();
+
+      challenge.update(onTarget);
+      vi.advanceTimersByTime(1600);
+      challenge.update(onTarget);
+
+      expect(mockCallbacks.onNoteHit).toHaveBeenCalledWith(expect.objectContaining({ hints: 1 }));
+
+      // Hints start over on the next note
+      expect(challenge.currentNoteHints).toBe(0);
+    });
+  });
+
   describe('Statistics', () => {
     beforeEach(() => {
       challenge.start();
@@ -385,6 +751,7 @@ describe('ScaleChallenge', () => {
         totalNotes: 8,
         totalAttempts: 8,
         failureCount: 1,
+        hintsUsed: 0,
         timeElapsed: expect.any(Number),
         difficulty: 'normal',
         octave: 4,
@@ -437,4 +804,88 @@ describe('ScaleChallenge', () => {
       expect(hard.isHolding).toBe(true);
     });
   });
+
+  describe('Vibrato', () => {
+    /**
+     * Sing C4 with vibrato (5.5 Hz, ±45 cents, centre +3 cents) for up to 3 s
+     * @param {boolean} withAnalysis - Pass live vibrato analysis with each frame
+     * @returns {ScaleChallenge}
+     */
+    function singWithVibrato(withAnalysis) {
+      const analyzer = new VibratoAnalyzer();
+      let now = 0;
+      // Frame by frame means no forgiveness for the swings either
+      const vibratoChallenge = new ScaleChallenge({
+        ...mockCallbacks,
+        clock: () => now,
+        holdGrace: withAnalysis ? undefined : 0,
+      });
+      vibratoChallenge.start();
+
+      for (let t = 0; t <= 3000 && vibratoChallenge.currentNoteIndex === 0; t += 10) {
+        now = t;
+        const cents = 3 + 45 * Math.sin(2 * Math.PI * 5.5 * (t / 1000));
+        const frequency = midiToFrequency(60 + cents / 100);
+        vibratoChallenge.update({
+          frequency,
+          confidence: 0.9,
+          vibrato: withAnalysis ? analyzer.update(t, frequency) : undefined,
+        });
+      }
+
+      return vibratoChallenge;
+    }
+
+    it('should judge a held vibrato by its centre line', () => {
+      singWithVibrato(true);
+
+      expect(mockCallbacks.onNoteHit).toHaveBeenCalled();
+      const noteData = mockCallbacks.onNoteHit.mock.calls[0][0];
+      expect(Math.abs(noteData.averageCents - 3)).toBeLessThan(3);
+      expect(noteData.vibrato.rate).toBeCloseTo(5.5, 0);
+      expect(Math.abs(noteData.vibrato.extent - 45)).toBeLessThan(6);
+    });
+
+    it('should not hold a wide vibrato judged frame by frame', () => {
+      singWithVibrato(false);
+
+      expect(mockCallbacks.onNoteHit).not.toHaveBeenCalled();
+    });
+
+    it('should report no vibrato for a straight tone', () => {
+      challenge.start();
+      challenge.update({ frequency: 261.63, confidence: 0.8 });
+      vi.advanceTimersByTime(1500);
+      challenge.update({ frequency: 261.63, confidence: 0.8 });
+
+      expect(mockCallbacks.onNoteHit.mock.calls[0][0].vibrato).toBeNull();
+    });
+  });
+
+  describe('Temperament', () => {
+    const PURE_THIRD = 261.63 * 1.25; // E4 ~14 cents below equal temperament
+
+    it('should default to equal temperament in C', () => {
+      expect(challenge.getTuning()).toEqual({ temperament: 'equal', tonic: 'C' });
+    });
+
+    it('should judge targets against the configured temperament', () => {
+      const equal = new ScaleChallenge({ difficulty: 'hard' });
+      const just = new ScaleChallenge({
+        difficulty: 'hard',
+        tuning: { temperament: 'just', tonic: 'C' },
+      });
+
+      equal.start();
+      just.start();
+      equal.currentNoteIndex = 2; // E4
+      just.currentNoteIndex = 2;
+      equal.update({ frequency: PURE_THIRD, confidence: 0.8 });
+      just.update({ frequency: PURE_THIRD, confidence: 0.8 });
+
+      expect(equal.isHolding).toBe(false);
+      expect(just.isHolding).toBe(true);
+      expect(Math.abs(just.holdSamples[0].cents)).toBeLessThan(1);
+    });
+  });
 });
@@ -1,7 +1,7 @@
 import {
   describe, it, expect, beforeEach,
 } from 'vitest';
-import ScoreSystem from '../../src/game/ScoreSystem.js';
+import ScoreSystem, { accuracyTier } from '../../src/game/ScoreSystem.js';
 
 describe('ScoreSystem', () => {
   let scoreSystem;
@@ -49,6 +49,13 @@ describe('ScoreSystem', () => {
       expect(result.tier).toBe('MISS');
       expect(result.totalPoints).toBe(0);
     });
+
+    it('should name the tier for a deviation in either direction', () => {
+      expect(accuracyTier(-8)).toBe('PERFECT');
+      expect(accuracyTier(20)).toBe('GREAT');
+      expect(accuracyTier(-40)).toBe('OK');
+      expect(accuracyTier(60)).toBe('MISS');
+    });
   });
 
   describe('Combo System', () => {
@@ -107,6 +114,37 @@ describe('ScoreSystem', () => {
     });
   });
 
+  describe('Hint Penalty', () => {
+    it('should take points off a note that needed hints', () => {
+      const result = scoreSystem.addNote(5, 1500, true, 1); // 100 + 10 - 10
+
+      expect(result.hintPenalty).toBe(10);
+      expect(result.totalPoints).toBe(100);
+      expect(result.tier).toBe('PERFECT');
+    });
+
+    it('should charge the penalty once however many hints played', () => {
+      const result = scoreSystem.addNote(5, 1500, true, 6);
+
+      expect(result.hintPenalty).toBe(10);
+      expect(result.totalPoints).toBe(100);
+    });
+
+    it('should leave even a slow OK note most of its points', () => {
+      const result = scoreSystem.addNote(45, 3500, true, 10);
+
+      expect(result.hintPenalty).toBe(10);
+      expect(result.totalPoints).toBe(40);
+    });
+
+    it('should not penalise notes without hints', () => {
+      const result = scoreSystem.addNote(5, 1500, true);
+
+      expect(result.hintPenalty).toBe(0);
+      expect(result.totalPoints).toBe(110);
+    });
+  });
+
   describe('Total Score', () => {
     it('should accumulate total score', () => {
       scoreSystem.addNote(5, 1500, true); // 100 + 10 = 110
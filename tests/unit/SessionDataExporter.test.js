@@ -0,0 +1,172 @@
+import {
+  describe, it, expect, beforeEach,
+} from 'vitest';
+import SessionDataExporter from '../../src/game/SessionDataExporter.js';
+
+describe('SessionDataExporter', () => {
+  let now;
+  let exporter;
+
+  const frame = {
+    frequency: 261.6256,
+    note: 'C4',
+    cents: 0.44,
+    confidence: 0.91234,
+    clarity: 0.95,
+    volume: 0.123456,
+    targetNote: 'C4',
+    holdProgress: 0.5,
+  };
+
+  beforeEach(() => {
+    now = 1000;
+    exporter = new SessionDataExporter({ clock: () => now });
+    exporter.start({ mode: 'challenge', scale: ['C4', 'D4'] });
+  });
+
+  it('should time frames from the start of the run', () => {
+    now = 1250;
+    exporter.recordFrame(frame);
+
+    expect(exporter.frames[0]).toEqual({
+      time: 0.25,
+      frequency: 261.63,
+      note: 'C4',
+      cents: 0.4,
+      confidence: 0.912,
+      clarity: 0.95,
+      volume: 0.1235,
+      targetNote: 'C4',
+      holdProgress: 0.5,
+      bleed: null,
+    });
+  });
+
+  it('should keep silent frames', () => {
+    exporter.recordFrame({ frequency: null, confidence: 0, targetNote: 'C4' });
+
+    expect(exporter.frames[0]).toEqual(expect.objectContaining({
+      frequency: null,
+      note: null,
+      cents: null,
+    }));
+  });
+
+  it('should ignore data before a run starts', () => {
+    exporter = new SessionDataExporter();
+    exporter.recordFrame(frame);
+    exporter.recordNote('note-miss', { note: 'C4' });
+
+    expect(exporter.hasData()).toBe(false);
+  });
+
+  it('should record note results', () => {
+    now = 3000;
+    exporter.recordNote('note-hit', {
+      noteIndex: 0,
+      note: 'C4',
+      averageCents: 3.21,
+      timeToHit: 812.4,
+      holdDuration: 1500,
+      attempts: 1,
+      forgivenFrames: 2,
+    }, { tier: 'PERFECT', totalPoints: 100 });
+    exporter.recordNote('note-miss', { noteIndex: 1, note: 'D4', attempts: 3 });
+
+    expect(exporter.notes).toEqual([
+      {
+        type: 'note-hit',
+        time: 2,
+        noteIndex: 0,
+        note: 'C4',
+        tier: 'PERFECT',
+        points: 100,
+        averageCents: 3.2,
+        timeToHit: 812,
+        holdDuration: 1500,
+        attempts: 1,
+        forgivenFrames: 2,
+        vibratoRate: null,
+        vibratoExtent: null,
+      },
+      {
+        type: 'note-miss',
+        time: 2,
+        noteIndex: 1,
+        note: 'D4',
+        tier: 'MISS',
+        points: 0,
+        averageCents: null,
+        timeToHit: null,
+        holdDuration: null,
+        attempts: 3,
+        forgivenFrames: null,
+        vibratoRate: null,
+        vibratoExtent: null,
+      },
+    ]);
+  });
+
+  it('should report vibrato per note', () => {
+    exporter.recordNote('note-hit', { note: 'C4', vibrato: { rate: 5.678, extent: 41.23 } });
+
+    expect(exporter.getNoteResults()[0]).toEqual(expect.objectContaining({
+      vibratoRate: 5.68,
+      vibratoExtent: 41.2,
+    }));
+  });
+
+  it('should discard the previous run on start', () => {
+    exporter.recordFrame(frame);
+    exporter.start({ mode: 'practice' });
+
+    expect(exporter.hasData()).toBe(false);
+    expect(exporter.toJSON().session.mode).toBe('practice');
+  });
+
+  it('should export JSON with session details', () => {
+    exporter.recordFrame(frame);
+
+    const json = exporter.toJSON();
+
+    expect(json.version).toBe(1);
+    expect(json.session).toEqual(expect.objectContaining({
+      mode: 'challenge',
+      scale: ['C4', 'D4'],
+      startedAt: expect.any(String),
+    }));
+    expect(json.frames).toHaveLength(1);
+    expect(json.notes).toEqual([]);
+  });
+
+  it('should export CSV rows in time order', () => {
+    now = 1100;
+    exporter.recordFrame(frame);
+    now = 1200;
+    exporter.recordNote('note-hit', { noteIndex: 0, note: 'C4' }, { tier: 'GREAT', totalPoints: 75 });
+    now = 1300;
+    exporter.recordFrame({ ...frame, frequency: null, note: null });
+
+    const lines = exporter.toCSV().split('\r\n');
+
+    expect(lines[0]).toBe('type,time,frequency,note,cents,confidence,clarity,volume,targetNote,'
+      + 'holdProgress,bleed,noteIndex,tier,points,averageCents,timeToHit,holdDuration,attempts,'
+      + 'forgivenFrames,vibratoRate,vibratoExtent');
+    expect(lines).toHaveLength(4);
+    expect(lines[1]).toBe('frame,0.1,261.63,C4,0.4,0.912,0.95,0.1235,C4,0.5,,,,,,,,,,,');
+    expect(lines[2]).toBe('note-hit,0.2,,C4,,,,,,,,0,GREAT,75,,,,,,,');
+    expect(lines[3].startsWith('frame,0.3,,,')).toBe(true);
+  });
+
+  it('should quote CSV cells that need it', () => {
+    exporter.recordNote('note-miss', { note: 'C4, "low"' });
+
+    expect(exporter.toCSV()).toContain('"C4, ""low"""');
+  });
+
+  it('should build downloadable files', () => {
+    expect(exporter.toBlob('csv').type).toBe('text/csv');
+    expect(exporter.toBlob('json').type).toBe('application/json');
+    expect(() => exporter.toBlob('xml')).toThrow('Unknown export format');
+  });
+});
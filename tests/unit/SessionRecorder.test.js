@@ -0,0 +1,85 @@
+import {
+  describe, it, expect, beforeEach,
+} from 'vitest';
+import SessionRecorder from '../../src/audio/SessionRecorder.js';
+
+describe('SessionRecorder', () => {
+  let recorder;
+
+  beforeEach(() => {
+    recorder = new SessionRecorder({ sampleRate: 1000 });
+    recorder.start();
+  });
+
+  it('should join captured blocks in order', () => {
+    recorder.append(new Float32Array(500).fill(0.1));
+    recorder.append(new Float32Array(250).fill(0.2));
+
+    const take = recorder.stop();
+
+    expect(take.samples).toHaveLength(750);
+    expect(take.samples[499]).toBeCloseTo(0.1);
+    expect(take.samples[500]).toBeCloseTo(0.2);
+    expect(take.duration).toBe(0.75);
+    expect(take.sampleRate).toBe(1000);
+  });
+
+  it('should copy blocks the caller reuses', () => {
+    const block = new Float32Array(10).fill(0.5);
+    recorder.append(block);
+    block.fill(0);
+
+    expect(recorder.stop().samples[0]).toBeCloseTo(0.5);
+  });
+
+  it('should skip samples while paused', () => {
+    recorder.append(new Float32Array(100));
+    recorder.pause();
+    recorder.append(new Float32Array(100));
+    recorder.resume();
+    recorder.append(new Float32Array(100));
+
+    expect(recorder.stop().samples).toHaveLength(200);
+  });
+
+  it('should place markers at the current position by default', () => {
+    recorder.append(new Float32Array(1500));
+    recorder.addMarker('D4 GREAT');
+    recorder.addMarker('C4 PERFECT', 0.2);
+
+    expect(recorder.stop().markers).toEqual([
+      { time: 0.2, label: 'C4 PERFECT' },
+      { time: 1.5, label: 'D4 GREAT' },
+    ]);
+  });
+
+  it('should keep markers within the take', () => {
+    recorder.append(new Float32Array(100));
+    recorder.addMarker('early', -1);
+    recorder.addMarker('late', 5);
+
+    expect(recorder.stop().markers.map((marker) => marker.time)).toEqual([0, 0.1]);
+  });
+
+  it('should stop at the length cap', () => {
+    recorder = new SessionRecorder({ sampleRate: 1000, maxSeconds: 1 });
+    recorder.start();
+
+    recorder.append(new Float32Array(800));
+    recorder.append(new Float32Array(800));
+    recorder.append(new Float32Array(800));
+
+    const take = recorder.stop();
+    expect(take.samples).toHaveLength(1000);
+    expect(take.truncated).toBe(true);
+  });
+
+  it('should ignore samples once stopped', () => {
+    recorder.stop();
+    recorder.append(new Float32Array(100));
+    recorder.addMarker('after');
+
+    expect(recorder.markers).toEqual([]);
+    expect(recorder.getSamples()).toHaveLength(0);
+  });
+});
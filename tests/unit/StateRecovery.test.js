@@ -194,6 +194,36 @@ describe('StateRecovery', () => {
       expect(scores[0].octave).toBe(5);
       expect(scores[0].perfectCount).toBe(8);
     });
+
+    it('should store the concert pitch with each score', () => {
+      stateRecovery.saveHighScore(750, 'S', { referencePitch: 442 });
+      stateRecovery.saveHighScore(500, 'B');
+
+      const scores = stateRecovery.getHighScores();
+      expect(scores[0].referencePitch).toBe(442);
+      expect(scores[1].referencePitch).toBe(440);
+    });
+
+    it('should not compare scores across tunings', () => {
+      stateRecovery.saveHighScore(900, 'S', { referencePitch: 432 });
+      stateRecovery.saveHighScore(600, 'A', { referencePitch: 440 });
+
+      expect(stateRecovery.getHighScores(440)).toHaveLength(1);
+      expect(stateRecovery.getPersonalBest(440)).toBe(600);
+      expect(stateRecovery.getPersonalBest(432)).toBe(900);
+    });
+
+    it('should keep top 10 scores for each tuning', () => {
+      for (let i = 0; i < 12; i++) {
+        stateRecovery.saveHighScore(1000 + i, 'S', { referencePitch: 442 });
+      }
+
+      const isTopScore = stateRecovery.saveHighScore(100, 'D', { referencePitch: 440 });
+
+      expect(isTopScore).toBe(true);
+      expect(stateRecovery.getHighScores(442)).toHaveLength(10);
+      expect(stateRecovery.getHighScores(440)).toHaveLength(1);
+    });
   });
 
   describe('Settings Management', () => {
@@ -204,9 +234,20 @@ describe('StateRecovery', () => {
         volume: 0.7,
         difficulty: 'normal',
         octave: 4,
+        challengeKey: 'auto',
+        challengeOctave: 'auto',
         showReferenceTone: true,
+        hintDelay: 8,
+        hintPenalty: false,
         autoCalibrate: true,
+        inputFiltering: true,
         theme: 'dark',
+        inputDeviceId: null,
+        referencePitch: 440,
+        temperament: 'equal',
+        recordChallenges: false,
+        accompaniment: 'off',
+        accompanimentVolume: 0.25,
       });
     });
 
@@ -253,12 +294,42 @@ describe('StateRecovery', () => {
     });
   });
 
+  describe('Voice Profile', () => {
+    it('should save and load the voice profile', () => {
+      const profile = {
+        lowestMidi: 43, highestMidi: 64, voiceType: 'Baritone', deviceId: 'usb', createdAt: 1000,
+      };
+
+      expect(stateRecovery.saveVoiceProfile(profile)).toBe(true);
+      expect(stateRecovery.loadVoiceProfile()).toEqual(profile);
+    });
+
+    it('should return null when no profile is saved', () => {
+      expect(stateRecovery.loadVoiceProfile()).toBeNull();
+    });
+
+    it('should clear the voice profile', () => {
+      stateRecovery.saveVoiceProfile({ lowestMidi: 43, highestMidi: 64 });
+      stateRecovery.clearVoiceProfile();
+
+      expect(stateRecovery.loadVoiceProfile()).toBeNull();
+    });
+
+    it('should not save without localStorage', () => {
+      stateRecovery.hasLocalStorage = false;
+
+      expect(stateRecovery.saveVoiceProfile({ lowestMidi: 43, highestMidi: 64 })).toBe(false);
+      expect(stateRecovery.loadVoiceProfile()).toBeNull();
+    });
+  });
+
   describe('Clear All Data', () => {
     it('should clear all stored data', () => {
       // Add data to all storage types
       stateRecovery.saveSession({ mode: 'challenge', config: {} });
       stateRecovery.saveHighScore(750, 'S');
       stateRecovery.saveSettings({ volume: 0.5 });
+      stateRecovery.saveVoiceProfile({ lowestMidi: 48, highestMidi: 67 });
 
       expect(stateRecovery.hasSession()).toBe(true);
       expect(stateRecovery.getHighScores()).toHaveLength(1);
@@ -270,6 +341,7 @@ describe('StateRecovery', () => {
       expect(stateRecovery.loadSettings()).toEqual(
         stateRecovery.getDefaultSettings(),
       );
+      expect(stateRecovery.loadVoiceProfile()).toBeNull();
     });
   });
 
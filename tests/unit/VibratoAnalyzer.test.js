@@ -0,0 +1,126 @@
+import { describe, it, expect } from 'vitest';
+import VibratoAnalyzer, { measureVibrato } from '../../src/audio/VibratoAnalyzer.js';
+import { midiToFrequency } from '../../src/audio/NoteMapper.js';
+
+const FRAME_MS = 11.6; // 512-sample hop at 44.1kHz
+
+/**
+ * Pitch history of a voice with vibrato
+ * @param {{rate?: number, extent?: number, centre?: number, drift?: number, ms?: number}} options -
+ *   Rate in Hz, extent in ± cents, centre in cents, drift in cents per second
+ * @returns {Array<{time: number, cents: number}>}
+ */
+function vibratoPoints({
+  rate = 5.5, extent = 40, centre = 0, drift = 0, ms = 1000,
+} = {}) {
+  const points = [];
+  for (let time = 0; time <= ms; time += FRAME_MS) {
+    points.push({
+      time,
+      cents: centre + (drift * time) / 1000 + extent * Math.sin(2 * Math.PI * rate * (time / 1000)),
+    });
+  }
+  return points;
+}
+
+describe('VibratoAnalyzer', () => {
+  describe('measureVibrato', () => {
+    it('should measure rate and extent', () => {
+      const vibrato = measureVibrato(vibratoPoints({ rate: 5.5, extent: 40, centre: 6000 }));
+
+      expect(vibrato.detected).toBe(true);
+      expect(vibrato.rate).toBeCloseTo(5.5, 0);
+      expect(Math.abs(vibrato.extent - 40)).toBeLessThan(4);
+      expect(Math.abs(vibrato.centre - 6000)).toBeLessThan(3);
+    });
+
+    it('should find the centre line of a drifting vibrato', () => {
+      const vibrato = measureVibrato(vibratoPoints({ extent: 50, centre: 10, drift: 20 }));
+
+      expect(vibrato.detected).toBe(true);
+      expect(Math.abs(vibrato.extent - 50)).toBeLessThan(5);
+      expect(Math.abs(vibrato.centre - 20)).toBeLessThan(5); // Mid-window
+    });
+
+    it('should ignore a steady note with detector jitter', () => {
+      const points = vibratoPoints({ extent: 0, centre: 15 })
+        .map((p, i) => ({ ...p, cents: p.cents + (i % 2 ? 1.5 : -1.5) }));
+
+      const vibrato = measureVibrato(points);
+
+      expect(vibrato.detected).toBe(false);
+      expect(vibrato.centre).toBeCloseTo(15, 0);
+    });
+
+    it('should not mistake a glide for vibrato', () => {
+      expect(measureVibrato(vibratoPoints({ extent: 0, drift: 300 })).detected).toBe(false);
+    });
+
+    it('should reject oscillations outside the singing range', () => {
+      expect(measureVibrato(vibratoPoints({ rate: 1.5, ms: 2000 })).detected).toBe(false);
+      expect(measureVibrato(vibratoPoints({ rate: 14 })).detected).toBe(false);
+      expect(measureVibrato(vibratoPoints({ extent: 4 })).detected).toBe(false);
+    });
+
+    it('should need more than one swing', () => {
+      expect(measureVibrato(vibratoPoints({ ms: 200 })).detected).toBe(false);
+      expect(measureVibrato([]).centre).toBeNull();
+    });
+  });
+
+  describe('live analysis', () => {
+    /**
+     * Feed an A4 vibrato into an analyser
+     * @param {VibratoAnalyzer} analyzer
+     * @param {number} startTime - First timestamp (ms)
+     * @param {number} ms - Duration
+     * @returns {object} Last analysis
+     */
+    function sing(analyzer, startTime, ms) {
+      let result;
+      vibratoPoints({ centre: 6900 + 5, extent: 30, ms }).forEach((p) => {
+        result = analyzer.update(startTime + p.time, midiToFrequency(p.cents / 100));
+      });
+      return result;
+    }
+
+    it('should report the centre as a frequency', () => {
+      const result = sing(new VibratoAnalyzer(), 0, 1500);
+
+      expect(result.detected).toBe(true);
+      expect(result.rate).toBeCloseTo(5.5, 0);
+      const centreCents = 1200 * Math.log2(result.centreFrequency / 440);
+      expect(Math.abs(centreCents - 5)).toBeLessThan(3);
+    });
+
+    it('should only look at the last window', () => {
+      const analyzer = new VibratoAnalyzer({ windowMs: 500 });
+      sing(analyzer, 0, 1500);
+
+      expect(analyzer.history[analyzer.history.length - 1].time
+        - analyzer.history[0].time).toBeLessThanOrEqual(500);
+    });
+
+    it('should start over after a dropout', () => {
+      const analyzer = new VibratoAnalyzer();
+      sing(analyzer, 0, 1000);
+
+      const result = analyzer.update(1500, 440);
+
+      expect(analyzer.history).toHaveLength(1);
+      expect(result.detected).toBe(false);
+    });
+
+    it('should report nothing for unvoiced frames', () => {
+      const analyzer = new VibratoAnalyzer();
+      sing(analyzer, 0, 1000);
+
+      expect(analyzer.update(1010, null)).toEqual({
+        detected: false, rate: 0, extent: 0, centreFrequency: null,
+      });
+
+      analyzer.reset();
+      expect(analyzer.history).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,261 @@
+import {
+  describe, it, expect, beforeEach,
+} from 'vitest';
+import VoiceProfile, { chooseChallengeKey } from '../../src/game/VoiceProfile.js';
+import { getScale, noteNameToMidi } from '../../src/audio/NoteMapper.js';
+
+/**
+ * Get the lowest and highest MIDI notes of a chosen scale
+ * @param {{scale: object}} choice - Result of chooseKey
+ * @returns {{low: number, high: number}}
+ */
+const scaleRange = ({ scale }) => {
+  const midi = getScale(scale.root, scale.type, { direction: scale.direction }).map(noteNameToMidi);
+  return { low: Math.min(...midi), high: Math.max(...midi) };
+};
+
+describe('VoiceProfile', () => {
+  describe('fromCalibration', () => {
+    it('should build a profile from a calibration result', () => {
+      const profile = VoiceProfile.fromCalibration({
+        success: true, lowestMidi: 43, highestMidi: 64, voiceType: 'Baritone',
+      });
+
+      expect(profile.toJSON()).toEqual(expect.objectContaining({
+        lowestMidi: 43, highestMidi: 64, voiceType: 'Baritone',
+      }));
+    });
+
+    it('should keep the noise floor, microphone and time of calibration', () => {
+      const profile = VoiceProfile.fromCalibration({
+        success: true, lowestMidi: 43, highestMidi: 64, noiseFloor: 0.004,
+      }, 'usb');
+
+      expect(profile.noiseFloor).toBe(0.004);
+      expect(profile.deviceId).toBe('usb');
+      expect(profile.createdAt).toBeCloseTo(Date.now(), -3);
+    });
+
+    it('should keep the tessitura', () => {
+      const profile = VoiceProfile.fromCalibration({
+        success: true,
+        lowestMidi: 43,
+        highestMidi: 76,
+        tessitura: {
+          lowestMidi: 50, highestMidi: 62, centreMidi: 56, lowestNote: 'D3', highestNote: 'D4',
+        },
+      });
+
+      expect(profile.tessitura).toEqual({ lowestMidi: 50, highestMidi: 62, centreMidi: 56 });
+      expect(profile.getTessitura()).toEqual({ low: 50, high: 62 });
+    });
+
+    it('should reject failed or rangeless results', () => {
+      expect(VoiceProfile.fromCalibration({ success: false })).toBeNull();
+      expect(VoiceProfile.fromCalibration({ success: true, voiceType: 'Tenor' })).toBeNull();
+      expect(VoiceProfile.fromCalibration(null)).toBeNull();
+    });
+  });
+
+  describe('Persistence', () => {
+    it('should round-trip through JSON', () => {
+      const profile = new VoiceProfile({
+        lowestMidi: 43,
+        highestMidi: 64,
+        voiceType: 'Baritone',
+        tessitura: { lowestMidi: 48, highestMidi: 60, centreMidi: 53 },
+        noiseFloor: 0.004,
+        environment: { verdict: 'warn', advice: ['Unplug the charger.'] },
+        deviceId: 'usb',
+        createdAt: 1000,
+      });
+
+      const restored = VoiceProfile.fromJSON(JSON.parse(JSON.stringify(profile)));
+
+      expect(restored).toBeInstanceOf(VoiceProfile);
+      expect(restored.toJSON()).toEqual(profile.toJSON());
+    });
+
+    it('should ignore unusable stored data', () => {
+      expect(VoiceProfile.fromJSON(null)).toBeNull();
+      expect(VoiceProfile.fromJSON({ voiceType: 'Tenor' })).toBeNull();
+    });
+  });
+
+  describe('Staleness', () => {
+    const DAY = 24 * 60 * 60 * 1000;
+    let profile;
+
+    beforeEach(() => {
+      profile = new VoiceProfile({
+        lowestMidi: 48, highestMidi: 67, deviceId: 'usb', createdAt: 0,
+      });
+    });
+
+    it('should stay fresh on the same microphone', () => {
+      expect(profile.getStaleReason({ deviceId: 'usb', now: DAY })).toBeNull();
+      expect(profile.getStaleReason({ now: DAY })).toBeNull(); // Microphone not known yet
+    });
+
+    it('should go stale on another microphone', () => {
+      expect(profile.getStaleReason({ deviceId: 'built-in', now: DAY })).toBe('device');
+    });
+
+    it('should go stale after a few months', () => {
+      expect(profile.getStaleReason({ now: 89 * DAY })).toBeNull();
+      expect(profile.getStaleReason({ now: 91 * DAY })).toBe('age');
+    });
+
+    it('should notice a voice that keeps leaving the range', () => {
+      const inside = 261.63; // C4 (MIDI 60)
+      const edge = 110; // A2 (MIDI 45), 3 semitones under the range: still counts as in it
+      const below = 98; // G2, well below
+
+      for (let i = 0; i < 150; i++) profile.observe(inside);
+      for (let i = 0; i < 49; i++) profile.observe(below);
+      expect(profile.hasRangeDrift()).toBe(false); // Too few frames to judge
+
+      for (let i = 0; i < 100; i++) profile.observe(edge);
+      expect(profile.hasRangeDrift()).toBe(false);
+
+      for (let i = 0; i < 80; i++) profile.observe(below);
+      expect(profile.hasRangeDrift()).toBe(true);
+    });
+
+    it('should ignore unvoiced frames and short excursions', () => {
+      for (let i = 0; i < 300; i++) profile.observe(i % 10 === 0 ? 98 : null);
+      for (let i = 0; i < 300; i++) profile.observe(261.63);
+
+      expect(profile.hasRangeDrift()).toBe(false);
+    });
+
+    it('should stay stale once marked', () => {
+      profile.markStale('range');
+
+      expect(profile.getStaleReason({ deviceId: 'usb', now: DAY })).toBe('range');
+      expect(VoiceProfile.fromJSON(profile.toJSON()).staleReason).toBe('range');
+    });
+  });
+
+  describe('getComfortableRange', () => {
+    it('should trim a semitone off each end of a wide range', () => {
+      const profile = new VoiceProfile({ lowestMidi: 43, highestMidi: 64 });
+
+      expect(profile.getComfortableRange()).toEqual({ low: 44, high: 63 });
+    });
+
+    it('should keep a narrow range whole', () => {
+      const profile = new VoiceProfile({ lowestMidi: 48, highestMidi: 60 });
+
+      expect(profile.getComfortableRange()).toEqual({ low: 48, high: 60 });
+    });
+  });
+
+  describe('chooseKey', () => {
+    it('should keep a baritone scale out of the fifth octave', () => {
+      // G2-E4 measured
+      const choice = new VoiceProfile({ lowestMidi: 43, highestMidi: 64 }).chooseKey();
+      const { low, high } = scaleRange(choice);
+
+      expect(choice.fits).toBe(true);
+      expect(low).toBeGreaterThanOrEqual(44);
+      expect(high).toBeLessThanOrEqual(63);
+      expect(choice.octave).toBe(3);
+      expect(choice.scale).toEqual({ root: 'C3', type: 'major', direction: 'ascending' });
+    });
+
+    it('should centre the scale in the range', () => {
+      // C#4-C#6 measured: G4-G5 sits in the middle
+      const choice = new VoiceProfile({ lowestMidi: 61, highestMidi: 85 }).chooseKey();
+
+      expect(choice.key).toBe('G');
+      expect(choice.octave).toBe(4);
+    });
+
+    it('should place the scale in the tessitura rather than the middle of the range', () => {
+      const range = { lowestMidi: 43, highestMidi: 76 };
+      const withTessitura = new VoiceProfile({
+        ...range, tessitura: { lowestMidi: 50, highestMidi: 62 },
+      });
+
+      expect(withTessitura.chooseKey().scale.root).toBe('D3');
+      expect(new VoiceProfile(range).chooseKey().scale.root).toBe('F3');
+    });
+
+    it('should fall back to the comfortable range without a tessitura', () => {
+      const profile = new VoiceProfile({ lowestMidi: 43, highestMidi: 64 });
+
+      expect(profile.getTessitura()).toEqual(profile.getComfortableRange());
+    });
+
+    it('should prefer simpler keys when two fit equally well', () => {
+      // Exactly one octave and a semitone: C-C or Db-Db both fit
+      const choice = new VoiceProfile({ lowestMidi: 48, highestMidi: 61 }).chooseKey();
+
+      expect(choice.key).toBe('C');
+      expect(choice.octave).toBe(3);
+    });
+
+    it('should fit a chosen key into the range', () => {
+      const choice = new VoiceProfile({ lowestMidi: 43, highestMidi: 64 }).chooseKey({ key: 'Eb' });
+
+      expect(choice.scale.root).toBe('Eb3');
+      expect(choice.fits).toBe(true);
+    });
+
+    it('should place keys spelled across the octave line by their written octave', () => {
+      const profile = new VoiceProfile({ lowestMidi: 55, highestMidi: 76 });
+      const flat = profile.chooseKey({ key: 'Cb', octave: 4 });
+      const sharp = profile.chooseKey({ key: 'B#', octave: 3 });
+
+      expect(flat.scale.root).toBe('Cb4');
+      expect(scaleRange(flat)).toEqual({ low: 59, high: 71 });
+      expect(flat.fits).toBe(true);
+      expect(scaleRange(sharp)).toEqual({ low: 60, high: 72 });
+      expect(sharp.fits).toBe(true);
+    });
+
+    it('should keep a chosen octave', () => {
+      const choice = new VoiceProfile({ lowestMidi: 43, highestMidi: 64 }).chooseKey({ octave: 4 });
+
+      expect(choice.octave).toBe(4);
+      expect(choice.key).toBe('C');
+      expect(choice.fits).toBe(false);
+    });
+
+    it('should account for the scale type and direction', () => {
+      const profile = new VoiceProfile({ lowestMidi: 55, highestMidi: 70 });
+      const choice = profile.chooseKey({ type: 'major-pentatonic', direction: 'round-trip' });
+      const { low, high } = scaleRange(choice);
+
+      expect(choice.scale.type).toBe('major-pentatonic');
+      expect(choice.scale.direction).toBe('round-trip');
+      expect(low).toBeGreaterThanOrEqual(56);
+      expect(high).toBeLessThanOrEqual(69);
+    });
+
+    it('should report the closest choice when the range is too narrow', () => {
+      const choice = new VoiceProfile({ lowestMidi: 55, highestMidi: 62 }).chooseKey();
+
+      expect(choice.fits).toBe(false);
+      expect(scaleRange(choice).low).toBeLessThanOrEqual(55);
+    });
+  });
+
+  describe('chooseChallengeKey without a profile', () => {
+    it('should start on C4 by default', () => {
+      expect(chooseChallengeKey(null)).toEqual({
+        scale: { root: 'C4', type: 'major', direction: 'ascending' },
+        key: 'C',
+        octave: 4,
+        fits: true,
+      });
+    });
+
+    it('should follow a chosen key and octave', () => {
+      const choice = chooseChallengeKey(null, { key: 'F#', octave: '3' });
+
+      expect(choice.scale.root).toBe('F#3');
+    });
+  });
+});
@@ -0,0 +1,108 @@
+import { describe, it, expect } from 'vitest';
+import { encodeWav, createWavBlob } from '../../src/utils/WavEncoder.js';
+
+/**
+ * Read a four-character chunk id
+ * @param {DataView} view
+ * @param {number} offset
+ * @returns {string}
+ */
+function fourCC(view, offset) {
+  return String.fromCharCode(...new Uint8Array(view.buffer, offset, 4));
+}
+
+/**
+ * List the top-level chunks of a RIFF file
+ * @param {ArrayBuffer} buffer
+ * @returns {Map<string, {offset: number, size: number}>} Chunk id → body offset and size
+ */
+function readChunks(buffer) {
+  const view = new DataView(buffer);
+  const chunks = new Map();
+  let offset = 12;
+  while (offset < buffer.byteLength) {
+    const size = view.getUint32(offset + 4, true);
+    chunks.set(fourCC(view, offset), { offset: offset + 8, size });
+    offset += 8 + size + (size % 2);
+  }
+  return chunks;
+}
+
+describe('WavEncoder', () => {
+  it('should write a 16-bit mono PCM header', () => {
+    const buffer = encodeWav(new Float32Array(100), 44100);
+    const view = new DataView(buffer);
+
+    expect(fourCC(view, 0)).toBe('RIFF');
+    expect(view.getUint32(4, true)).toBe(buffer.byteLength - 8);
+    expect(fourCC(view, 8)).toBe('WAVE');
+    expect(fourCC(view, 12)).toBe('fmt ');
+    expect(view.getUint16(20, true)).toBe(1); // PCM
+    expect(view.getUint16(22, true)).toBe(1); // Mono
+    expect(view.getUint32(24, true)).toBe(44100);
+    expect(view.getUint32(28, true)).toBe(88200);
+    expect(view.getUint16(34, true)).toBe(16);
+    expect(buffer.byteLength).toBe(44 + 200);
+  });
+
+  it('should convert and clip samples', () => {
+    const buffer = encodeWav(new Float32Array([0, 1, -1, 0.5, 2, -3]), 8000);
+    const data = new Int16Array(buffer.slice(44));
+
+    expect(Array.from(data)).toEqual([0, 32767, -32768, 16383, 32767, -32768]);
+  });
+
+  it('should not write cue chunks without markers', () => {
+    const chunks = readChunks(encodeWav(new Float32Array(10), 8000));
+
+    expect([...chunks.keys()]).toEqual(['fmt ', 'data']);
+  });
+
+  it('should embed markers as labelled cue points', () => {
+    const buffer = encodeWav(new Float32Array(8000), 8000, [
+      { time: 0.25, label: 'C4 PERFECT' },
+      { time: 0.5, label: 'D4 OK' },
+    ]);
+    const view = new DataView(buffer);
+    const chunks = readChunks(buffer);
+
+    expect(view.getUint32(4, true)).toBe(buffer.byteLength - 8);
+
+    const cue = chunks.get('cue ');
+    expect(cue.size).toBe(4 + 2 * 24);
+    expect(view.getUint32(cue.offset, true)).toBe(2);
+    expect(view.getUint32(cue.offset + 4, true)).toBe(1); // Cue id
+    expect(view.getUint32(cue.offset + 8, true)).toBe(2000); // Position
+    expect(fourCC(view, cue.offset + 12)).toBe('data');
+    expect(view.getUint32(cue.offset + 24, true)).toBe(2000); // Sample offset
+    expect(view.getUint32(cue.offset + 32, true)).toBe(4000);
+
+    const list = chunks.get('LIST');
+    expect(fourCC(view, list.offset)).toBe('adtl');
+    const labels = [];
+    let offset = list.offset + 4;
+    while (offset < list.offset + list.size) {
+      expect(fourCC(view, offset)).toBe('labl');
+      const size = view.getUint32(offset + 4, true);
+      const text = new Uint8Array(buffer, offset + 12, size - 5);
+      labels.push([view.getUint32(offset + 8, true), String.fromCharCode(...text)]);
+      offset += 8 + size + (size % 2);
+    }
+    expect(labels).toEqual([[1, 'C4 PERFECT'], [2, 'D4 OK']]);
+  });
+
+  it('should replace non-ASCII label characters', () => {
+    const buffer = encodeWav(new Float32Array(10), 8000, [{ time: 0, label: 'B♭4' }]);
+    const list = readChunks(buffer).get('LIST');
+
+    const text = new Uint8Array(buffer, list.offset + 16, 3);
+    expect(String.fromCharCode(...text)).toBe('B?4');
+  });
+
+  it('should create an audio/wav Blob', () => {
+    const blob = createWavBlob(new Float32Array(10), 8000);
+
+    expect(blob.type).toBe('audio/wav');
+    expect(blob.size).toBe(64);
+  });
+});